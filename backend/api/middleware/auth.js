@@ -0,0 +1,86 @@
+const adminService = require('../../services/admin.service');
+const authService = require('../../services/auth.service');
+
+function readBearerToken(req) {
+  const header = req.headers?.authorization || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  return match ? match[1] : null;
+}
+
+// Attaches the signed-in wallet to req.auth, or rejects with 401.
+function requireSession(req, res, next) {
+  if (!authService.isEnabled()) {
+    req.auth = null;
+    return next();
+  }
+  const session = authService.getSession(readBearerToken(req));
+  if (!session) {
+    return res.status(401).json({ message: 'Sign in with your wallet to continue' });
+  }
+  req.auth = { address: session.address, token: readBearerToken(req) };
+  return next();
+}
+
+// Attaches the signed-in wallet to req.auth when the request carries a valid
+// session, and null otherwise. Never rejects; for routes whose response
+// depends on who is asking.
+function readSession(req, res, next) {
+  const token = readBearerToken(req);
+  const session = authService.isEnabled() ? authService.getSession(token) : null;
+  req.auth = session ? { address: session.address, token } : null;
+  return next();
+}
+
+// Requires the signed-in wallet to be the account the request acts on.
+// `resolveAddress(req)` returns that account, or a list of accounts any of
+// which may act. A request that names no account is rejected rather than let
+// through, so routes whose account comes from a stored record should answer
+// 404 for a missing record before this runs.
+function requireCaller(resolveAddress, description = 'the account owner') {
+  return [
+    requireSession,
+    (req, res, next) => {
+      if (!authService.isEnabled()) {
+        return next();
+      }
+      const resolved = resolveAddress(req);
+      const expected = (Array.isArray(resolved) ? resolved : [resolved]).filter(Boolean);
+      if (expected.length === 0) {
+        return res.status(400).json({ message: `An address for ${description} is required` });
+      }
+      if (!expected.some((address) => authService.isCaller(req.auth, address))) {
+        return res.status(403).json({ message: `Only ${description} can perform this action` });
+      }
+      return next();
+    },
+  ];
+}
+
+// Requires the signed-in wallet to hold a DEX role itself. `resolveRole(req)`
+// returns the bytes32 role id and may be async. Used where the backend signer,
+// which holds every role, acts for the caller, so there is no anonymous
+// access even with auth disabled.
+function requireRole(resolveRole) {
+  return [
+    requireSession,
+    async (req, res, next) => {
+      if (!req.auth?.address) {
+        return res.status(403).json({ message: 'Admin actions require signing in with a wallet that holds the role' });
+      }
+      try {
+        await adminService.authorize(req.auth.address, await resolveRole(req));
+      } catch (error) {
+        return res.status(error.status || 400).json({ message: error.message });
+      }
+      return next();
+    },
+  ];
+}
+
+module.exports = {
+  readBearerToken,
+  readSession,
+  requireSession,
+  requireCaller,
+  requireRole,
+};
@@ -0,0 +1,64 @@
+const express = require('express');
+const adminService = require('../../services/admin.service');
+const { requireRole } = require('../middleware/auth');
+
+const { ROLES } = adminService;
+
+const router = express.Router();
+
+function handle(action) {
+  return async (req, res) => {
+    try {
+      const result = await action(req);
+      return res.json(result);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+  };
+}
+
+// Granting or revoking a role takes that role's admin role on the contract.
+const requireRoleAdmin = requireRole((req) => adminService.getRoleAdmin(req.body?.role));
+const requirePauser = requireRole(() => ROLES.PAUSER);
+const requireListingManager = requireRole(() => ROLES.LISTING_MANAGER);
+const requireFeeManager = requireRole(() => ROLES.FEE_MANAGER);
+
+router.get('/status', handle(() => adminService.getStatus()));
+
+router.get('/roles/:address', handle((req) => adminService.getRoles(req.params.address)));
+
+router.post(
+  '/roles/grant',
+  requireRoleAdmin,
+  handle((req) => adminService.grantRole(req.body?.role, req.body?.account)),
+);
+
+router.post(
+  '/roles/revoke',
+  requireRoleAdmin,
+  handle((req) => adminService.revokeRole(req.body?.role, req.body?.account)),
+);
+
+router.post('/pause', requirePauser, handle(() => adminService.pause()));
+
+router.post('/unpause', requirePauser, handle(() => adminService.unpause()));
+
+router.get('/tokens/:address', handle((req) => adminService.isTokenListed(req.params.address)));
+
+router.post(
+  '/tokens/listing',
+  requireListingManager,
+  handle((req) => adminService.setTokenListed(req.body?.token, req.body?.listed)),
+);
+
+router.post('/allowlist', requireListingManager, handle((req) => adminService.setAllowlistEnabled(req.body?.enabled)));
+
+router.post(
+  '/fees',
+  requireFeeManager,
+  handle((req) => adminService.setTradingFees(req.body?.makerBps, req.body?.takerBps)),
+);
+
+router.post('/fee-collector', requireFeeManager, handle((req) => adminService.setFeeCollector(req.body?.address)));
+
+module.exports = router;
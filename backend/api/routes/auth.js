@@ -0,0 +1,46 @@
+const express = require('express');
+const authService = require('../../services/auth.service');
+const { requireSession } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.post('/nonce', (req, res) => {
+  try {
+    const { address, chainId } = req.body || {};
+    const challenge = authService.createChallenge({
+      address,
+      chainId,
+      domain: req.get('host'),
+      uri: req.get('origin') || `${req.protocol}://${req.get('host')}`,
+    });
+    return res.json(challenge);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+});
+
+router.post('/verify', (req, res) => {
+  try {
+    const session = authService.verify(req.body || {});
+    return res.json(session);
+  } catch (error) {
+    return res.status(401).json({ message: error.message });
+  }
+});
+
+router.get('/session', requireSession, (req, res) => {
+  if (!req.auth) {
+    return res.json({ enabled: false, address: null });
+  }
+  const session = authService.getSession(req.auth.token);
+  return res.json({ enabled: true, address: session.address, expiresAt: session.expiresAt.toISOString() });
+});
+
+router.post('/logout', requireSession, (req, res) => {
+  if (req.auth) {
+    authService.revoke(req.auth.token);
+  }
+  return res.status(204).end();
+});
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
-const { ethers } = require('ethers');
 const blockchainService = require('../../services/blockchain.service');
 const tokenService = require('../../services/token.service');
+const walletTransactionService = require('../../services/wallet-transaction.service');
+const { requireCaller } = require('../middleware/auth');
 const config = require('../../config/config');
 
 const router = express.Router();
@@ -58,21 +59,25 @@ function buildReceiptResponse(receipt) {
   };
 }
 
-function resolveSigner(privateKey) {
-  if (privateKey) {
-    const provider = blockchainService.getProvider();
-    if (!provider) {
-      throw new Error('Blockchain provider is not configured');
-    }
-    return new ethers.Wallet(privateKey, provider);
-  }
+function requireRelayerSigner() {
   const signer = blockchainService.getSigner();
   if (!signer) {
-    throw new Error('No signer configured. Provide a privateKey or configure backend signer');
+    throw new Error('No relayer signer configured on the backend');
   }
   return signer;
 }
 
+// User keys never travel over HTTP: wallet actions come back as unsigned
+// transactions for the browser wallet to sign and broadcast.
+router.use((req, res, next) => {
+  if (req.body && Object.prototype.hasOwnProperty.call(req.body, 'privateKey')) {
+    return res.status(400).json({
+      message: 'Private keys are not accepted. Sign the returned transaction with your wallet instead',
+    });
+  }
+  return next();
+});
+
 router.get('/config', (req, res) => {
   res.json({
     network: config.blockchain.network,
@@ -114,69 +119,40 @@ router.get('/balances/:address', async (req, res) => {
 });
 
 router.post('/deposit', async (req, res) => {
-  const { token, amount, privateKey, autoApprove = false } = req.body || {};
+  const { from, token, amount } = req.body || {};
   if (!token) {
     return res.status(400).json({ message: 'token is required' });
   }
   try {
-    const signer = resolveSigner(privateKey);
     const amountValue = parseAmount(amount, 'amount');
-    const contract = blockchainService.getDexContract();
-    const connected = contract.connect(signer);
-
-    if (autoApprove) {
-      try {
-        const erc20 = blockchainService.getErc20Contract(token, { signer });
-        const approveTx = await erc20.approve(blockchainService.getDexAddress(), amountValue);
-        await approveTx.wait(blockchainService.confirmations);
-      } catch (error) {
-        return res.status(400).json({
-          message: `Approval failed: ${error.message}`,
-        });
-      }
-    }
-
-    const tx = await connected.deposit(token, amountValue);
-    const receipt = await tx.wait(blockchainService.confirmations);
-    return res.json({
-      token,
-      amount: amountValue.toString(),
-      receipt: buildReceiptResponse(receipt),
-    });
+    const prepared = await walletTransactionService.buildDeposit({ from, token, amount: amountValue });
+    return res.json(prepared);
   } catch (error) {
     return res.status(400).json({ message: error.message });
   }
 });
 
 router.post('/withdraw', async (req, res) => {
-  const { token, amount, privateKey } = req.body || {};
+  const { from, token, amount } = req.body || {};
   if (!token) {
     return res.status(400).json({ message: 'token is required' });
   }
   try {
-    const signer = resolveSigner(privateKey);
     const amountValue = parseAmount(amount, 'amount');
-    const contract = blockchainService.getDexContract();
-    const connected = contract.connect(signer);
-    const tx = await connected.withdraw(token, amountValue);
-    const receipt = await tx.wait(blockchainService.confirmations);
-    return res.json({
-      token,
-      amount: amountValue.toString(),
-      receipt: buildReceiptResponse(receipt),
-    });
+    const prepared = await walletTransactionService.buildWithdraw({ from, token, amount: amountValue });
+    return res.json(prepared);
   } catch (error) {
     return res.status(400).json({ message: error.message });
   }
 });
 
 router.post('/execute', async (req, res) => {
-  const { order, signature, fillAmount, privateKey, overrides = {} } = req.body || {};
+  const { order, signature, fillAmount, overrides = {} } = req.body || {};
   if (!order || !signature) {
     return res.status(400).json({ message: 'order and signature are required' });
   }
   try {
-    const signer = resolveSigner(privateKey);
+    const signer = requireRelayerSigner();
     const fillValue = parseAmount(fillAmount, 'fillAmount');
     const contract = blockchainService.getDexContract();
     const connected = contract.connect(signer);
@@ -191,12 +167,12 @@ router.post('/execute', async (req, res) => {
 });
 
 router.post('/execute-market', async (req, res) => {
-  const { order, signature, maxSlippage, privateKey } = req.body || {};
+  const { order, signature, maxSlippage } = req.body || {};
   if (!order || !signature) {
     return res.status(400).json({ message: 'order and signature are required' });
   }
   try {
-    const signer = resolveSigner(privateKey);
+    const signer = requireRelayerSigner();
     const contract = blockchainService.getDexContract();
     const connected = contract.connect(signer);
     const tx = await connected.executeMarketOrder(order, signature, parseAmount(maxSlippage ?? 0, 'maxSlippage'));
@@ -210,57 +186,64 @@ router.post('/execute-market', async (req, res) => {
 });
 
 router.post('/cancel', async (req, res) => {
-  const { order, privateKey } = req.body || {};
+  const { from, order } = req.body || {};
   if (!order) {
     return res.status(400).json({ message: 'order is required' });
   }
   try {
-    const signer = resolveSigner(privateKey);
-    const contract = blockchainService.getDexContract();
-    const connected = contract.connect(signer);
-    const tx = await connected.cancelOrder(order);
-    const receipt = await tx.wait(blockchainService.confirmations);
-    return res.json({
-      receipt: buildReceiptResponse(receipt),
-    });
+    const prepared = await walletTransactionService.buildCancel({ from, order });
+    return res.json(prepared);
   } catch (error) {
     return res.status(400).json({ message: error.message });
   }
 });
 
 router.post('/cancel-batch', async (req, res) => {
-  const { orders, privateKey } = req.body || {};
+  const { from, orders } = req.body || {};
   if (!Array.isArray(orders) || orders.length === 0) {
     return res.status(400).json({ message: 'orders array is required' });
   }
   try {
-    const signer = resolveSigner(privateKey);
-    const contract = blockchainService.getDexContract();
-    const connected = contract.connect(signer);
-    const tx = await connected.cancelOrders(orders);
-    const receipt = await tx.wait(blockchainService.confirmations);
-    return res.json({
-      receipt: buildReceiptResponse(receipt),
-    });
+    const prepared = await walletTransactionService.buildCancelBatch({ from, orders });
+    return res.json(prepared);
   } catch (error) {
     return res.status(400).json({ message: error.message });
   }
 });
 
 router.post('/nonce/increment', async (req, res) => {
-  const { privateKey } = req.body || {};
+  const { from } = req.body || {};
   try {
-    const signer = resolveSigner(privateKey);
-    const contract = blockchainService.getDexContract();
-    const connected = contract.connect(signer);
-    const tx = await connected.incrementNonce();
-    const receipt = await tx.wait(blockchainService.confirmations);
-    return res.json({
-      receipt: buildReceiptResponse(receipt),
-    });
+    const prepared = await walletTransactionService.buildIncrementNonce({ from });
+    return res.json(prepared);
   } catch (error) {
     return res.status(400).json({ message: error.message });
   }
 });
 
+const requireSender = requireCaller((req) => req.body?.from, 'the transaction sender');
+
+router.post('/transactions', requireSender, (req, res) => {
+  try {
+    const { hash, from, action, metadata } = req.body || {};
+    const tracked = walletTransactionService.track({ hash, from, action, metadata });
+    return res.status(202).json(tracked);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+});
+
+router.get('/transactions', (req, res) => {
+  const { from, status } = req.query;
+  res.json(walletTransactionService.listTransactions({ from, status }));
+});
+
+router.get('/transactions/:hash', (req, res) => {
+  const transaction = walletTransactionService.getTransaction(req.params.hash);
+  if (!transaction) {
+    return res.status(404).json({ message: 'Transaction not tracked' });
+  }
+  return res.json(transaction);
+});
+
 module.exports = router;
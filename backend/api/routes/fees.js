@@ -0,0 +1,37 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const feeService = require('../../services/fee.service');
+const { requireCaller } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json(feeService.getSummary());
+});
+
+router.get('/schedule', (req, res) => {
+  res.json(feeService.getSchedule());
+});
+
+router.get('/accounts/:address', (req, res) => {
+  if (!ethers.isAddress(req.params.address)) {
+    return res.status(400).json({ message: 'A valid address is required' });
+  }
+  return res.json({ account: ethers.getAddress(req.params.address), ...feeService.getTier(req.params.address) });
+});
+
+const requireAccount = requireCaller((req) => req.params.address, 'the account');
+
+router.post('/accounts/:address/apply', requireAccount, async (req, res) => {
+  try {
+    if (!ethers.isAddress(req.params.address)) {
+      throw new Error('A valid address is required');
+    }
+    const result = await feeService.applyTier(req.params.address);
+    return res.json(result);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const marketService = require('../../services/market.service');
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json(marketService.listMarkets());
+});
+
+router.get('/:baseToken/:quoteToken', (req, res) => {
+  const { baseToken, quoteToken } = req.params;
+  const market = marketService.getMarket(baseToken, quoteToken);
+  if (!market) {
+    return res.status(404).json({ message: 'Market not found' });
+  }
+  return res.json(market);
+});
+
+module.exports = router;
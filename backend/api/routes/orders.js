@@ -1,22 +1,49 @@
 const express = require('express');
 const orderService = require('../../services/order.service');
+const exportService = require('../../services/export.service');
+const walletTransactionService = require('../../services/wallet-transaction.service');
+const { readSession, requireCaller } = require('../middleware/auth');
+const { parseExportFilters, writeExport } = require('../../utils/export');
 
 const router = express.Router();
 
-router.get('/', (req, res) => {
+router.get('/', readSession, (req, res) => {
   const { baseToken, quoteToken, trader, status } = req.query;
   const orders = orderService
     .listOrders({ baseToken, quoteToken, trader, status })
-    .map((order) => orderService.toJSON(order));
+    .map((order) => orderService.toViewerJSON(order, req.auth));
   res.json(orders);
 });
 
+router.get('/export', readSession, async (req, res) => {
+  let filters;
+  try {
+    filters = parseExportFilters(req.query);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+  const { columns, rows } = exportService.exportOrders(filters, { trader: req.query.trader, viewer: req.auth });
+  return writeExport(res, { format: filters.format, filename: 'orders', columns, rows });
+});
+
 router.get('/book', (req, res) => {
   const { baseToken, quoteToken } = req.query;
   const book = orderService.getOrderBook(baseToken, quoteToken);
   res.json(book);
 });
 
+router.get('/book/depth', (req, res) => {
+  const { baseToken, quoteToken, tick, limit } = req.query;
+  if (!baseToken || !quoteToken) {
+    return res.status(400).json({ message: 'baseToken and quoteToken are required' });
+  }
+  try {
+    return res.json(orderService.getDepth(baseToken, quoteToken, { tick, limit }));
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+});
+
 router.get('/trades', (req, res) => {
   const { baseToken, quoteToken, limit } = req.query;
   if (!baseToken || !quoteToken) {
@@ -36,6 +63,23 @@ router.post('/', async (req, res) => {
   }
 });
 
+router.post('/group', async (req, res) => {
+  try {
+    const group = await orderService.createOrderGroup(req.body || {});
+    res.status(201).json(group);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+router.get('/group/:id', (req, res) => {
+  const group = orderService.getOrderGroup(req.params.id);
+  if (!group) {
+    return res.status(404).json({ message: 'Order group not found' });
+  }
+  return res.json(group);
+});
+
 router.post('/prepare', async (req, res) => {
   try {
     const prepared = await orderService.prepareOrder(req.body || {});
@@ -45,19 +89,73 @@ router.post('/prepare', async (req, res) => {
   }
 });
 
+router.get('/batch/opportunities', (req, res) => {
+  const { maxLength, limit, tolerance } = req.query;
+  const numericTolerance = tolerance !== undefined ? Number(tolerance) : undefined;
+  if (numericTolerance !== undefined && !Number.isFinite(numericTolerance)) {
+    return res.status(400).json({ message: 'tolerance must be a number' });
+  }
+  try {
+    const opportunities = orderService.findBatchOpportunities({ maxLength, limit, tolerance: numericTolerance });
+    return res.json(opportunities);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+});
+
 router.post('/batch', async (req, res) => {
-  const { orderIds, tolerance } = req.body || {};
+  const { orderIds, tolerance, allowSurplus } = req.body || {};
   if (!Array.isArray(orderIds) || orderIds.length < 2) {
     return res.status(400).json({ message: 'orderIds array with at least two ids is required' });
   }
   try {
-    const batchResult = await orderService.executeBatch(orderIds, { tolerance });
+    const batchResult = await orderService.executeBatch(orderIds, { tolerance, allowSurplus: allowSurplus === true });
     return res.json(batchResult);
   } catch (error) {
     return res.status(400).json({ message: error.message });
   }
 });
 
+// Cancels off-chain right away and returns the wallet transaction that makes
+// it binding on-chain: a nonce increment for every pair, or a batch cancel of
+// the affected orders for one pair. The transaction is best effort; the
+// off-chain cancel stands even if it cannot be built.
+router.post(
+  '/cancel-all',
+  requireCaller((req) => req.body?.trader, 'the trader'),
+  async (req, res) => {
+    const { trader, baseToken, quoteToken } = req.body || {};
+    let cancelled;
+    try {
+      cancelled = orderService.cancelAllOrders(trader, { baseToken, quoteToken });
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    let onchain = null;
+    let onchainError = null;
+    const signed = cancelled.filter((order) => order.onchain?.maker).map((order) => order.onchain);
+    try {
+      if (!baseToken) {
+        onchain = await walletTransactionService.buildIncrementNonce({ from: trader });
+      } else if (signed.length > 0) {
+        onchain = await walletTransactionService.buildCancelBatch({ from: trader, orders: signed });
+      }
+    } catch (error) {
+      onchainError = error.message;
+    }
+
+    return res.json({
+      trader,
+      baseToken: baseToken || null,
+      quoteToken: quoteToken || null,
+      cancelled: cancelled.map((order) => orderService.toJSON(order)),
+      onchain,
+      onchainError,
+    });
+  },
+);
+
 router.post('/market-price', (req, res) => {
   const { baseToken, quoteToken, price } = req.body || {};
   if (!baseToken || !quoteToken || price === undefined || price === null) {
@@ -73,15 +171,35 @@ router.post('/market-price', (req, res) => {
   }
 });
 
-router.get('/:id', (req, res) => {
+router.get('/:id', readSession, (req, res) => {
   const order = orderService.getOrder(req.params.id);
   if (!order) {
     return res.status(404).json({ message: 'Order not found' });
   }
-  return res.json(orderService.toJSON(order));
+  return res.json(orderService.toViewerJSON(order, req.auth));
+});
+
+router.get('/:id/fills', readSession, (req, res) => {
+  const fills = orderService.getViewerFills(req.params.id, req.auth);
+  if (!fills) {
+    return res.status(404).json({ message: 'Order not found' });
+  }
+  return res.json({ orderId: req.params.id, fills });
 });
 
-router.post('/:id/cancel', (req, res) => {
+function requireOrder(req, res, next) {
+  if (!orderService.getOrder(req.params.id)) {
+    return res.status(404).json({ message: 'Order not found' });
+  }
+  return next();
+}
+
+const requireTrader = [
+  requireOrder,
+  requireCaller((req) => orderService.getOrder(req.params.id)?.trader, "the order's trader"),
+];
+
+router.post('/:id/cancel', requireTrader, (req, res) => {
   const order = orderService.cancelOrder(req.params.id, req.body?.reason);
   if (!order) {
     return res.status(404).json({ message: 'Order not found' });
@@ -89,4 +207,34 @@ router.post('/:id/cancel', (req, res) => {
   return res.json(orderService.toJSON(order));
 });
 
+router.post('/:id/replace', requireTrader, async (req, res) => {
+  let result;
+  try {
+    result = await orderService.replaceOrder(req.params.id, req.body || {});
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  let onchain = null;
+  let onchainError = null;
+  if (result.onchainCancelRequired) {
+    try {
+      onchain = await walletTransactionService.buildCancel({
+        from: result.replaced.trader,
+        order: result.replaced.onchain,
+      });
+    } catch (error) {
+      onchainError = error.message;
+    }
+  }
+
+  return res.status(201).json({
+    order: orderService.toJSON(result.order),
+    replaced: orderService.toJSON(result.replaced),
+    priorityKept: result.priorityKept,
+    onchain,
+    onchainError,
+  });
+});
+
 module.exports = router;
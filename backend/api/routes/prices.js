@@ -2,6 +2,7 @@ const express = require('express');
 const priceOracleService = require('../../services/price-oracle.service');
 const tokenService = require('../../services/token.service');
 const orderService = require('../../services/order.service');
+const candleService = require('../../services/candle.service');
 
 const router = express.Router();
 
@@ -92,4 +93,24 @@ router.get('/matrix', async (req, res) => {
   }
 });
 
+router.get('/candles', (req, res) => {
+  const baseToken = req.query.base || req.query.baseToken;
+  const quoteToken = req.query.quote || req.query.quoteToken;
+  const { interval = '1m', from, to, limit } = req.query;
+  if (!baseToken || !quoteToken) {
+    return res.status(400).json({ message: 'base and quote are required' });
+  }
+  const numericLimit = limit ? Number(limit) : null;
+  if (numericLimit !== null && (!Number.isInteger(numericLimit) || numericLimit <= 0)) {
+    return res.status(400).json({ message: 'limit must be a positive integer' });
+  }
+
+  try {
+    const candles = candleService.getCandles(baseToken, quoteToken, { interval, from, to, limit: numericLimit });
+    return res.json({ baseToken, quoteToken, interval, candles });
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+});
+
 module.exports = router;
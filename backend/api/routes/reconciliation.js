@@ -0,0 +1,24 @@
+const express = require('express');
+const adminService = require('../../services/admin.service');
+const reconciliationService = require('../../services/reconciliation.service');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/discrepancies', (req, res) => {
+  const { status } = req.query;
+  res.json(reconciliationService.getReport({ status }));
+});
+
+// A full audit reads every open order from the chain and can roll fills back,
+// so it is limited to DEX admins.
+router.post('/audit', requireRole(() => adminService.ROLES.ADMIN), async (req, res) => {
+  try {
+    await reconciliationService.audit();
+    return res.json(reconciliationService.getReport());
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const orderService = require('../../services/order.service');
+const settlementQueue = require('../../services/settlement-queue.service');
+const { requireCaller } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  const { state, orderId } = req.query;
+  res.json(settlementQueue.list({ state, orderId }));
+});
+
+router.get('/:id', (req, res) => {
+  const settlement = settlementQueue.get(req.params.id);
+  if (!settlement) {
+    return res.status(404).json({ message: 'Settlement not found' });
+  }
+  return res.json(settlement);
+});
+
+function requireSettlement(req, res, next) {
+  if (!settlementQueue.get(req.params.id)) {
+    return res.status(404).json({ message: 'Settlement not found' });
+  }
+  return next();
+}
+
+// Any trader whose order the settlement executes may retry it.
+const requireParticipant = requireCaller(
+  (req) => settlementQueue.get(req.params.id).orderIds.map((orderId) => orderService.getOrder(orderId)?.trader),
+  'a trader in this settlement',
+);
+
+router.post('/:id/retry', requireSettlement, requireParticipant, (req, res) => {
+  try {
+    const settlement = settlementQueue.retry(req.params.id);
+    if (!settlement) {
+      return res.status(404).json({ message: 'Settlement not found' });
+    }
+    return res.json(settlement);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const tokenService = require('../../services/token.service');
+const { requireCaller, requireSession } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -20,7 +21,7 @@ router.get('/:address', async (req, res) => {
   }
 });
 
-router.post('/', (req, res) => {
+router.post('/', requireCaller((req) => req.body?.issuer, 'the token issuer'), (req, res) => {
   try {
     const token = tokenService.registerToken(req.body);
     return res.status(201).json(token);
@@ -29,7 +30,7 @@ router.post('/', (req, res) => {
   }
 });
 
-router.post('/issue', async (req, res) => {
+router.post('/issue', requireSession, async (req, res) => {
   try {
     const token = await tokenService.issueToken(req.body);
     return res.status(201).json(token);
@@ -3,6 +3,11 @@ const { ethers } = require('ethers');
 const userService = require('../../services/user.service');
 const tokenService = require('../../services/token.service');
 const blockchainService = require('../../services/blockchain.service');
+const riskService = require('../../services/risk.service');
+const portfolioService = require('../../services/portfolio.service');
+const exportService = require('../../services/export.service');
+const { requireCaller } = require('../middleware/auth');
+const { parseExportFilters, writeExport } = require('../../utils/export');
 
 function normalizeAddress(address) {
   if (!address) {
@@ -31,7 +36,7 @@ router.get('/', (req, res) => {
   res.json(users);
 });
 
-router.post('/', (req, res) => {
+router.post('/', requireCaller((req) => req.body?.address, 'the user being registered'), (req, res) => {
   try {
     const user = userService.registerUser(req.body);
     return res.status(201).json(user);
@@ -101,4 +106,55 @@ router.get('/:address/balances', async (req, res) => {
   }
 });
 
+router.get('/:address/reservations', async (req, res) => {
+  const { address } = req.params;
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({ message: 'A valid address is required' });
+  }
+  try {
+    const result = await riskService.getReservations(normalizeAddress(address));
+    return res.json(result);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+});
+
+router.get('/:address/trades', (req, res) => {
+  const { address } = req.params;
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({ message: 'A valid address is required' });
+  }
+  const { baseToken, quoteToken, limit } = req.query;
+  const trades = portfolioService.getTrades(address, { baseToken, quoteToken, limit });
+  return res.json({ address: normalizeAddress(address), trades });
+});
+
+router.get('/:address/trades/export', async (req, res) => {
+  const { address } = req.params;
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({ message: 'A valid address is required' });
+  }
+  let filters;
+  try {
+    filters = parseExportFilters(req.query);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+  const { columns, rows } = exportService.exportTrades(address, filters);
+  return writeExport(res, { format: filters.format, filename: `trades-${address.toLowerCase()}`, columns, rows });
+});
+
+router.get('/:address/portfolio', async (req, res) => {
+  const { address } = req.params;
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({ message: 'A valid address is required' });
+  }
+  try {
+    const portfolio = await portfolioService.getPortfolio(normalizeAddress(address));
+    return res.json(portfolio);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+});
+
 module.exports = router;
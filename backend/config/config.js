@@ -72,6 +72,15 @@ function parseList(value, defaultValue = []) {
   );
 }
 
+// FEE_TIERS format: "minVolume:makerBps:takerBps" entries separated by commas,
+// e.g. "10000:8:20,100000:5:15".
+function parseFeeTiers(value) {
+  return parseList(value)
+    .map((entry) => entry.split(':').map((part) => Number(part.trim())))
+    .filter((parts) => parts.length === 3 && parts.every((part) => Number.isFinite(part) && part >= 0))
+    .map(([minVolume, makerBps, takerBps]) => ({ minVolume, makerBps, takerBps }));
+}
+
 function resolveNetworkAliases(network) {
   const normalized = String(network || '').trim().toLowerCase();
   if (!normalized) {
@@ -207,6 +216,15 @@ const config = {
   database: {
     url: process.env.DATABASE_URL || process.env.MONGODB_URI || '',
   },
+  persistence: {
+    enabled: parseBoolean(process.env.PERSISTENCE_ENABLED, true),
+    driver: String(process.env.PERSISTENCE_DRIVER || 'sqlite').toLowerCase(),
+    sqlitePath: path.resolve(
+      projectRoot,
+      process.env.SQLITE_PATH || path.join('backend', 'data', 'orderbook.sqlite'),
+    ),
+    journalFile: process.env.JOURNAL_FILE || 'journal.json',
+  },
   blockchain: {
     network,
     rpcUrl: defaultRpcUrl || '',
@@ -229,6 +247,56 @@ const config = {
     batchSize: parseInteger(process.env.EVENT_BATCH_SIZE, 200),
     backfillOnStart: parseBoolean(process.env.EVENT_BACKFILL_ON_START, true),
   },
+  settlement: {
+    concurrency: parseInteger(process.env.SETTLEMENT_CONCURRENCY, 1),
+    maxAttempts: parseInteger(process.env.SETTLEMENT_MAX_ATTEMPTS, 5),
+    retryBaseDelay: parseInteger(process.env.SETTLEMENT_RETRY_BASE_DELAY, 1000),
+    retryMaxDelay: parseInteger(process.env.SETTLEMENT_RETRY_MAX_DELAY, 60000),
+    confirmationTimeout: parseInteger(process.env.SETTLEMENT_CONFIRMATION_TIMEOUT, 120000),
+    maxReplacements: parseInteger(process.env.SETTLEMENT_MAX_REPLACEMENTS, 3),
+    feeBumpPercent: parseInteger(process.env.SETTLEMENT_FEE_BUMP_PERCENT, 20),
+    storeFile: process.env.SETTLEMENT_STORE_FILE || 'settlements.json',
+  },
+  fees: {
+    makerBps: parseInteger(process.env.FEE_MAKER_BPS, 0),
+    takerBps: parseInteger(process.env.FEE_TAKER_BPS, 0),
+    collector: process.env.FEE_COLLECTOR || '',
+    volumeWindowDays: parseInteger(process.env.FEE_VOLUME_WINDOW_DAYS, 30),
+    tiers: parseFeeTiers(process.env.FEE_TIERS),
+  },
+  matching: {
+    selfTradePrevention: String(process.env.SELF_TRADE_PREVENTION || 'cancel_newest').toLowerCase(),
+    maxRingLength: parseInteger(process.env.RING_MAX_LENGTH, 4),
+    autoExecuteRings: parseBoolean(process.env.RING_AUTO_EXECUTE, false),
+  },
+  risk: {
+    enabled: parseBoolean(process.env.RISK_CHECK_ENABLED, true),
+    mode: String(process.env.RISK_CHECK_MODE || 'reject').toLowerCase(),
+  },
+  candles: {
+    storeFile: process.env.CANDLE_STORE_FILE || 'candles.json',
+    maxCandles: parseInteger(process.env.CANDLE_MAX_PER_SERIES, 1440),
+  },
+  expiry: {
+    enabled: parseBoolean(process.env.EXPIRY_SWEEP_ENABLED, true),
+    sweepInterval: parseInteger(process.env.EXPIRY_SWEEP_INTERVAL, 1000),
+  },
+  auth: {
+    enabled: parseBoolean(process.env.AUTH_ENABLED, true),
+    domain: process.env.AUTH_DOMAIN || '',
+    statement: process.env.AUTH_STATEMENT || 'Sign in to the order book DEX.',
+    nonceTtl: parseInteger(process.env.AUTH_NONCE_TTL, 5 * 60 * 1000),
+    sessionTtl: parseInteger(process.env.AUTH_SESSION_TTL, 15 * 60 * 1000),
+  },
+  reconciliation: {
+    enabled: parseBoolean(process.env.RECONCILIATION_ENABLED, true),
+    auditInterval: parseInteger(process.env.RECONCILIATION_AUDIT_INTERVAL, 60000),
+  },
+  websocket: {
+    enabled: parseBoolean(process.env.WS_ENABLED, true),
+    path: process.env.WS_PATH || '/ws',
+    heartbeatInterval: parseInteger(process.env.WS_HEARTBEAT_INTERVAL, 30000),
+  },
   logging: {
     level: process.env.LOG_LEVEL || 'info',
   },
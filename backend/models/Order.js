@@ -1,12 +1,24 @@
+const {
+  resolveDecimals,
+  toUnits,
+  parseUnitsString,
+  formatUnitsNumber,
+  mulDivDown,
+  createRatio,
+  ratioFromPrice,
+} = require('../utils/amounts');
+
 const ORDER_TYPE_MAP = {
   LIMIT: 'LIMIT',
   MARKET: 'MARKET',
   STOP_LOSS: 'STOP_LOSS',
   STOP_LIMIT: 'STOP_LIMIT',
+  TRAILING_STOP: 'TRAILING_STOP',
   '0': 'LIMIT',
   '1': 'MARKET',
   '2': 'STOP_LOSS',
   '3': 'STOP_LIMIT',
+  '4': 'TRAILING_STOP',
 };
 
 const TIME_IN_FORCE_MAP = {
@@ -14,6 +26,7 @@ const TIME_IN_FORCE_MAP = {
   IOC: 'IOC',
   FOK: 'FOK',
   POST_ONLY: 'POST_ONLY',
+  GTD: 'GTD',
   '0': 'GTC',
   '1': 'IOC',
   '2': 'FOK',
@@ -76,6 +89,17 @@ function normalizeNumericString(value) {
   return String(value);
 }
 
+function toPositiveNumberOrNull(value, label) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const numeric = Number(value);
+  if (Number.isNaN(numeric) || numeric < 0) {
+    throw new Error(`${label} must be a non-negative number`);
+  }
+  return numeric > 0 ? numeric : null;
+}
+
 function toIsoOrNull(value) {
   if (value === null || value === undefined) {
     return null;
@@ -144,8 +168,28 @@ class Order {
       throw new Error('Order amount must be a positive number');
     }
 
-    this.filled = Number(filled) || 0;
-    if (Number.isNaN(this.filled) || this.filled < 0) {
+    const inputMetadata = metadata && typeof metadata === 'object' && !Array.isArray(metadata) ? metadata : {};
+    this.baseDecimals = resolveDecimals(input.baseDecimals ?? inputMetadata.baseDecimals);
+    this.quoteDecimals = resolveDecimals(input.quoteDecimals ?? inputMetadata.quoteDecimals);
+
+    const onchainInput = input.onchain && typeof input.onchain === 'object' ? input.onchain : {};
+    const signedBaseUnits = normalizedSide === 'SELL'
+      ? parseUnitsString(onchainInput.amountGive)
+      : parseUnitsString(onchainInput.amountGet);
+    this.amountUnits = parseUnitsString(input.amountUnits)
+      ?? parseUnitsString(inputMetadata.amounts?.base?.units)
+      ?? signedBaseUnits
+      ?? toUnits(this.amount, this.baseDecimals);
+    if (this.amountUnits <= 0n) {
+      throw new Error('Order amount must be a positive number');
+    }
+
+    const numericFilled = Number(filled) || 0;
+    if (Number.isNaN(numericFilled) || numericFilled < 0) {
+      throw new Error('Order filled amount must be zero or positive');
+    }
+    this.filledUnits = parseUnitsString(input.filledUnits) ?? toUnits(numericFilled, this.baseDecimals);
+    if (this.filledUnits < 0n) {
       throw new Error('Order filled amount must be zero or positive');
     }
     const normalizedStatus = String(status || 'PENDING').toUpperCase();
@@ -182,6 +226,13 @@ class Order {
     if (this.stopPrice !== null && Number.isNaN(this.stopPrice)) {
       throw new Error('Order stop price must be a valid number');
     }
+    // Trailing stops keep their distance from the best price either as an
+    // absolute price offset or as a percentage of that price.
+    this.trailingOffset = toPositiveNumberOrNull(input.trailingOffset, 'Trailing offset');
+    this.trailingPercent = toPositiveNumberOrNull(input.trailingPercent, 'Trailing percent');
+    // Orders placed together as an OCO pair or a bracket share a group id; the
+    // group's type and this order's role in it live in `metadata.group`.
+    this.groupId = input.groupId || null;
     if (allowPartialFill === undefined || allowPartialFill === null) {
       this.allowPartialFill = true;
     } else if (typeof allowPartialFill === 'string') {
@@ -219,12 +270,114 @@ class Order {
     this.updatedAt = updatedAt instanceof Date ? updatedAt : new Date(updatedAt);
     this.triggeredAt = triggeredAt instanceof Date ? triggeredAt : triggeredAt ? new Date(triggeredAt) : null;
 
+    const giveFilledInput = parseUnitsString(input.giveFilledUnits);
+    this.giveFilledUnits = giveFilledInput !== null ? giveFilledInput : this._estimateGiveUnits(this.filledUnits);
+
+    // Time priority on the book. The matching engine stamps `sequence` from
+    // a counter when the order joins the book and again when it loses its
+    // place; `priorityAt` is when that happened.
+    this.priorityAt = input.priorityAt ? new Date(input.priorityAt) : this.createdAt;
+    const sequence = Number(input.sequence);
+    this.sequence = Number.isInteger(sequence) && sequence > 0 ? sequence : null;
+
+    // Size taken off the order without a fill, e.g. by self-trade
+    // prevention. The signed order is unchanged; the engine just never
+    // matches these units.
+    this.reducedUnits = parseUnitsString(input.reducedUnits) ?? 0n;
+    this.selfTradePrevention = input.selfTradePrevention
+      ? String(input.selfTradePrevention).toLowerCase()
+      : null;
+
+    // Iceberg orders show `displayUnits` of their size at a time; `sliceUnits`
+    // is what is left of the current visible slice. The hidden size is an
+    // off-chain display rule only: fills still settle against the one signed
+    // order.
+    const displayAmount = toPositiveNumberOrNull(input.displayAmount, 'Display amount');
+    const displayUnits = parseUnitsString(input.displayUnits)
+      ?? (displayAmount !== null ? toUnits(displayAmount, this.baseDecimals) : null);
+    this.displayUnits = displayUnits !== null && displayUnits > 0n && displayUnits < this.amountUnits ? displayUnits : null;
+    const sliceInput = parseUnitsString(input.sliceUnits);
+    this.sliceUnits = this.displayUnits !== null
+      ? sliceInput ?? (this.displayUnits < this.remainingUnits ? this.displayUnits : this.remainingUnits)
+      : null;
+
     this.executions = [];
   }
 
+  get filled() {
+    return formatUnitsNumber(this.filledUnits, this.baseDecimals);
+  }
+
+  set filled(value) {
+    this.filledUnits = toUnits(Number(value) || 0, this.baseDecimals);
+  }
+
+  get remainingUnits() {
+    const terms = this.terms;
+    if (terms && this.giveFilledUnits >= terms.amountGive) {
+      return 0n;
+    }
+    const remainingAmount = this.amountUnits - this.filledUnits - (this.reducedUnits ?? 0n);
+    return remainingAmount > 0n ? remainingAmount : 0n;
+  }
+
   get remaining() {
-    const remainingAmount = this.amount - this.filled;
-    return remainingAmount > 0 ? remainingAmount : 0;
+    return formatUnitsNumber(this.remainingUnits, this.baseDecimals);
+  }
+
+  isIceberg() {
+    return this.displayUnits !== null && this.displayUnits !== undefined;
+  }
+
+  // Size shown on the public book: an iceberg's current slice, otherwise the
+  // whole remaining amount.
+  get visibleUnits() {
+    const remaining = this.remainingUnits;
+    if (!this.isIceberg()) {
+      return remaining;
+    }
+    return this.sliceUnits < remaining ? this.sliceUnits : remaining;
+  }
+
+  get minFillUnits() {
+    if (this.minFillAmount === null || this.minFillAmount === undefined) {
+      return null;
+    }
+    try {
+      return toUnits(this.minFillAmount, this.baseDecimals);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Signed amountGet/amountGive from the EIP-712 struct, when available.
+  get terms() {
+    const amountGet = parseUnitsString(this.onchain?.amountGet);
+    const amountGive = parseUnitsString(this.onchain?.amountGive);
+    if (amountGet === null || amountGive === null || amountGet <= 0n || amountGive <= 0n) {
+      return null;
+    }
+    return { amountGet, amountGive };
+  }
+
+  get giveRemainingUnits() {
+    const terms = this.terms;
+    if (!terms) {
+      return null;
+    }
+    const remainingGive = terms.amountGive - this.giveFilledUnits;
+    return remainingGive > 0n ? remainingGive : 0n;
+  }
+
+  // Exact price as quote base units per base token base unit.
+  get priceRatio() {
+    const terms = this.terms;
+    if (terms) {
+      return this.isSell()
+        ? createRatio(terms.amountGet, terms.amountGive)
+        : createRatio(terms.amountGive, terms.amountGet);
+    }
+    return ratioFromPrice(this.price, this.baseDecimals, this.quoteDecimals);
   }
 
   isBuy() {
@@ -236,7 +389,7 @@ class Order {
   }
 
   isStopOrder() {
-    return this.orderType === 'STOP_LOSS' || this.orderType === 'STOP_LIMIT';
+    return this.orderType === 'STOP_LOSS' || this.orderType === 'STOP_LIMIT' || this.orderType === 'TRAILING_STOP';
   }
 
   markTriggered(triggerTime = new Date()) {
@@ -245,22 +398,36 @@ class Order {
     this.updatedAt = this.triggeredAt;
   }
 
-  recordFill(amount, price, counterpartyId, timestamp = new Date()) {
-    const fillAmount = Number(amount);
-    if (Number.isNaN(fillAmount) || fillAmount <= 0) {
+  recordFill(amount, price, counterpartyId, timestamp = new Date(), details = {}) {
+    let fillUnits;
+    try {
+      fillUnits = typeof amount === 'bigint' ? amount : toUnits(Number(amount), this.baseDecimals);
+    } catch (error) {
+      return null;
+    }
+    if (fillUnits === null || fillUnits <= 0n) {
       return null;
     }
 
+    const giveUnits = typeof details.giveAmount === 'bigint'
+      ? details.giveAmount
+      : this._estimateGiveUnits(fillUnits);
+    const quoteUnits = typeof details.quoteAmount === 'bigint' ? details.quoteAmount : null;
+
     const executionPrice = price !== null && price !== undefined ? Number(price) : null;
     const execution = {
-      amount: fillAmount,
+      amount: formatUnitsNumber(fillUnits, this.baseDecimals),
+      amountUnits: fillUnits,
+      giveAmount: giveUnits,
+      quoteAmount: quoteUnits,
       price: executionPrice,
       counterparty: counterpartyId || null,
       timestamp,
     };
 
-    this.filled += fillAmount;
-    if (this.remaining <= 0) {
+    this.filledUnits += fillUnits;
+    this.giveFilledUnits += giveUnits;
+    if (this.remainingUnits <= 0n) {
       this.status = 'FILLED';
     } else {
       this.status = 'PARTIAL';
@@ -271,6 +438,29 @@ class Order {
     return execution;
   }
 
+  // `expiry` is the signed unix timestamp in seconds; 0 or null means none.
+  isExpired(now = Date.now()) {
+    const expiry = Number(this.expiry);
+    return Number.isFinite(expiry) && expiry > 0 && expiry * 1000 <= now;
+  }
+
+  expire(timestamp = new Date()) {
+    this.status = 'EXPIRED';
+    this.metadata = this.metadata || {};
+    this.metadata.expiredAt = timestamp.toISOString();
+    this.updatedAt = timestamp;
+  }
+
+  reduce(units, timestamp = new Date()) {
+    const reduction = units < this.remainingUnits ? units : this.remainingUnits;
+    if (reduction <= 0n) {
+      return 0n;
+    }
+    this.reducedUnits += reduction;
+    this.updatedAt = timestamp;
+    return reduction;
+  }
+
   cancel(reason = 'CANCELLED') {
     this.status = 'CANCELLED';
     this.metadata = this.metadata || {};
@@ -289,6 +479,12 @@ class Order {
       amount: this.amount,
       filled: this.filled,
       remaining: this.remaining,
+      amountUnits: this.amountUnits.toString(),
+      filledUnits: this.filledUnits.toString(),
+      remainingUnits: this.remainingUnits.toString(),
+      giveFilledUnits: this.giveFilledUnits.toString(),
+      baseDecimals: this.baseDecimals,
+      quoteDecimals: this.quoteDecimals,
       status: this.status,
       signature: this.signature,
       nonce: this.nonce,
@@ -296,6 +492,16 @@ class Order {
       orderType: this.orderType,
       timeInForce: this.timeInForce,
       stopPrice: this.stopPrice,
+      trailingOffset: this.trailingOffset,
+      trailingPercent: this.trailingPercent,
+      groupId: this.groupId,
+      displayAmount: this.isIceberg() ? formatUnitsNumber(this.displayUnits, this.baseDecimals) : null,
+      displayUnits: this.isIceberg() ? this.displayUnits.toString() : null,
+      sliceUnits: this.isIceberg() ? this.sliceUnits.toString() : null,
+      priorityAt: toIsoOrNull(this.priorityAt),
+      sequence: this.sequence,
+      reducedUnits: this.reducedUnits.toString(),
+      selfTradePrevention: this.selfTradePrevention,
       allowPartialFill: this.allowPartialFill,
       minFillAmount: this.minFillAmount,
       feeRecipient: this.feeRecipient,
@@ -306,14 +512,72 @@ class Order {
       updatedAt: toIsoOrNull(this.updatedAt),
       executions: this.executions.map((execution) => ({
         amount: execution.amount,
+        amountUnits: execution.amountUnits !== undefined ? String(execution.amountUnits) : null,
+        giveAmount: execution.giveAmount !== undefined && execution.giveAmount !== null
+          ? String(execution.giveAmount)
+          : null,
+        quoteAmount: execution.quoteAmount !== undefined && execution.quoteAmount !== null
+          ? String(execution.quoteAmount)
+          : null,
         price: execution.price,
         counterparty: execution.counterparty,
+        tradeId: execution.tradeId || null,
+        role: execution.role || null,
+        batchId: execution.batchId || null,
+        rolledBack: Boolean(execution.rolledBack),
         timestamp: toIsoOrNull(execution.timestamp),
       })),
       onchain: this._serializeOnchain(),
     };
   }
 
+  // Public order book entry. An iceberg order shows its visible slice only,
+  // without the signed struct, fills or metadata that would reveal its size.
+  toBookJSON() {
+    const json = this.toJSON();
+    if (!this.isIceberg()) {
+      return json;
+    }
+    const visibleUnits = this.visibleUnits;
+    const visible = formatUnitsNumber(visibleUnits, this.baseDecimals);
+    const {
+      displayAmount,
+      displayUnits,
+      sliceUnits,
+      signature,
+      onchain,
+      executions,
+      ...publicFields
+    } = json;
+    return {
+      ...publicFields,
+      amount: visible,
+      filled: 0,
+      remaining: visible,
+      amountUnits: visibleUnits.toString(),
+      filledUnits: '0',
+      remainingUnits: visibleUnits.toString(),
+      giveFilledUnits: '0',
+      status: 'PENDING',
+      metadata: {},
+    };
+  }
+
+  _estimateGiveUnits(baseUnits) {
+    if (!baseUnits || baseUnits <= 0n) {
+      return 0n;
+    }
+    if (this.isSell()) {
+      return baseUnits;
+    }
+    const terms = this.terms;
+    if (terms) {
+      return mulDivDown(baseUnits, terms.amountGive, terms.amountGet);
+    }
+    const ratio = ratioFromPrice(this.price, this.baseDecimals, this.quoteDecimals);
+    return ratio ? mulDivDown(baseUnits, ratio.numerator, ratio.denominator) : 0n;
+  }
+
   _serializeMetadata() {
     if (!this.metadata || typeof this.metadata !== 'object') {
       return {};
@@ -364,6 +628,8 @@ class Order {
       timeInForce: normalizeEnum(onchainInput.timeInForce, TIME_IN_FORCE_MAP, this.timeInForce),
       side: normalizeEnum(onchainInput.side, ORDER_SIDE_MAP, this.side),
       stopPrice: normalizeNumericString(onchainInput.stopPrice ?? this.stopPrice ?? null),
+      trailingOffset: normalizeNumericString(onchainInput.trailingOffset ?? null),
+      trailingBps: normalizeNumericString(onchainInput.trailingBps ?? null),
       minFillAmount: normalizeNumericString(
         onchainInput.minFillAmount ?? this.minFillAmount ?? null,
       ),
@@ -2,12 +2,27 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const config = require('./config/config');
 const logger = require('./utils/logger');
+const orderService = require('./services/order.service');
+const streamService = require('./services/stream.service');
+const reconciliationService = require('./services/reconciliation.service');
+const settlementQueue = require('./services/settlement-queue.service');
+const feeService = require('./services/fee.service');
+const expiryService = require('./services/expiry.service');
+const riskService = require('./services/risk.service');
+const candleService = require('./services/candle.service');
+const matchingService = require('./services/matching.service');
 
 const orderRoutes = require('./api/routes/orders');
 const tokenRoutes = require('./api/routes/tokens');
 const userRoutes = require('./api/routes/users');
 const dexRoutes = require('./api/routes/dex');
 const priceRoutes = require('./api/routes/prices');
+const reconciliationRoutes = require('./api/routes/reconciliation');
+const settlementRoutes = require('./api/routes/settlements');
+const feeRoutes = require('./api/routes/fees');
+const marketRoutes = require('./api/routes/markets');
+const adminRoutes = require('./api/routes/admin');
+const authRoutes = require('./api/routes/auth');
 
 const app = express();
 
@@ -137,11 +152,17 @@ if (isCorsEnabled) {
 
 app.use(bodyParser.json());
 
+app.use('/api/auth', authRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/tokens', tokenRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/dex', dexRoutes);
 app.use('/api/prices', priceRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/settlements', settlementRoutes);
+app.use('/api/fees', feeRoutes);
+app.use('/api/markets', marketRoutes);
+app.use('/api/admin', adminRoutes);
 
 app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
@@ -150,6 +171,24 @@ app.get('/health', (req, res) => {
 function startServer(port = config.port, options = {}) {
   const { announce = false } = options;
 
+  try {
+    orderService.restore();
+  } catch (error) {
+    logger.error('Failed to restore order book from journal', { error: error.message });
+  }
+
+  try {
+    settlementQueue.restore();
+  } catch (error) {
+    logger.error('Failed to restore settlement queue', { error: error.message });
+  }
+
+  try {
+    candleService.restore();
+  } catch (error) {
+    logger.error('Failed to restore candles', { error: error.message });
+  }
+
   const server = app.listen(port, () => {
     const addressInfo = server.address();
     const actualPort = typeof addressInfo === 'string' ? port : addressInfo.port;
@@ -178,6 +217,32 @@ function startServer(port = config.port, options = {}) {
     }
   });
 
+  if (config.websocket?.enabled !== false) {
+    streamService.attach(server);
+  }
+
+  feeService.syncFromChain().catch((error) => {
+    logger.warn('Using configured fee schedule; contract rates unavailable', { error: error.message });
+  });
+
+  riskService.attach(matchingService);
+  server.on('close', () => riskService.detach());
+
+  candleService.attach(matchingService);
+  candleService.subscribe();
+  server.on('close', () => {
+    candleService.detach();
+    candleService.flush();
+  });
+
+  expiryService.start();
+  server.on('close', () => expiryService.stop());
+
+  reconciliationService.start().catch((error) => {
+    logger.error('Failed to start settlement reconciliation', { error: error.message });
+  });
+  server.on('close', () => reconciliationService.stop());
+
   server.on('error', (error) => {
     logger.error('Backend API server failed to start', { error: error.message });
 
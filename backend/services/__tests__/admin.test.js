@@ -0,0 +1,85 @@
+const { describe, beforeEach, afterEach, it } = require('node:test');
+const assert = require('assert/strict');
+const { ethers } = require('ethers');
+
+const blockchainService = require('../blockchain.service');
+const adminService = require('../admin.service');
+const feeService = require('../fee.service');
+
+const { ROLES } = adminService;
+const ACCOUNT = '0x00000000000000000000000000000000000000a1';
+
+describe('DEX administration', () => {
+  let originalCall;
+  let originalSend;
+  let originalSettings;
+  let sent;
+  let held;
+
+  beforeEach(() => {
+    originalCall = blockchainService.callDex;
+    originalSend = blockchainService.sendDexTransaction;
+    originalSettings = { ...feeService.settings };
+    sent = [];
+    held = new Set([ROLES.PAUSER]);
+    blockchainService.callDex = async (method, params = []) => {
+      if (method === 'hasRole') {
+        return held.has(params[0]);
+      }
+      return { paused: true, allowlistEnabled: false, feeCollector: ACCOUNT, makerFeeBps: 10n, takerFeeBps: 30n }[method];
+    };
+    blockchainService.sendDexTransaction = async (method, params) => {
+      sent.push({ method, params });
+      return { hash: `0x${'ab'.repeat(32)}`, blockNumber: 7 };
+    };
+  });
+
+  afterEach(() => {
+    blockchainService.callDex = originalCall;
+    blockchainService.sendDexTransaction = originalSend;
+    feeService.settings = originalSettings;
+  });
+
+  it('reports contract status and the roles an account holds', async () => {
+    const status = await adminService.getStatus();
+    assert.strictEqual(status.paused, true);
+    assert.strictEqual(status.takerFeeBps, 30);
+    assert.strictEqual(status.roles.FEE_MANAGER, ethers.id('FEE_MANAGER_ROLE'));
+
+    const roles = await adminService.getRoles(ACCOUNT);
+    assert.deepStrictEqual(roles.roles, ['PAUSER']);
+  });
+
+  it('resolves role names before granting and rejects unknown roles', async () => {
+    const result = await adminService.grantRole('listing_manager_role', ACCOUNT);
+    assert.deepStrictEqual(sent[0], { method: 'grantRole', params: [ROLES.LISTING_MANAGER, ethers.getAddress(ACCOUNT)] });
+    assert.strictEqual(result.role, 'LISTING_MANAGER');
+    assert.strictEqual(result.blockNumber, 7);
+
+    await adminService.revokeRole('DEFAULT_ADMIN_ROLE', ACCOUNT);
+    assert.strictEqual(sent[1].params[0], ethers.ZeroHash);
+
+    await assert.rejects(() => adminService.grantRole('OWNER', ACCOUNT), /Unknown role/);
+    await assert.rejects(() => adminService.setTokenListed(ACCOUNT, 'yes'), /listed must be true or false/);
+    assert.strictEqual(sent.length, 2);
+  });
+
+  it('only authorizes callers that hold the required role themselves', async () => {
+    assert.strictEqual(await adminService.authorize(ACCOUNT, ROLES.PAUSER), ethers.getAddress(ACCOUNT));
+    await assert.rejects(
+      () => adminService.authorize(ACCOUNT, ROLES.FEE_MANAGER),
+      (error) => error.status === 403 && /does not hold FEE_MANAGER/.test(error.message),
+    );
+    assert.strictEqual(await adminService.getRoleAdmin('PAUSER'), ROLES.ADMIN);
+    await assert.rejects(async () => adminService.authorize(ACCOUNT, await adminService.getRoleAdmin('PAUSER')), /ADMIN/);
+    assert.strictEqual(sent.length, 0);
+  });
+
+  it('keeps the off-chain fee schedule in line with on-chain fee changes', async () => {
+    await adminService.setTradingFees(5, 25);
+    await adminService.setFeeCollector(ACCOUNT);
+    assert.deepStrictEqual(sent.map((entry) => entry.method), ['setTradingFees', 'setFeeCollector']);
+    assert.strictEqual(feeService.getSchedule().takerBps, 25);
+    assert.strictEqual(feeService.getSchedule().collector, ethers.getAddress(ACCOUNT));
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, beforeEach, afterEach, it } = require('node:test');
+const assert = require('assert/strict');
+const { ethers } = require('ethers');
+
+const authService = require('../auth.service');
+const { requireCaller } = require('../../api/middleware/auth');
+
+function runMiddleware(handlers, req) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+  let passed = false;
+  const chain = [...handlers];
+  const next = () => {
+    const handler = chain.shift();
+    if (!handler) {
+      passed = true;
+      return undefined;
+    }
+    return handler(req, res, next);
+  };
+  next();
+  return { passed, res };
+}
+
+describe('Wallet authentication', () => {
+  let originalSettings;
+  let wallet;
+
+  beforeEach(() => {
+    originalSettings = { ...authService.settings };
+    authService.reset();
+    authService.configure({ enabled: true, domain: 'dex.test', nonceTtl: 60000, sessionTtl: 60000 });
+    wallet = ethers.Wallet.createRandom();
+  });
+
+  afterEach(() => {
+    authService.reset();
+    authService.settings = originalSettings;
+  });
+
+  async function signIn(signer = wallet, now = Date.now()) {
+    const challenge = authService.createChallenge({ address: wallet.address, chainId: 31337 }, now);
+    const signature = await signer.signMessage(challenge.message);
+    return { challenge, signature };
+  }
+
+  it('issues an EIP-4361 message and a session for a matching signature', async () => {
+    const { challenge, signature } = await signIn();
+    assert.match(challenge.message, /^dex\.test wants you to sign in with your Ethereum account:\n0x/);
+    assert.match(challenge.message, new RegExp(`Nonce: ${challenge.nonce}`));
+    assert.match(challenge.message, /Chain ID: 31337/);
+
+    const session = authService.verify({ nonce: challenge.nonce, signature });
+    assert.strictEqual(session.address, wallet.address);
+    assert.strictEqual(authService.getSession(session.token).address, wallet.address);
+
+    assert.throws(() => authService.verify({ nonce: challenge.nonce, signature }), /already used nonce/);
+  });
+
+  it('rejects signatures from another wallet and expired nonces or sessions', async () => {
+    const intruder = await signIn(ethers.Wallet.createRandom());
+    assert.throws(
+      () => authService.verify({ nonce: intruder.challenge.nonce, signature: intruder.signature }),
+      /does not match/,
+    );
+
+    const stale = await signIn(wallet, Date.now() - 120000);
+    assert.throws(() => authService.verify({ nonce: stale.challenge.nonce, signature: stale.signature }), /expired/);
+
+    const { challenge, signature } = await signIn();
+    const session = authService.verify({ nonce: challenge.nonce, signature });
+    assert.strictEqual(authService.getSession(session.token, Date.now() + 120000), null);
+    assert.strictEqual(authService.getSession(session.token), null);
+  });
+
+  it('only lets the signed-in wallet act on its own account', async () => {
+    const { challenge, signature } = await signIn();
+    const { token } = authService.verify({ nonce: challenge.nonce, signature });
+    const guard = requireCaller((req) => req.body.address, 'the user being registered');
+
+    const anonymous = runMiddleware(guard, { headers: {}, body: { address: wallet.address } });
+    assert.strictEqual(anonymous.passed, false);
+    assert.strictEqual(anonymous.res.statusCode, 401);
+
+    const other = runMiddleware(guard, {
+      headers: { authorization: `Bearer ${token}` },
+      body: { address: ethers.Wallet.createRandom().address },
+    });
+    assert.strictEqual(other.res.statusCode, 403);
+
+    const own = runMiddleware(guard, {
+      headers: { authorization: `Bearer ${token}` },
+      body: { address: wallet.address.toLowerCase() },
+    });
+    assert.strictEqual(own.passed, true);
+
+    authService.configure({ enabled: false });
+    assert.strictEqual(runMiddleware(guard, { headers: {}, body: { address: wallet.address } }).passed, true);
+  });
+
+  it('rejects requests that name no account and accepts any listed account', async () => {
+    const { challenge, signature } = await signIn();
+    const { token } = authService.verify({ nonce: challenge.nonce, signature });
+    const headers = { authorization: `Bearer ${token}` };
+
+    const missing = runMiddleware(requireCaller((req) => req.body.issuer, 'the token issuer'), { headers, body: {} });
+    assert.strictEqual(missing.passed, false);
+    assert.strictEqual(missing.res.statusCode, 400);
+    assert.match(missing.res.body.message, /the token issuer/);
+
+    const participants = requireCaller(() => [null, ethers.Wallet.createRandom().address, wallet.address], 'a trader');
+    assert.strictEqual(runMiddleware(participants, { headers, body: {} }).passed, true);
+    const strangers = requireCaller(() => [ethers.Wallet.createRandom().address], 'a trader');
+    assert.strictEqual(runMiddleware(strangers, { headers, body: {} }).res.statusCode, 403);
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, beforeEach, afterEach, it } = require('node:test');
+const assert = require('assert/strict');
+
+const matchingService = require('../matching.service');
+const orderService = require('../order.service');
+const settlementQueue = require('../settlement-queue.service');
+const Order = require('../../models/Order');
+
+const ONE = 10n ** 18n;
+
+function buildOrder({ id, trader, side, baseToken, quoteToken, amount, price }) {
+  return new Order({ id, trader, side, baseToken, quoteToken, amount, price, orderType: 'LIMIT' });
+}
+
+// AAA -> BBB -> CCC -> AAA. The last leg pays 1.8 CCC per AAA where 1.5 would
+// close the loop at par, so the ring crosses at a rate of 1.5 / 1.8.
+function restRing({ lastPrice = 1.8 } = {}) {
+  const orders = [
+    buildOrder({ id: 'ab', trader: '0x01', side: 'SELL', baseToken: 'AAA', quoteToken: 'BBB', amount: 2, price: 3 }),
+    buildOrder({ id: 'bc', trader: '0x02', side: 'SELL', baseToken: 'BBB', quoteToken: 'CCC', amount: 6, price: 0.5 }),
+    buildOrder({ id: 'ca', trader: '0x03', side: 'BUY', baseToken: 'AAA', quoteToken: 'CCC', amount: 2, price: lastPrice }),
+  ];
+  orders.forEach((order) => {
+    orderService.orders.set(order.id, order);
+    matchingService.addOrder(order);
+  });
+  return orders;
+}
+
+describe('Batch ring discovery', () => {
+  let originalEnqueueBatch;
+
+  beforeEach(() => {
+    originalEnqueueBatch = settlementQueue.enqueueBatch;
+    settlementQueue.enqueueBatch = () => null;
+    matchingService.orderBooks.clear();
+    matchingService.marketPrices.clear();
+    matchingService.marketPriceMeta.clear();
+    orderService.orders.clear();
+  });
+
+  afterEach(() => {
+    settlementQueue.enqueueBatch = originalEnqueueBatch;
+  });
+
+  it('proposes a crossing ring across books sized by its tightest leg', () => {
+    restRing();
+    const [opportunity, ...rest] = orderService.findBatchOpportunities();
+
+    assert.strictEqual(rest.length, 0);
+    assert.deepStrictEqual(opportunity.orderIds, ['ab', 'bc', 'ca']);
+    assert.deepStrictEqual(opportunity.tokens, ['AAA', 'BBB', 'CCC']);
+    assert.ok(Math.abs(opportunity.rate - 1.5 / 1.8) < 1e-12);
+    assert.deepStrictEqual(opportunity.offerAmounts, [2n * ONE, 6n * ONE, 3n * ONE].map(String));
+    const lastRequest = (3n * ONE * 5n) / 9n;
+    assert.strictEqual(opportunity.requestAmounts[2], lastRequest.toString());
+    assert.strictEqual(opportunity.surplus, (2n * ONE - lastRequest).toString());
+    assert.strictEqual(orderService.getOrder('ab').status, 'PENDING');
+  });
+
+  it('ignores loops that do not cross and loops that would trade with oneself', () => {
+    restRing({ lastPrice: 1.2 });
+    assert.deepStrictEqual(matchingService.findBatchOpportunities(), []);
+
+    matchingService.orderBooks.clear();
+    const [first, second, third] = restRing();
+    first.trader = '0x02';
+    assert.deepStrictEqual(matchingService.findBatchOpportunities(), []);
+    assert.deepStrictEqual(matchingService.findBatchOpportunities({ maxLength: 2 }), []);
+    assert.throws(
+      () => matchingService.executeBatchTrades([first, second, third], { allowSurplus: true }),
+      /same trader/,
+    );
+    assert.strictEqual(first.filledUnits, 0n);
+  });
+
+  it('executes crossing rings and leaves the surplus with the last leg', async () => {
+    const [first, second, third] = restRing();
+    assert.throws(() => matchingService.executeBatchTrades([first, second, third]), /do not balance/);
+
+    const [result, ...rest] = await orderService.executeBatchOpportunities();
+
+    assert.strictEqual(rest.length, 0);
+    assert.deepStrictEqual([first.status, second.status, third.status], ['FILLED', 'FILLED', 'PARTIAL']);
+    assert.strictEqual(third.giveFilledUnits, 3n * ONE);
+    assert.strictEqual(result.trades.length, 3);
+    assert.deepStrictEqual(matchingService.findBatchOpportunities(), []);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, beforeEach, it } = require('node:test');
+const assert = require('assert/strict');
+
+const matchingService = require('../matching.service');
+const Order = require('../../models/Order');
+
+const BASE_TOKEN = 'AAA';
+const QUOTE_TOKEN = 'BBB';
+const THIRD_TOKEN = 'CCC';
+const ONE = 10n ** 18n;
+
+function buildOrder(overrides) {
+  return new Order({
+    // Buys and sells come from different traders, clear of self-trade prevention.
+    trader: overrides.side === 'BUY' ? '0x0000000000000000000000000000000000000002' : '0x0000000000000000000000000000000000000001',
+    baseToken: BASE_TOKEN,
+    quoteToken: QUOTE_TOKEN,
+    orderType: 'LIMIT',
+    ...overrides,
+  });
+}
+
+describe('Base-unit matching arithmetic', () => {
+  beforeEach(() => {
+    matchingService.orderBooks.clear();
+    matchingService.marketPrices.clear();
+    matchingService.marketPriceMeta.clear();
+  });
+
+  it('fills fractional amounts exactly without floating point drift', () => {
+    const maker = buildOrder({ id: 'sell-0.3', side: 'SELL', amount: 0.3, price: 0.1 });
+    matchingService.addOrder(maker);
+
+    for (let i = 0; i < 3; i += 1) {
+      matchingService.addOrder(buildOrder({ id: `buy-0.1-${i}`, side: 'BUY', amount: 0.1, price: 0.1 }));
+    }
+
+    assert.strictEqual(maker.status, 'FILLED');
+    assert.strictEqual(maker.filledUnits, 3n * 10n ** 17n);
+    assert.strictEqual(maker.remainingUnits, 0n);
+    assert.strictEqual(maker.remaining, 0);
+
+    const trades = matchingService.getRecentTrades(BASE_TOKEN, QUOTE_TOKEN);
+    assert.strictEqual(trades.length, 3);
+    for (const trade of trades) {
+      assert.strictEqual(trade.baseAmount, (10n ** 17n).toString());
+      assert.strictEqual(trade.quoteAmount, (10n ** 16n).toString());
+    }
+  });
+
+  it('derives the counter amount with the contract rounding for signed sell terms', () => {
+    const amountGive = 3n * ONE;
+    const amountGet = ONE + 1n;
+    const maker = buildOrder({
+      id: 'signed-sell',
+      side: 'SELL',
+      amount: 3,
+      price: 0.34,
+      onchain: { amountGive: amountGive.toString(), amountGet: amountGet.toString() },
+    });
+    matchingService.addOrder(maker);
+
+    const taker = buildOrder({ id: 'buy-one', side: 'BUY', amount: 1, price: 1 });
+    matchingService.addOrder(taker);
+
+    const [trade] = matchingService.getRecentTrades(BASE_TOKEN, QUOTE_TOKEN);
+    assert.strictEqual(trade.fillAmount, ONE.toString());
+    assert.strictEqual(trade.quoteAmount, ((ONE * amountGet) / amountGive).toString());
+    assert.strictEqual(taker.status, 'FILLED');
+    assert.strictEqual(maker.giveFilledUnits, ONE);
+  });
+
+  it('closes a signed buy maker by giving exactly its remaining amountGive', () => {
+    const maker = buildOrder({
+      id: 'signed-buy',
+      side: 'BUY',
+      amount: 3,
+      price: 0.33,
+      onchain: { amountGet: (3n * ONE).toString(), amountGive: ONE.toString() },
+    });
+    matchingService.addOrder(maker);
+
+    matchingService.addOrder(buildOrder({ id: 'sell-three', side: 'SELL', amount: 3, price: 0.3 }));
+
+    const [trade] = matchingService.getRecentTrades(BASE_TOKEN, QUOTE_TOKEN);
+    assert.strictEqual(trade.fillAmount, ONE.toString());
+    assert.strictEqual(trade.baseAmount, (3n * ONE).toString());
+    assert.strictEqual(maker.status, 'FILLED');
+    assert.strictEqual(maker.giveFilledUnits, ONE);
+  });
+
+  it('settles a balanced batch loop in exact base units', () => {
+    const first = buildOrder({ id: 'ring-1', side: 'SELL', amount: 2, price: 3 });
+    const second = buildOrder({
+      id: 'ring-2',
+      // A ring leg may not trade against the same trader's order.
+      trader: '0x0000000000000000000000000000000000000003',
+      side: 'SELL',
+      amount: 6,
+      price: 0.5,
+      baseToken: QUOTE_TOKEN,
+      quoteToken: THIRD_TOKEN,
+    });
+    const third = buildOrder({
+      id: 'ring-3',
+      side: 'BUY',
+      amount: 2,
+      price: 1.5,
+      baseToken: BASE_TOKEN,
+      quoteToken: THIRD_TOKEN,
+    });
+
+    const result = matchingService.executeBatchTrades([first, second, third]);
+
+    assert.deepStrictEqual(result.offerAmounts, [2n * ONE, 6n * ONE, 3n * ONE].map(String));
+    assert.deepStrictEqual(result.requestAmounts, [6n * ONE, 3n * ONE, 2n * ONE].map(String));
+    for (const order of [first, second, third]) {
+      assert.strictEqual(order.status, 'FILLED');
+      assert.strictEqual(order.remainingUnits, 0n);
+    }
+  });
+});
@@ -0,0 +1,131 @@
+const { describe, beforeEach, afterEach, it } = require('node:test');
+const assert = require('assert/strict');
+
+const matchingService = require('../matching.service');
+const candleService = require('../candle.service');
+const settlementQueue = require('../settlement-queue.service');
+const tokenService = require('../token.service');
+const Order = require('../../models/Order');
+
+const BASE = '0x00000000000000000000000000000000000000b1';
+const QUOTE = '0x00000000000000000000000000000000000000c1';
+const PAIR_KEY = `${BASE}-${QUOTE}`;
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+function memoryStore(initial = {}) {
+  let data = initial;
+  return {
+    getAll: () => data,
+    setAll: (next) => {
+      data = JSON.parse(JSON.stringify(next));
+    },
+  };
+}
+
+function executedEvent(overrides = {}) {
+  return {
+    name: 'OrderExecuted',
+    transactionHash: `0x${'11'.repeat(32)}`,
+    logIndex: 0,
+    removed: false,
+    args: {
+      orderHash: `0x${'aa'.repeat(32)}`,
+      tokenGive: BASE,
+      tokenGet: QUOTE,
+      fillAmount: (2n * 10n ** 18n).toString(),
+      amountGet: (5n * 10n ** 18n).toString(),
+      timestamp: String(Math.floor((START + 30 * MINUTE) / 1000)),
+    },
+    ...overrides,
+  };
+}
+
+describe('Candle aggregation', () => {
+  let store;
+
+  beforeEach(() => {
+    matchingService.orderBooks.clear();
+    candleService.reset();
+    store = memoryStore();
+    candleService.useStore(store);
+    tokenService.useStore(memoryStore([]));
+    candleService.attach(matchingService);
+  });
+
+  afterEach(() => {
+    candleService.detach();
+    candleService.reset();
+    settlementQueue.reset();
+  });
+
+  it('buckets trades into OHLCV candles for every interval', () => {
+    candleService.ingest(PAIR_KEY, { price: 10, amount: 1, quoteAmount: 10, timestamp: START + 10000 });
+    candleService.ingest(PAIR_KEY, { price: 12, amount: 2, quoteAmount: 24, timestamp: START + 50000 });
+    candleService.ingest(PAIR_KEY, { price: 9, amount: 1, quoteAmount: 9, timestamp: START + 30000 });
+    candleService.ingest(PAIR_KEY, { price: 11, amount: 1, quoteAmount: 11, timestamp: START + 6 * MINUTE });
+
+    const minutes = candleService.getCandles(BASE, QUOTE, { interval: '1m' });
+    assert.strictEqual(minutes.length, 2);
+    const { closeTime, ...first } = minutes[0];
+    assert.strictEqual(closeTime, new Date(START + MINUTE - 1).toISOString());
+    assert.deepStrictEqual(
+      first,
+      {
+        openTime: new Date(START).toISOString(),
+        open: 10,
+        high: 12,
+        low: 9,
+        close: 12,
+        volume: 4,
+        quoteVolume: 43,
+        trades: 3,
+      },
+    );
+
+    const [fiveMinutes, nextFive] = candleService.getCandles(BASE, QUOTE, { interval: '5m' });
+    assert.strictEqual(fiveMinutes.trades, 3);
+    assert.strictEqual(nextFive.open, 11);
+    const [hour] = candleService.getCandles(BASE, QUOTE, { interval: '1h' });
+    assert.deepStrictEqual([hour.open, hour.high, hour.low, hour.close, hour.trades], [10, 12, 9, 11, 4]);
+    assert.strictEqual(candleService.getCandles(BASE, QUOTE, { interval: '1d' }).length, 1);
+
+    assert.strictEqual(candleService.getCandles(BASE, QUOTE, { interval: '1m', from: START + MINUTE }).length, 1);
+    assert.strictEqual(candleService.getCandles(BASE, QUOTE, { interval: '1m', to: new Date(START).toISOString() }).length, 1);
+    assert.throws(() => candleService.getCandles(BASE, QUOTE, { interval: '2m' }), /interval must be one of/);
+  });
+
+  it('ingests matched trades and persists candles that survive a restart', () => {
+    const make = (id, side) => new Order({ id, trader: side === 'BUY' ? QUOTE : BASE, baseToken: BASE, quoteToken: QUOTE, side, price: 2, amount: 3 });
+    matchingService.addOrder(make('sell', 'SELL'));
+    matchingService.addOrder(make('buy', 'BUY'));
+
+    const [candle] = candleService.getCandles(BASE, QUOTE, { interval: '1m' });
+    assert.deepStrictEqual([candle.open, candle.volume, candle.quoteVolume], [2, 3, 6]);
+
+    candleService.flush();
+    candleService.reset();
+    candleService.useStore(memoryStore(store.getAll()));
+    candleService.restore();
+    assert.strictEqual(candleService.getCandles(BASE, QUOTE, { interval: '1d' })[0].volume, 3);
+  });
+
+  it('counts on-chain fills once and skips transactions the settlement queue sent', () => {
+    matchingService._getOrCreateOrderBook(PAIR_KEY);
+    assert.strictEqual(candleService.handleOrderExecuted(executedEvent()), true);
+    assert.strictEqual(candleService.handleOrderExecuted(executedEvent()), false);
+
+    const [candle] = candleService.getCandles(BASE, QUOTE, { interval: '1h' });
+    assert.deepStrictEqual([candle.close, candle.volume, candle.quoteVolume], [2.5, 2, 5]);
+    assert.strictEqual(candle.openTime, new Date(START).toISOString());
+
+    const ownHash = `0x${'22'.repeat(32)}`;
+    settlementQueue.entries.set('own', { id: 'own', txHashes: [ownHash] });
+    assert.strictEqual(candleService.handleOrderExecuted(executedEvent({ transactionHash: ownHash })), false);
+    assert.strictEqual(
+      candleService.handleOrderExecuted(executedEvent({ transactionHash: `0x${'33'.repeat(32)}`, removed: true })),
+      false,
+    );
+    assert.strictEqual(candleService.getCandles(BASE, QUOTE, { interval: '1h' })[0].trades, 1);
+  });
+});
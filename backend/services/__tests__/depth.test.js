@@ -0,0 +1,75 @@
+const { describe, beforeEach, it } = require('node:test');
+const assert = require('assert/strict');
+
+const matchingService = require('../matching.service');
+const orderService = require('../order.service');
+const Order = require('../../models/Order');
+
+const BASE_TOKEN = 'DPT';
+const QUOTE_TOKEN = 'USD';
+
+function addOrder(id, side, price, amount) {
+  const order = new Order({
+    id,
+    trader: `0x${String(id.length).padStart(40, '0')}`,
+    baseToken: BASE_TOKEN,
+    quoteToken: QUOTE_TOKEN,
+    side,
+    price,
+    amount,
+  });
+  matchingService.addOrder(order);
+  return order;
+}
+
+describe('Order book depth', () => {
+  beforeEach(() => {
+    matchingService.orderBooks.clear();
+    matchingService.marketPrices.clear();
+    matchingService.marketPriceMeta.clear();
+  });
+
+  it('aggregates price levels with cumulative size, best prices and spread', () => {
+    addOrder('b1', 'BUY', 99, 1);
+    addOrder('b2', 'BUY', 99, 2);
+    addOrder('b3', 'BUY', 98.5, 4);
+    addOrder('a1', 'SELL', 101, 1.5);
+    addOrder('a2', 'SELL', 102, 0.5);
+
+    const depth = orderService.getDepth(BASE_TOKEN, QUOTE_TOKEN);
+    assert.deepStrictEqual(
+      depth.bids.map(({ price, amount, orders, cumulative }) => ({ price, amount, orders, cumulative })),
+      [
+        { price: 99, amount: 3, orders: 2, cumulative: 3 },
+        { price: 98.5, amount: 4, orders: 1, cumulative: 7 },
+      ],
+    );
+    assert.deepStrictEqual(depth.asks.map((level) => [level.price, level.cumulative]), [[101, 1.5], [102, 2]]);
+    assert.strictEqual(depth.bestBid, 99);
+    assert.strictEqual(depth.bestAsk, 101);
+    assert.strictEqual(depth.mid, 100);
+    assert.strictEqual(depth.spread, 2);
+    assert.strictEqual(depth.spreadBps, 200);
+    assert.strictEqual(depth.limit, 50);
+    assert.ok(depth.bids.every((level) => !('trader' in level) && !('signature' in level)));
+  });
+
+  it('groups levels by tick without crossing and limits the depth', () => {
+    addOrder('b1', 'BUY', 99.4, 1);
+    addOrder('b2', 'BUY', 99.1, 1);
+    addOrder('b3', 'BUY', 97.2, 1);
+    addOrder('a1', 'SELL', 99.6, 2);
+    addOrder('a2', 'SELL', 100.2, 1);
+
+    const depth = orderService.getDepth(BASE_TOKEN, QUOTE_TOKEN, { tick: '1', limit: '1' });
+    assert.deepStrictEqual(depth.bids.map((level) => [level.price, level.amount, level.orders]), [[99, 2, 2]]);
+    assert.deepStrictEqual(depth.asks.map((level) => [level.price, level.amount, level.orders]), [[100, 2, 1]]);
+    assert.strictEqual(depth.bestBid, 99.4);
+    assert.strictEqual(depth.bestAsk, 99.6);
+
+    assert.throws(() => orderService.getDepth(BASE_TOKEN, QUOTE_TOKEN, { tick: '-1' }), /tick must be a positive/);
+    assert.throws(() => orderService.getDepth(BASE_TOKEN, QUOTE_TOKEN, { limit: '0' }), /limit must be an integer/);
+    assert.deepStrictEqual(orderService.getDepth('NONE', QUOTE_TOKEN).bids, []);
+    assert.strictEqual(orderService.getDepth('NONE', QUOTE_TOKEN).spread, null);
+  });
+});
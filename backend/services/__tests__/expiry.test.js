@@ -0,0 +1,96 @@
+const { describe, beforeEach, afterEach, it } = require('node:test');
+const assert = require('assert/strict');
+
+const matchingService = require('../matching.service');
+const expiryService = require('../expiry.service');
+const Order = require('../../models/Order');
+
+const BASE_TOKEN = 'EXP';
+const QUOTE_TOKEN = 'USD';
+const PAIR_KEY = `${BASE_TOKEN.toLowerCase()}-${QUOTE_TOKEN.toLowerCase()}`;
+const MAKER = '0x0000000000000000000000000000000000000001';
+const TAKER = '0x0000000000000000000000000000000000000002';
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function buildOrder(overrides) {
+  return new Order({
+    baseToken: BASE_TOKEN,
+    quoteToken: QUOTE_TOKEN,
+    orderType: 'LIMIT',
+    amount: 1,
+    price: 2,
+    ...overrides,
+  });
+}
+
+describe('Order expiry', () => {
+  let expiredEvents;
+  const onExpired = (event) => expiredEvents.push(event);
+
+  beforeEach(() => {
+    matchingService.orderBooks.clear();
+    matchingService.marketPrices.clear();
+    matchingService.marketPriceMeta.clear();
+    expiredEvents = [];
+    matchingService.on('expired', onExpired);
+  });
+
+  afterEach(() => {
+    matchingService.off('expired', onExpired);
+    expiryService.stop();
+  });
+
+  it('sweeps resting and queued orders off the book at their deadline', () => {
+    const deadline = nowSeconds() + 60;
+    const resting = buildOrder({ id: 'gtd-sell', trader: MAKER, side: 'SELL', timeInForce: 'GTD', expiry: deadline });
+    const stop = buildOrder({ id: 'stop-buy', trader: TAKER, side: 'BUY', orderType: 'STOP_LIMIT', stopPrice: 5, expiry: deadline });
+    const open = buildOrder({ id: 'gtc-sell', trader: MAKER, side: 'SELL', price: 3 });
+    [resting, stop, open].forEach((order) => matchingService.addOrder(order));
+    assert.strictEqual(resting.timeInForce, 'GTD');
+
+    assert.deepStrictEqual(expiryService.sweep(), []);
+
+    const expired = expiryService.sweep((deadline + 1) * 1000);
+    assert.deepStrictEqual(expired.map((order) => order.id).sort(), ['gtd-sell', 'stop-buy']);
+    assert.strictEqual(resting.status, 'EXPIRED');
+    assert.ok(resting.metadata.expiredAt);
+    assert.strictEqual(open.status, 'PENDING');
+
+    const book = matchingService.orderBooks.get(PAIR_KEY);
+    assert.deepStrictEqual(book.sell.map((order) => order.id), ['gtc-sell']);
+    assert.strictEqual(book.stopLimit.length, 0);
+    assert.deepStrictEqual(expiredEvents.map((event) => event.order.id).sort(), ['gtd-sell', 'stop-buy']);
+  });
+
+  it('skips an expired maker during matching and fills against the next one', () => {
+    const stale = buildOrder({ id: 'stale-sell', trader: MAKER, side: 'SELL', expiry: nowSeconds() + 60 });
+    const fresh = buildOrder({ id: 'fresh-sell', trader: MAKER, side: 'SELL', price: 2.5 });
+    matchingService.addOrder(stale);
+    matchingService.addOrder(fresh);
+
+    // Lapses before the sweeper runs.
+    stale.expiry = nowSeconds() - 1;
+    const taker = buildOrder({ id: 'buy', trader: TAKER, side: 'BUY', price: 3 });
+    matchingService.addOrder(taker);
+
+    assert.strictEqual(stale.status, 'EXPIRED');
+    assert.strictEqual(stale.filledUnits, 0n);
+    assert.strictEqual(fresh.status, 'FILLED');
+    assert.strictEqual(taker.status, 'FILLED');
+    const [trade] = matchingService.getRecentTrades(BASE_TOKEN, QUOTE_TOKEN);
+    assert.strictEqual(trade.makerOrderId, 'fresh-sell');
+  });
+
+  it('expires an order that arrives after its deadline without matching it', () => {
+    matchingService.addOrder(buildOrder({ id: 'resting-sell', trader: MAKER, side: 'SELL' }));
+    const late = buildOrder({ id: 'late-buy', trader: TAKER, side: 'BUY', expiry: nowSeconds() - 5 });
+    matchingService.addOrder(late);
+
+    assert.strictEqual(late.status, 'EXPIRED');
+    assert.strictEqual(matchingService.getRecentTrades(BASE_TOKEN, QUOTE_TOKEN).length, 0);
+    assert.strictEqual(matchingService.orderBooks.get(PAIR_KEY).buy.length, 0);
+  });
+});
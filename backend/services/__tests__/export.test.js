@@ -0,0 +1,135 @@
+const { describe, beforeEach, it } = require('node:test');
+const assert = require('assert/strict');
+const { EventEmitter } = require('events');
+
+const matchingService = require('../matching.service');
+const orderService = require('../order.service');
+const exportService = require('../export.service');
+const Order = require('../../models/Order');
+const { parseExportFilters, writeExport } = require('../../utils/export');
+
+const ALICE = '0x00000000000000000000000000000000000000a1';
+const BOB = '0x00000000000000000000000000000000000000b2';
+
+function place({ id, trader, side, amount = 2, price = 10, baseToken = 'EXA', createdAt }) {
+  const order = new Order({
+    id,
+    trader,
+    baseToken,
+    quoteToken: 'USD',
+    side,
+    amount,
+    price,
+    baseDecimals: 0,
+    quoteDecimals: 0,
+    createdAt,
+  });
+  orderService.orders.set(order.id, order);
+  matchingService.addOrder(order);
+  return order;
+}
+
+// A response that reports a full buffer on every other write and drains on
+// the next tick.
+function fakeResponse() {
+  const res = new EventEmitter();
+  Object.assign(res, { statusCode: null, headers: {}, chunks: [], ended: false, destroyed: false });
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.setHeader = (name, value) => {
+    res.headers[name] = value;
+  };
+  res.write = (chunk) => {
+    res.chunks.push(chunk);
+    if (res.chunks.length % 2 === 0) {
+      setImmediate(() => res.emit('drain'));
+      return false;
+    }
+    return true;
+  };
+  res.end = () => {
+    res.ended = true;
+  };
+  return res;
+}
+
+describe('Exports', () => {
+  beforeEach(() => {
+    matchingService.orderBooks.clear();
+    matchingService.marketPrices.clear();
+    matchingService.marketPriceMeta.clear();
+    orderService.orders.clear();
+    orderService.trades.clear();
+  });
+
+  it('parses export filters and rejects bad ones', () => {
+    const filters = parseExportFilters({
+      format: 'NDJSON',
+      from: '2026-01-01T00:00:00Z',
+      to: '1767312000000',
+      status: 'filled, partial',
+      baseToken: 'EXA',
+      quoteToken: 'USD',
+    });
+    assert.deepStrictEqual(filters, {
+      format: 'ndjson',
+      from: Date.parse('2026-01-01T00:00:00Z'),
+      to: 1767312000000,
+      baseToken: 'EXA',
+      quoteToken: 'USD',
+      statuses: ['FILLED', 'PARTIAL'],
+    });
+    assert.strictEqual(parseExportFilters({}).format, 'csv');
+    assert.throws(() => parseExportFilters({ format: 'xml' }), /format must be one of csv, ndjson/);
+    assert.throws(() => parseExportFilters({ from: 'soon' }), /from and to/);
+    assert.throws(() => parseExportFilters({ baseToken: 'EXA' }), /together/);
+  });
+
+  it('streams orders as CSV oldest first with status, pair and date filters', async () => {
+    place({ id: 'old', trader: ALICE, side: 'SELL', createdAt: new Date('2025-06-01T00:00:00Z') });
+    place({ id: 'ask', trader: ALICE, side: 'SELL', createdAt: new Date('2026-02-01T00:00:00Z') });
+    place({ id: 'bid', trader: BOB, side: 'BUY', amount: 1, createdAt: new Date('2026-02-02T00:00:00Z') });
+    place({ id: 'other', trader: ALICE, side: 'SELL', baseToken: 'OTH', createdAt: new Date('2026-02-03T00:00:00Z') });
+
+    const filters = parseExportFilters({ from: '2026-01-01T00:00:00Z', baseToken: 'EXA', quoteToken: 'USD' });
+    const res = fakeResponse();
+    await writeExport(res, { format: filters.format, filename: 'orders', ...exportService.exportOrders(filters) });
+
+    const lines = res.chunks.join('').trim().split('\n');
+    assert.strictEqual(res.headers['Content-Type'], 'text/csv; charset=utf-8');
+    assert.strictEqual(res.headers['Content-Disposition'], 'attachment; filename="orders.csv"');
+    assert.ok(res.ended);
+    assert.strictEqual(lines[0], exportService.ORDER_COLUMNS.join(','));
+    assert.deepStrictEqual(lines.slice(1).map((line) => line.split(',')[0]), ['ask', 'bid']);
+    assert.strictEqual(lines[1].split(',')[9], 'PENDING');
+
+    const traded = exportService.exportOrders(parseExportFilters({ status: 'filled,partial' }));
+    assert.deepStrictEqual(Array.from(traded.rows).map((row) => [row.id, row.status]), [
+      ['old', 'PARTIAL'],
+      ['bid', 'FILLED'],
+    ]);
+  });
+
+  it("exports a trader's fills as NDJSON with fees flattened and quoting where needed", async () => {
+    place({ id: 'ask', trader: ALICE, side: 'SELL' });
+    const bid = place({ id: 'bid', trader: BOB, side: 'BUY', amount: 1 });
+    bid.executions[0].batchId = 'batch, "one"';
+
+    const res = fakeResponse();
+    const filters = parseExportFilters({ format: 'ndjson', status: 'unsettled' });
+    await writeExport(res, { format: filters.format, filename: 'trades', ...exportService.exportTrades(BOB, filters) });
+
+    const rows = res.chunks.map((chunk) => JSON.parse(chunk));
+    assert.strictEqual(rows.length, 1);
+    assert.deepStrictEqual(Object.keys(rows[0]), exportService.TRADE_COLUMNS);
+    assert.deepStrictEqual([rows[0].orderId, rows[0].side, rows[0].role, rows[0].counterpartyOrderId], ['bid', 'BUY', 'TAKER', 'ask']);
+    assert.strictEqual(rows[0].feeAmount, bid.metadata.trades[0].fees.taker?.amount ?? null);
+
+    const csv = fakeResponse();
+    await writeExport(csv, { format: 'csv', filename: 'trades', ...exportService.exportTrades(BOB, parseExportFilters({})) });
+    assert.ok(csv.chunks[1].includes('"batch, ""one"""'));
+    assert.deepStrictEqual(Array.from(exportService.exportTrades(BOB, parseExportFilters({ status: 'confirmed' })).rows), []);
+  });
+});
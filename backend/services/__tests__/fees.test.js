@@ -0,0 +1,124 @@
+const { describe, beforeEach, afterEach, it } = require('node:test');
+const assert = require('assert/strict');
+
+const feeService = require('../fee.service');
+const matchingService = require('../matching.service');
+const Order = require('../../models/Order');
+
+const BASE_TOKEN = 'AAA';
+const QUOTE_TOKEN = 'BBB';
+const MAKER = '0x0000000000000000000000000000000000000001';
+const TAKER = '0x0000000000000000000000000000000000000002';
+const COLLECTOR = '0x00000000000000000000000000000000000000fe';
+const ONE = 10n ** 18n;
+
+function buildOrder(overrides) {
+  return new Order({
+    baseToken: BASE_TOKEN,
+    quoteToken: QUOTE_TOKEN,
+    orderType: 'LIMIT',
+    ...overrides,
+  });
+}
+
+function trade(id, amount, price) {
+  matchingService.addOrder(buildOrder({ id: `${id}-sell`, trader: MAKER, side: 'SELL', amount, price }));
+  matchingService.addOrder(buildOrder({ id: `${id}-buy`, trader: TAKER, side: 'BUY', amount, price }));
+  const trades = matchingService.getRecentTrades(BASE_TOKEN, QUOTE_TOKEN);
+  return trades[trades.length - 1];
+}
+
+describe('Fee schedule', () => {
+  let originalSettings;
+
+  beforeEach(() => {
+    matchingService.orderBooks.clear();
+    matchingService.marketPrices.clear();
+    matchingService.marketPriceMeta.clear();
+    originalSettings = { ...feeService.settings };
+    feeService.reset();
+    feeService.configure({
+      makerBps: 10,
+      takerBps: 30,
+      collector: COLLECTOR,
+      volumeWindowDays: 30,
+      tiers: [{ minVolume: 100, makerBps: 0, takerBps: 20 }],
+    });
+  });
+
+  afterEach(() => {
+    feeService.reset();
+    feeService.settings = originalSettings;
+  });
+
+  it('charges each side its rate on what it receives and records the fields on the trade', () => {
+    const record = trade('first', 10, 2);
+
+    assert.deepStrictEqual(record.fees.maker, {
+      account: MAKER,
+      token: QUOTE_TOKEN,
+      amount: ((20n * ONE * 10n) / 10000n).toString(),
+      bps: 10,
+      tier: 0,
+      recipient: COLLECTOR,
+    });
+    assert.strictEqual(record.fees.taker.token, BASE_TOKEN);
+    assert.strictEqual(record.fees.taker.amount, ((10n * ONE * 30n) / 10000n).toString());
+
+    const summary = feeService.getSummary();
+    assert.deepStrictEqual(
+      summary.byToken.map((entry) => [entry.token.toUpperCase(), entry.amount]),
+      [
+        [QUOTE_TOKEN, record.fees.maker.amount],
+        [BASE_TOKEN, record.fees.taker.amount],
+      ],
+    );
+    assert.strictEqual(summary.byCollector.length, 1);
+    assert.strictEqual(summary.byCollector[0].collector, COLLECTOR);
+  });
+
+  it('moves accounts into a cheaper tier once their windowed volume qualifies', () => {
+    trade('warmup', 50, 2);
+    const tier = feeService.getTier(TAKER);
+    assert.strictEqual(tier.tier, 1);
+    assert.strictEqual(tier.volume, 100);
+
+    const record = trade('discounted', 1, 2);
+    assert.strictEqual(record.fees.maker.amount, '0');
+    assert.strictEqual(record.fees.taker.bps, 20);
+
+    const later = Date.now() + 31 * 24 * 60 * 60 * 1000;
+    assert.strictEqual(feeService.getTier(TAKER, later).tier, 0);
+  });
+
+  it('charges a signed order fee instead of the receiver rate', () => {
+    const recipient = '0x00000000000000000000000000000000000000aa';
+    matchingService.addOrder(buildOrder({
+      id: 'signed-sell',
+      trader: MAKER,
+      side: 'SELL',
+      amount: 10,
+      price: 2,
+      onchain: {
+        amountGive: (10n * ONE).toString(),
+        amountGet: (20n * ONE).toString(),
+        feeAmount: ONE.toString(),
+        feeRecipient: recipient,
+      },
+    }));
+    matchingService.addOrder(buildOrder({ id: 'half-buy', trader: TAKER, side: 'BUY', amount: 5, price: 2 }));
+
+    const [record] = matchingService.getRecentTrades(BASE_TOKEN, QUOTE_TOKEN);
+    assert.strictEqual(record.fees.taker.amount, (ONE / 2n).toString());
+    assert.strictEqual(record.fees.taker.bps, null);
+    assert.strictEqual(record.fees.taker.recipient, recipient);
+    assert.strictEqual(record.fees.maker.bps, 10);
+  });
+
+  it('previews maker and taker fees for an order before it is signed', () => {
+    const preview = feeService.preview({ maker: MAKER, tokenGet: QUOTE_TOKEN, amountGet: (20n * ONE).toString() });
+    assert.strictEqual(preview.maker, ((20n * ONE * 10n) / 10000n).toString());
+    assert.strictEqual(preview.taker, ((20n * ONE * 30n) / 10000n).toString());
+    assert.strictEqual(preview.signedFee, null);
+  });
+});
@@ -0,0 +1,131 @@
+const { describe, beforeEach, afterEach, it } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const matchingService = require('../matching.service');
+const orderService = require('../order.service');
+const settlementQueue = require('../settlement-queue.service');
+const Order = require('../../models/Order');
+const JsonStore = require('../../utils/json-store');
+
+const BASE = '0x00000000000000000000000000000000000000f1';
+const QUOTE = '0x00000000000000000000000000000000000000f2';
+const ALICE = '0x0000000000000000000000000000000000000001';
+const BOB = '0x0000000000000000000000000000000000000002';
+
+function rest({ id, trader, side, amount = 10n, price = 10n }) {
+  const quoteAmount = amount * price;
+  const sell = side === 'SELL';
+  const order = new Order({
+    id,
+    trader,
+    baseToken: BASE,
+    quoteToken: QUOTE,
+    side,
+    amount: Number(amount),
+    price: Number(price),
+    baseDecimals: 0,
+    quoteDecimals: 0,
+    onchain: {
+      maker: trader,
+      tokenGive: sell ? BASE : QUOTE,
+      amountGive: String(sell ? amount : quoteAmount),
+      tokenGet: sell ? QUOTE : BASE,
+      amountGet: String(sell ? quoteAmount : amount),
+      nonce: 0,
+      expiry: 0,
+      signature: '0x1234',
+    },
+  });
+  orderService.orders.set(order.id, order);
+  matchingService.addOrder(order);
+  return order;
+}
+
+describe('Order fills', () => {
+  let directory;
+  let originalPump;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fills-test-'));
+    originalPump = settlementQueue._pump;
+    settlementQueue._pump = () => {};
+    settlementQueue.reset();
+    settlementQueue.useStore(new JsonStore('settlements.json', { directory }));
+    matchingService.orderBooks.clear();
+    matchingService.marketPrices.clear();
+    matchingService.marketPriceMeta.clear();
+    orderService.orders.clear();
+    orderService.trades.clear();
+  });
+
+  afterEach(() => {
+    settlementQueue.reset();
+    settlementQueue._pump = originalPump;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('records one fill per side of a trade with its role, fee and counterparty', async () => {
+    rest({ id: 'maker', trader: ALICE, side: 'SELL' });
+    const taker = rest({ id: 'taker', trader: BOB, side: 'BUY', amount: 4n });
+    await orderService._settleOrderTrades(taker);
+
+    const [makerFill] = orderService.getOrderFills('maker');
+    const [takerFill] = orderService.getOrderFills('taker');
+    const [trade] = taker.metadata.trades;
+
+    assert.strictEqual(makerFill.tradeId, trade.id);
+    assert.strictEqual(takerFill.tradeId, trade.id);
+    assert.deepStrictEqual([makerFill.role, takerFill.role], ['MAKER', 'TAKER']);
+    assert.deepStrictEqual([makerFill.counterpartyOrderId, takerFill.counterpartyOrderId], ['taker', 'maker']);
+    assert.deepStrictEqual([makerFill.baseAmount, makerFill.quoteAmount, makerFill.giveAmount], ['4', '40', '4']);
+    assert.strictEqual(takerFill.giveAmount, '40');
+    assert.deepStrictEqual(makerFill.fee, trade.fees.maker);
+    assert.deepStrictEqual(takerFill.fee, trade.fees.taker);
+    assert.strictEqual(makerFill.settlementStatus, 'QUEUED');
+    assert.strictEqual(makerFill.settlementId, takerFill.settlementId);
+    assert.strictEqual(orderService.getOrderFills('missing'), null);
+  });
+
+  it('reads settlement outcomes from the queue once the trade objects are gone', async () => {
+    rest({ id: 'maker', trader: ALICE, side: 'SELL' });
+    const taker = rest({ id: 'taker', trader: BOB, side: 'BUY', amount: 4n });
+    await orderService._settleOrderTrades(taker);
+
+    const [{ settlementId }] = orderService.getOrderFills('maker');
+    const entry = settlementQueue.entries.get(settlementId);
+    Object.assign(entry, {
+      state: 'CONFIRMED',
+      txHashes: ['0xabc'],
+      receipt: { hash: '0xabc', blockNumber: 12, status: 1 },
+    });
+    taker.metadata.trades = [];
+    orderService.trades.clear();
+
+    const [fill] = orderService.getOrderFills('taker');
+    assert.deepStrictEqual([fill.settlementStatus, fill.txHash, fill.blockNumber], ['CONFIRMED', '0xabc', 12]);
+    assert.strictEqual(fill.fee, null);
+    assert.deepStrictEqual(settlementQueue.get(settlementId).tradeIds, [fill.tradeId]);
+  });
+
+  it('explains fills that never reach the settlement queue', async () => {
+    const maker = rest({ id: 'maker', trader: ALICE, side: 'SELL' });
+    const taker = rest({ id: 'taker', trader: BOB, side: 'BUY', amount: 4n });
+    assert.strictEqual(orderService.getOrderFills('maker')[0].settlementStatus, 'UNSETTLED');
+
+    orderService.orders.delete('maker');
+    await orderService._settleOrderTrades(taker);
+    const [failed] = orderService.getOrderFills('taker');
+    assert.strictEqual(failed.settlementStatus, 'FAILED');
+    assert.match(failed.settlementError, /Unable to resolve/);
+
+    taker.metadata.trades[0].settlement.reconciled = 'ROLLED_BACK';
+    assert.strictEqual(orderService.getOrderFills('taker')[0].settlementStatus, 'ROLLED_BACK');
+
+    matchingService._recordFill(maker, 1n, 10, 'onchain', new Date(), { giveAmount: 1n });
+    orderService.orders.set('maker', maker);
+    assert.strictEqual(orderService.getOrderFills('maker')[1].settlementStatus, 'ONCHAIN');
+  });
+});
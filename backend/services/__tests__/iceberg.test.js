@@ -0,0 +1,157 @@
+const { describe, beforeEach, it } = require('node:test');
+const assert = require('assert/strict');
+
+const matchingService = require('../matching.service');
+const orderService = require('../order.service');
+const authService = require('../auth.service');
+const exportService = require('../export.service');
+const Order = require('../../models/Order');
+
+const BASE = 'ICE';
+const QUOTE = 'USD';
+const PAIR_KEY = 'ice-usd';
+
+function order({ id, side = 'SELL', orderType = 'LIMIT', amount, price = 10, displayAmount = null, createdAt }) {
+  return new Order({
+    id,
+    trader: side === 'BUY' ? '0x0000000000000000000000000000000000000002' : '0x0000000000000000000000000000000000000001',
+    baseToken: BASE,
+    quoteToken: QUOTE,
+    side,
+    orderType,
+    amount,
+    price,
+    stopPrice: orderType === 'STOP_LOSS' ? price : null,
+    displayAmount,
+    baseDecimals: 0,
+    quoteDecimals: 0,
+    createdAt,
+  });
+}
+
+function bookIds(side) {
+  return matchingService.orderBooks.get(PAIR_KEY)[side].map((entry) => entry.id);
+}
+
+describe('Iceberg orders', () => {
+  beforeEach(() => {
+    matchingService.orderBooks.clear();
+    matchingService.marketPrices.clear();
+    matchingService.marketPriceMeta.clear();
+  });
+
+  it('shows only the visible slice on the book and in depth', () => {
+    const iceberg = order({ id: 'iceberg', amount: 100, displayAmount: 20 });
+    matchingService.addOrder(iceberg);
+    matchingService.addOrder(order({ id: 'plain', amount: 50 }));
+
+    const [entry] = orderService.getOrderBook(BASE, QUOTE).sell;
+    assert.strictEqual(entry.id, 'iceberg');
+    assert.deepStrictEqual([entry.amount, entry.remaining, entry.remainingUnits], [20, 20, '20']);
+    assert.strictEqual(entry.onchain, undefined);
+    assert.strictEqual(entry.displayAmount, undefined);
+    assert.strictEqual(iceberg.toJSON().amount, 100);
+
+    const depth = orderService.getDepth(BASE, QUOTE);
+    assert.deepStrictEqual(depth.asks.map((level) => [level.price, level.amount]), [[10, 70]]);
+  });
+
+  it('shows the full order to its trader only, in lookups and exports', () => {
+    const iceberg = order({ id: 'iceberg', amount: 100, displayAmount: 20 });
+    matchingService.addOrder(iceberg);
+    orderService.orders.set(iceberg.id, iceberg);
+    const originalSettings = { ...authService.settings };
+    authService.configure({ enabled: true });
+    try {
+      const owner = { address: iceberg.trader };
+      const stranger = { address: '0x0000000000000000000000000000000000000009' };
+
+      assert.strictEqual(orderService.toViewerJSON(iceberg, owner).amount, 100);
+      const [seen, anonymous] = [stranger, null].map((session) => orderService.toViewerJSON(iceberg, session));
+      assert.deepStrictEqual([seen.amount, seen.remainingUnits, seen.displayAmount], [20, '20', undefined]);
+      assert.strictEqual(anonymous.amount, 20);
+
+      const filters = { statuses: [], from: null, to: null, baseToken: BASE, quoteToken: QUOTE };
+      const [row] = exportService.exportOrders(filters, { viewer: stranger }).rows;
+      assert.deepStrictEqual([row.id, row.amount], ['iceberg', 20]);
+
+      iceberg.status = 'CANCELLED';
+      assert.strictEqual(orderService.toViewerJSON(iceberg, stranger).status, 'CANCELLED');
+    } finally {
+      authService.settings = originalSettings;
+      orderService.orders.delete(iceberg.id);
+    }
+  });
+
+  it('lists full fills to the trader only and the public trades to everyone else', () => {
+    const iceberg = order({ id: 'iceberg', amount: 100, displayAmount: 20 });
+    matchingService.addOrder(iceberg);
+    orderService.orders.set(iceberg.id, iceberg);
+    matchingService.addOrder(order({ id: 'taker', side: 'BUY', amount: 30 }));
+    matchingService.orderBooks.get(PAIR_KEY).trades.length = 0;
+    matchingService.addOrder(order({ id: 'later', side: 'BUY', amount: 5 }));
+    const originalSettings = { ...authService.settings };
+    authService.configure({ enabled: true });
+    try {
+      const owner = { address: iceberg.trader };
+      const stranger = { address: '0x0000000000000000000000000000000000000009' };
+
+      const fills = orderService.getViewerFills('iceberg', owner);
+      assert.deepStrictEqual(fills.map((fill) => fill.amount), [20, 10, 5]);
+      assert.strictEqual(fills[0].role, 'MAKER');
+
+      const [trade, ...rest] = orderService.getViewerFills('iceberg', stranger);
+      assert.deepStrictEqual(rest, []);
+      assert.deepStrictEqual([trade.makerOrderId, trade.takerOrderId, trade.amount], ['iceberg', 'later', 5]);
+      assert.strictEqual(trade.role, undefined);
+      assert.deepStrictEqual(orderService.getViewerFills('iceberg', null), [trade]);
+    } finally {
+      authService.settings = originalSettings;
+      orderService.orders.delete(iceberg.id);
+    }
+  });
+
+  it('refills from the hidden size and loses time priority on each refill', () => {
+    const iceberg = order({ id: 'iceberg', amount: 100, displayAmount: 20, createdAt: new Date(Date.now() - 1000) });
+    const plain = order({ id: 'plain', amount: 50 });
+    matchingService.addOrder(iceberg);
+    matchingService.addOrder(plain);
+
+    const taker = order({ id: 'taker', side: 'BUY', amount: 30 });
+    matchingService.addOrder(taker);
+
+    assert.deepStrictEqual(taker.metadata.trades.map((trade) => [trade.makerOrderId, trade.amount]), [
+      ['iceberg', 20],
+      ['plain', 10],
+    ]);
+    assert.deepStrictEqual(bookIds('sell'), ['plain', 'iceberg']);
+    assert.strictEqual(iceberg.metadata.iceberg.refills, 1);
+    assert.strictEqual(iceberg.visibleUnits, 20n);
+    assert.strictEqual(iceberg.remainingUnits, 80n);
+  });
+
+  it('keeps filling a lone iceberg slice by slice against one signed order', () => {
+    const iceberg = order({ id: 'iceberg', amount: 100, displayAmount: 20 });
+    matchingService.addOrder(iceberg);
+    const taker = order({ id: 'taker', side: 'BUY', amount: 70 });
+    matchingService.addOrder(taker);
+
+    assert.deepStrictEqual(taker.metadata.trades.map((trade) => trade.amount), [20, 20, 20, 10]);
+    assert.ok(taker.metadata.trades.every((trade) => trade.makerOrderId === 'iceberg'));
+    assert.strictEqual(taker.status, 'FILLED');
+    assert.strictEqual(iceberg.metadata.iceberg.refills, 3);
+    assert.strictEqual(iceberg.visibleUnits, 10n);
+
+    const restored = new Order(iceberg.toJSON());
+    assert.deepStrictEqual([restored.displayUnits, restored.visibleUnits], [20n, 10n]);
+  });
+
+  it('rejects hidden size on orders that do not rest at a limit price', () => {
+    const stop = order({ id: 'stop', orderType: 'STOP_LOSS', amount: 10, displayAmount: 2 });
+    matchingService.addOrder(stop);
+    assert.strictEqual(stop.status, 'REJECTED');
+    assert.strictEqual(stop.metadata.rejectReason, 'ICEBERG_REQUIRES_LIMIT');
+
+    assert.strictEqual(order({ id: 'whole', amount: 10, displayAmount: 10 }).isIceberg(), false);
+  });
+});
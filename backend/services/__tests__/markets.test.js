@@ -0,0 +1,76 @@
+const { describe, beforeEach, afterEach, it } = require('node:test');
+const assert = require('assert/strict');
+
+const matchingService = require('../matching.service');
+const candleService = require('../candle.service');
+const marketService = require('../market.service');
+const Order = require('../../models/Order');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 2, 12, 0, 0);
+
+function memoryStore() {
+  let data = {};
+  return {
+    getAll: () => data,
+    setAll: (next) => {
+      data = next;
+    },
+  };
+}
+
+describe('Market statistics', () => {
+  beforeEach(() => {
+    matchingService.orderBooks.clear();
+    matchingService.marketPrices.clear();
+    matchingService.marketPriceMeta.clear();
+    candleService.reset();
+    candleService.useStore(memoryStore());
+  });
+
+  afterEach(() => {
+    candleService.reset();
+  });
+
+  it('reports rolling 24h statistics and the live book per pair', () => {
+    candleService.ingest('aaa-usd', { price: 8, amount: 5, quoteAmount: 40, timestamp: NOW - 30 * HOUR });
+    candleService.ingest('aaa-usd', { price: 10, amount: 1, quoteAmount: 10, timestamp: NOW - 20 * HOUR });
+    candleService.ingest('aaa-usd', { price: 14, amount: 2, quoteAmount: 28, timestamp: NOW - 10 * HOUR });
+    candleService.ingest('aaa-usd', { price: 12, amount: 1, quoteAmount: 12, timestamp: NOW - HOUR });
+    candleService.ingest('bbb-usd', { price: 1, amount: 1, quoteAmount: 1, timestamp: NOW - 2 * HOUR });
+    matchingService.addOrder(new Order({
+      id: 'bid',
+      trader: '0x0000000000000000000000000000000000000001',
+      baseToken: 'AAA',
+      quoteToken: 'USD',
+      side: 'BUY',
+      price: 11,
+      amount: 1,
+    }));
+
+    const markets = marketService.listMarkets(NOW);
+    assert.deepStrictEqual(markets.map((market) => market.pairKey), ['aaa-usd', 'bbb-usd']);
+
+    const [aaa] = markets;
+    assert.deepStrictEqual(
+      [aaa.lastPrice, aaa.open24h, aaa.high24h, aaa.low24h, aaa.change24h, aaa.changePercent24h],
+      [12, 10, 14, 10, 2, 20],
+    );
+    assert.deepStrictEqual([aaa.volume24h, aaa.quoteVolume24h, aaa.trades24h], [4, 50, 3]);
+    assert.strictEqual(aaa.bestBid, 11);
+    assert.strictEqual(aaa.bestAsk, null);
+    assert.strictEqual(aaa.openOrders, 1);
+  });
+
+  it('lists idle pairs without statistics and looks up a single market', () => {
+    matchingService._getOrCreateOrderBook('ccc-usd');
+    matchingService.updateMarketPrice('CCC', 'USD', 3);
+
+    const market = marketService.getMarket('CCC', 'USD', NOW);
+    assert.strictEqual(market.lastPrice, 3);
+    assert.strictEqual(market.open24h, null);
+    assert.strictEqual(market.changePercent24h, null);
+    assert.strictEqual(market.volume24h, 0);
+    assert.strictEqual(marketService.getMarket('ZZZ', 'USD', NOW), null);
+  });
+});
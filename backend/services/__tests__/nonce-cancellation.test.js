@@ -0,0 +1,100 @@
+const { describe, beforeEach, afterEach, it } = require('node:test');
+const assert = require('assert/strict');
+
+const matchingService = require('../matching.service');
+const orderService = require('../order.service');
+const blockchainService = require('../blockchain.service');
+const eventListenerService = require('../event-listener.service');
+const reconciliationService = require('../reconciliation.service');
+const Order = require('../../models/Order');
+
+const MAKER = '0x00000000000000000000000000000000000000a1';
+const OTHER = '0x00000000000000000000000000000000000000b2';
+
+function rest({ id, trader = MAKER, nonce, side = 'SELL', baseToken = 'AAA', quoteToken = 'BBB' }) {
+  const order = new Order({
+    id,
+    trader,
+    nonce,
+    side,
+    baseToken,
+    quoteToken,
+    orderType: 'LIMIT',
+    amount: 1,
+    price: side === 'SELL' ? 10 : 5,
+  });
+  orderService.orders.set(order.id, order);
+  matchingService.addOrder(order);
+  return order;
+}
+
+function statuses(orders) {
+  return orders.map((order) => order.status);
+}
+
+describe('Nonce-based cancellation', () => {
+  let originalCallDex;
+
+  beforeEach(() => {
+    matchingService.orderBooks.clear();
+    matchingService.marketPrices.clear();
+    matchingService.marketPriceMeta.clear();
+    orderService.orders.clear();
+    reconciliationService.reset();
+    reconciliationService.subscribe();
+    originalCallDex = blockchainService.callDex;
+  });
+
+  afterEach(() => {
+    blockchainService.callDex = originalCallDex;
+    reconciliationService.reset();
+  });
+
+  it('evicts the maker orders signed below the new nonce when NonceIncremented arrives', async () => {
+    const stale = [rest({ id: 'a', nonce: '0' }), rest({ id: 'b', nonce: '1', baseToken: 'CCC' })];
+    const current = rest({ id: 'c', nonce: '2' });
+    const other = rest({ id: 'd', trader: OTHER, nonce: '0', side: 'BUY' });
+
+    await eventListenerService.emit({ name: 'NonceIncremented', args: { user: MAKER.replace('a1', 'A1'), newNonce: '2' } });
+
+    assert.deepStrictEqual(statuses(stale), ['CANCELLED', 'CANCELLED']);
+    assert.strictEqual(stale[0].metadata.cancelReason, 'NONCE_INVALIDATED');
+    assert.deepStrictEqual(statuses([current, other]), ['PENDING', 'PENDING']);
+    assert.deepStrictEqual(matchingService.orderBooks.get('ccc-bbb').sell, []);
+
+    await eventListenerService.emit({ name: 'NonceIncremented', removed: true, args: { user: MAKER, newNonce: '3' } });
+    assert.strictEqual(current.status, 'PENDING');
+  });
+
+  it('catches nonce increments missed while offline during the audit', async () => {
+    const stale = rest({ id: 'a', nonce: '4' });
+    const other = rest({ id: 'b', trader: OTHER, nonce: '4', side: 'BUY' });
+    blockchainService.callDex = async (method, [account] = []) => {
+      if (method === 'getNonce') {
+        return account === MAKER ? 5n : 4n;
+      }
+      return method === 'filled' ? 0n : false;
+    };
+
+    await reconciliationService.audit();
+
+    assert.deepStrictEqual(statuses([stale, other]), ['CANCELLED', 'PENDING']);
+  });
+
+  it('cancels every open order of a trader or only those on one pair', () => {
+    const first = rest({ id: 'a', nonce: '0' });
+    const second = rest({ id: 'b', nonce: '0', baseToken: 'CCC' });
+    const other = rest({ id: 'c', trader: OTHER, nonce: '0', side: 'BUY' });
+
+    const pair = orderService.cancelAllOrders(MAKER, { baseToken: 'AAA', quoteToken: 'BBB' });
+    assert.deepStrictEqual(pair.map((order) => order.id), ['a']);
+    assert.deepStrictEqual(statuses([first, second]), ['CANCELLED', 'PENDING']);
+
+    const remaining = orderService.cancelAllOrders(MAKER);
+    assert.deepStrictEqual(remaining.map((order) => order.id), ['b']);
+    assert.strictEqual(second.metadata.cancelReason, 'USER_CANCELLED_ALL');
+    assert.strictEqual(other.status, 'PENDING');
+
+    assert.throws(() => orderService.cancelAllOrders(MAKER, { baseToken: 'AAA' }), /together/);
+  });
+});
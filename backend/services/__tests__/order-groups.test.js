@@ -0,0 +1,150 @@
+const { describe, beforeEach, afterEach, it } = require('node:test');
+const assert = require('assert/strict');
+
+const blockchainService = require('../blockchain.service');
+const matchingService = require('../matching.service');
+const orderService = require('../order.service');
+const riskService = require('../risk.service');
+const Order = require('../../models/Order');
+
+const BASE = '0x00000000000000000000000000000000000000b2';
+const QUOTE = '0x00000000000000000000000000000000000000c2';
+const MAKER = '0x0000000000000000000000000000000000000001';
+const TAKER = '0x0000000000000000000000000000000000000002';
+
+function buildOrder({ id, trader = MAKER, side = 'SELL', orderType = 'LIMIT', amount = 100n, price = 10n, stopPrice = null }) {
+  const quoteAmount = amount * price;
+  const sell = side === 'SELL';
+  return new Order({
+    id,
+    trader,
+    baseToken: BASE,
+    quoteToken: QUOTE,
+    side,
+    orderType,
+    amount: Number(amount),
+    price: Number(price),
+    stopPrice,
+    baseDecimals: 0,
+    quoteDecimals: 0,
+    onchain: {
+      maker: trader,
+      tokenGive: sell ? BASE : QUOTE,
+      amountGive: String(sell ? amount : quoteAmount),
+      tokenGet: sell ? QUOTE : BASE,
+      amountGet: String(sell ? quoteAmount : amount),
+    },
+  });
+}
+
+function book() {
+  return matchingService.orderBooks.get(`${BASE}-${QUOTE}`);
+}
+
+// Bracket exits are armed once the matching pass that filled the entry ends.
+function flush() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe('Order groups', () => {
+  let originalGetDexBalance;
+
+  beforeEach(() => {
+    originalGetDexBalance = blockchainService.getDexBalance;
+    blockchainService.getDexBalance = async (trader, token) => (token === BASE ? '100' : '10000');
+    matchingService.orderBooks.clear();
+    matchingService.marketPrices.clear();
+    matchingService.marketPriceMeta.clear();
+    orderService.orders.clear();
+    orderService.groups.clear();
+    riskService.reset();
+    riskService.configure({ enabled: true, mode: 'reject' });
+    riskService.attach(matchingService);
+  });
+
+  afterEach(() => {
+    blockchainService.getDexBalance = originalGetDexBalance;
+    riskService.detach();
+  });
+
+  it('shares one reservation across OCO legs and cancels the rest when one fills', async () => {
+    const takeProfit = buildOrder({ id: 'tp', price: 12n });
+    const stopLoss = buildOrder({ id: 'sl', orderType: 'STOP_LOSS', price: 9n, stopPrice: 9 });
+    const group = await orderService.placeOrderGroup('OCO', { legs: [takeProfit, stopLoss] });
+
+    assert.strictEqual(group.status, 'ACTIVE');
+    assert.strictEqual(takeProfit.groupId, group.id);
+    assert.strictEqual(riskService.getReservedAmount(MAKER, BASE), 100n);
+
+    matchingService.addOrder(buildOrder({ id: 'taker', trader: TAKER, side: 'BUY', amount: 40n, price: 12n }));
+
+    assert.strictEqual(takeProfit.status, 'PARTIAL');
+    assert.strictEqual(stopLoss.status, 'CANCELLED');
+    assert.strictEqual(stopLoss.metadata.cancelReason, 'OCO_FILLED');
+    assert.strictEqual(book().stopLoss.length, 0);
+    assert.strictEqual(riskService.getReservedAmount(MAKER, BASE), 60n);
+  });
+
+  it('cancels the other leg when one triggers or is cancelled', async () => {
+    const takeProfit = buildOrder({ id: 'tp', price: 12n });
+    const stopLoss = buildOrder({ id: 'sl', orderType: 'STOP_LOSS', price: 9n, stopPrice: 9 });
+    await orderService.placeOrderGroup('OCO', { legs: [takeProfit, stopLoss] });
+
+    matchingService.updateMarketPrice(BASE, QUOTE, 9);
+    assert.ok(stopLoss.triggeredAt instanceof Date, 'expected the stop leg to trigger');
+    assert.strictEqual(takeProfit.status, 'CANCELLED');
+    assert.strictEqual(takeProfit.metadata.cancelReason, 'OCO_TRIGGERED');
+    assert.deepStrictEqual(book().sell.map((order) => order.id), []);
+
+    const first = buildOrder({ id: 'a', trader: TAKER, price: 12n });
+    const second = buildOrder({ id: 'b', trader: TAKER, price: 13n });
+    await orderService.placeOrderGroup('OCO', { legs: [first, second] });
+    orderService.cancelOrder('a');
+    assert.strictEqual(second.status, 'CANCELLED');
+    assert.strictEqual(second.metadata.cancelReason, 'GROUP_CANCELLED');
+  });
+
+  it('holds bracket exits until the entry fills and drops them if it is cancelled', async () => {
+    const entry = buildOrder({ id: 'entry', side: 'BUY' });
+    const takeProfit = buildOrder({ id: 'tp', price: 12n });
+    const stopLoss = buildOrder({ id: 'sl', orderType: 'STOP_LOSS', price: 8n, stopPrice: 8 });
+    const group = await orderService.placeOrderGroup('BRACKET', { entry, takeProfit, stopLoss });
+
+    assert.deepStrictEqual([takeProfit.status, stopLoss.status], ['HELD', 'HELD']);
+    assert.deepStrictEqual(book().sell, []);
+    assert.strictEqual(riskService.getReservedAmount(MAKER, BASE), 0n);
+
+    matchingService.addOrder(buildOrder({ id: 'seller', trader: TAKER, side: 'SELL' }));
+    assert.strictEqual(entry.status, 'FILLED');
+    await flush();
+
+    assert.deepStrictEqual([takeProfit.status, stopLoss.status], ['PENDING', 'PENDING']);
+    assert.deepStrictEqual(book().sell.map((order) => order.id), ['tp']);
+    assert.deepStrictEqual(book().stopLoss.map((order) => order.id), ['sl']);
+    assert.strictEqual(orderService.getOrderGroup(group.id).entryId, 'entry');
+
+    const nextEntry = buildOrder({ id: 'entry-2', side: 'BUY' });
+    const nextExit = buildOrder({ id: 'tp-2', price: 12n });
+    await orderService.placeOrderGroup('BRACKET', { entry: nextEntry, takeProfit: nextExit });
+    orderService.cancelOrder('entry-2');
+    assert.strictEqual(nextExit.status, 'CANCELLED');
+    assert.strictEqual(nextExit.metadata.cancelReason, 'ENTRY_CANCELLED');
+  });
+
+  it('rejects groups whose orders do not fit together', async () => {
+    await assert.rejects(
+      orderService.placeOrderGroup('BRACKET', {
+        entry: buildOrder({ id: 'entry', side: 'BUY' }),
+        takeProfit: buildOrder({ id: 'tp', side: 'BUY', price: 12n }),
+      }),
+      /opposite side/,
+    );
+    await assert.rejects(
+      orderService.placeOrderGroup('OCO', {
+        legs: [buildOrder({ id: 'a' }), buildOrder({ id: 'b', side: 'BUY' })],
+      }),
+      /same side/,
+    );
+    assert.strictEqual(orderService.orders.size, 0);
+  });
+});
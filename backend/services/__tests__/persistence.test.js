@@ -0,0 +1,169 @@
+const { describe, beforeEach, afterEach, it } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const matchingService = require('../matching.service');
+const persistenceService = require('../persistence.service');
+const Order = require('../../models/Order');
+const { JsonJournalStore } = require('../../utils/journal-store');
+
+const BASE_TOKEN = 'AAA';
+const QUOTE_TOKEN = 'BBB';
+const PAIR_KEY = `${BASE_TOKEN.toLowerCase()}-${QUOTE_TOKEN.toLowerCase()}`;
+
+function resetMatching() {
+  matchingService.orderBooks.clear();
+  matchingService.marketPrices.clear();
+  matchingService.marketPriceMeta.clear();
+}
+
+function submit(input) {
+  const order = new Order({
+    // Buys and sells come from different traders, clear of self-trade prevention.
+    trader: input.side === 'BUY' ? '0x0000000000000000000000000000000000000002' : '0x0000000000000000000000000000000000000001',
+    baseToken: BASE_TOKEN,
+    quoteToken: QUOTE_TOKEN,
+    orderType: 'LIMIT',
+    ...input,
+  });
+  persistenceService.recordOrderCreated(order);
+  matchingService.addOrder(order);
+  return order;
+}
+
+describe('Order journal replay', () => {
+  let directory;
+
+  beforeEach(() => {
+    resetMatching();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-test-'));
+    persistenceService.useStore(new JsonJournalStore('journal.json', { directory }));
+    persistenceService.attach(matchingService);
+  });
+
+  afterEach(() => {
+    persistenceService.detach();
+    persistenceService.useStore(null);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('rebuilds resting orders, fills, cancels and trades after a restart', () => {
+    const maker = submit({ id: 'maker-sell', side: 'SELL', amount: 5, price: 100 });
+    submit({ id: 'taker-buy', side: 'BUY', amount: 2, price: 100 });
+    const cancelled = submit({ id: 'resting-buy', side: 'BUY', amount: 1, price: 90 });
+    cancelled.cancel('USER_CANCELLED');
+    matchingService.cancelOrder(cancelled);
+    persistenceService.recordOrderCancelled(cancelled, 'USER_CANCELLED');
+
+    persistenceService.detach();
+    resetMatching();
+    persistenceService.useStore(new JsonJournalStore('journal.json', { directory }));
+
+    const { orders, trades } = persistenceService.replay();
+    assert.strictEqual(orders.size, 3);
+
+    const restoredMaker = orders.get('maker-sell');
+    assert.strictEqual(restoredMaker.status, 'PARTIAL');
+    assert.strictEqual(restoredMaker.filledUnits, maker.filledUnits);
+    assert.strictEqual(restoredMaker.executions.length, 1);
+    assert.strictEqual(restoredMaker.executions[0].tradeId, trades[0].trade.id);
+    assert.strictEqual(restoredMaker.executions[0].role, 'MAKER');
+    assert.strictEqual(orders.get('taker-buy').status, 'FILLED');
+    assert.strictEqual(orders.get('resting-buy').status, 'CANCELLED');
+
+    for (const order of orders.values()) {
+      matchingService.restoreOrder(order);
+    }
+    trades.forEach(({ pairKey, trade }) => matchingService.restoreTrade(pairKey, trade));
+
+    const book = matchingService.orderBooks.get(PAIR_KEY);
+    assert.deepStrictEqual(book.sell.map((order) => order.id), ['maker-sell']);
+    assert.strictEqual(book.buy.length, 0);
+    assert.strictEqual(book.trades.length, 1);
+    assert.strictEqual(book.trades[0].baseAmount, (2n * 10n ** 18n).toString());
+    assert.strictEqual(matchingService.getMarketPrice(BASE_TOKEN, QUOTE_TOKEN), 100);
+  });
+
+  it('restores book priority and iceberg slices after a restart', () => {
+    const iceberg = submit({ id: 'iceberg', side: 'SELL', amount: 3, displayAmount: 1, price: 100 });
+    submit({ id: 'nibble', side: 'BUY', amount: 0.25, price: 100 });
+    assert.strictEqual(persistenceService.replay().orders.get('iceberg').sliceUnits, 75n * 10n ** 16n);
+
+    // Using up the slice refills it and sends the iceberg behind `plain`.
+    submit({ id: 'plain', side: 'SELL', amount: 1, price: 100 });
+    submit({ id: 'lift', side: 'BUY', amount: 1, price: 100 });
+    assert.deepStrictEqual(matchingService.orderBooks.get(PAIR_KEY).sell.map((order) => order.id), ['plain', 'iceberg']);
+
+    persistenceService.detach();
+    resetMatching();
+    persistenceService.useStore(new JsonJournalStore('journal.json', { directory }));
+    const { orders } = persistenceService.replay();
+    const restored = orders.get('iceberg');
+    assert.strictEqual(restored.sequence, iceberg.sequence);
+    assert.strictEqual(restored.priorityAt.getTime(), iceberg.priorityAt.getTime());
+    assert.strictEqual(restored.sliceUnits, iceberg.sliceUnits);
+
+    // Replayed in creation order, yet each order keeps its place in the queue.
+    for (const order of orders.values()) {
+      matchingService.restoreOrder(order);
+    }
+    assert.deepStrictEqual(matchingService.orderBooks.get(PAIR_KEY).sell.map((order) => order.id), ['plain', 'iceberg']);
+    assert.ok(matchingService.sequence >= restored.sequence);
+  });
+
+  it('appends one line per entry and reads journals written as a JSON array', () => {
+    submit({ id: 'line-sell', side: 'SELL', amount: 1, price: 100 });
+    const file = path.join(directory, 'journal.json');
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepStrictEqual(lines.map((entry) => entry.type), ['ORDER_CREATED', 'ORDER_UPDATED']);
+
+    fs.writeFileSync(path.join(directory, 'legacy.json'), JSON.stringify(lines, null, 2));
+    const legacy = new JsonJournalStore('legacy.json', { directory });
+    assert.deepStrictEqual(legacy.readAll(), lines);
+    assert.strictEqual(legacy.append({ type: 'TRADE', payload: {} }), 3);
+    fs.appendFileSync(path.join(directory, 'legacy.json'), '{"seq":4,"type":');
+    assert.deepStrictEqual(new JsonJournalStore('legacy.json', { directory }).readAll().map((entry) => entry.seq), [1, 2, 3]);
+  });
+
+  it('restores sizes taken off by self-trade decrement', () => {
+    const trader = '0x0000000000000000000000000000000000000003';
+    matchingService.configure({ selfTradePrevention: 'decrement' });
+    try {
+      submit({ id: 'own-sell', trader, side: 'SELL', amount: 2, price: 100 });
+      submit({ id: 'own-buy', trader, side: 'BUY', amount: 5, price: 100 });
+    } finally {
+      matchingService.configure({ selfTradePrevention: 'cancel_newest' });
+    }
+
+    const { orders } = persistenceService.replay();
+    const restored = orders.get('own-buy');
+    assert.strictEqual(restored.reducedUnits, 2n * 10n ** 18n);
+    assert.strictEqual(restored.remainingUnits, 3n * 10n ** 18n);
+    assert.strictEqual(restored.status, 'PENDING');
+    assert.strictEqual(orders.get('own-sell').status, 'CANCELLED');
+  });
+
+  it('journals only the fields an update changed', () => {
+    const maker = submit({ id: 'diff-sell', side: 'SELL', amount: 2, price: 100 });
+    submit({ id: 'diff-buy', side: 'BUY', amount: 1, price: 100 });
+    maker.metadata.note = 'kept';
+    persistenceService.recordOrderUpdated(maker);
+    persistenceService.recordOrderUpdated(maker);
+
+    const updates = persistenceService.getStore().readAll()
+      .filter((entry) => entry.type === 'ORDER_UPDATED' && entry.orderId === 'diff-sell')
+      .map((entry) => entry.payload.changes);
+    assert.strictEqual(updates.length, 2);
+    const [queued, changed] = updates;
+    assert.strictEqual(queued.sequence, maker.sequence);
+    assert.strictEqual(queued.status, undefined);
+    assert.strictEqual(changed.status, 'PARTIAL');
+    assert.strictEqual(changed.metadata.note, 'kept');
+    assert.strictEqual(changed.orderType, undefined);
+
+    const restored = persistenceService.replay().orders.get('diff-sell');
+    assert.deepStrictEqual(restored.toJSON(), maker.toJSON());
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, beforeEach, afterEach, it } = require('node:test');
+const assert = require('assert/strict');
+
+const blockchainService = require('../blockchain.service');
+const matchingService = require('../matching.service');
+const orderService = require('../order.service');
+const portfolioService = require('../portfolio.service');
+const priceOracleService = require('../price-oracle.service');
+const Order = require('../../models/Order');
+
+const BASE = '0x00000000000000000000000000000000000000e1';
+const QUOTE = '0x00000000000000000000000000000000000000e2';
+const ALICE = '0x00000000000000000000000000000000000000a1';
+const BOB = '0x00000000000000000000000000000000000000b2';
+
+function place({ id, trader, side, amount, price }) {
+  const order = new Order({
+    id,
+    trader,
+    baseToken: BASE,
+    quoteToken: QUOTE,
+    side,
+    amount,
+    price,
+    baseDecimals: 0,
+    quoteDecimals: 0,
+  });
+  orderService.orders.set(order.id, order);
+  matchingService.addOrder(order);
+  return order;
+}
+
+// Alice buys 10 at 10 and 10 at 20, then sells 5 at 30.
+function tradeHistory() {
+  place({ id: 'ask-1', trader: BOB, side: 'SELL', amount: 10, price: 10 });
+  place({ id: 'buy-1', trader: ALICE, side: 'BUY', amount: 10, price: 10 });
+  place({ id: 'ask-2', trader: BOB, side: 'SELL', amount: 10, price: 20 });
+  place({ id: 'buy-2', trader: ALICE, side: 'BUY', amount: 10, price: 20 });
+  place({ id: 'bid', trader: BOB, side: 'BUY', amount: 5, price: 30 });
+  return place({ id: 'sell', trader: ALICE, side: 'SELL', amount: 5, price: 30 });
+}
+
+describe('Trader portfolio', () => {
+  const originals = {};
+
+  beforeEach(() => {
+    Object.assign(originals, {
+      describePair: priceOracleService.describePair,
+      getTokenBalance: blockchainService.getTokenBalance,
+      getDexBalance: blockchainService.getDexBalance,
+    });
+    priceOracleService.describePair = async () => ({ priceNumber: 25, source: 'test' });
+    blockchainService.getTokenBalance = async (token) => (token === BASE ? '7' : '100');
+    blockchainService.getDexBalance = async (trader, token) => {
+      if (token === QUOTE) {
+        throw new Error('DEX unavailable');
+      }
+      return '8';
+    };
+    matchingService.orderBooks.clear();
+    matchingService.marketPrices.clear();
+    matchingService.marketPriceMeta.clear();
+    orderService.orders.clear();
+    orderService.trades.clear();
+  });
+
+  afterEach(() => {
+    priceOracleService.describePair = originals.describePair;
+    blockchainService.getTokenBalance = originals.getTokenBalance;
+    blockchainService.getDexBalance = originals.getDexBalance;
+  });
+
+  it("lists a trader's fills across orders newest first", () => {
+    tradeHistory();
+    const trades = portfolioService.getTrades(ALICE.toUpperCase().replace('0X', '0x'));
+
+    assert.deepStrictEqual(trades.map((trade) => trade.orderId), ['sell', 'buy-2', 'buy-1']);
+    assert.deepStrictEqual(trades.map((trade) => trade.side), ['SELL', 'BUY', 'BUY']);
+    assert.strictEqual(trades[0].counterpartyOrderId, 'bid');
+    assert.strictEqual(trades[0].role, 'TAKER');
+    assert.strictEqual(portfolioService.getTrades(ALICE, { limit: 1 }).length, 1);
+    assert.deepStrictEqual(portfolioService.getTrades(ALICE, { baseToken: QUOTE, quoteToken: BASE }), []);
+  });
+
+  it('tracks average entry, realized and unrealized P&L and combined balances', async () => {
+    tradeHistory();
+    const portfolio = await portfolioService.getPortfolio(ALICE);
+    const [position] = portfolio.positions;
+
+    assert.strictEqual(portfolio.positions.length, 1);
+    assert.deepStrictEqual(
+      [position.position, position.averageEntryPrice, position.realizedPnl, position.unrealizedPnl, position.totalPnl],
+      [15, 15, 75, 150, 225],
+    );
+    assert.deepStrictEqual([position.boughtAmount, position.buyQuoteAmount, position.soldAmount], [20, 300, 5]);
+    assert.deepStrictEqual([position.markPrice, position.trades], [25, 3]);
+    assert.deepStrictEqual(portfolio.pnlByQuoteToken, [
+      { quoteToken: QUOTE, realizedPnl: 75, unrealizedPnl: 150, unpriced: 0 },
+    ]);
+
+    const base = portfolio.balances.find((balance) => balance.token === BASE);
+    const quote = portfolio.balances.find((balance) => balance.token === QUOTE);
+    assert.deepStrictEqual([base.walletBalance, base.dexBalance, base.totalBalance], ['7', '8', '15']);
+    assert.deepStrictEqual([quote.totalBalance, quote.dexBalanceError], ['100', 'DEX unavailable']);
+  });
+
+  it('leaves rolled back fills out and closes positions back to flat', async () => {
+    const sell = tradeHistory();
+    place({ id: 'bid-2', trader: BOB, side: 'BUY', amount: 15, price: 12 });
+    place({ id: 'close', trader: ALICE, side: 'SELL', amount: 15, price: 12 });
+    sell.metadata.trades[0].settlement = { success: false, reconciled: 'ROLLED_BACK' };
+    priceOracleService.describePair = async () => null;
+
+    const [position] = (await portfolioService.getPortfolio(ALICE)).positions;
+
+    assert.strictEqual(position.trades, 3);
+    assert.strictEqual(position.position, 5);
+    assert.strictEqual(position.realizedPnl, -45);
+    assert.strictEqual(position.unrealizedPnl, null);
+  });
+});
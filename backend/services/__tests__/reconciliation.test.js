@@ -0,0 +1,193 @@
+const { describe, beforeEach, afterEach, it } = require('node:test');
+const assert = require('assert/strict');
+
+const matchingService = require('../matching.service');
+const orderService = require('../order.service');
+const blockchainService = require('../blockchain.service');
+const eventListenerService = require('../event-listener.service');
+const reconciliationService = require('../reconciliation.service');
+const Order = require('../../models/Order');
+
+const { DISCREPANCY_TYPES } = reconciliationService;
+const BASE_TOKEN = 'AAA';
+const QUOTE_TOKEN = 'BBB';
+const ONE = 10n ** 18n;
+
+function submit({ id, side, amount, price, hash, nonce = null }) {
+  const baseUnits = BigInt(amount) * ONE;
+  const quoteUnits = baseUnits * BigInt(price);
+  const order = new Order({
+    id,
+    // Buys and sells come from different traders, clear of self-trade prevention.
+    trader: side === 'BUY' ? '0x0000000000000000000000000000000000000002' : '0x0000000000000000000000000000000000000001',
+    baseToken: BASE_TOKEN,
+    quoteToken: QUOTE_TOKEN,
+    orderType: 'LIMIT',
+    side,
+    amount,
+    price,
+    onchain: side === 'SELL'
+      ? { amountGive: baseUnits.toString(), amountGet: quoteUnits.toString() }
+      : { amountGive: quoteUnits.toString(), amountGet: baseUnits.toString() },
+    nonce,
+    metadata: hash ? { orderHash: hash } : {},
+  });
+  orderService.orders.set(order.id, order);
+  matchingService.addOrder(order);
+  return order;
+}
+
+function restingIds() {
+  const book = matchingService.orderBooks.get('aaa-bbb');
+  return book ? [...book.buy, ...book.sell].map((order) => order.id) : [];
+}
+
+describe('Settlement reconciliation', () => {
+  let originalCallDex;
+
+  beforeEach(() => {
+    matchingService.orderBooks.clear();
+    matchingService.marketPrices.clear();
+    matchingService.marketPriceMeta.clear();
+    orderService.orders.clear();
+    reconciliationService.reset();
+    reconciliationService.subscribe();
+    originalCallDex = blockchainService.callDex;
+  });
+
+  afterEach(() => {
+    blockchainService.callDex = originalCallDex;
+    reconciliationService.reset();
+  });
+
+  it('cancels orders that were cancelled directly on-chain', async () => {
+    const order = submit({ id: 'maker', side: 'SELL', amount: 2, price: 10, hash: '0xAA' });
+
+    await eventListenerService.emit({ name: 'OrderCancelled', args: { orderHash: '0xaa', reason: 'user' } });
+
+    assert.strictEqual(order.status, 'CANCELLED');
+    assert.strictEqual(order.metadata.cancelReason, 'ONCHAIN_CANCELLED');
+    assert.deepStrictEqual(restingIds(), []);
+    const [entry] = reconciliationService.getReport().discrepancies;
+    assert.strictEqual(entry.type, DISCREPANCY_TYPES.CANCELLED_ONCHAIN);
+    assert.strictEqual(entry.status, 'RESOLVED');
+  });
+
+  it('applies fills executed on-chain outside the matching engine', async () => {
+    const order = submit({ id: 'maker', side: 'BUY', amount: 2, price: 10, hash: '0xbb' });
+    blockchainService.callDex = async (method) => (method === 'filled' ? 10n * ONE : false);
+
+    await eventListenerService.emit({
+      name: 'OrderExecuted',
+      transactionHash: '0x01',
+      args: { orderHash: '0xbb', fillAmount: (10n * ONE).toString() },
+    });
+
+    assert.strictEqual(order.status, 'PARTIAL');
+    assert.strictEqual(order.filledUnits, ONE);
+    assert.strictEqual(order.giveFilledUnits, 10n * ONE);
+    assert.deepStrictEqual(restingIds(), ['maker']);
+    assert.strictEqual(reconciliationService.getReport({ status: 'open' }).open, 0);
+  });
+
+  it('rolls back fills whose settlement failed and reports unexplained drift', async () => {
+    const maker = submit({ id: 'maker', side: 'SELL', amount: 2, price: 10, hash: '0xcc' });
+    const other = submit({ id: 'other', side: 'SELL', amount: 1, price: 12, hash: '0xdd' });
+    const taker = submit({ id: 'taker', side: 'BUY', amount: 3, price: 12 });
+    assert.strictEqual(maker.status, 'FILLED');
+    assert.strictEqual(other.status, 'FILLED');
+    const [makerTrade] = taker.metadata.trades;
+    makerTrade.settlement = { success: false, error: 'execution reverted' };
+    // The failed trade has aged out of the pair's recent trade history.
+    matchingService.orderBooks.get('aaa-bbb').trades.length = 0;
+
+    blockchainService.callDex = async (method) => (method === 'filled' ? 0n : false);
+    await reconciliationService.audit();
+
+    assert.strictEqual(maker.status, 'PENDING');
+    assert.strictEqual(maker.filledUnits, 0n);
+    assert.strictEqual(maker.giveFilledUnits, 0n);
+    assert.strictEqual(makerTrade.settlement.reconciled, 'ROLLED_BACK');
+    assert.deepStrictEqual(orderService.getOrderFills('maker').map((fill) => fill.settlementStatus), ['ROLLED_BACK']);
+
+    assert.strictEqual(taker.status, 'PARTIAL');
+    assert.strictEqual(taker.filledUnits, ONE);
+    assert.strictEqual(taker.giveFilledUnits, 12n * ONE);
+    assert.deepStrictEqual(
+      orderService.getOrderFills('taker').map((fill) => [fill.counterpartyOrderId, fill.settlementStatus]),
+      [['maker', 'ROLLED_BACK'], ['other', 'UNSETTLED']],
+    );
+    assert.deepStrictEqual(restingIds(), ['taker', 'maker']);
+
+    assert.strictEqual(other.status, 'FILLED');
+    const report = reconciliationService.getReport({ status: 'OPEN' });
+    assert.strictEqual(report.open, 1);
+    assert.strictEqual(report.discrepancies[0].orderId, 'other');
+    assert.strictEqual(report.discrepancies[0].type, DISCREPANCY_TYPES.FILL_NOT_SETTLED);
+
+    blockchainService.callDex = async (method) => (method === 'filled' ? ONE : false);
+    await reconciliationService.audit();
+    assert.strictEqual(reconciliationService.getReport().open, 0);
+  });
+
+  it('reads the on-chain fill total instead of adding up event amounts', async () => {
+    const order = submit({ id: 'maker', side: 'BUY', amount: 2, price: 10, hash: '0xee' });
+    const reads = [];
+    blockchainService.callDex = async (method, args) => {
+      reads.push([method, ...args]);
+      return 10n * ONE;
+    };
+
+    // Both events carry the same fill, e.g. once live and once replayed after a restart.
+    const event = { name: 'OrderExecuted', args: { orderHash: '0xee', fillAmount: (10n * ONE).toString() } };
+    await eventListenerService.emit(event);
+    await eventListenerService.emit(event);
+    await eventListenerService.emit({ name: 'OrderExecuted', args: { orderHash: '0xff', fillAmount: '1' } });
+
+    assert.strictEqual(order.filledUnits, ONE);
+    assert.strictEqual(order.giveFilledUnits, 10n * ONE);
+    assert.deepStrictEqual(reads, [['filled', '0xee'], ['filled', '0xee']]);
+  });
+
+  it('only audits orders that are open or not settled yet', async () => {
+    const open = submit({ id: 'open', side: 'SELL', amount: 1, price: 10, hash: '0x01' });
+    const settled = submit({ id: 'settled', side: 'SELL', amount: 1, price: 9, hash: '0x02' });
+    const taker = submit({ id: 'taker', side: 'BUY', amount: 1, price: 9 });
+    assert.strictEqual(settled.status, 'FILLED');
+    const [trade] = taker.metadata.trades;
+    trade.settlement = { state: 'CONFIRMED' };
+    orderService._indexTrade(trade);
+
+    const audited = [];
+    blockchainService.callDex = async (method, args) => {
+      if (method === 'filled') {
+        audited.push(args[0]);
+      }
+      return method === 'filled' ? 0n : false;
+    };
+    await reconciliationService.audit();
+
+    assert.strictEqual(open.status, 'PENDING');
+    assert.deepStrictEqual(audited, ['0x01']);
+  });
+
+  it('keeps auditing when one maker nonce cannot be read', async () => {
+    const first = submit({ id: 'first', side: 'SELL', amount: 1, price: 10, hash: '0x03', nonce: 0 });
+    const stale = submit({ id: 'stale', side: 'BUY', amount: 1, price: 9, hash: '0x04', nonce: 0 });
+    blockchainService.callDex = async (method, [account]) => {
+      if (method === 'getNonce') {
+        if (account === first.trader.toLowerCase()) {
+          throw new Error('rpc unavailable');
+        }
+        return 1n;
+      }
+      return method === 'filled' ? 0n : false;
+    };
+
+    await reconciliationService.audit();
+
+    assert.strictEqual(first.status, 'PENDING');
+    assert.strictEqual(stale.status, 'CANCELLED');
+    assert.ok(reconciliationService.getReport().lastAuditAt);
+  });
+});
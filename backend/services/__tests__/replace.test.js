@@ -0,0 +1,182 @@
+const { describe, beforeEach, afterEach, it } = require('node:test');
+const assert = require('assert/strict');
+
+const blockchainService = require('../blockchain.service');
+const matchingService = require('../matching.service');
+const orderService = require('../order.service');
+const reconciliationService = require('../reconciliation.service');
+const riskService = require('../risk.service');
+const settlementQueue = require('../settlement-queue.service');
+const Order = require('../../models/Order');
+
+const BASE = '0x00000000000000000000000000000000000000d1';
+const QUOTE = '0x00000000000000000000000000000000000000d2';
+const ALICE = '0x0000000000000000000000000000000000000001';
+const BOB = '0x0000000000000000000000000000000000000002';
+const CAROL = '0x0000000000000000000000000000000000000003';
+
+function buildOrder({ id, trader = ALICE, side = 'SELL', amount = 10n, price = 10n, ...fields }) {
+  const quoteAmount = amount * price;
+  const sell = side === 'SELL';
+  return new Order({
+    id,
+    trader,
+    baseToken: BASE,
+    quoteToken: QUOTE,
+    side,
+    amount: Number(amount),
+    price: Number(price),
+    baseDecimals: 0,
+    quoteDecimals: 0,
+    ...fields,
+    onchain: {
+      maker: trader,
+      tokenGive: sell ? BASE : QUOTE,
+      amountGive: String(sell ? amount : quoteAmount),
+      tokenGet: sell ? QUOTE : BASE,
+      amountGet: String(sell ? quoteAmount : amount),
+    },
+  });
+}
+
+async function rest(order) {
+  await riskService.reserve(order);
+  orderService.orders.set(order.id, order);
+  matchingService.addOrder(order);
+  return order;
+}
+
+function sellIds() {
+  return matchingService.orderBooks.get(`${BASE}-${QUOTE}`).sell.map((order) => order.id);
+}
+
+describe('Order replacement', () => {
+  let originalGetDexBalance;
+  let originalEnqueue;
+
+  beforeEach(() => {
+    originalGetDexBalance = blockchainService.getDexBalance;
+    originalEnqueue = settlementQueue.enqueue;
+    blockchainService.getDexBalance = async (trader, token) => (token === BASE ? '10' : '1000');
+    settlementQueue.enqueue = () => null;
+    matchingService.orderBooks.clear();
+    matchingService.marketPrices.clear();
+    matchingService.marketPriceMeta.clear();
+    orderService.orders.clear();
+    riskService.reset();
+    riskService.configure({ enabled: true, mode: 'reject' });
+    riskService.attach(matchingService);
+  });
+
+  afterEach(() => {
+    blockchainService.getDexBalance = originalGetDexBalance;
+    settlementQueue.enqueue = originalEnqueue;
+    riskService.detach();
+  });
+
+  it('keeps time priority for a size-down at the same price and links the two orders', async () => {
+    const original = await rest(buildOrder({ id: 'original' }));
+    await rest(buildOrder({ id: 'other', trader: BOB }));
+
+    const result = await orderService.placeReplacement(original, buildOrder({ id: 'amended', amount: 6n }));
+
+    assert.strictEqual(result.priorityKept, true);
+    assert.strictEqual(result.onchainCancelRequired, false);
+    assert.deepStrictEqual(sellIds(), ['amended', 'other']);
+    assert.strictEqual(result.order.sequence, original.sequence);
+    assert.strictEqual(original.status, 'CANCELLED');
+    assert.strictEqual(original.metadata.cancelReason, 'REPLACED');
+    assert.strictEqual(original.metadata.replacedBy, 'amended');
+    assert.strictEqual(result.order.metadata.replaces, 'original');
+    assert.strictEqual(riskService.getReservedAmount(ALICE, BASE), 6n);
+  });
+
+  it('sends other amendments to the back of the queue and lets them match', async () => {
+    const original = await rest(buildOrder({ id: 'original', amount: 5n }));
+    await rest(buildOrder({ id: 'other', trader: BOB }));
+
+    const bigger = await orderService.placeReplacement(original, buildOrder({ id: 'bigger' }));
+    assert.strictEqual(bigger.priorityKept, false);
+    assert.deepStrictEqual(sellIds(), ['other', 'bigger']);
+
+    await rest(buildOrder({ id: 'bid', trader: CAROL, side: 'BUY', amount: 4n, price: 9n }));
+    const crossing = await orderService.placeReplacement(bigger.order, buildOrder({ id: 'crossing', price: 9n }));
+
+    assert.strictEqual(crossing.order.status, 'PARTIAL');
+    assert.deepStrictEqual(crossing.order.metadata.trades.map((trade) => trade.makerOrderId), ['bid']);
+    assert.deepStrictEqual(sellIds(), ['crossing', 'other']);
+  });
+
+  it('asks for an on-chain cancel once the old order has fills and rejects mismatched amendments', async () => {
+    const original = await rest(buildOrder({ id: 'original' }));
+    matchingService.addOrder(buildOrder({ id: 'taker', trader: BOB, side: 'BUY', amount: 3n }));
+    assert.strictEqual(original.status, 'PARTIAL');
+
+    await assert.rejects(
+      orderService.placeReplacement(original, buildOrder({ id: 'flipped', side: 'BUY' })),
+      /keep the trader, pair, side and order type/,
+    );
+    assert.strictEqual(original.status, 'PARTIAL');
+
+    // The signed remainder of 7 can still execute on-chain, so it stays
+    // reserved next to the amendment until the cancel is mined.
+    await assert.rejects(
+      orderService.placeReplacement(original, buildOrder({ id: 'too-big', amount: 4n })),
+      /Insufficient DEX balance/,
+    );
+    const result = await orderService.placeReplacement(original, buildOrder({ id: 'amended', amount: 3n }));
+    assert.strictEqual(result.priorityKept, true);
+    assert.strictEqual(result.onchainCancelRequired, true);
+    assert.strictEqual(original.metadata.onchainCancelPending, true);
+    assert.strictEqual(riskService.getReservedAmount(ALICE, BASE), 10n);
+
+    await assert.rejects(
+      orderService.placeReplacement(original, buildOrder({ id: 'again', amount: 3n })),
+      /CANCELLED and cannot be replaced/,
+    );
+
+    original.metadata.orderHash = '0xa1';
+    reconciliationService.handleOrderCancelled({ args: { orderHash: '0xa1' } });
+    assert.strictEqual(original.metadata.onchainCancelPending, undefined);
+    assert.strictEqual(riskService.getReservedAmount(ALICE, BASE), 3n);
+  });
+
+  it('replaces a market order resting on its own queue', async () => {
+    const original = await rest(buildOrder({ id: 'market', orderType: 'MARKET' }));
+    const book = matchingService.orderBooks.get(`${BASE}-${QUOTE}`);
+    assert.deepStrictEqual(book.marketSell.map((order) => order.id), ['market']);
+
+    const result = await orderService.placeReplacement(original, buildOrder({ id: 'smaller', orderType: 'MARKET', amount: 4n }));
+
+    assert.strictEqual(result.priorityKept, true);
+    assert.deepStrictEqual(book.marketSell.map((order) => order.id), ['smaller']);
+    assert.strictEqual(original.status, 'CANCELLED');
+  });
+
+  it('leaves everything untouched when the old order is no longer on the book', async () => {
+    const original = buildOrder({ id: 'detached' });
+    await riskService.reserve(original);
+    orderService.orders.set(original.id, original);
+
+    await assert.rejects(
+      orderService.placeReplacement(original, buildOrder({ id: 'amended', amount: 6n })),
+      /not on the book/,
+    );
+    assert.strictEqual(original.status, 'PENDING');
+    assert.strictEqual(orderService.orders.has('amended'), false);
+    assert.strictEqual(riskService.getReservedAmount(ALICE, BASE), 10n);
+  });
+
+  it('expires an amendment that keeps priority but is already past its expiry', async () => {
+    const original = await rest(buildOrder({ id: 'original' }));
+    await rest(buildOrder({ id: 'other', trader: BOB }));
+
+    const result = await orderService.placeReplacement(
+      original,
+      buildOrder({ id: 'stale', amount: 6n, expiry: Math.floor(Date.now() / 1000) - 60 }),
+    );
+
+    assert.strictEqual(result.order.status, 'EXPIRED');
+    assert.deepStrictEqual(sellIds(), ['other']);
+  });
+});
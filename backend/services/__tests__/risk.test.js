@@ -0,0 +1,148 @@
+const { describe, beforeEach, afterEach, it } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const blockchainService = require('../blockchain.service');
+const matchingService = require('../matching.service');
+const riskService = require('../risk.service');
+const tokenService = require('../token.service');
+const Order = require('../../models/Order');
+const JsonStore = require('../../utils/json-store');
+
+const BASE = '0x00000000000000000000000000000000000000b1';
+const QUOTE = '0x00000000000000000000000000000000000000c1';
+const MAKER = '0x0000000000000000000000000000000000000001';
+const TAKER = '0x0000000000000000000000000000000000000002';
+
+// Sells give base units; buys give quote units at the signed price.
+function buildOrder({ id, trader = MAKER, side = 'SELL', amount = 100n, price = 2n }) {
+  const quoteAmount = amount * price;
+  const sell = side === 'SELL';
+  return new Order({
+    id,
+    trader,
+    baseToken: BASE,
+    quoteToken: QUOTE,
+    side,
+    amount: Number(amount),
+    price: Number(price),
+    baseDecimals: 0,
+    quoteDecimals: 0,
+    onchain: {
+      maker: trader,
+      tokenGive: sell ? BASE : QUOTE,
+      amountGive: String(sell ? amount : quoteAmount),
+      tokenGet: sell ? QUOTE : BASE,
+      amountGet: String(sell ? quoteAmount : amount),
+    },
+  });
+}
+
+describe('Pre-trade risk checks', () => {
+  let originalGetDexBalance;
+  let balances;
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'risk-test-'));
+    tokenService.useStore(new JsonStore('tokens.json', { directory }));
+    originalGetDexBalance = blockchainService.getDexBalance;
+    balances = new Map();
+    blockchainService.getDexBalance = async (trader, token) => {
+      const key = `${trader}:${token}`.toLowerCase();
+      if (!balances.has(key)) {
+        throw new Error('Blockchain provider is not initialized');
+      }
+      return balances.get(key).toString();
+    };
+    matchingService.orderBooks.clear();
+    riskService.reset();
+    riskService.configure({ enabled: true, mode: 'reject' });
+    riskService.attach(matchingService);
+  });
+
+  afterEach(() => {
+    blockchainService.getDexBalance = originalGetDexBalance;
+    riskService.detach();
+    riskService.reset();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  function fund(trader, token, amount) {
+    balances.set(`${trader}:${token}`.toLowerCase(), amount);
+  }
+
+  it('reserves balance across open orders and rejects or flags over-commitment', async () => {
+    fund(MAKER, BASE, 150n);
+    const first = buildOrder({ id: 'sell-1', amount: 100n });
+    const assessment = await riskService.reserve(first);
+    assert.strictEqual(assessment.available, '150');
+    assert.strictEqual(first.metadata.risk.overCommitted, false);
+    assert.strictEqual(riskService.getReservedAmount(MAKER, BASE), 100n);
+
+    await assert.rejects(
+      () => riskService.reserve(buildOrder({ id: 'sell-2', amount: 60n })),
+      /Insufficient DEX balance: order needs 60 .* only 50 is available after 100 reserved/,
+    );
+    assert.strictEqual(riskService.getReservedAmount(MAKER, BASE), 100n);
+
+    riskService.configure({ mode: 'flag' });
+    const flagged = buildOrder({ id: 'sell-3', amount: 60n });
+    await riskService.reserve(flagged);
+    assert.strictEqual(flagged.metadata.risk.overCommitted, true);
+
+    const { reservations } = await riskService.getReservations(MAKER);
+    assert.strictEqual(reservations.length, 1);
+    assert.strictEqual(reservations[0].reserved, '160');
+    assert.strictEqual(reservations[0].available, '0');
+    assert.strictEqual(reservations[0].overCommitted, true);
+    assert.deepStrictEqual(reservations[0].orders.map((order) => order.orderId), ['sell-1', 'sell-3']);
+  });
+
+  it('counts orders whose balance check is still in flight', async () => {
+    fund(MAKER, BASE, 150n);
+    const results = await Promise.allSettled([
+      riskService.reserve(buildOrder({ id: 'race-1', amount: 100n })),
+      riskService.reserve(buildOrder({ id: 'race-2', amount: 100n })),
+    ]);
+    assert.deepStrictEqual(results.map((result) => result.status), ['fulfilled', 'rejected']);
+    assert.match(results[1].reason.message, /only 50 is available after 100 reserved/);
+    assert.strictEqual(riskService.reservations.has('race-2'), false);
+    assert.strictEqual(riskService.getReservedAmount(MAKER, BASE), 100n);
+  });
+
+  it('shrinks reservations on fills and releases them on cancel', async () => {
+    fund(MAKER, BASE, 100n);
+    fund(TAKER, QUOTE, 80n);
+    const sell = buildOrder({ id: 'sell', amount: 100n });
+    const buy = buildOrder({ id: 'buy', trader: TAKER, side: 'BUY', amount: 40n });
+    await riskService.reserve(sell);
+    matchingService.addOrder(sell);
+    await riskService.reserve(buy);
+    matchingService.addOrder(buy);
+
+    assert.strictEqual(buy.status, 'FILLED');
+    assert.strictEqual(riskService.getReservedAmount(TAKER, QUOTE), 0n);
+    assert.strictEqual(riskService.reservations.has('buy'), false);
+    assert.strictEqual(riskService.getReservedAmount(MAKER, BASE), 60n);
+
+    sell.cancel();
+    matchingService.cancelOrder(sell);
+    assert.strictEqual(riskService.reservations.size, 0);
+    assert.deepStrictEqual((await riskService.getReservations(MAKER)).reservations, []);
+  });
+
+  it('accepts orders when the DEX balance cannot be read', async () => {
+    const order = buildOrder({ id: 'unchecked', amount: 10n });
+    const assessment = await riskService.reserve(order);
+    assert.strictEqual(assessment.balance, null);
+    assert.match(assessment.error, /not initialized/);
+    assert.strictEqual(riskService.getReservedAmount(MAKER, BASE), 10n);
+
+    riskService.configure({ enabled: false });
+    assert.strictEqual(await riskService.reserve(buildOrder({ id: 'disabled' })), null);
+    assert.strictEqual(riskService.reservations.has('disabled'), false);
+  });
+});
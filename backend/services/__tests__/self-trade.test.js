@@ -0,0 +1,130 @@
+const { describe, beforeEach, afterEach, it } = require('node:test');
+const assert = require('assert/strict');
+
+const matchingService = require('../matching.service');
+const Order = require('../../models/Order');
+
+const { SELF_TRADE_PREVENTION } = matchingService;
+const ALICE = '0x00000000000000000000000000000000000000a1';
+const BOB = '0x00000000000000000000000000000000000000b0';
+const CREATED_AT = new Date('2026-01-01T00:00:00Z');
+
+function order({ id, trader = ALICE, side, amount, price = 10, selfTradePrevention = null }) {
+  return new Order({
+    id,
+    trader,
+    baseToken: 'STP',
+    quoteToken: 'USD',
+    side,
+    amount,
+    price,
+    selfTradePrevention,
+    baseDecimals: 0,
+    quoteDecimals: 0,
+    createdAt: CREATED_AT,
+  });
+}
+
+function sellIds() {
+  return matchingService.orderBooks.get('stp-usd').sell.map((entry) => entry.id);
+}
+
+describe('Self-trade prevention', () => {
+  beforeEach(() => {
+    matchingService.orderBooks.clear();
+    matchingService.marketPrices.clear();
+    matchingService.marketPriceMeta.clear();
+  });
+
+  afterEach(() => {
+    matchingService.configure({ selfTradePrevention: SELF_TRADE_PREVENTION.CANCEL_NEWEST });
+  });
+
+  it('keeps time priority by sequence when timestamps tie', () => {
+    ['first', 'second', 'third'].forEach((id) => matchingService.addOrder(order({ id, trader: BOB, side: 'SELL', amount: 1 })));
+    assert.deepStrictEqual(sellIds(), ['first', 'second', 'third']);
+
+    const taker = order({ id: 'taker', side: 'BUY', amount: 1 });
+    matchingService.addOrder(taker);
+    assert.strictEqual(taker.metadata.trades[0].makerOrderId, 'first');
+  });
+
+  it('cancels the incoming order by default and leaves the resting one', () => {
+    const resting = order({ id: 'resting', side: 'SELL', amount: 5 });
+    matchingService.addOrder(resting);
+    const taker = order({ id: 'taker', side: 'BUY', amount: 5 });
+    matchingService.addOrder(taker);
+
+    assert.strictEqual(taker.status, 'CANCELLED');
+    assert.strictEqual(taker.metadata.cancelReason, 'SELF_TRADE_PREVENTION');
+    assert.strictEqual(taker.metadata.trades, undefined);
+    assert.strictEqual(resting.status, 'PENDING');
+    assert.deepStrictEqual(sellIds(), ['resting']);
+    assert.deepStrictEqual(matchingService.orderBooks.get('stp-usd').buy, []);
+  });
+
+  it('cancels the resting order and keeps matching in cancel_oldest mode', () => {
+    matchingService.configure({ selfTradePrevention: SELF_TRADE_PREVENTION.CANCEL_OLDEST });
+    const own = order({ id: 'own', side: 'SELL', amount: 5 });
+    const other = order({ id: 'other', trader: BOB, side: 'SELL', amount: 5 });
+    matchingService.addOrder(own);
+    matchingService.addOrder(other);
+    const taker = order({ id: 'taker', side: 'BUY', amount: 3 });
+    matchingService.addOrder(taker);
+
+    assert.strictEqual(own.status, 'CANCELLED');
+    assert.strictEqual(taker.status, 'FILLED');
+    assert.deepStrictEqual(taker.metadata.trades.map((trade) => trade.makerOrderId), ['other']);
+  });
+
+  it('cancels both orders when either side asks for cancel_both', () => {
+    const resting = order({ id: 'resting', side: 'SELL', amount: 5 });
+    matchingService.addOrder(resting);
+    const taker = order({ id: 'taker', side: 'BUY', amount: 5, selfTradePrevention: 'cancel_both' });
+    matchingService.addOrder(taker);
+
+    assert.deepStrictEqual([taker.status, resting.status], ['CANCELLED', 'CANCELLED']);
+    assert.deepStrictEqual(sellIds(), []);
+  });
+
+  it('decrements both orders by the smaller size without trading', () => {
+    matchingService.configure({ selfTradePrevention: SELF_TRADE_PREVENTION.DECREMENT });
+    const resting = order({ id: 'resting', side: 'SELL', amount: 5 });
+    matchingService.addOrder(resting);
+    const taker = order({ id: 'taker', side: 'BUY', amount: 8 });
+    matchingService.addOrder(taker);
+
+    assert.strictEqual(resting.status, 'CANCELLED');
+    assert.strictEqual(resting.filledUnits, 0n);
+    assert.strictEqual(taker.reducedUnits, 5n);
+    assert.strictEqual(taker.remainingUnits, 3n);
+    assert.strictEqual(taker.status, 'PENDING');
+    assert.deepStrictEqual(matchingService.orderBooks.get('stp-usd').buy.map((entry) => entry.id), ['taker']);
+    assert.strictEqual(new Order(taker.toJSON()).remainingUnits, 3n);
+  });
+
+  it('keeps triggered stop-loss orders of one trader from filling each other', () => {
+    // A pair no other test has traded, so neither stop triggers on its own
+    // from an earlier price.
+    const stop = (id, side) => new Order({
+      ...order({ id, side, amount: 2 }).toJSON(),
+      baseToken: 'TRG',
+      orderType: 'STOP_LOSS',
+      stopPrice: 10,
+    });
+    const buyStop = stop('buy-stop', 'BUY');
+    const sellStop = stop('sell-stop', 'SELL');
+    matchingService.addOrder(buyStop);
+    matchingService.addOrder(sellStop);
+    assert.strictEqual(buyStop.status, 'PENDING');
+    assert.strictEqual(sellStop.status, 'PENDING');
+    matchingService.updateMarketPrice('TRG', 'USD', 10);
+
+    assert.strictEqual(sellStop.status, 'CANCELLED');
+    assert.strictEqual(sellStop.metadata.cancelReason, 'SELF_TRADE_PREVENTION');
+    assert.strictEqual(sellStop.metadata.selfTradePrevention.counterparty, 'buy-stop');
+    assert.strictEqual(buyStop.filledUnits, 0n);
+    assert.strictEqual(sellStop.filledUnits, 0n);
+    assert.deepStrictEqual(matchingService.orderBooks.get('trg-usd').trades, []);
+  });
+});
@@ -0,0 +1,391 @@
+const { describe, beforeEach, afterEach, it } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const blockchainService = require('../blockchain.service');
+const matchingService = require('../matching.service');
+const orderService = require('../order.service');
+const settlementService = require('../settlement.service');
+const settlementQueue = require('../settlement-queue.service');
+const Order = require('../../models/Order');
+const JsonStore = require('../../utils/json-store');
+const NonceManager = require('../../utils/nonce-manager');
+
+const { SETTLEMENT_STATES } = settlementQueue;
+const MAKER = '0x0000000000000000000000000000000000000001';
+
+function buildOrder(id) {
+  return new Order({
+    id,
+    trader: MAKER,
+    baseToken: '0x00000000000000000000000000000000000000a1',
+    quoteToken: '0x00000000000000000000000000000000000000b2',
+    side: 'SELL',
+    amount: 1,
+    price: 2,
+    onchain: {
+      maker: MAKER,
+      tokenGive: '0x00000000000000000000000000000000000000a1',
+      tokenGet: '0x00000000000000000000000000000000000000b2',
+      amountGive: '1000',
+      amountGet: '2000',
+      nonce: 0,
+      expiry: 0,
+      signature: '0x1234',
+    },
+  });
+}
+
+function signedOrder(id, trader, side, onchain) {
+  return new Order({
+    id,
+    trader,
+    baseToken: '0x00000000000000000000000000000000000000a1',
+    quoteToken: '0x00000000000000000000000000000000000000b2',
+    side,
+    amount: 1,
+    price: 2,
+    onchain: { maker: trader, nonce: 0, expiry: 0, signature: '0x1234', ...onchain },
+  });
+}
+
+function enqueue(id) {
+  const trade = { makerOrderId: id, takerOrderId: `${id}-taker`, fillAmount: '500', timestamp: new Date() };
+  const entry = settlementQueue.enqueue({ trade, makerOrder: buildOrder(id), takerOrder: { id: `${id}-taker` } });
+  return { trade, entry };
+}
+
+function waitForState(id, state) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${state}`)), 2000);
+    const check = (entry) => {
+      if (entry.id === id && entry.state === state) {
+        clearTimeout(timer);
+        settlementQueue.off('update', check);
+        resolve(entry);
+      }
+    };
+    settlementQueue.on('update', check);
+    const current = settlementQueue.get(id);
+    if (current) {
+      check(current);
+    }
+  });
+}
+
+describe('Settlement queue', () => {
+  let directory;
+  let chain;
+  const originals = {};
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'settlement-test-'));
+    chain = {
+      pendingNonce: 7,
+      sent: [],
+      executions: [],
+      mined: new Map(),
+      autoMine: true,
+      send: null,
+    };
+
+    const nonceManager = new NonceManager({ getNonce: async () => chain.pendingNonce });
+    const provider = {
+      getFeeData: async () => ({ maxFeePerGas: 100n, maxPriorityFeePerGas: 10n, gasPrice: null }),
+      getTransactionReceipt: async (hash) => chain.mined.get(hash) || null,
+      waitForTransaction: (hash, confirmations, timeout) => new Promise((resolve, reject) => {
+        if (chain.mined.has(hash)) {
+          resolve(chain.mined.get(hash));
+          return;
+        }
+        setTimeout(() => {
+          const error = new Error('timeout');
+          error.code = 'TIMEOUT';
+          reject(error);
+        }, timeout);
+      }),
+    };
+
+    Object.assign(originals, {
+      getNonceManager: blockchainService.getNonceManager,
+      getProvider: blockchainService.getProvider,
+      sendExecution: settlementService.sendExecution,
+      sendTrailingStopUpdate: settlementService.sendTrailingStopUpdate,
+    });
+    blockchainService.getNonceManager = () => nonceManager;
+    blockchainService.getProvider = () => provider;
+    settlementService.sendExecution = async (execution, overrides) => {
+      chain.sent.push(overrides);
+      chain.executions.push(execution);
+      if (chain.send) {
+        await chain.send(overrides, chain.sent.length, execution);
+      }
+      const hash = `0x${String(chain.sent.length).padStart(64, '0')}`;
+      if (chain.autoMine) {
+        chain.mined.set(hash, { hash, blockNumber: 1, status: 1 });
+      }
+      return { hash };
+    };
+
+    settlementQueue.reset();
+    settlementQueue.useStore(new JsonStore('settlements.json', { directory }));
+    settlementQueue.configure({
+      concurrency: 1,
+      maxAttempts: 3,
+      retryBaseDelay: 5,
+      retryMaxDelay: 20,
+      confirmationTimeout: 30,
+      maxReplacements: 2,
+      feeBumpPercent: 20,
+    });
+  });
+
+  afterEach(() => {
+    settlementQueue.reset();
+    blockchainService.getNonceManager = originals.getNonceManager;
+    blockchainService.getProvider = originals.getProvider;
+    settlementService.sendExecution = originals.sendExecution;
+    settlementService.sendTrailingStopUpdate = originals.sendTrailingStopUpdate;
+    orderService.orders.clear();
+    matchingService.orderBooks.clear();
+    matchingService.marketPrices.clear();
+    matchingService.marketPriceMeta.clear();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('retries transient send failures and reuses the nonce that never left', async () => {
+    chain.send = async (overrides, count) => {
+      if (count === 1) {
+        throw new Error('ECONNRESET');
+      }
+    };
+    const { trade, entry } = enqueue('maker-1');
+    assert.strictEqual(trade.settlement.state, SETTLEMENT_STATES.QUEUED);
+    assert.strictEqual(trade.settlement.success, null);
+
+    const confirmed = await waitForState(entry.id, SETTLEMENT_STATES.CONFIRMED);
+    assert.strictEqual(confirmed.attempts, 1);
+    assert.deepStrictEqual(chain.sent.map((overrides) => overrides.nonce), [7, 7]);
+    assert.strictEqual(trade.settlement.success, true);
+    assert.strictEqual(trade.settlement.transactionHash, confirmed.transactionHash);
+  });
+
+  it('replaces a stuck transaction with the same nonce and bumped fees', async () => {
+    chain.autoMine = false;
+    chain.send = async (overrides, count) => {
+      if (count === 2) {
+        chain.autoMine = true;
+      }
+    };
+    const { entry } = enqueue('maker-1');
+
+    const confirmed = await waitForState(entry.id, SETTLEMENT_STATES.CONFIRMED);
+    assert.strictEqual(confirmed.replacements, 1);
+    assert.strictEqual(confirmed.txHashes.length, 2);
+    assert.strictEqual(chain.sent[1].nonce, chain.sent[0].nonce);
+    assert.strictEqual(chain.sent[0].maxFeePerGas, '100');
+    assert.strictEqual(chain.sent[1].maxFeePerGas, '120');
+    assert.strictEqual(chain.sent[1].maxPriorityFeePerGas, '12');
+  });
+
+  it('marks reverted settlements and abandons them once retries run out', async () => {
+    chain.send = async (overrides, count) => {
+      if (count === 1) {
+        const error = new Error('execution reverted: DEX: Order expired');
+        error.code = 'CALL_EXCEPTION';
+        throw error;
+      }
+      throw new Error('503 Service Unavailable');
+    };
+    const reverted = enqueue('maker-1');
+    const revertedEntry = await waitForState(reverted.entry.id, SETTLEMENT_STATES.REVERTED);
+    assert.match(revertedEntry.lastError, /Order expired/);
+    assert.strictEqual(reverted.trade.settlement.success, false);
+    assert.strictEqual(revertedEntry.nonce, null);
+
+    chain.send = null;
+    const next = await waitForState(enqueue('maker-next').entry.id, SETTLEMENT_STATES.CONFIRMED);
+    assert.strictEqual(next.nonce, chain.sent[0].nonce, 'the reverted nonce is handed out again');
+
+    chain.send = async () => {
+      throw new Error('503 Service Unavailable');
+    };
+    const abandoned = enqueue('maker-2');
+    const abandonedEntry = await waitForState(abandoned.entry.id, SETTLEMENT_STATES.ABANDONED);
+    assert.strictEqual(abandonedEntry.attempts, 3);
+    assert.strictEqual(abandoned.trade.settlement.success, false);
+
+    chain.send = null;
+    settlementQueue.retry(abandoned.entry.id);
+    await waitForState(abandoned.entry.id, SETTLEMENT_STATES.CONFIRMED);
+    assert.throws(() => settlementQueue.retry(reverted.entry.id), /Only abandoned settlements/);
+  });
+
+  it('hands out distinct nonces to concurrent settlements and resumes after a restart', async () => {
+    settlementQueue.configure({ concurrency: 2 });
+    const first = enqueue('maker-1');
+    const second = enqueue('maker-2');
+    await Promise.all([
+      waitForState(first.entry.id, SETTLEMENT_STATES.CONFIRMED),
+      waitForState(second.entry.id, SETTLEMENT_STATES.CONFIRMED),
+    ]);
+    assert.deepStrictEqual(chain.sent.map((overrides) => overrides.nonce).sort(), [7, 8]);
+
+    chain.autoMine = false;
+    const pending = enqueue('maker-3');
+    await waitForState(pending.entry.id, SETTLEMENT_STATES.SUBMITTED);
+    const { transactionHash } = settlementQueue.get(pending.entry.id);
+
+    settlementQueue.reset();
+    settlementQueue.useStore(new JsonStore('settlements.json', { directory }));
+    chain.mined.set(transactionHash, { hash: transactionHash, blockNumber: 2, status: 1 });
+    settlementQueue.restore();
+
+    const resumed = await waitForState(pending.entry.id, SETTLEMENT_STATES.CONFIRMED);
+    assert.strictEqual(resumed.transactionHash, transactionHash);
+    assert.strictEqual(settlementQueue.list({ state: 'confirmed' }).length, 3);
+  });
+
+  it('hands a failed nonce back without reissuing one another settlement still holds', async () => {
+    settlementQueue.configure({ concurrency: 2 });
+    chain.send = async (overrides, count) => {
+      if (count === 1) {
+        throw new Error('ECONNRESET');
+      }
+    };
+    const entries = ['maker-1', 'maker-2', 'maker-3'].map((id) => enqueue(id).entry);
+    const confirmed = await Promise.all(entries.map((entry) => waitForState(entry.id, SETTLEMENT_STATES.CONFIRMED)));
+
+    assert.deepStrictEqual(confirmed.map((entry) => entry.nonce).sort(), [7, 8, 9]);
+    assert.deepStrictEqual(chain.sent.map((overrides) => overrides.nonce).sort(), [7, 7, 8, 9]);
+  });
+
+  it('settles a signed taker directly against the maker with matchOrders', async () => {
+    const taker = signedOrder('taker-1', '0x0000000000000000000000000000000000000002', 'BUY', {
+      tokenGive: '0x00000000000000000000000000000000000000b2',
+      tokenGet: '0x00000000000000000000000000000000000000a1',
+      amountGive: '2000',
+      amountGet: '1000',
+    });
+    const trade = { makerOrderId: 'maker-1', takerOrderId: taker.id, fillAmount: '500', timestamp: new Date() };
+    const entry = settlementQueue.enqueue({ trade, makerOrder: buildOrder('maker-1'), takerOrder: taker });
+
+    assert.strictEqual(entry.method, 'matchOrders');
+    assert.deepStrictEqual(entry.fillAmounts, ['500', '1000']);
+    await waitForState(entry.id, SETTLEMENT_STATES.CONFIRMED);
+    assert.strictEqual(chain.executions[0].orders[1].maker, taker.trader);
+    assert.deepStrictEqual(settlementQueue.list({ orderId: taker.id }).map((item) => item.id), [entry.id]);
+  });
+
+  it('settles a batch ring as one transaction shared by all of its trades', async () => {
+    const tokens = [
+      '0x00000000000000000000000000000000000000a1',
+      '0x00000000000000000000000000000000000000b2',
+      '0x00000000000000000000000000000000000000c3',
+    ];
+    const orders = [
+      signedOrder('ring-1', MAKER, 'SELL', { tokenGive: tokens[0], amountGive: '1000', tokenGet: tokens[1], amountGet: '2000' }),
+      signedOrder('ring-2', MAKER, 'SELL', { tokenGive: tokens[1], amountGive: '2000', tokenGet: tokens[2], amountGet: '3000' }),
+      signedOrder('ring-3', MAKER, 'SELL', { tokenGive: tokens[2], amountGive: '3000', tokenGet: tokens[0], amountGet: '1000' }),
+    ];
+    const trades = orders.map((order) => ({ makerOrderId: order.id, batchId: 'batch-1', timestamp: new Date() }));
+
+    assert.throws(
+      () => settlementQueue.enqueueBatch({ batchId: 'batch-1', orders, offerAmounts: ['500', '999', '1500'], trades }),
+      /less than its limit price/,
+    );
+
+    const entry = settlementQueue.enqueueBatch({
+      batchId: 'batch-1',
+      orders,
+      offerAmounts: ['500', '1000', '1500'],
+      trades,
+    });
+    assert.strictEqual(entry.method, 'batchExecute');
+    assert.deepStrictEqual(entry.orderIds, ['ring-1', 'ring-2', 'ring-3']);
+
+    const confirmed = await waitForState(entry.id, SETTLEMENT_STATES.CONFIRMED);
+    assert.strictEqual(chain.sent.length, 1);
+    trades.forEach((trade) => {
+      assert.strictEqual(trade.settlement.success, true);
+      assert.strictEqual(trade.settlement.transactionHash, confirmed.transactionHash);
+    });
+    assert.strictEqual(settlementQueue.list({ orderId: 'ring-3' }).length, 1);
+  });
+
+  it("syncs a trailing stop's on-chain reference so its triggered settlement goes through", async () => {
+    const ONE = 10n ** 18n;
+    const [BASE, QUOTE] = ['0x00000000000000000000000000000000000000a1', '0x00000000000000000000000000000000000000b2'];
+    // Just enough of DEX: the last trade price, and a trailing reference that
+    // only updateTrailingStop moves, starting from the signed stopPrice of 0.
+    const dex = { price: 0n, reference: 0n, updates: [] };
+    const tradePrices = { 'maker-1': 12n * ONE, 'maker-2': (114n * ONE) / 10n, trail: (114n * ONE) / 10n };
+    const revert = (message) => Object.assign(new Error(`execution reverted: ${message}`), { code: 'CALL_EXCEPTION' });
+    chain.send = async (overrides, count, execution) => {
+      const [contractOrder] = execution.orders;
+      const stop = dex.reference > 0n ? dex.reference - BigInt(contractOrder.trailingOffset) : 0n;
+      if (Number(contractOrder.orderType) === 4 && !(stop > 0n && dex.price <= stop)) {
+        throw revert('DEX: Stop price not reached');
+      }
+      dex.price = tradePrices[execution.orderIds[0]];
+    };
+    settlementService.sendTrailingStopUpdate = async (order, overrides) => {
+      if (dex.price <= dex.reference) {
+        throw revert('DEX: Reference price not improved');
+      }
+      dex.reference = dex.price;
+      dex.updates.push(overrides.nonce);
+      const hash = `0x${'f'.repeat(60)}${String(dex.updates.length).padStart(4, '0')}`;
+      chain.mined.set(hash, { hash, blockNumber: 1, status: 1 });
+      return { hash };
+    };
+
+    matchingService.updateMarketPrice(BASE, QUOTE, 10);
+    const trail = new Order({
+      id: 'trail',
+      trader: MAKER,
+      baseToken: BASE,
+      quoteToken: QUOTE,
+      orderType: 'TRAILING_STOP',
+      side: 'SELL',
+      amount: 1,
+      trailingOffset: 0.6,
+      onchain: {
+        maker: MAKER,
+        tokenGive: BASE,
+        tokenGet: QUOTE,
+        amountGive: '1000',
+        amountGet: '1000',
+        orderType: 'TRAILING_STOP',
+        trailingOffset: ((6n * ONE) / 10n).toString(),
+        nonce: 0,
+        expiry: 0,
+        signature: '0x1234',
+      },
+    });
+    const maker = buildOrder('maker-1');
+    [trail, maker].forEach((order) => orderService.orders.set(order.id, order));
+    matchingService.addOrder(trail);
+
+    matchingService.updateMarketPrice(BASE, QUOTE, 12);
+    await waitForState(enqueue('maker-1').entry.id, SETTLEMENT_STATES.CONFIRMED);
+    for (let i = 0; i < 50 && trail.metadata.trailing.syncedReference !== 12; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    assert.strictEqual(trail.metadata.trailing.syncedReference, 12);
+    assert.strictEqual(dex.reference, 12n * ONE);
+
+    matchingService.updateMarketPrice(BASE, QUOTE, 11.4);
+    assert.ok(trail.triggeredAt instanceof Date, 'expected the trailing stop to trigger');
+    enqueue('maker-2');
+    const trade = { makerOrderId: 'trail', takerOrderId: 'trail-taker', fillAmount: '500', timestamp: new Date() };
+    const entry = settlementQueue.enqueue({ trade, makerOrder: trail, takerOrder: { id: 'trail-taker' } });
+
+    const settled = await waitForState(entry.id, SETTLEMENT_STATES.CONFIRMED);
+    assert.deepStrictEqual(dex.updates.length, 1);
+    assert.ok(dex.updates[0] < settled.nonce, 'the update is mined before the stop settles');
+  });
+});
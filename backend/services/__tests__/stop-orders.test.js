@@ -148,4 +148,41 @@ describe('Stop order triggering without prior price history', () => {
     assert.strictEqual(lastTrade.buyOrderId, buyStop.id);
     assert.strictEqual(lastTrade.sellOrderId, sellStop.id);
   });
+
+  it('makes the triggered stop that was queued first the maker, whatever its createdAt', () => {
+    // A pair of its own, so no cached oracle price triggers a stop on entry.
+    const baseToken = 'SEQ';
+    const sellStop = new Order({
+      id: 'sell-stop-first',
+      trader: '0x0000000000000000000000000000000000000006',
+      baseToken,
+      quoteToken: QUOTE_TOKEN,
+      side: 'SELL',
+      amount: 2,
+      orderType: 'STOP_LOSS',
+      stopPrice: 6,
+      createdAt: new Date(Date.now() + 60000),
+    });
+    const buyStop = new Order({
+      id: 'buy-stop-second',
+      trader: '0x0000000000000000000000000000000000000005',
+      baseToken,
+      quoteToken: QUOTE_TOKEN,
+      side: 'BUY',
+      amount: 2,
+      orderType: 'STOP_LOSS',
+      stopPrice: 6,
+      createdAt: new Date(Date.now() - 60000),
+    });
+
+    matchingService.addOrder(sellStop);
+    matchingService.addOrder(buyStop);
+    assert.ok(sellStop.sequence < buyStop.sequence);
+
+    matchingService.updateMarketPrice(baseToken, QUOTE_TOKEN, 6);
+
+    const [trade] = matchingService.getRecentTrades(baseToken, QUOTE_TOKEN);
+    assert.strictEqual(trade.makerOrderId, sellStop.id);
+    assert.strictEqual(trade.takerOrderId, buyStop.id);
+  });
 });
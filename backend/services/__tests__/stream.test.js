@@ -0,0 +1,141 @@
+const { describe, before, after, beforeEach, it } = require('node:test');
+const assert = require('assert/strict');
+const http = require('http');
+const { WebSocket } = require('ws');
+const { ethers } = require('ethers');
+
+const authService = require('../auth.service');
+const matchingService = require('../matching.service');
+const streamService = require('../stream.service');
+const Order = require('../../models/Order');
+
+const BASE_TOKEN = 'AAA';
+const QUOTE_TOKEN = 'BBB';
+
+function buildOrder(overrides) {
+  return new Order({
+    // Buys and sells come from different traders, clear of self-trade prevention.
+    trader: overrides.side === 'BUY' ? '0x0000000000000000000000000000000000000002' : '0x0000000000000000000000000000000000000001',
+    baseToken: BASE_TOKEN,
+    quoteToken: QUOTE_TOKEN,
+    orderType: 'LIMIT',
+    ...overrides,
+  });
+}
+
+function connect(url) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(url);
+    const messages = [];
+    const waiters = [];
+    socket.on('message', (raw) => {
+      const message = JSON.parse(String(raw));
+      messages.push(message);
+      waiters.splice(0).forEach((check) => check());
+    });
+    socket.next = (predicate) => new Promise((resolveNext, rejectNext) => {
+      const timer = setTimeout(() => rejectNext(new Error('Timed out waiting for message')), 2000);
+      const check = () => {
+        const index = messages.findIndex(predicate);
+        if (index === -1) {
+          waiters.push(check);
+          return;
+        }
+        clearTimeout(timer);
+        resolveNext(messages.splice(index, 1)[0]);
+      };
+      check();
+    });
+    socket.once('open', () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+describe('WebSocket streaming', () => {
+  let server;
+  let url;
+
+  before(async () => {
+    server = http.createServer();
+    streamService.attach(server, { heartbeatInterval: 0 });
+    await new Promise((resolve) => server.listen(0, resolve));
+    url = `ws://127.0.0.1:${server.address().port}/ws`;
+  });
+
+  after(async () => {
+    streamService.close();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    matchingService.orderBooks.clear();
+    matchingService.marketPrices.clear();
+    matchingService.marketPriceMeta.clear();
+  });
+
+  it('streams depth snapshots and sequenced diffs, and resyncs on request', async () => {
+    matchingService.addOrder(buildOrder({ id: 'ask-1', side: 'SELL', amount: 2, price: 101 }));
+
+    const socket = await connect(url);
+    socket.send(JSON.stringify({ op: 'subscribe', channel: 'depth', baseToken: BASE_TOKEN, quoteToken: QUOTE_TOKEN }));
+
+    const snapshot = await socket.next((message) => message.type === 'snapshot');
+    assert.strictEqual(snapshot.channel, 'depth:aaa-bbb');
+    assert.strictEqual(snapshot.seq, 0);
+    assert.deepStrictEqual(snapshot.data.asks.map((level) => [level.price, level.amount]), [[101, 2]]);
+
+    matchingService.addOrder(buildOrder({ id: 'bid-1', side: 'BUY', amount: 1, price: 99 }));
+    const firstDiff = await socket.next((message) => message.type === 'update');
+    assert.strictEqual(firstDiff.seq, 1);
+    assert.strictEqual(firstDiff.data.prevSeq, 0);
+    assert.deepStrictEqual(firstDiff.data.bids.map((level) => [level.price, level.amount]), [[99, 1]]);
+
+    matchingService.addOrder(buildOrder({ id: 'lift-ask', side: 'BUY', amount: 2, price: 101 }));
+    const secondDiff = await socket.next((message) => message.type === 'update');
+    assert.strictEqual(secondDiff.seq, 2);
+    assert.deepStrictEqual(secondDiff.data.asks, [{ price: 101, amount: 0, amountUnits: '0', orders: 0 }]);
+
+    socket.send(JSON.stringify({ op: 'resync', channel: 'depth:aaa-bbb' }));
+    const resync = await socket.next((message) => message.type === 'snapshot');
+    assert.strictEqual(resync.seq, 2);
+    assert.deepStrictEqual(resync.data.asks, []);
+
+    socket.close();
+  });
+
+  it('publishes trades and per-trader order status updates', async () => {
+    const originalSettings = { ...authService.settings };
+    authService.configure({ enabled: true, domain: 'dex.test' });
+    const wallet = ethers.Wallet.createRandom();
+    const trader = wallet.address.toLowerCase();
+    const challenge = authService.createChallenge({ address: wallet.address, chainId: 31337 });
+    const { token } = authService.verify({ nonce: challenge.nonce, signature: await wallet.signMessage(challenge.message) });
+
+    const socket = await connect(url);
+    socket.send(JSON.stringify({ op: 'subscribe', channel: `orders:${trader}` }));
+    const refused = await socket.next((message) => message.type === 'error');
+    assert.strictEqual(refused.channel, `orders:${trader}`);
+
+    socket.send(JSON.stringify({ op: 'subscribe', channel: 'trades', baseToken: BASE_TOKEN, quoteToken: QUOTE_TOKEN }));
+    socket.send(JSON.stringify({ op: 'subscribe', channel: 'orders', trader, token }));
+    await socket.next((message) => message.type === 'snapshot' && message.channel === 'trades:aaa-bbb');
+    await socket.next((message) => message.type === 'snapshot' && message.channel === `orders:${trader}`);
+
+    matchingService.addOrder(buildOrder({ id: 'maker', trader, side: 'SELL', amount: 1, price: 50 }));
+    const resting = await socket.next((message) => message.type === 'update' && message.channel === `orders:${trader}`);
+    assert.strictEqual(resting.data.status, 'PENDING');
+
+    matchingService.addOrder(buildOrder({ id: 'taker', side: 'BUY', amount: 1, price: 50 }));
+    const trade = await socket.next((message) => message.type === 'update' && message.channel === 'trades:aaa-bbb');
+    assert.strictEqual(trade.seq, 1);
+    assert.strictEqual(trade.data.makerOrderId, 'maker');
+
+    const filled = await socket.next((message) => message.type === 'update' && message.channel === `orders:${trader}`);
+    assert.strictEqual(filled.seq, 2);
+    assert.strictEqual(filled.data.status, 'FILLED');
+
+    socket.close();
+    authService.revoke(token);
+    authService.settings = originalSettings;
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, beforeEach, it } = require('node:test');
+const assert = require('assert/strict');
+
+const matchingService = require('../matching.service');
+const Order = require('../../models/Order');
+const { normalizeOrderStruct } = require('../../utils/signature');
+
+const BASE_TOKEN = 'TRL';
+const QUOTE_TOKEN = 'USD';
+const PAIR_KEY = `${BASE_TOKEN.toLowerCase()}-${QUOTE_TOKEN.toLowerCase()}`;
+
+function trailingStop(overrides) {
+  return new Order({
+    trader: '0x0000000000000000000000000000000000000001',
+    baseToken: BASE_TOKEN,
+    quoteToken: QUOTE_TOKEN,
+    orderType: 'TRAILING_STOP',
+    amount: 1,
+    ...overrides,
+  });
+}
+
+describe('Trailing stop orders', () => {
+  beforeEach(() => {
+    matchingService.orderBooks.clear();
+    matchingService.marketPrices.clear();
+    matchingService.marketPriceMeta.clear();
+  });
+
+  it('raises a sell stop with new highs and triggers on the pullback', () => {
+    matchingService.updateMarketPrice(BASE_TOKEN, QUOTE_TOKEN, 10);
+    const order = trailingStop({ id: 'trail-sell', side: 'SELL', trailingOffset: 0.5 });
+    matchingService.addOrder(order);
+    assert.deepStrictEqual(
+      [order.metadata.trailing.reference, order.metadata.trailing.stopPrice],
+      [10, 9.5],
+    );
+
+    matchingService.updateMarketPrice(BASE_TOKEN, QUOTE_TOKEN, 12);
+    matchingService.updateMarketPrice(BASE_TOKEN, QUOTE_TOKEN, 11.8);
+    assert.deepStrictEqual(
+      [order.metadata.trailing.reference, order.metadata.trailing.stopPrice],
+      [12, 11.5],
+    );
+    assert.strictEqual(order.triggeredAt, null);
+
+    matchingService.updateMarketPrice(BASE_TOKEN, QUOTE_TOKEN, 11.4);
+    assert.ok(order.triggeredAt instanceof Date, 'expected the trailing stop to trigger');
+    assert.strictEqual(order.metadata.triggeredPrice, 11.4);
+    assert.strictEqual(matchingService.orderBooks.get(PAIR_KEY).stopLoss.length, 0);
+  });
+
+  it('lowers a buy stop by a percentage and starts from the signed reference', () => {
+    const order = trailingStop({ id: 'trail-buy', side: 'BUY', stopPrice: 10, trailingPercent: 10 });
+    matchingService.addOrder(order);
+    assert.strictEqual(order.metadata.trailing.stopPrice, 11);
+
+    matchingService.updateMarketPrice(BASE_TOKEN, QUOTE_TOKEN, 8);
+    assert.strictEqual(order.metadata.trailing.stopPrice, 8.8);
+    matchingService.updateMarketPrice(BASE_TOKEN, QUOTE_TOKEN, 8.7);
+    assert.strictEqual(order.triggeredAt, null);
+
+    matchingService.updateMarketPrice(BASE_TOKEN, QUOTE_TOKEN, 8.9);
+    assert.ok(order.triggeredAt instanceof Date, 'expected the trailing stop to trigger');
+  });
+
+  it('rejects trailing stops without exactly one offset and signs the offset', () => {
+    const missing = trailingStop({ id: 'no-offset', side: 'SELL', stopPrice: 10 });
+    const both = trailingStop({ id: 'both', side: 'SELL', stopPrice: 10, trailingOffset: 1, trailingPercent: 5 });
+    [missing, both].forEach((order) => {
+      matchingService.addOrder(order);
+      assert.strictEqual(order.status, 'REJECTED');
+      assert.strictEqual(order.metadata.rejectReason, 'INVALID_TRAILING_OFFSET');
+    });
+
+    const struct = normalizeOrderStruct({
+      maker: '0x0000000000000000000000000000000000000001',
+      tokenGet: '0x0000000000000000000000000000000000000002',
+      amountGet: '1',
+      tokenGive: '0x0000000000000000000000000000000000000003',
+      amountGive: '1',
+      orderType: 'TRAILING_STOP',
+      side: 'SELL',
+      trailingBps: '250',
+    });
+    assert.deepStrictEqual([struct.orderType, struct.trailingOffset, struct.trailingBps], [4, 0n, 250n]);
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, beforeEach, afterEach, it } = require('node:test');
+const assert = require('assert/strict');
+const { ethers } = require('ethers');
+
+const blockchainService = require('../blockchain.service');
+const walletTransactionService = require('../wallet-transaction.service');
+
+const { TRANSACTION_STATES } = walletTransactionService;
+const DEX = '0x00000000000000000000000000000000000000d1';
+const TOKEN = '0x00000000000000000000000000000000000000a1';
+const USER = '0x0000000000000000000000000000000000000001';
+const DEX_ABI = [
+  'function deposit(address token, uint256 amount)',
+  'function withdraw(address token, uint256 amount)',
+  'function incrementNonce()',
+];
+
+describe('Wallet transaction payloads', () => {
+  let originals;
+  let allowance;
+  let receipts;
+
+  beforeEach(() => {
+    originals = {
+      getDexAddress: blockchainService.getDexAddress,
+      getProvider: blockchainService.getProvider,
+      getChainId: blockchainService.getChainId,
+      getErc20Contract: blockchainService.getErc20Contract,
+      waitForTransaction: blockchainService.waitForTransaction,
+      dexAbi: blockchainService.dexAbi,
+    };
+    allowance = 0n;
+    receipts = [];
+    walletTransactionService.reset();
+    blockchainService.dexAbi = DEX_ABI;
+    blockchainService.getDexAddress = () => DEX;
+    blockchainService.getChainId = async () => 31337;
+    blockchainService.getProvider = () => ({
+      estimateGas: async ({ to }) => {
+        if (to === DEX && allowance === 0n) {
+          throw new Error('ERC20: insufficient allowance');
+        }
+        return 50000n;
+      },
+    });
+    blockchainService.getErc20Contract = () => ({ allowance: async () => allowance });
+    blockchainService.waitForTransaction = () => new Promise((resolve) => receipts.push(resolve));
+  });
+
+  afterEach(() => {
+    Object.assign(blockchainService, originals);
+  });
+
+  it('prepends an approval to a deposit when the allowance is too low', async () => {
+    const prepared = await walletTransactionService.buildDeposit({ from: USER, token: TOKEN, amount: 1000n });
+    assert.deepStrictEqual(prepared.transactions.map((tx) => tx.action), ['approve', 'deposit']);
+
+    const [approve, deposit] = prepared.transactions;
+    assert.strictEqual(approve.to, ethers.getAddress(TOKEN));
+    assert.strictEqual(approve.gasLimit, '50000');
+    assert.strictEqual(deposit.to, DEX);
+    assert.strictEqual(deposit.chainId, 31337);
+    assert.strictEqual(deposit.gasLimit, null);
+    assert.match(deposit.gasEstimateError, /insufficient allowance/);
+    const decoded = new ethers.Interface(DEX_ABI).decodeFunctionData('deposit', deposit.data);
+    assert.strictEqual(decoded[1], 1000n);
+
+    allowance = 1000n;
+    const approved = await walletTransactionService.buildDeposit({ from: USER, token: TOKEN, amount: 1000n });
+    assert.deepStrictEqual(approved.transactions.map((tx) => tx.action), ['deposit']);
+    assert.strictEqual(approved.transactions[0].gasLimit, '50000');
+  });
+
+  it('requires a sender address and a positive amount', async () => {
+    await assert.rejects(() => walletTransactionService.buildWithdraw({ token: TOKEN, amount: 1n }), /sender/);
+    await assert.rejects(
+      () => walletTransactionService.buildWithdraw({ from: USER, token: TOKEN, amount: 0n }),
+      /greater than zero/,
+    );
+  });
+
+  it('tracks broadcast hashes until their receipt arrives', async () => {
+    const hash = `0x${'ab'.repeat(32)}`;
+    const tracked = walletTransactionService.track({ hash, from: USER, action: 'incrementNonce' });
+    assert.strictEqual(tracked.status, TRANSACTION_STATES.PENDING);
+    assert.strictEqual(walletTransactionService.track({ hash }).action, 'incrementNonce');
+    assert.strictEqual(receipts.length, 1);
+
+    receipts[0]({ status: 1, blockNumber: 12, gasUsed: 21000n });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const confirmed = walletTransactionService.getTransaction(hash.toUpperCase().replace('0X', '0x'));
+    assert.strictEqual(confirmed.status, TRANSACTION_STATES.CONFIRMED);
+    assert.strictEqual(confirmed.blockNumber, 12);
+    assert.strictEqual(walletTransactionService.listTransactions({ from: USER }).length, 1);
+    assert.throws(() => walletTransactionService.track({ hash: '0x1234' }), /transaction hash/);
+  });
+});
@@ -0,0 +1,168 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const blockchainService = require('./blockchain.service');
+const feeService = require('./fee.service');
+
+const ROLES = {
+  ADMIN: ethers.ZeroHash,
+  FEE_MANAGER: ethers.id('FEE_MANAGER_ROLE'),
+  PAUSER: ethers.id('PAUSER_ROLE'),
+  LISTING_MANAGER: ethers.id('LISTING_MANAGER_ROLE'),
+};
+
+function requireAddress(value, label) {
+  if (!ethers.isAddress(value)) {
+    throw new Error(`A valid ${label} address is required`);
+  }
+  return ethers.getAddress(value);
+}
+
+function requireBoolean(value, label) {
+  if (typeof value !== 'boolean') {
+    throw new Error(`${label} must be true or false`);
+  }
+  return value;
+}
+
+function requireBps(value, label) {
+  const bps = Number(value);
+  if (!Number.isInteger(bps) || bps < 0) {
+    throw new Error(`${label} must be a non-negative integer number of basis points`);
+  }
+  return bps;
+}
+
+// Accepts a role name (FEE_MANAGER, FEE_MANAGER_ROLE, ...) or its raw bytes32 id.
+function resolveRole(role) {
+  if (typeof role !== 'string' || !role) {
+    throw new Error('A role is required');
+  }
+  if (ethers.isHexString(role, 32)) {
+    return role.toLowerCase();
+  }
+  const name = role.toUpperCase().replace(/_ROLE$/, '');
+  if (name === 'DEFAULT_ADMIN') {
+    return ROLES.ADMIN;
+  }
+  if (!ROLES[name]) {
+    throw new Error(`Unknown role ${role}. Expected one of ${Object.keys(ROLES).join(', ')}`);
+  }
+  return ROLES[name];
+}
+
+function roleName(roleId) {
+  return Object.keys(ROLES).find((name) => ROLES[name] === roleId) || roleId;
+}
+
+// Thin wrapper over the DEX role, pause and listing controls. Transactions are
+// sent from the backend signer, so it needs the matching role on the contract.
+class AdminService {
+  async getStatus() {
+    const [paused, allowlistEnabled, feeCollector, makerFeeBps, takerFeeBps] = await Promise.all([
+      blockchainService.callDex('paused'),
+      blockchainService.callDex('allowlistEnabled'),
+      blockchainService.callDex('feeCollector'),
+      blockchainService.callDex('makerFeeBps'),
+      blockchainService.callDex('takerFeeBps'),
+    ]);
+    return {
+      paused: Boolean(paused),
+      allowlistEnabled: Boolean(allowlistEnabled),
+      feeCollector,
+      makerFeeBps: Number(makerFeeBps),
+      takerFeeBps: Number(takerFeeBps),
+      roles: { ...ROLES },
+    };
+  }
+
+  async getRoles(account) {
+    const address = requireAddress(account, 'account');
+    const names = Object.keys(ROLES);
+    const held = await Promise.all(names.map((name) => blockchainService.callDex('hasRole', [ROLES[name], address])));
+    return {
+      account: address,
+      roles: names.filter((name, index) => Boolean(held[index])),
+    };
+  }
+
+  async isTokenListed(token) {
+    const address = requireAddress(token, 'token');
+    return { token: address, listed: Boolean(await blockchainService.callDex('listedTokens', [address])) };
+  }
+
+  // Role an account needs on the contract to grant or revoke `role`.
+  async getRoleAdmin(role) {
+    const roleId = resolveRole(role);
+    const adminRole = await blockchainService.callDex('getRoleAdmin', [roleId]);
+    return adminRole ? String(adminRole).toLowerCase() : ROLES.ADMIN;
+  }
+
+  // The backend signer holds every role, so each admin request is checked
+  // against the caller's own roles before anything is sent on its behalf.
+  async authorize(caller, roleId) {
+    const address = requireAddress(caller, 'caller');
+    const held = await blockchainService.callDex('hasRole', [roleId, address]);
+    if (!held) {
+      const error = new Error(`${address} does not hold ${roleName(roleId)} on the DEX`);
+      error.status = 403;
+      throw error;
+    }
+    return address;
+  }
+
+  async grantRole(role, account) {
+    const roleId = resolveRole(role);
+    const address = requireAddress(account, 'account');
+    return this._send('grantRole', [roleId, address], { role: roleName(roleId), account: address });
+  }
+
+  async revokeRole(role, account) {
+    const roleId = resolveRole(role);
+    const address = requireAddress(account, 'account');
+    return this._send('revokeRole', [roleId, address], { role: roleName(roleId), account: address });
+  }
+
+  async pause() {
+    return this._send('pause', [], { paused: true });
+  }
+
+  async unpause() {
+    return this._send('unpause', [], { paused: false });
+  }
+
+  async setTokenListed(token, listed) {
+    const address = requireAddress(token, 'token');
+    const flag = requireBoolean(listed, 'listed');
+    return this._send('setTokenListed', [address, flag], { token: address, listed: flag });
+  }
+
+  async setAllowlistEnabled(enabled) {
+    const flag = requireBoolean(enabled, 'enabled');
+    return this._send('setAllowlistEnabled', [flag], { allowlistEnabled: flag });
+  }
+
+  async setTradingFees(makerBps, takerBps) {
+    const maker = requireBps(makerBps, 'makerBps');
+    const taker = requireBps(takerBps, 'takerBps');
+    const result = await this._send('setTradingFees', [maker, taker], { makerBps: maker, takerBps: taker });
+    feeService.configure({ makerBps: maker, takerBps: taker });
+    return result;
+  }
+
+  async setFeeCollector(collector) {
+    const address = requireAddress(collector, 'fee collector');
+    const result = await this._send('setFeeCollector', [address], { feeCollector: address });
+    feeService.configure({ collector: address });
+    return result;
+  }
+
+  async _send(method, params, details) {
+    const receipt = await blockchainService.sendDexTransaction(method, params);
+    logger.info('DEX admin transaction confirmed', { method, ...details, transactionHash: receipt?.hash });
+    return { ...details, transactionHash: receipt?.hash || null, blockNumber: receipt?.blockNumber ?? null };
+  }
+}
+
+module.exports = new AdminService();
+module.exports.ROLES = ROLES;
+module.exports.resolveRole = resolveRole;
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { buildSignInMessage, verifyMessageSignature } = require('../utils/signature');
+
+function normalizeAccount(value) {
+  return typeof value === 'string' && value ? value.toLowerCase() : null;
+}
+
+function randomToken(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+// Sign-In with Ethereum. The server composes the EIP-4361 message for each
+// nonce and keeps it, so the client only returns the signature; a nonce is
+// single-use and short-lived. A verified signature yields an opaque bearer
+// token that maps back to the signing address until it expires.
+class AuthService {
+  constructor() {
+    this.settings = { ...(config.auth || {}) };
+    this.challenges = new Map();
+    this.sessions = new Map();
+  }
+
+  configure(options = {}) {
+    this.settings = { ...this.settings, ...options };
+    return this.settings;
+  }
+
+  isEnabled() {
+    return this.settings.enabled !== false;
+  }
+
+  reset() {
+    this.challenges.clear();
+    this.sessions.clear();
+  }
+
+  createChallenge({ address, domain, uri, chainId } = {}, now = Date.now()) {
+    if (!ethers.isAddress(address)) {
+      throw new Error('A valid address is required');
+    }
+    this._prune(now);
+
+    const nonce = randomToken(16);
+    const issuedAt = new Date(now);
+    const expiresAt = new Date(now + (Number(this.settings.nonceTtl) || 5 * 60 * 1000));
+    const resolvedDomain = this.settings.domain || domain || 'localhost';
+    const message = buildSignInMessage({
+      domain: resolvedDomain,
+      address,
+      statement: this.settings.statement,
+      uri: uri || `http://${resolvedDomain}`,
+      chainId: Number(chainId) || 1,
+      nonce,
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: expiresAt.toISOString(),
+    });
+
+    this.challenges.set(nonce, { address: ethers.getAddress(address), message, expiresAt });
+    return { address: ethers.getAddress(address), nonce, message, expiresAt: expiresAt.toISOString() };
+  }
+
+  verify({ nonce, signature } = {}, now = Date.now()) {
+    const challenge = typeof nonce === 'string' ? this.challenges.get(nonce) : null;
+    if (!challenge) {
+      throw new Error('Unknown or already used nonce');
+    }
+    // Consumed whatever the outcome, so a nonce cannot be retried.
+    this.challenges.delete(nonce);
+    if (challenge.expiresAt.getTime() <= now) {
+      throw new Error('Sign-in nonce has expired');
+    }
+
+    let valid = false;
+    try {
+      valid = verifyMessageSignature(challenge.message, signature, challenge.address);
+    } catch (error) {
+      throw new Error(`Invalid signature: ${error.message}`);
+    }
+    if (!valid) {
+      throw new Error('Signature does not match the address');
+    }
+
+    const token = randomToken(32);
+    const expiresAt = new Date(now + (Number(this.settings.sessionTtl) || 15 * 60 * 1000));
+    this.sessions.set(token, { address: challenge.address, expiresAt });
+    logger.info('Wallet signed in', { address: challenge.address });
+    return { token, address: challenge.address, expiresAt: expiresAt.toISOString() };
+  }
+
+  getSession(token, now = Date.now()) {
+    const session = typeof token === 'string' ? this.sessions.get(token) : null;
+    if (!session) {
+      return null;
+    }
+    if (session.expiresAt.getTime() <= now) {
+      this.sessions.delete(token);
+      return null;
+    }
+    return session;
+  }
+
+  revoke(token) {
+    return this.sessions.delete(token);
+  }
+
+  isCaller(session, address) {
+    const expected = normalizeAccount(address);
+    return Boolean(session && expected && normalizeAccount(session.address) === expected);
+  }
+
+  _prune(now) {
+    this.challenges.forEach((challenge, nonce) => {
+      if (challenge.expiresAt.getTime() <= now) {
+        this.challenges.delete(nonce);
+      }
+    });
+    this.sessions.forEach((session, token) => {
+      if (session.expiresAt.getTime() <= now) {
+        this.sessions.delete(token);
+      }
+    });
+  }
+}
+
+module.exports = new AuthService();
@@ -3,6 +3,7 @@ const path = require('path');
 const { ethers } = require('ethers');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const NonceManager = require('../utils/nonce-manager');
 
 const MINIMAL_ERC20_ABI = [
   'function name() view returns (string)',
@@ -11,6 +12,8 @@ const MINIMAL_ERC20_ABI = [
   'function totalSupply() view returns (uint256)',
   'function balanceOf(address owner) view returns (uint256)',
   'function transfer(address to, uint256 value) returns (bool)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 value) returns (bool)',
 ];
 
 function normalizeWholeTokenAmount(value, { fieldName = 'value' } = {}) {
@@ -83,6 +86,7 @@ class BlockchainService {
     this.autoConnectSigner = config.blockchain.autoConnectSigner !== false;
     this.contractCache = new Map();
     this.chainId = null;
+    this.nonceManager = null;
 
     if (!this.provider) {
       this._initializeProvider();
@@ -168,6 +172,7 @@ class BlockchainService {
     if (this.signer && provider) {
       this.signer = this.signer.connect(provider);
     }
+    this.nonceManager = null;
     this.contractCache.clear();
     this.chainId = null;
     return this.provider;
@@ -182,6 +187,7 @@ class BlockchainService {
 
   setSigner(signer) {
     this.signer = signer || null;
+    this.nonceManager = null;
     this.contractCache.clear();
     return this.signer;
   }
@@ -197,6 +203,17 @@ class BlockchainService {
     return this.signer;
   }
 
+  getNonceManager() {
+    const signer = this.getSigner();
+    if (!signer) {
+      throw new Error('A signer is required to manage nonces');
+    }
+    if (!this.nonceManager || this.nonceManager.signer !== signer) {
+      this.nonceManager = new NonceManager(signer);
+    }
+    return this.nonceManager;
+  }
+
   async getChainId(force = false) {
     if (!force && this.chainId) {
       return this.chainId;
@@ -467,3 +484,4 @@ class BlockchainService {
 }
 
 module.exports = new BlockchainService();
+module.exports.MINIMAL_ERC20_ABI = MINIMAL_ERC20_ABI;
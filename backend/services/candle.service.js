@@ -0,0 +1,336 @@
+const { ethers } = require('ethers');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/json-store');
+const eventListenerService = require('./event-listener.service');
+const settlementQueue = require('./settlement-queue.service');
+const tokenService = require('./token.service');
+const { resolveDecimals } = require('../utils/amounts');
+
+const CANDLE_INTERVALS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+};
+
+const MAX_SEEN_EVENTS = 5000;
+const PERSIST_DELAY_MS = 1000;
+
+function pairKeyFor(baseToken, quoteToken) {
+  return `${String(baseToken).toLowerCase()}-${String(quoteToken).toLowerCase()}`;
+}
+
+function seriesKey(pairKey, interval) {
+  return `${pairKey}|${interval}`;
+}
+
+function toTimestamp(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const numeric = Number(value);
+  const time = Number.isFinite(numeric) ? numeric : new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+// OHLCV buckets per pair for each interval in CANDLE_INTERVALS. Candles are
+// fed by every order book trade, plus DEX OrderExecuted events for fills that
+// reached the contract without going through our settlement queue (trades the
+// engine matched are already counted when they match). Series are capped at
+// `maxCandles` buckets and written to a JSON store shortly after each change.
+class CandleService {
+  constructor() {
+    this.settings = { ...(config.candles || {}) };
+    this.series = new Map();
+    this.seenEvents = new Set();
+    this.store = null;
+    this.restored = false;
+    this.persistTimer = null;
+    this.listeners = null;
+    this.matchingService = null;
+    this.unsubscribers = [];
+  }
+
+  configure(options = {}) {
+    this.settings = { ...this.settings, ...options };
+    return this.settings;
+  }
+
+  useStore(store) {
+    this.store = store;
+    return this.store;
+  }
+
+  getStore() {
+    if (!this.store) {
+      this.store = new JsonStore(this.settings.storeFile || 'candles.json', { defaultValue: {} });
+    }
+    return this.store;
+  }
+
+  restore() {
+    if (this.restored) {
+      return this.series.size;
+    }
+    this.restored = true;
+    const data = this.getStore().getAll() || {};
+    (Array.isArray(data.series) ? data.series : []).forEach(({ pairKey, interval, candles }) => {
+      if (!pairKey || !CANDLE_INTERVALS[interval] || !Array.isArray(candles)) {
+        return;
+      }
+      const buckets = new Map();
+      candles.forEach((candle) => buckets.set(candle.openTime, { ...candle }));
+      this.series.set(seriesKey(pairKey, interval), buckets);
+    });
+    (Array.isArray(data.seenEvents) ? data.seenEvents : []).forEach((key) => this.seenEvents.add(key));
+    return this.series.size;
+  }
+
+  reset() {
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+    }
+    this.series.clear();
+    this.seenEvents.clear();
+    this.restored = false;
+  }
+
+  attach(matchingService) {
+    if (this.listeners) {
+      return;
+    }
+    this.matchingService = matchingService;
+    this.listeners = {
+      trade: ({ pairKey, trade }) => this.ingestTrade(pairKey, trade),
+    };
+    Object.entries(this.listeners).forEach(([eventName, listener]) => {
+      matchingService.on(eventName, listener);
+    });
+  }
+
+  detach() {
+    if (this.listeners && this.matchingService) {
+      Object.entries(this.listeners).forEach(([eventName, listener]) => {
+        this.matchingService.off(eventName, listener);
+      });
+    }
+    this.listeners = null;
+    this.matchingService = null;
+    this.unsubscribers.splice(0).forEach((unsubscribe) => unsubscribe());
+  }
+
+  subscribe() {
+    if (this.unsubscribers.length > 0) {
+      return;
+    }
+    this.unsubscribers = [
+      eventListenerService.subscribe('OrderExecuted', (event) => this.handleOrderExecuted(event)),
+    ];
+  }
+
+  ingestTrade(pairKey, trade) {
+    if (!pairKey || !trade || trade.synthetic) {
+      return false;
+    }
+    const price = Number(trade.price);
+    const amount = Number(trade.amount);
+    return this.ingest(pairKey, {
+      price,
+      amount,
+      quoteAmount: price * amount,
+      timestamp: toTimestamp(trade.timestamp instanceof Date ? trade.timestamp.getTime() : trade.timestamp),
+    });
+  }
+
+  // The maker gave `fillAmount` of tokenGive for `amountGet` of tokenGet. The
+  // pair's orientation is taken from the order books we already run.
+  handleOrderExecuted(event) {
+    const args = event?.args || {};
+    if (event?.removed || !args.tokenGet || !args.tokenGive) {
+      return false;
+    }
+    if (event.transactionHash && settlementQueue.hasTransaction(event.transactionHash)) {
+      return false;
+    }
+    const eventKey = `${event.transactionHash}:${event.logIndex ?? args.orderHash}`;
+    if (this.seenEvents.has(eventKey)) {
+      return false;
+    }
+
+    const books = this.matchingService?.orderBooks;
+    const giveIsBase = Boolean(books?.has(pairKeyFor(args.tokenGive, args.tokenGet)));
+    if (!giveIsBase && !books?.has(pairKeyFor(args.tokenGet, args.tokenGive))) {
+      return false;
+    }
+    const baseToken = giveIsBase ? args.tokenGive : args.tokenGet;
+    const quoteToken = giveIsBase ? args.tokenGet : args.tokenGive;
+    const baseUnits = BigInt(giveIsBase ? args.fillAmount : args.amountGet);
+    const quoteUnits = BigInt(giveIsBase ? args.amountGet : args.fillAmount);
+    if (baseUnits <= 0n || quoteUnits <= 0n) {
+      return false;
+    }
+
+    const amount = Number(ethers.formatUnits(baseUnits, resolveDecimals(tokenService.getToken(baseToken)?.decimals)));
+    const quoteAmount = Number(ethers.formatUnits(quoteUnits, resolveDecimals(tokenService.getToken(quoteToken)?.decimals)));
+    const timestamp = args.timestamp ? Number(args.timestamp) * 1000 : Date.now();
+
+    this.seenEvents.add(eventKey);
+    if (this.seenEvents.size > MAX_SEEN_EVENTS) {
+      this.seenEvents.delete(this.seenEvents.values().next().value);
+    }
+    return this.ingest(pairKeyFor(baseToken, quoteToken), {
+      price: quoteAmount / amount,
+      amount,
+      quoteAmount,
+      timestamp,
+    });
+  }
+
+  ingest(pairKey, { price, amount, quoteAmount = 0, timestamp = Date.now() }) {
+    if (!Number.isFinite(price) || price <= 0 || !Number.isFinite(amount) || amount <= 0 || timestamp === null) {
+      return false;
+    }
+    const maxCandles = Number(this.settings.maxCandles) || 1440;
+    Object.entries(CANDLE_INTERVALS).forEach(([interval, size]) => {
+      const key = seriesKey(pairKey, interval);
+      if (!this.series.has(key)) {
+        this.series.set(key, new Map());
+      }
+      const buckets = this.series.get(key);
+      const openTime = Math.floor(timestamp / size) * size;
+      const candle = buckets.get(openTime);
+      if (!candle) {
+        buckets.set(openTime, {
+          openTime,
+          open: price,
+          high: price,
+          low: price,
+          close: price,
+          volume: amount,
+          quoteVolume: quoteAmount,
+          trades: 1,
+          firstTradeAt: timestamp,
+          lastTradeAt: timestamp,
+        });
+        while (buckets.size > maxCandles) {
+          buckets.delete(Math.min(...buckets.keys()));
+        }
+        return;
+      }
+      // Trades can arrive out of order (on-chain backfill), so open and close
+      // follow the earliest and latest trade time seen in the bucket.
+      if (timestamp < candle.firstTradeAt) {
+        candle.open = price;
+        candle.firstTradeAt = timestamp;
+      }
+      if (timestamp >= candle.lastTradeAt) {
+        candle.close = price;
+        candle.lastTradeAt = timestamp;
+      }
+      candle.high = Math.max(candle.high, price);
+      candle.low = Math.min(candle.low, price);
+      candle.volume += amount;
+      candle.quoteVolume += quoteAmount;
+      candle.trades += 1;
+    });
+    this._schedulePersist();
+    return true;
+  }
+
+  getCandles(baseToken, quoteToken, { interval = '1m', from = null, to = null, limit = null } = {}) {
+    const size = CANDLE_INTERVALS[interval];
+    if (!size) {
+      throw new Error(`interval must be one of ${Object.keys(CANDLE_INTERVALS).join(', ')}`);
+    }
+    const fromTime = toTimestamp(from);
+    const toTime = toTimestamp(to);
+    if ((from && fromTime === null) || (to && toTime === null)) {
+      throw new Error('from and to must be unix milliseconds or ISO datetimes');
+    }
+
+    const buckets = this.series.get(seriesKey(pairKeyFor(baseToken, quoteToken), interval));
+    let candles = Array.from(buckets ? buckets.values() : [])
+      .filter((candle) => (fromTime === null || candle.openTime + size > fromTime)
+        && (toTime === null || candle.openTime <= toTime))
+      .sort((a, b) => a.openTime - b.openTime);
+    if (limit) {
+      candles = candles.slice(-limit);
+    }
+    return candles.map((candle) => ({
+      openTime: new Date(candle.openTime).toISOString(),
+      closeTime: new Date(candle.openTime + size - 1).toISOString(),
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      volume: candle.volume,
+      quoteVolume: candle.quoteVolume,
+      trades: candle.trades,
+    }));
+  }
+
+  // Rolls the 1m candles that open within [from, to] into one OHLCV summary;
+  // null when the pair has no trades in the window.
+  summarize(pairKey, { from, to = Date.now() } = {}) {
+    const buckets = this.series.get(seriesKey(pairKey, '1m'));
+    const candles = Array.from(buckets ? buckets.values() : [])
+      .filter((candle) => candle.openTime >= from && candle.openTime <= to)
+      .sort((a, b) => a.openTime - b.openTime);
+    if (candles.length === 0) {
+      return null;
+    }
+    return candles.reduce((summary, candle) => ({
+      open: summary.open,
+      high: Math.max(summary.high, candle.high),
+      low: Math.min(summary.low, candle.low),
+      close: candle.close,
+      volume: summary.volume + candle.volume,
+      quoteVolume: summary.quoteVolume + candle.quoteVolume,
+      trades: summary.trades + candle.trades,
+    }), { ...candles[0], volume: 0, quoteVolume: 0, trades: 0 });
+  }
+
+  // Close of the most recent candle, whatever its age.
+  lastPrice(pairKey) {
+    const buckets = this.series.get(seriesKey(pairKey, '1m'));
+    if (!buckets || buckets.size === 0) {
+      return null;
+    }
+    return buckets.get(Math.max(...buckets.keys())).close;
+  }
+
+  listPairKeys() {
+    return Array.from(new Set(Array.from(this.series.keys()).map((key) => key.split('|')[0])));
+  }
+
+  flush() {
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+    }
+    try {
+      this.getStore().setAll({
+        series: Array.from(this.series.entries()).map(([key, buckets]) => {
+          const [pairKey, interval] = key.split('|');
+          return { pairKey, interval, candles: Array.from(buckets.values()) };
+        }),
+        seenEvents: Array.from(this.seenEvents),
+      });
+    } catch (error) {
+      logger.error('Failed to persist candles', { error: error.message });
+    }
+  }
+
+  _schedulePersist() {
+    if (this.persistTimer) {
+      return;
+    }
+    this.persistTimer = setTimeout(() => this.flush(), PERSIST_DELAY_MS);
+    this.persistTimer.unref();
+  }
+}
+
+module.exports = new CandleService();
+module.exports.CANDLE_INTERVALS = CANDLE_INTERVALS;
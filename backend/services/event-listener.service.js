@@ -326,6 +326,7 @@ class EventListenerService {
       args,
       transactionHash: eventPayload?.log?.transactionHash || eventPayload?.transactionHash || null,
       blockNumber: eventPayload?.log?.blockNumber || eventPayload?.blockNumber || null,
+      logIndex: eventPayload?.log?.index ?? eventPayload?.index ?? null,
       removed: eventPayload?.log?.removed || eventPayload?.removed || false,
       raw: eventPayload || rawArgs,
     };
@@ -0,0 +1,57 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const matchingService = require('./matching.service');
+
+// Expires resting orders once their signed `expiry` passes, so they leave the
+// book before anyone can match them into a settlement the contract would
+// reject. Matching also skips expired makers between sweeps.
+class ExpiryService {
+  constructor() {
+    this.settings = config.expiry || {};
+    this.timer = null;
+    this.lastSweepAt = null;
+    this.expiredCount = 0;
+  }
+
+  isRunning() {
+    return Boolean(this.timer);
+  }
+
+  start(options = {}) {
+    if (this.settings.enabled === false || this.timer) {
+      return false;
+    }
+    const interval = options.sweepInterval ?? this.settings.sweepInterval ?? 1000;
+    if (interval <= 0) {
+      return false;
+    }
+    this.timer = setInterval(() => {
+      try {
+        this.sweep();
+      } catch (error) {
+        logger.error('Order expiry sweep failed', { error: error.message });
+      }
+    }, interval);
+    this.timer.unref();
+    return true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  sweep(now = Date.now()) {
+    const expired = matchingService.expireDueOrders(now);
+    this.lastSweepAt = new Date(now);
+    this.expiredCount += expired.length;
+    if (expired.length > 0) {
+      logger.info('Expired resting orders', { count: expired.length, orderIds: expired.map((order) => order.id) });
+    }
+    return expired;
+  }
+}
+
+module.exports = new ExpiryService();
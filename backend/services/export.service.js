@@ -0,0 +1,108 @@
+const orderService = require('./order.service');
+const portfolioService = require('./portfolio.service');
+const { isWithin } = require('../utils/export');
+
+const ORDER_COLUMNS = [
+  'id',
+  'createdAt',
+  'updatedAt',
+  'trader',
+  'baseToken',
+  'quoteToken',
+  'side',
+  'orderType',
+  'timeInForce',
+  'status',
+  'price',
+  'stopPrice',
+  'amount',
+  'filled',
+  'remaining',
+  'amountUnits',
+  'filledUnits',
+  'remainingUnits',
+  'groupId',
+  'cancelReason',
+];
+
+const TRADE_COLUMNS = [
+  'timestamp',
+  'tradeId',
+  'orderId',
+  'baseToken',
+  'quoteToken',
+  'side',
+  'role',
+  'price',
+  'amount',
+  'baseAmount',
+  'quoteAmount',
+  'giveAmount',
+  'feeToken',
+  'feeAmount',
+  'counterpartyOrderId',
+  'batchId',
+  'settlementStatus',
+  'settlementId',
+  'txHash',
+  'blockNumber',
+  'settlementError',
+];
+
+function* orderRows(orders, filters, viewer) {
+  for (const order of orders) {
+    if (filters.statuses.length > 0 && !filters.statuses.includes(order.status)) {
+      continue;
+    }
+    if (!isWithin(order.createdAt, filters)) {
+      continue;
+    }
+    const json = orderService.toViewerJSON(order, viewer);
+    yield {
+      ...json,
+      cancelReason: json.metadata?.cancelReason || null,
+    };
+  }
+}
+
+function* tradeRows(fills, filters) {
+  for (const fill of fills) {
+    if (filters.statuses.length > 0 && !filters.statuses.includes(fill.settlementStatus)) {
+      continue;
+    }
+    if (!isWithin(fill.timestamp, filters)) {
+      continue;
+    }
+    yield {
+      ...fill,
+      feeToken: fill.fee?.token || null,
+      feeAmount: fill.fee?.amount || null,
+    };
+  }
+}
+
+// Row sources for the export endpoints. Rows are produced lazily so the
+// writer in utils/export can stream them; the filters come from
+// parseExportFilters. Order exports filter on `createdAt` and order status,
+// trade exports on the fill timestamp and settlement status. Orders of other
+// traders than the `viewer` session are exported as the book shows them.
+class ExportService {
+  exportOrders(filters, { trader, viewer = null } = {}) {
+    const orders = orderService
+      .listOrders({ trader, baseToken: filters.baseToken, quoteToken: filters.quoteToken })
+      .reverse();
+    return { columns: ORDER_COLUMNS, rows: orderRows(orders, filters, viewer) };
+  }
+
+  exportTrades(address, filters) {
+    const fills = portfolioService.listFills(address, {
+      baseToken: filters.baseToken,
+      quoteToken: filters.quoteToken,
+    });
+    return { columns: TRADE_COLUMNS, rows: tradeRows(fills, filters) };
+  }
+}
+
+module.exports = new ExportService();
+module.exports.ORDER_COLUMNS = ORDER_COLUMNS;
+module.exports.TRADE_COLUMNS = TRADE_COLUMNS;
@@ -0,0 +1,279 @@
+const { ethers } = require('ethers');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const blockchainService = require('./blockchain.service');
+
+const BPS_DENOMINATOR = 10000n;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toBigIntOrZero(value) {
+  try {
+    return value === null || value === undefined || value === '' ? 0n : BigInt(value);
+  } catch (error) {
+    return 0n;
+  }
+}
+
+function normalizeAccount(value) {
+  return typeof value === 'string' && value ? value.toLowerCase() : null;
+}
+
+function isZeroAddress(value) {
+  return !value || /^0x0{40}$/i.test(value);
+}
+
+function receiveToken(order) {
+  if (order.onchain?.tokenGet) {
+    return order.onchain.tokenGet;
+  }
+  return order.isSell() ? order.quoteToken : order.baseToken;
+}
+
+// Mirrors the DEX fee rules off-chain. Each side of a trade pays a fee on the
+// tokens it receives, at its maker or taker rate, unless the order delivering
+// those tokens signed a feeAmount, which is charged pro-rata instead and paid
+// to that order's feeRecipient. Rates come from volume tiers: an account's
+// tier is picked from its traded notional (price * amount, in quote units,
+// summed across pairs) over the trailing window, before the trade counts.
+class FeeService {
+  constructor() {
+    this.settings = { ...(config.fees || {}) };
+    this.volumes = new Map();
+    this.accrued = new Map();
+  }
+
+  configure(options = {}) {
+    this.settings = { ...this.settings, ...options };
+    return this.settings;
+  }
+
+  reset() {
+    this.volumes.clear();
+    this.accrued.clear();
+  }
+
+  // Picks up the rates and collector actually configured on the contract.
+  async syncFromChain() {
+    const [makerBps, takerBps, collector] = await Promise.all([
+      blockchainService.callDex('makerFeeBps'),
+      blockchainService.callDex('takerFeeBps'),
+      blockchainService.callDex('feeCollector'),
+    ]);
+    this.configure({
+      makerBps: Number(makerBps),
+      takerBps: Number(takerBps),
+      collector,
+    });
+    return this.getSchedule();
+  }
+
+  getSchedule() {
+    return {
+      makerBps: Number(this.settings.makerBps) || 0,
+      takerBps: Number(this.settings.takerBps) || 0,
+      collector: this.settings.collector || null,
+      volumeWindowDays: Number(this.settings.volumeWindowDays) || 30,
+      tiers: this._tiers(),
+    };
+  }
+
+  getVolume(account, now = Date.now()) {
+    const entries = this._volumeEntries(account, now);
+    return entries.reduce((sum, entry) => sum + entry.notional, 0);
+  }
+
+  getTier(account, now = Date.now()) {
+    const volume = this.getVolume(account, now);
+    const tiers = this._tiers();
+    const tier = tiers.filter((entry) => volume >= entry.minVolume).pop() || tiers[0];
+    const next = tiers.find((entry) => entry.minVolume > volume) || null;
+    return {
+      ...tier,
+      volume,
+      nextTier: next ? { tier: next.tier, minVolume: next.minVolume, volumeNeeded: next.minVolume - volume } : null,
+    };
+  }
+
+  // Fee estimate for an order about to be signed, in the units of tokenGet
+  // (what the order receives), for both the maker and the taker case.
+  preview({ maker, tokenGet, amountGet, feeAmount, feeRecipient, tokenGive }) {
+    const tier = this.getTier(maker);
+    const amount = toBigIntOrZero(amountGet);
+    const signedFee = toBigIntOrZero(feeAmount);
+    const asRate = (bps) => ((amount * BigInt(bps)) / BPS_DENOMINATOR).toString();
+    return {
+      tier: tier.tier,
+      volume: tier.volume,
+      makerBps: tier.makerBps,
+      takerBps: tier.takerBps,
+      token: tokenGet,
+      maker: asRate(tier.makerBps),
+      taker: asRate(tier.takerBps),
+      signedFee: signedFee > 0n
+        ? {
+          token: tokenGive,
+          amount: signedFee.toString(),
+          recipient: isZeroAddress(feeRecipient) ? this.settings.collector || null : feeRecipient,
+        }
+        : null,
+    };
+  }
+
+  // Sets trade.fees and counts the trade towards both accounts' volume.
+  // `makerReceives`/`takerReceives` are base units of what each side receives;
+  // a null side (the counterparty of a batch leg, which is charged on its own
+  // leg) pays nothing on this record.
+  assess(trade, { maker, taker, makerReceives = null, takerReceives = null } = {}) {
+    if (!trade || trade.synthetic || !maker) {
+      if (trade) {
+        trade.fees = { maker: null, taker: null };
+      }
+      return trade?.fees || null;
+    }
+
+    const timestamp = trade.timestamp instanceof Date ? trade.timestamp.getTime() : Date.now();
+    trade.fees = {
+      maker: makerReceives !== null ? this._side(maker, taker, 'maker', makerReceives, timestamp) : null,
+      taker: taker && takerReceives !== null ? this._side(taker, maker, 'taker', takerReceives, timestamp) : null,
+    };
+    this._count(trade, timestamp);
+    return trade.fees;
+  }
+
+  // Replays a journaled trade so tier volumes and accrued totals survive a
+  // restart.
+  restoreTrade(trade) {
+    if (!trade?.fees) {
+      return;
+    }
+    const timestamp = new Date(trade.timestamp).getTime();
+    this._count(trade, Number.isNaN(timestamp) ? Date.now() : timestamp);
+  }
+
+  getSummary() {
+    const byToken = new Map();
+    const byCollector = [];
+    this.accrued.forEach((tokens, recipient) => {
+      const entries = [];
+      tokens.forEach((totals, token) => {
+        entries.push({ token, amount: totals.amount.toString(), count: totals.count });
+        const current = byToken.get(token) || { token, amount: 0n, count: 0 };
+        current.amount += totals.amount;
+        current.count += totals.count;
+        byToken.set(token, current);
+      });
+      byCollector.push({ collector: recipient, tokens: entries });
+    });
+
+    return {
+      schedule: this.getSchedule(),
+      byToken: Array.from(byToken.values()).map((entry) => ({ ...entry, amount: entry.amount.toString() })),
+      byCollector,
+    };
+  }
+
+  // Writes the account's current tier to the contract so settlement charges
+  // the same rates as the trade records.
+  async applyTier(account) {
+    const tier = this.getTier(account);
+    const address = ethers.getAddress(account);
+    const receipt = tier.tier === 0
+      ? await blockchainService.sendDexTransaction('clearAccountFeeRates', [address])
+      : await blockchainService.sendDexTransaction('setAccountFeeRates', [address, tier.makerBps, tier.takerBps]);
+    logger.info('Applied fee tier on-chain', { account: address, tier: tier.tier, transactionHash: receipt?.hash });
+    return { tier, transactionHash: receipt?.hash || null };
+  }
+
+  _tiers() {
+    const base = {
+      tier: 0,
+      minVolume: 0,
+      makerBps: Number(this.settings.makerBps) || 0,
+      takerBps: Number(this.settings.takerBps) || 0,
+    };
+    const extra = (Array.isArray(this.settings.tiers) ? this.settings.tiers : [])
+      .filter((entry) => Number(entry.minVolume) > 0)
+      .sort((a, b) => Number(a.minVolume) - Number(b.minVolume))
+      .map((entry, index) => ({
+        tier: index + 1,
+        minVolume: Number(entry.minVolume),
+        makerBps: Number(entry.makerBps),
+        takerBps: Number(entry.takerBps),
+      }));
+    return [base, ...extra];
+  }
+
+  _side(order, counterparty, role, received, timestamp) {
+    const account = order.trader;
+    const token = receiveToken(order);
+    const amount = toBigIntOrZero(received);
+    const signedFee = toBigIntOrZero(counterparty?.onchain?.feeAmount);
+    const signedGive = toBigIntOrZero(counterparty?.onchain?.amountGive);
+    const deliveredBy = counterparty?.onchain?.feeRecipient;
+    const recipient = isZeroAddress(deliveredBy) ? this.settings.collector || null : deliveredBy;
+
+    if (signedFee > 0n && signedGive > 0n) {
+      return {
+        account,
+        token,
+        amount: ((amount * signedFee) / signedGive).toString(),
+        bps: null,
+        tier: null,
+        recipient,
+      };
+    }
+
+    const tier = this.getTier(account, timestamp);
+    const bps = role === 'maker' ? tier.makerBps : tier.takerBps;
+    return {
+      account,
+      token,
+      amount: ((amount * BigInt(bps)) / BPS_DENOMINATOR).toString(),
+      bps,
+      tier: tier.tier,
+      recipient,
+    };
+  }
+
+  _count(trade, timestamp) {
+    const notional = Number(trade.price) * Number(trade.amount);
+    [trade.fees.maker, trade.fees.taker].forEach((side) => {
+      if (!side) {
+        return;
+      }
+      if (Number.isFinite(notional) && notional > 0) {
+        const key = normalizeAccount(side.account);
+        if (key) {
+          const entries = this.volumes.get(key) || [];
+          entries.push({ at: timestamp, notional });
+          this.volumes.set(key, entries);
+        }
+      }
+      const amount = toBigIntOrZero(side.amount);
+      if (amount <= 0n) {
+        return;
+      }
+      const recipient = normalizeAccount(side.recipient) || 'unassigned';
+      const tokens = this.accrued.get(recipient) || new Map();
+      const token = normalizeAccount(side.token);
+      const totals = tokens.get(token) || { amount: 0n, count: 0 };
+      totals.amount += amount;
+      totals.count += 1;
+      tokens.set(token, totals);
+      this.accrued.set(recipient, tokens);
+    });
+  }
+
+  _volumeEntries(account, now) {
+    const key = normalizeAccount(account);
+    if (!key) {
+      return [];
+    }
+    const windowMs = (Number(this.settings.volumeWindowDays) || 30) * DAY_MS;
+    const entries = (this.volumes.get(key) || []).filter((entry) => entry.at > now - windowMs);
+    this.volumes.set(key, entries);
+    return entries.filter((entry) => entry.at <= now);
+  }
+}
+
+module.exports = new FeeService();
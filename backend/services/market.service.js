@@ -0,0 +1,81 @@
+const candleService = require('./candle.service');
+const matchingService = require('./matching.service');
+const tokenService = require('./token.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function tokenSummary(address) {
+  const meta = tokenService.getToken(address);
+  return {
+    address: meta?.address || address,
+    symbol: meta?.symbol || null,
+    name: meta?.name || null,
+    decimals: Number.isInteger(meta?.decimals) ? meta.decimals : null,
+  };
+}
+
+function countResting(book) {
+  if (!book) {
+    return 0;
+  }
+  return ['buy', 'sell', 'stopLoss', 'stopLimit'].reduce((total, list) => total + (book[list]?.length || 0), 0);
+}
+
+// Per-pair ticker built from what the engine already tracks: 1m candles for
+// the rolling 24h statistics, the live book for best bid/ask. A pair is listed
+// once it has an order book or a candle history.
+class MarketService {
+  listMarkets(now = Date.now()) {
+    const pairKeys = new Set([...matchingService.orderBooks.keys(), ...candleService.listPairKeys()]);
+    return Array.from(pairKeys)
+      .map((pairKey) => this._describe(pairKey, now))
+      .filter(Boolean)
+      .sort((a, b) => b.quoteVolume24h - a.quoteVolume24h || a.pair.localeCompare(b.pair));
+  }
+
+  getMarket(baseToken, quoteToken, now = Date.now()) {
+    const pairKey = matchingService._getPairKey(baseToken, quoteToken);
+    if (!matchingService.orderBooks.has(pairKey) && !candleService.listPairKeys().includes(pairKey)) {
+      return null;
+    }
+    return this._describe(pairKey, now);
+  }
+
+  _describe(pairKey, now) {
+    const [baseKey, quoteKey] = pairKey.split('-');
+    if (!baseKey || !quoteKey) {
+      return null;
+    }
+    const base = tokenSummary(baseKey);
+    const quote = tokenSummary(quoteKey);
+    const stats = candleService.summarize(pairKey, { from: now - DAY_MS, to: now });
+    const depth = matchingService.getDepthLevels(base.address, quote.address, { limit: 1 });
+    const lastPrice = candleService.lastPrice(pairKey) ?? matchingService.getMarketPrice(base.address, quote.address);
+    const change = stats ? stats.close - stats.open : null;
+
+    return {
+      pair: `${base.symbol || base.address}/${quote.symbol || quote.address}`,
+      pairKey,
+      baseToken: base.address,
+      quoteToken: quote.address,
+      base,
+      quote,
+      lastPrice: lastPrice ?? null,
+      open24h: stats ? stats.open : null,
+      high24h: stats ? stats.high : null,
+      low24h: stats ? stats.low : null,
+      change24h: change,
+      changePercent24h: stats && stats.open > 0 ? (change / stats.open) * 100 : null,
+      volume24h: stats ? stats.volume : 0,
+      quoteVolume24h: stats ? stats.quoteVolume : 0,
+      trades24h: stats ? stats.trades : 0,
+      bestBid: depth.bestBid,
+      bestAsk: depth.bestAsk,
+      spread: depth.spread,
+      openOrders: countResting(matchingService.orderBooks.get(pairKey)),
+      updatedAt: new Date(now).toISOString(),
+    };
+  }
+}
+
+module.exports = new MarketService();
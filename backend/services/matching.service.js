@@ -3,6 +3,7 @@ const ORDER_TYPES = {
   MARKET: 'MARKET',
   STOP_LOSS: 'STOP_LOSS',
   STOP_LIMIT: 'STOP_LIMIT',
+  TRAILING_STOP: 'TRAILING_STOP',
 };
 
 const TIME_IN_FORCE = {
@@ -10,20 +11,62 @@ const TIME_IN_FORCE = {
   IOC: 'IOC',
   FOK: 'FOK',
   POST_ONLY: 'POST_ONLY',
+  GTD: 'GTD',
+};
+
+const SELF_TRADE_PREVENTION = {
+  CANCEL_NEWEST: 'cancel_newest',
+  CANCEL_OLDEST: 'cancel_oldest',
+  CANCEL_BOTH: 'cancel_both',
+  DECREMENT: 'decrement',
+};
+
+const FILL_ROLES = {
+  MAKER: 'MAKER',
+  TAKER: 'TAKER',
 };
 
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const config = require('../config/config');
 const priceOracleService = require('./price-oracle.service');
+const feeService = require('./fee.service');
+const {
+  DEFAULT_DECIMALS,
+  PRICE_SCALE,
+  PRICE_SCALE_FACTOR,
+  formatUnitsNumber,
+  mulDivDown,
+  mulDivUp,
+  minBigInt,
+  createRatio,
+  ratioFromPrice,
+  compareRatios,
+  ratioToNumber,
+  ratioToScaled,
+  toScaledPrice,
+} = require('../utils/amounts');
 
 const SYNTHETIC_COUNTERPARTY_PREFIX = 'synthetic-liquidity';
+const DEFAULT_RING_LENGTH = 4;
+const MAX_RING_LENGTH = 6;
+const DEFAULT_OPPORTUNITY_LIMIT = 10;
 const MARKET_BUY_PRICE_IMPACT_RATE = 1;
 
-class MatchingService {
+class MatchingService extends EventEmitter {
   constructor() {
+    super();
     this.orderBooks = new Map();
     this.marketPrices = new Map();
     this.marketPriceMeta = new Map();
     this.maxTradeHistory = 200;
+    this.settings = { ...(config.matching || {}) };
+    this.sequence = 0;
+  }
+
+  configure(options = {}) {
+    this.settings = { ...this.settings, ...options };
+    return this.settings;
   }
 
   addOrder(order) {
@@ -38,12 +81,28 @@ class MatchingService {
     const pairKey = this._getPairKey(order.baseToken, order.quoteToken);
     const book = this._getOrCreateOrderBook(pairKey);
 
+    if (order.isExpired && order.isExpired()) {
+      this._expire(order, new Date());
+      return order;
+    }
+    this._assignSequence(order);
+
+    // Only orders that rest at a limit price can keep part of their size hidden.
+    if (order.isIceberg?.() && ![ORDER_TYPES.LIMIT, ORDER_TYPES.STOP_LIMIT].includes(order.orderType)) {
+      order.metadata = order.metadata || {};
+      order.metadata.rejectReason = 'ICEBERG_REQUIRES_LIMIT';
+      order.status = 'REJECTED';
+      this.emit('order', order);
+      return order;
+    }
+
     let trades = [];
     switch (order.orderType) {
       case ORDER_TYPES.MARKET:
         trades = this._handleMarketOrder(order, book, pairKey);
         break;
       case ORDER_TYPES.STOP_LOSS:
+      case ORDER_TYPES.TRAILING_STOP:
         trades = this._queueStopOrder(order, book, 'stopLoss', pairKey);
         break;
       case ORDER_TYPES.STOP_LIMIT:
@@ -60,9 +119,66 @@ class MatchingService {
       order.metadata.trades = trades;
     }
 
+    this.emit('order', order);
     return order;
   }
 
+  // Places a previously accepted order back on its book without matching it,
+  // used when rebuilding state from the persistence journal.
+  restoreOrder(order) {
+    if (!order || !order.baseToken || !order.quoteToken) {
+      return false;
+    }
+    if (!['PENDING', 'PARTIAL', 'TRIGGERED'].includes(order.status) || order.remainingUnits <= 0n) {
+      return false;
+    }
+
+    if (Number.isInteger(order.sequence) && order.sequence > 0) {
+      this.sequence = Math.max(this.sequence, order.sequence);
+    } else {
+      this._assignSequence(order);
+    }
+    const book = this._getOrCreateOrderBook(this._getPairKey(order.baseToken, order.quoteToken));
+    switch (order.orderType) {
+      case ORDER_TYPES.STOP_LOSS:
+      case ORDER_TYPES.TRAILING_STOP:
+        book.stopLoss.push(order);
+        break;
+      case ORDER_TYPES.STOP_LIMIT:
+        book.stopLimit.push(order);
+        break;
+      case ORDER_TYPES.MARKET:
+        this._restMarketOrder(order, book);
+        break;
+      case ORDER_TYPES.LIMIT:
+      default:
+        this._restOnBook(order, order.isBuy() ? book.buy : book.sell, order.side);
+        break;
+    }
+    return true;
+  }
+
+  restoreTrade(pairKey, trade) {
+    if (!pairKey || !trade) {
+      return;
+    }
+    const book = this._getOrCreateOrderBook(pairKey);
+    book.trades.push(trade);
+    if (book.trades.length > this.maxTradeHistory) {
+      book.trades.shift();
+    }
+    feeService.restoreTrade(trade);
+
+    const price = Number(trade.price);
+    if (Number.isFinite(price) && price > 0) {
+      this._setMarketPriceEntry(pairKey, price, this._normalizeMarketMetadata({
+        source: 'journal',
+        updatedAt: trade.timestamp instanceof Date ? trade.timestamp : new Date(trade.timestamp),
+        previousPrice: this.marketPrices.get(pairKey),
+      }));
+    }
+  }
+
   updateMarketPrice(baseToken, quoteToken, price) {
     const pairKey = this._getPairKey(baseToken, quoteToken);
     const numericPrice = Number(price);
@@ -136,74 +252,142 @@ class MatchingService {
     removed = this._removeOrderFromList(book.sell, order.id) || removed;
     removed = this._removeOrderFromList(book.stopLoss, order.id) || removed;
     removed = this._removeOrderFromList(book.stopLimit, order.id) || removed;
+    this.emit('order', order);
+    this._cancelGroupSiblings(order, 'GROUP_CANCELLED');
     return removed;
   }
 
-  executeBatchTrades(orderList, options = {}) {
-    if (!Array.isArray(orderList) || orderList.length < 2) {
-      throw new Error('Batch execution requires at least two orders');
-    }
+  // Swaps a resting order for its amendment in one step, so nothing can match
+  // in between. Throws without touching the book when the old order is not
+  // resting. With keepPriority the new order takes over the old one's place
+  // and sequence, unless it has already expired; otherwise it is matched and
+  // queued like a new order. The caller closes the old order before the swap.
+  replaceOrder(previous, next, { keepPriority = false } = {}) {
+    const list = this._restingList(previous);
+    if (!list) {
+      throw new Error(`Order ${previous.id} is not on the book`);
+    }
+
+    const index = list.indexOf(previous);
+    if (!keepPriority || (next.isExpired && next.isExpired())) {
+      list.splice(index, 1);
+      this.emit('order', previous);
+      return this.addOrder(next);
+    }
+
+    next.orderType = (next.orderType || ORDER_TYPES.LIMIT).toUpperCase();
+    next.timeInForce = (next.timeInForce || TIME_IN_FORCE.GTC).toUpperCase();
+    next.sequence = previous.sequence;
+    next.priorityAt = previous.priorityAt;
+    list.splice(index, 1, next);
+    this.emit('order', previous);
+    this.emit('order', next);
+    return next;
+  }
 
-    const tolerance = typeof options.tolerance === 'number' ? Math.abs(options.tolerance) : 1e-8;
-    const normalizedOrders = orderList.map((order, index) => this._normalizeBatchOrder(order, index));
+  isResting(order) {
+    return Boolean(order && this._restingList(order));
+  }
 
-    for (let i = 0; i < normalizedOrders.length; i += 1) {
-      const current = normalizedOrders[i];
-      const next = normalizedOrders[(i + 1) % normalizedOrders.length];
-      if (current.requestToken !== next.offerToken) {
-        throw new Error('Batch orders must form a closed token loop');
-      }
+  _restingList(order) {
+    const book = this.orderBooks.get(this._getPairKey(order.baseToken, order.quoteToken));
+    if (!book) {
+      return null;
     }
+    return ['buy', 'sell', 'marketBuy', 'marketSell', 'stopLoss', 'stopLimit']
+      .map((listName) => book[listName])
+      .find((entries) => entries.includes(order)) || null;
+  }
 
-    const totalRate = normalizedOrders.reduce((acc, entry) => acc * entry.rate, 1);
-    if (!Number.isFinite(totalRate) || totalRate <= 0) {
-      throw new Error('Batch orders produce an invalid aggregate conversion rate');
+  // Re-seats an order whose fill state was changed outside the matching loop:
+  // it is dropped from the book and put back only if it can still rest.
+  refreshOrder(order) {
+    if (!order) {
+      return false;
     }
-    if (Math.abs(totalRate - 1) > tolerance) {
-      throw new Error('Batch orders do not balance; aggregate conversion rate must be 1');
+    const book = this.orderBooks.get(this._getPairKey(order.baseToken, order.quoteToken));
+    if (book) {
+      this._removeOrderFromList(book.buy, order.id);
+      this._removeOrderFromList(book.sell, order.id);
+      this._removeOrderFromList(book.stopLoss, order.id);
+      this._removeOrderFromList(book.stopLimit, order.id);
     }
+    const resting = this.restoreOrder(order);
+    this.emit('order', order);
+    return resting;
+  }
 
-    let maxOffer = normalizedOrders[0].offerRemaining;
-    if (!(maxOffer > 0)) {
-      throw new Error('Batch execution requires remaining liquidity');
-    }
+  // Takes every resting or queued order whose signed expiry has passed off the
+  // books. Called by the expiry sweeper; matching also drops expired makers as
+  // it reaches them.
+  expireDueOrders(now = Date.now()) {
+    const expired = [];
+    this.orderBooks.forEach((book) => {
+      expired.push(...this._expireBook(book, ['buy', 'sell', 'marketBuy', 'marketSell', 'stopLoss', 'stopLimit'], now));
+    });
+    return expired;
+  }
 
-    let cumulativeRate = 1;
-    for (let i = 1; i < normalizedOrders.length; i += 1) {
-      cumulativeRate *= normalizedOrders[i - 1].rate;
-      const candidate = normalizedOrders[i].offerRemaining / cumulativeRate;
-      if (!(candidate > 0)) {
-        throw new Error('Batch execution lacks sufficient liquidity');
-      }
-      maxOffer = Math.min(maxOffer, candidate);
-    }
+  getDepth(baseToken, quoteToken) {
+    return this.getDepthFromKey(this._getPairKey(baseToken, quoteToken));
+  }
 
-    if (!(maxOffer > 0)) {
-      throw new Error('Batch execution lacks sufficient liquidity');
+  // Aggregates resting limit orders into price levels, best price first.
+  getDepthFromKey(pairKey) {
+    const book = this.orderBooks.get(pairKey);
+    if (!book) {
+      return { bids: [], asks: [] };
     }
+    return {
+      bids: this._aggregateLevels(book.buy),
+      asks: this._aggregateLevels(book.sell),
+    };
+  }
 
-    const offerAmounts = new Array(normalizedOrders.length).fill(0);
-    const requestAmounts = new Array(normalizedOrders.length).fill(0);
-    offerAmounts[0] = maxOffer;
-
-    for (let i = 0; i < normalizedOrders.length; i += 1) {
-      const entry = normalizedOrders[i];
-      const offerAmount = offerAmounts[i];
-      if (!(offerAmount > 0)) {
-        throw new Error('Batch execution amount must be positive');
-      }
-
-      requestAmounts[i] = offerAmount * entry.rate;
-      const nextIndex = (i + 1) % normalizedOrders.length;
-      if (nextIndex !== 0) {
-        offerAmounts[nextIndex] = requestAmounts[i];
-      }
+  // Price levels for display: prices are grouped to `tick` (bids round down,
+  // asks round up, so grouped levels never cross) and each side is cut to
+  // `limit` levels with a running cumulative size. Best bid/ask, mid and
+  // spread come from the ungrouped book.
+  getDepthLevels(baseToken, quoteToken, { tick = null, limit = null } = {}) {
+    const book = this.orderBooks.get(this._getPairKey(baseToken, quoteToken));
+    const tickScaled = tick ? toScaledPrice(tick) : null;
+    if (tick && (tickScaled === null || tickScaled <= 0n)) {
+      throw new Error('tick must be a positive number');
+    }
+    const bids = this._groupLevels(book ? book.buy : [], tickScaled, 'down');
+    const asks = this._groupLevels(book ? book.sell : [], tickScaled, 'up');
+
+    const bestBid = bids.best;
+    const bestAsk = asks.best;
+    let mid = null;
+    let spread = null;
+    let spreadBps = null;
+    if (bestBid !== null && bestAsk !== null) {
+      const midScaled = (bestBid + bestAsk) / 2n;
+      mid = formatUnitsNumber(midScaled, PRICE_SCALE);
+      spread = formatUnitsNumber(bestAsk - bestBid, PRICE_SCALE);
+      spreadBps = midScaled > 0n ? Number(((bestAsk - bestBid) * 1000000n) / midScaled) / 100 : null;
     }
 
-    const finalRequest = requestAmounts[requestAmounts.length - 1];
-    if (Math.abs(finalRequest - offerAmounts[0]) > tolerance) {
-      throw new Error('Batch orders cannot settle without imbalance');
-    }
+    return {
+      bids: limit ? bids.levels.slice(0, limit) : bids.levels,
+      asks: limit ? asks.levels.slice(0, limit) : asks.levels,
+      bestBid: bestBid !== null ? formatUnitsNumber(bestBid, PRICE_SCALE) : null,
+      bestAsk: bestAsk !== null ? formatUnitsNumber(bestAsk, PRICE_SCALE) : null,
+      mid,
+      spread,
+      spreadBps,
+    };
+  }
+
+  executeBatchTrades(orderList, options = {}) {
+    const {
+      normalizedOrders,
+      offerAmounts,
+      requestAmounts,
+      baseFills,
+      surplus,
+    } = this._planBatch(orderList, options);
 
     const batchId = this._generateBatchId();
     const trades = [];
@@ -214,21 +398,20 @@ class MatchingService {
       const nextEntry = normalizedOrders[(i + 1) % normalizedOrders.length];
       const offerAmount = offerAmounts[i];
       const requestAmount = requestAmounts[i];
-
-      const baseFilled = entry.isSell ? offerAmount : requestAmount;
-      if (baseFilled > entry.order.remaining + tolerance) {
-        throw new Error('Batch execution overfills an order');
-      }
-      if (entry.allowPartialFill === false && Math.abs(baseFilled - entry.order.remaining) > tolerance) {
-        throw new Error('Batch execution would only partially fill an all-or-nothing order');
-      }
-
-      const execution = entry.order.recordFill(baseFilled, entry.price, nextEntry.order.id, timestamp);
-      if (execution) {
-        execution.batchId = batchId;
-        execution.offerAmount = offerAmount;
-        execution.receiveAmount = requestAmount;
-      }
+      const baseFilled = baseFills[i];
+      const quoteFilled = entry.isSell ? requestAmount : offerAmount;
+
+      const tradeId = crypto.randomUUID();
+      this._recordFill(entry.order, baseFilled, entry.price, nextEntry.order.id, timestamp, {
+        giveAmount: offerAmount,
+        quoteAmount: quoteFilled,
+      }, {
+        tradeId,
+        role: FILL_ROLES.MAKER,
+        batchId,
+        offerAmount: offerAmount.toString(),
+        receiveAmount: requestAmount.toString(),
+      });
 
       entry.order.metadata = entry.order.metadata || {};
       if (!Array.isArray(entry.order.metadata.batchExecutions)) {
@@ -239,15 +422,19 @@ class MatchingService {
         index: i,
         offerToken: entry.offerTokenRaw,
         requestToken: entry.requestTokenRaw,
-        offerAmount,
-        receiveAmount: requestAmount,
+        offerAmount: offerAmount.toString(),
+        receiveAmount: requestAmount.toString(),
         executedAt: timestamp,
       });
 
+      const baseAmount = formatUnitsNumber(baseFilled, entry.order.baseDecimals);
       const tradeRecord = {
+        id: tradeId,
         price: entry.price,
-        amount: baseFilled,
-        fillAmount: baseFilled,
+        amount: baseAmount,
+        fillAmount: offerAmount.toString(),
+        baseAmount: baseFilled.toString(),
+        quoteAmount: quoteFilled.toString(),
         buyOrderId: entry.order.isBuy() ? entry.order.id : nextEntry.order.id,
         sellOrderId: entry.order.isSell() ? entry.order.id : nextEntry.order.id,
         makerOrderId: entry.order.id,
@@ -258,30 +445,90 @@ class MatchingService {
       trades.push(tradeRecord);
 
       const pairKey = this._getPairKey(entry.order.baseToken, entry.order.quoteToken);
-      this._recordTrade(pairKey, tradeRecord);
+      this._recordTrade(pairKey, tradeRecord, {
+        maker: entry.order,
+        taker: nextEntry.order,
+        makerReceives: requestAmount,
+      });
       this._updateMarketPriceInternal(pairKey, entry.price, { source: 'batch' });
       priceOracleService.registerTrade(entry.order.baseToken, entry.order.quoteToken, {
         price: entry.price,
-        baseAmount: baseFilled,
-        quoteAmount: baseFilled * entry.price,
+        baseAmount,
+        quoteAmount: formatUnitsNumber(quoteFilled, entry.order.quoteDecimals),
         side: entry.order.isSell() ? 'SELL' : 'BUY',
         source: 'batch',
       });
 
-      if (entry.order.remaining <= tolerance) {
+      if (entry.order.remainingUnits <= 0n) {
         this._cleanupOrderFromBooks(entry.order);
       }
     }
 
     return {
       batchId,
-      offerAmounts,
-      requestAmounts,
+      offerAmounts: offerAmounts.map((amount) => amount.toString()),
+      requestAmounts: requestAmounts.map((amount) => amount.toString()),
+      surplus: surplus.toString(),
       trades,
       orders: normalizedOrders.map((entry) => entry.order),
     };
   }
 
+  // Treats every resting limit order as an edge from the token it offers to
+  // the token it requests and looks for loops across pair books
+  // (A→B→C→A) whose aggregate rate is at most 1, i.e. every order in the
+  // loop gets at least its own price. Only the best-priced order in each
+  // token direction is considered. Rings are sized by their tightest leg
+  // and returned best rate first.
+  findBatchOpportunities(options = {}) {
+    const requestedLength = parseInt(options.maxLength ?? this.settings.maxRingLength, 10);
+    const maxLength = Math.min(
+      Math.max(Number.isNaN(requestedLength) ? DEFAULT_RING_LENGTH : requestedLength, 2),
+      MAX_RING_LENGTH,
+    );
+    const limit = Math.max(parseInt(options.limit, 10) || DEFAULT_OPPORTUNITY_LIMIT, 1);
+    const edges = this._collectRingEdges(options.now ?? Date.now());
+    const opportunities = [];
+
+    for (const ring of this._findTokenCycles(edges, maxLength)) {
+      const orders = ring.map((entry) => entry.order);
+      const pairs = new Set(orders.map((order) => this._getPairKey(order.baseToken, order.quoteToken)));
+      // A loop within one book is just a crossed book, which regular
+      // matching already handles.
+      if (pairs.size < 2 || orders.some((order, i) => this._isSelfTrade(order, orders[(i + 1) % orders.length]))) {
+        continue;
+      }
+      const productGet = ring.reduce((acc, entry) => acc * entry.amountGet, 1n);
+      const productGive = ring.reduce((acc, entry) => acc * entry.amountGive, 1n);
+      if (productGet > productGive) {
+        continue;
+      }
+
+      let plan;
+      try {
+        plan = this._planBatch(orders, { tolerance: options.tolerance, allowSurplus: true });
+      } catch (error) {
+        continue;
+      }
+      const rateScaled = mulDivDown(productGet, PRICE_SCALE_FACTOR, productGive);
+      opportunities.push({
+        orders,
+        tokens: ring.map((entry) => entry.offerTokenRaw),
+        pairs: Array.from(pairs),
+        rate: formatUnitsNumber(rateScaled, PRICE_SCALE),
+        rateScaled,
+        offerAmounts: plan.offerAmounts.map((amount) => amount.toString()),
+        requestAmounts: plan.requestAmounts.map((amount) => amount.toString()),
+        surplus: plan.surplus.toString(),
+      });
+    }
+
+    return opportunities
+      .sort((a, b) => (a.rateScaled < b.rateScaled ? -1 : a.rateScaled > b.rateScaled ? 1 : 0))
+      .slice(0, limit)
+      .map(({ rateScaled, ...opportunity }) => opportunity);
+  }
+
   getOrderBook(baseToken, quoteToken) {
     if (baseToken && quoteToken) {
       const pairKey = this._getPairKey(baseToken, quoteToken);
@@ -303,11 +550,20 @@ class MatchingService {
     if (restingMarketOpposite.length > 0) {
       trades.push(...this._matchOrder(pairKey, order, restingMarketOpposite, () => true));
     }
+    if (order.status === 'CANCELLED') {
+      return trades;
+    }
 
     const opposite = order.isBuy() ? book.sell : book.buy;
-    const priceCondition = order.isBuy()
-      ? (maker) => maker.price !== null && maker.price <= order.price
-      : (maker) => maker.price !== null && maker.price >= order.price;
+    const limitRatio = order.priceRatio;
+    const priceCondition = (maker) => {
+      const makerRatio = maker.priceRatio;
+      if (!makerRatio || !limitRatio) {
+        return false;
+      }
+      const comparison = compareRatios(makerRatio, limitRatio);
+      return order.isBuy() ? comparison <= 0 : comparison >= 0;
+    };
 
     if (order.timeInForce === TIME_IN_FORCE.POST_ONLY) {
       const bestOpposite = opposite[0];
@@ -320,30 +576,33 @@ class MatchingService {
     }
 
     if (order.timeInForce === TIME_IN_FORCE.FOK || order.allowPartialFill === false) {
-      const fillableFromResting = this._calculateFillableVolume(restingMarketOpposite, () => true);
-      const fillableFromOpposite = this._calculateFillableVolume(opposite, priceCondition);
+      const fillableFromResting = this._calculateFillableVolume(restingMarketOpposite, () => true, order);
+      const fillableFromOpposite = this._calculateFillableVolume(opposite, priceCondition, order);
       const totalFillable = fillableFromResting + fillableFromOpposite;
-      if (totalFillable < order.remaining) {
+      if (totalFillable < order.remainingUnits) {
         order.metadata = order.metadata || {};
         order.metadata.rejectReason = 'INSUFFICIENT_LIQUIDITY';
-        order.metadata.availableVolume = totalFillable;
+        order.metadata.availableVolume = formatUnitsNumber(totalFillable, order.baseDecimals);
         order.status = 'REJECTED';
         return [];
       }
     }
 
     trades.push(...this._matchOrder(pairKey, order, opposite, priceCondition));
+    if (order.status === 'CANCELLED') {
+      return trades;
+    }
 
-    if (order.remaining > 0) {
+    if (order.remainingUnits > 0n) {
       if (order.timeInForce === TIME_IN_FORCE.IOC) {
         order.metadata = order.metadata || {};
         order.metadata.unfilledAmount = order.remaining;
         order.metadata.cancelReason = 'IOC_UNFILLED';
-        order.status = order.filled > 0 ? 'PARTIAL' : 'REJECTED';
+        order.status = order.filledUnits > 0n ? 'PARTIAL' : 'REJECTED';
       } else if (order.timeInForce === TIME_IN_FORCE.FOK || order.allowPartialFill === false) {
         order.metadata = order.metadata || {};
         order.metadata.unfilledAmount = order.remaining;
-        order.status = order.filled > 0 ? 'PARTIAL' : 'REJECTED';
+        order.status = order.filledUnits > 0n ? 'PARTIAL' : 'REJECTED';
       } else {
         this._restOnBook(order, order.isBuy() ? book.buy : book.sell, order.side);
       }
@@ -395,23 +654,37 @@ class MatchingService {
 
   _fillWithSyntheticLiquidity(order, pairKey) {
     const price = this._resolveOrderPrice(order);
-    const baseRemaining = order?.remaining ?? 0;
-    if (!Number.isFinite(price) || price <= 0 || !(baseRemaining > 0)) {
+    const baseRemaining = order ? order.remainingUnits : 0n;
+    if (!Number.isFinite(price) || price <= 0 || baseRemaining <= 0n) {
+      return null;
+    }
+
+    const priceRatio = order.priceRatio || ratioFromPrice(price, order.baseDecimals, order.quoteDecimals);
+    if (!priceRatio) {
       return null;
     }
+    const quoteUnits = mulDivDown(baseRemaining, priceRatio.numerator, priceRatio.denominator);
 
     const timestamp = new Date();
     const counterpartyId = `${SYNTHETIC_COUNTERPARTY_PREFIX}-${crypto.randomBytes(4).toString('hex')}`;
-    const execution = order.recordFill(baseRemaining, price, counterpartyId, timestamp);
+    const tradeId = crypto.randomUUID();
+    const execution = this._recordFill(order, baseRemaining, price, counterpartyId, timestamp, {
+      giveAmount: order.isSell() ? baseRemaining : quoteUnits,
+      quoteAmount: quoteUnits,
+    }, { tradeId, role: FILL_ROLES.TAKER });
     if (!execution) {
       return null;
     }
 
-    const quoteAmount = Number.isFinite(price) ? baseRemaining * price : null;
+    const baseAmount = formatUnitsNumber(baseRemaining, order.baseDecimals);
+    const quoteAmount = formatUnitsNumber(quoteUnits, order.quoteDecimals);
     const trade = {
+      id: tradeId,
       price,
-      amount: baseRemaining,
-      fillAmount: baseRemaining,
+      amount: baseAmount,
+      fillAmount: baseRemaining.toString(),
+      baseAmount: baseRemaining.toString(),
+      quoteAmount: quoteUnits.toString(),
       buyOrderId: order.isBuy() ? order.id : counterpartyId,
       sellOrderId: order.isSell() ? order.id : counterpartyId,
       makerOrderId: counterpartyId,
@@ -431,13 +704,13 @@ class MatchingService {
       filledAt: timestamp,
     };
 
-    this._recordTrade(pairKey, trade);
+    this._recordTrade(pairKey, trade, {});
     this._updateMarketPriceInternal(pairKey, price, { source: 'synthetic', skipStopTrigger: true });
     this._applyMarketBuyImpact(order, pairKey, price, baseRemaining);
     priceOracleService.registerTrade(order.baseToken, order.quoteToken, {
       price,
-      baseAmount: baseRemaining,
-      quoteAmount: quoteAmount !== null ? quoteAmount : baseRemaining * price,
+      baseAmount,
+      quoteAmount,
       side: order.isSell() ? 'SELL' : 'BUY',
       source: 'synthetic',
     });
@@ -451,42 +724,48 @@ class MatchingService {
     if (restingMarketOpposite.length > 0) {
       trades.push(...this._matchOrder(pairKey, order, restingMarketOpposite, () => true));
     }
+    if (order.status === 'CANCELLED') {
+      return trades;
+    }
 
     const opposite = order.isBuy() ? book.sell : book.buy;
 
     const requiresFullFill = order.timeInForce === TIME_IN_FORCE.FOK || order.allowPartialFill === false;
     if (requiresFullFill) {
-      const fillableFromResting = this._calculateFillableVolume(restingMarketOpposite, () => true);
-      const fillableFromOpposite = this._calculateFillableVolume(opposite, () => true);
+      const fillableFromResting = this._calculateFillableVolume(restingMarketOpposite, () => true, order);
+      const fillableFromOpposite = this._calculateFillableVolume(opposite, () => true, order);
       const totalFillable = fillableFromResting + fillableFromOpposite;
-      if (totalFillable < order.remaining && !this._shouldUseSyntheticLiquidity(order)) {
+      if (totalFillable < order.remainingUnits && !this._shouldUseSyntheticLiquidity(order)) {
         order.metadata = order.metadata || {};
         order.metadata.rejectReason = 'INSUFFICIENT_LIQUIDITY';
-        order.metadata.availableVolume = totalFillable;
+        order.metadata.availableVolume = formatUnitsNumber(totalFillable, order.baseDecimals);
         order.status = 'REJECTED';
         return [];
       }
     }
 
-    if (order.remaining > 0) {
+    if (order.remainingUnits > 0n) {
       trades.push(...this._matchOrder(pairKey, order, opposite, () => true));
     }
+    if (order.status === 'CANCELLED') {
+      return trades;
+    }
 
-    if (order.remaining > 0 && this._shouldUseSyntheticLiquidity(order)) {
+    if (order.remainingUnits > 0n && this._shouldUseSyntheticLiquidity(order)) {
       const syntheticTrade = this._fillWithSyntheticLiquidity(order, pairKey);
       if (syntheticTrade) {
         trades.push(syntheticTrade);
       }
     }
 
-    if (order.remaining > 0) {
+    if (order.remainingUnits > 0n) {
       order.metadata = order.metadata || {};
       order.metadata.unfilledAmount = order.remaining;
       if (order.timeInForce === TIME_IN_FORCE.IOC) {
         order.metadata.cancelReason = 'IOC_UNFILLED';
-        order.status = order.filled > 0 ? 'PARTIAL' : 'REJECTED';
+        order.status = order.filledUnits > 0n ? 'PARTIAL' : 'REJECTED';
       } else if (order.timeInForce === TIME_IN_FORCE.FOK || order.allowPartialFill === false) {
-        order.status = order.filled > 0 ? 'PARTIAL' : 'REJECTED';
+        order.status = order.filledUnits > 0n ? 'PARTIAL' : 'REJECTED';
       } else {
         this._restMarketOrder(order, book);
       }
@@ -498,7 +777,14 @@ class MatchingService {
   }
 
   _queueStopOrder(order, book, listName, pairKey) {
-    if (order.stopPrice === null || Number.isNaN(Number(order.stopPrice))) {
+    const trailing = order.orderType === ORDER_TYPES.TRAILING_STOP;
+    if (trailing && !this._hasTrailingOffset(order)) {
+      order.metadata = order.metadata || {};
+      order.metadata.rejectReason = 'INVALID_TRAILING_OFFSET';
+      order.status = 'REJECTED';
+      return [];
+    }
+    if (!trailing && (order.stopPrice === null || Number.isNaN(Number(order.stopPrice)))) {
       order.metadata = order.metadata || {};
       order.metadata.rejectReason = 'INVALID_STOP_PRICE';
       order.status = 'REJECTED';
@@ -533,6 +819,10 @@ class MatchingService {
         previousPrice = null;
       }
 
+      if (trailing) {
+        this._trailStop(order, currentPrice);
+      }
+
       if (
         Number.isFinite(currentPrice)
         && currentPrice > 0
@@ -561,25 +851,51 @@ class MatchingService {
   _matchOrder(pairKey, taker, oppositeList, canMatch) {
     const trades = [];
 
-    while (taker.remaining > 0 && oppositeList.length > 0) {
+    while (taker.remainingUnits > 0n && oppositeList.length > 0) {
       const maker = oppositeList[0];
+      // The contract rejects orders past their expiry, so never match them.
+      if (maker.isExpired && maker.isExpired()) {
+        oppositeList.shift();
+        this._expire(maker, new Date());
+        continue;
+      }
       if (!canMatch(maker)) {
         break;
       }
+      if (this._isSelfTrade(taker, maker)) {
+        this._preventSelfTrade(taker, maker, oppositeList);
+        if (taker.status === 'CANCELLED') {
+          break;
+        }
+        continue;
+      }
+
+      const requestedUnits = minBigInt(taker.remainingUnits, maker.visibleUnits ?? maker.remainingUnits);
+      if (requestedUnits <= 0n) {
+        break;
+      }
 
-      const fillAmount = Math.min(taker.remaining, maker.remaining);
-      if (fillAmount <= 0) {
+      const fill = this._computeFill(maker, requestedUnits, this._determineTradePrice(taker, maker, pairKey));
+      if (!fill) {
         break;
       }
 
-      const tradePrice = this._determineTradePrice(taker, maker, pairKey);
+      const tradePrice = ratioToNumber(fill.priceRatio, maker.baseDecimals, maker.quoteDecimals);
+      const fillAmount = formatUnitsNumber(fill.baseAmount, maker.baseDecimals);
       const timestamp = new Date();
+      const tradeId = crypto.randomUUID();
 
       maker.metadata = maker.metadata || {};
       taker.metadata = taker.metadata || {};
 
-      maker.recordFill(fillAmount, tradePrice, taker.id, timestamp);
-      taker.recordFill(fillAmount, tradePrice, maker.id, timestamp);
+      this._recordFill(maker, fill.baseAmount, tradePrice, taker.id, timestamp, {
+        giveAmount: fill.makerGive,
+        quoteAmount: fill.quoteAmount,
+      }, { tradeId, role: FILL_ROLES.MAKER });
+      this._recordFill(taker, fill.baseAmount, tradePrice, maker.id, timestamp, {
+        giveAmount: taker.isSell() ? fill.baseAmount : fill.quoteAmount,
+        quoteAmount: fill.quoteAmount,
+      }, { tradeId, role: FILL_ROLES.TAKER });
 
       maker.metadata.lastTradePrice = tradePrice;
       maker.metadata.lastTradeAt = timestamp;
@@ -587,9 +903,12 @@ class MatchingService {
       taker.metadata.lastTradeAt = timestamp;
 
       const trade = {
+        id: tradeId,
         price: tradePrice,
         amount: fillAmount,
-        fillAmount,
+        fillAmount: fill.makerGive.toString(),
+        baseAmount: fill.baseAmount.toString(),
+        quoteAmount: fill.quoteAmount.toString(),
         buyOrderId: taker.isBuy() ? taker.id : maker.id,
         sellOrderId: taker.isSell() ? taker.id : maker.id,
         makerOrderId: maker.id,
@@ -598,33 +917,172 @@ class MatchingService {
       };
       trades.push(trade);
 
-      this._recordTrade(pairKey, trade);
+      this._recordTrade(pairKey, trade, {
+        maker,
+        taker,
+        makerReceives: maker.isSell() ? fill.quoteAmount : fill.baseAmount,
+        takerReceives: fill.makerGive,
+      });
       this._updateMarketPriceInternal(pairKey, tradePrice, { source: 'orderbook' });
-      this._applyMarketBuyImpact(taker, pairKey, tradePrice, fillAmount);
-      this._applyMarketBuyImpact(maker, pairKey, tradePrice, fillAmount);
+      this._applyMarketBuyImpact(taker, pairKey, tradePrice, fill.baseAmount);
+      this._applyMarketBuyImpact(maker, pairKey, tradePrice, fill.baseAmount);
       priceOracleService.registerTrade(taker.baseToken, taker.quoteToken, {
         price: tradePrice,
         baseAmount: fillAmount,
-        quoteAmount: fillAmount * tradePrice,
+        quoteAmount: formatUnitsNumber(fill.quoteAmount, maker.quoteDecimals),
         side: taker.isSell() ? 'SELL' : 'BUY',
         source: 'orderbook',
       });
 
-      if (maker.remaining <= 0) {
+      if (maker.remainingUnits <= 0n) {
         oppositeList.shift();
+      } else if (maker.isIceberg?.()) {
+        this._consumeIcebergSlice(maker, fill.baseAmount, oppositeList);
       }
     }
 
     return trades;
   }
 
-  _calculateFillableVolume(oppositeList, canMatch) {
-    let total = 0;
+  _isSelfTrade(taker, maker) {
+    const takerAccount = typeof taker.trader === 'string' ? taker.trader.toLowerCase() : null;
+    return Boolean(takerAccount) && typeof maker.trader === 'string' && maker.trader.toLowerCase() === takerAccount;
+  }
+
+  // The taker's own mode applies, else the configured default:
+  // cancel_newest cancels the taker, cancel_oldest the resting maker,
+  // cancel_both both of them, and decrement shrinks both by the smaller
+  // remaining size and cancels whichever reaches zero. No trade is recorded
+  // and nothing is sent for settlement.
+  _preventSelfTrade(taker, maker, oppositeList) {
+    const modes = Object.values(SELF_TRADE_PREVENTION);
+    const mode = [taker.selfTradePrevention, this.settings.selfTradePrevention]
+      .find((candidate) => modes.includes(candidate)) || SELF_TRADE_PREVENTION.CANCEL_NEWEST;
+    const timestamp = new Date();
+    let cancelTaker = mode === SELF_TRADE_PREVENTION.CANCEL_NEWEST || mode === SELF_TRADE_PREVENTION.CANCEL_BOTH;
+    let cancelMaker = mode === SELF_TRADE_PREVENTION.CANCEL_OLDEST || mode === SELF_TRADE_PREVENTION.CANCEL_BOTH;
+    let reduced = 0n;
+    if (mode === SELF_TRADE_PREVENTION.DECREMENT) {
+      reduced = minBigInt(taker.remainingUnits, maker.remainingUnits);
+      taker.reduce(reduced, timestamp);
+      maker.reduce(reduced, timestamp);
+      cancelTaker = taker.remainingUnits <= 0n;
+      cancelMaker = maker.remainingUnits <= 0n;
+    }
+
+    [[taker, maker], [maker, taker]].forEach(([order, counterparty]) => {
+      order.metadata = order.metadata || {};
+      order.metadata.selfTradePrevention = {
+        mode,
+        counterparty: counterparty.id,
+        reduced: formatUnitsNumber(reduced, order.baseDecimals),
+        at: timestamp.toISOString(),
+      };
+    });
+    if (cancelMaker) {
+      this._removeOrderFromList(oppositeList, maker.id);
+      maker.cancel('SELF_TRADE_PREVENTION');
+      this.emit('order', maker);
+      this._cancelGroupSiblings(maker, 'GROUP_CANCELLED');
+    } else if (reduced > 0n) {
+      this.emit('order', maker);
+    }
+    if (cancelTaker) {
+      taker.cancel('SELF_TRADE_PREVENTION');
+      this._cleanupOrderFromBooks(taker);
+      this._cancelGroupSiblings(taker, 'GROUP_CANCELLED');
+    }
+    return mode;
+  }
+
+  // An iceberg maker shows `displayUnits` at a time. Once the visible slice
+  // is used up it is replenished from the hidden remainder and the order
+  // loses its time priority, going to the back of its price level. Either
+  // change is published as an order update so the journal records it.
+  _consumeIcebergSlice(order, units, list) {
+    order.sliceUnits = order.sliceUnits > units ? order.sliceUnits - units : 0n;
+    if (order.remainingUnits <= 0n) {
+      return false;
+    }
+    if (order.sliceUnits > 0n) {
+      this.emit('order', order);
+      return false;
+    }
+    order.sliceUnits = minBigInt(order.displayUnits, order.remainingUnits);
+    this._assignSequence(order);
+    order.metadata = order.metadata || {};
+    order.metadata.iceberg = {
+      refills: (order.metadata.iceberg?.refills || 0) + 1,
+      refilledAt: order.priorityAt.toISOString(),
+    };
+    this._removeOrderFromList(list, order.id);
+    this._restOnBook(order, list, order.side);
+    this.emit('order', order);
+    return true;
+  }
+
+  // Rounding policy: fills are sized in the maker's tokenGive base units, the
+  // same unit DEX.executeOrder receives, and the counter amount is
+  // floor(fillAmount * amountGet / amountGive) exactly as the contract computes
+  // it. A maker without signed terms uses its limit price ratio the same way.
+  // Rounding therefore always favours the maker, a maker never gives more than
+  // it signed, and a fill whose counter amount floors to zero is unsettleable
+  // dust and is not executed.
+  _computeFill(maker, baseUnits, priceRatio) {
+    if (typeof baseUnits !== 'bigint' || baseUnits <= 0n) {
+      return null;
+    }
+
+    const terms = maker.terms;
+    if (terms) {
+      if (maker.isSell()) {
+        const quoteAmount = mulDivDown(baseUnits, terms.amountGet, terms.amountGive);
+        if (quoteAmount <= 0n) {
+          return null;
+        }
+        return { baseAmount: baseUnits, quoteAmount, makerGive: baseUnits, priceRatio: maker.priceRatio };
+      }
+
+      const giveRemaining = maker.giveRemainingUnits;
+      let makerGive = baseUnits >= maker.remainingUnits
+        ? giveRemaining
+        : mulDivDown(baseUnits, terms.amountGive, terms.amountGet);
+      makerGive = minBigInt(makerGive, giveRemaining);
+      let baseAmount = mulDivDown(makerGive, terms.amountGet, terms.amountGive);
+      if (baseAmount > baseUnits) {
+        makerGive = mulDivDown(baseUnits, terms.amountGive, terms.amountGet);
+        baseAmount = mulDivDown(makerGive, terms.amountGet, terms.amountGive);
+      }
+      if (makerGive <= 0n || baseAmount <= 0n) {
+        return null;
+      }
+      return { baseAmount, quoteAmount: makerGive, makerGive, priceRatio: maker.priceRatio };
+    }
+
+    if (!priceRatio) {
+      return null;
+    }
+    const quoteAmount = mulDivDown(baseUnits, priceRatio.numerator, priceRatio.denominator);
+    if (quoteAmount <= 0n) {
+      return null;
+    }
+    return {
+      baseAmount: baseUnits,
+      quoteAmount,
+      makerGive: maker.isSell() ? baseUnits : quoteAmount,
+      priceRatio,
+    };
+  }
+
+  // Liquidity reachable before the taker's own first resting order, where
+  // self-trade prevention would stop or change the match.
+  _calculateFillableVolume(oppositeList, canMatch, taker = null) {
+    let total = 0n;
     for (const order of oppositeList) {
-      if (!canMatch(order)) {
+      if (!canMatch(order) || (taker && this._isSelfTrade(taker, order))) {
         break;
       }
-      total += order.remaining;
+      total += order.remainingUnits;
     }
     return total;
   }
@@ -633,7 +1091,7 @@ class MatchingService {
     if (!list.includes(order)) {
       list.push(order);
     }
-    if (order.filled === 0) {
+    if (order.filledUnits === 0n) {
       order.status = 'PENDING';
     }
     this._sortOrders(list, side);
@@ -644,30 +1102,52 @@ class MatchingService {
     if (!list.includes(order)) {
       list.push(order);
     }
-    order.status = order.filled > 0 ? 'PARTIAL' : 'PENDING';
+    order.status = order.filledUnits > 0n ? 'PARTIAL' : 'PENDING';
     order.metadata = order.metadata || {};
     order.metadata.restedAt = order.metadata.restedAt || new Date();
   }
 
   _sortOrders(list, side) {
     list.sort((a, b) => {
-      const priceA = a.price ?? 0;
-      const priceB = b.price ?? 0;
+      const priceOrder = this._comparePriceRatios(a.priceRatio, b.priceRatio);
       if (side === 'BUY') {
-        if (priceB !== priceA) {
-          return priceB - priceA;
+        if (priceOrder !== 0) {
+          return -priceOrder;
         }
       } else if (side === 'SELL') {
-        if (priceA !== priceB) {
-          return priceA - priceB;
+        if (priceOrder !== 0) {
+          return priceOrder;
         }
       }
-      const timeA = a.createdAt instanceof Date ? a.createdAt.getTime() : new Date(a.createdAt).getTime();
-      const timeB = b.createdAt instanceof Date ? b.createdAt.getTime() : new Date(b.createdAt).getTime();
-      return timeA - timeB;
+      return this._compareTimePriority(a, b);
     });
   }
 
+  _compareTimePriority(a, b) {
+    if (a.sequence && b.sequence) {
+      return a.sequence - b.sequence;
+    }
+    const timeA = new Date(a.priorityAt || a.createdAt).getTime();
+    const timeB = new Date(b.priorityAt || b.createdAt).getTime();
+    return timeA - timeB;
+  }
+
+  _comparePriceRatios(a, b) {
+    if (!a || !b) {
+      return (a ? 1 : 0) - (b ? 1 : 0);
+    }
+    return compareRatios(a, b);
+  }
+
+  // Time priority comes from this counter rather than timestamps, which
+  // tie within a millisecond.
+  _assignSequence(order) {
+    this.sequence += 1;
+    order.sequence = this.sequence;
+    order.priorityAt = new Date();
+    return order.sequence;
+  }
+
   _getPairKey(baseToken, quoteToken) {
     return `${String(baseToken).toLowerCase()}-${String(quoteToken).toLowerCase()}`;
   }
@@ -723,25 +1203,148 @@ class MatchingService {
   }
 
   _determineTradePrice(taker, maker, pairKey) {
-    if (maker.price !== null && maker.price !== undefined) {
-      return maker.price;
+    const makerRatio = maker.priceRatio;
+    if (makerRatio) {
+      return makerRatio;
     }
-    if (taker.price !== null && taker.price !== undefined) {
-      return taker.price;
+    const takerRatio = taker.priceRatio;
+    if (takerRatio) {
+      return takerRatio;
     }
     const snapshot = this.getMarketPriceSnapshotFromKey(pairKey);
     if (snapshot) {
-      return snapshot.price;
+      return ratioFromPrice(snapshot.price, maker.baseDecimals, maker.quoteDecimals);
+    }
+    return null;
+  }
+
+  _groupLevels(orders, tickScaled, rounding) {
+    const byPrice = new Map();
+    let best = null;
+    let baseDecimals = DEFAULT_DECIMALS;
+    for (const order of orders) {
+      const remainingUnits = order.visibleUnits ?? order.remainingUnits;
+      if (remainingUnits <= 0n) {
+        continue;
+      }
+      const scaled = ratioToScaled(order.priceRatio, order.baseDecimals, order.quoteDecimals);
+      if (scaled === null) {
+        continue;
+      }
+      baseDecimals = order.baseDecimals;
+      if (best === null || (rounding === 'down' ? scaled > best : scaled < best)) {
+        best = scaled;
+      }
+      let levelPrice = scaled;
+      if (tickScaled) {
+        levelPrice = (scaled / tickScaled) * tickScaled;
+        if (rounding === 'up' && levelPrice < scaled) {
+          levelPrice += tickScaled;
+        }
+      }
+      const level = byPrice.get(levelPrice) || { price: levelPrice, amountUnits: 0n, orders: 0 };
+      level.amountUnits += remainingUnits;
+      level.orders += 1;
+      byPrice.set(levelPrice, level);
+    }
+
+    let cumulativeUnits = 0n;
+    const levels = Array.from(byPrice.values())
+      .sort((a, b) => {
+        if (a.price === b.price) {
+          return 0;
+        }
+        return (rounding === 'down' ? a.price < b.price : a.price > b.price) ? 1 : -1;
+      })
+      .map((level) => {
+        cumulativeUnits += level.amountUnits;
+        return {
+          price: formatUnitsNumber(level.price, PRICE_SCALE),
+          amount: formatUnitsNumber(level.amountUnits, baseDecimals),
+          amountUnits: level.amountUnits.toString(),
+          orders: level.orders,
+          cumulative: formatUnitsNumber(cumulativeUnits, baseDecimals),
+          cumulativeUnits: cumulativeUnits.toString(),
+        };
+      });
+    return { levels, best };
+  }
+
+  _aggregateLevels(orders) {
+    const levels = [];
+    const byPrice = new Map();
+    for (const order of orders) {
+      const remainingUnits = order.visibleUnits ?? order.remainingUnits;
+      if (remainingUnits <= 0n) {
+        continue;
+      }
+      const price = ratioToNumber(order.priceRatio, order.baseDecimals, order.quoteDecimals);
+      if (price === null) {
+        continue;
+      }
+      let level = byPrice.get(price);
+      if (!level) {
+        level = { price, amountUnits: 0n, baseDecimals: order.baseDecimals, orders: 0 };
+        byPrice.set(price, level);
+        levels.push(level);
+      }
+      level.amountUnits += remainingUnits;
+      level.orders += 1;
+    }
+    return levels.map((level) => ({
+      price: level.price,
+      amount: formatUnitsNumber(level.amountUnits, level.baseDecimals),
+      amountUnits: level.amountUnits.toString(),
+      orders: level.orders,
+    }));
+  }
+
+  _recordFill(order, amount, price, counterpartyId, timestamp, details = {}, extra = {}) {
+    const execution = order.recordFill(amount, price, counterpartyId, timestamp, details);
+    if (!execution) {
+      return null;
+    }
+    Object.assign(execution, extra);
+    this.emit('fill', { order, execution });
+    this._cancelGroupSiblings(order, 'OCO_FILLED');
+    return execution;
+  }
+
+  // One-cancels-other: once a grouped order fills, triggers or is cancelled,
+  // the other members of its group still resting or queued on the book are
+  // cancelled with it. `pending` holds group members already taken off the
+  // book in the same pass, e.g. stops triggered by the same price move.
+  _cancelGroupSiblings(order, reason, pending = []) {
+    if (!order?.groupId) {
+      return [];
     }
-    return 0;
+    const book = this.orderBooks.get(this._getPairKey(order.baseToken, order.quoteToken));
+    const isSibling = (entry) => entry && entry.groupId === order.groupId && entry.id !== order.id;
+    const siblings = [
+      ...(book ? ['buy', 'sell', 'stopLoss', 'stopLimit'].flatMap((listName) => book[listName].filter(isSibling)) : []),
+      ...pending.filter((entry) => isSibling(entry) && entry.status !== 'CANCELLED'),
+    ];
+
+    siblings.forEach((sibling) => {
+      if (book) {
+        ['buy', 'sell', 'stopLoss', 'stopLimit'].forEach((listName) => this._removeOrderFromList(book[listName], sibling.id));
+      }
+      sibling.cancel(reason);
+      this.emit('order', sibling);
+    });
+    return siblings;
   }
 
-  _recordTrade(pairKey, trade) {
+  // `parties` carries the maker/taker orders and what each receives so the
+  // trade record gets its fee fields before it is stored or broadcast.
+  _recordTrade(pairKey, trade, parties = {}) {
+    feeService.assess(trade, parties);
     const book = this._getOrCreateOrderBook(pairKey);
     book.trades.push(trade);
     if (book.trades.length > this.maxTradeHistory) {
       book.trades.shift();
     }
+    this.emit('trade', { pairKey, trade });
   }
 
   _normalizeMarketMetadata(metadata = {}) {
@@ -786,33 +1389,41 @@ class MatchingService {
       return;
     }
 
-    const filledAmount = Number(baseFilled);
-    if (!Number.isFinite(filledAmount) || filledAmount <= 0) {
+    if (typeof baseFilled !== 'bigint' || baseFilled <= 0n) {
       return;
     }
 
-    const impact = filledAmount * MARKET_BUY_PRICE_IMPACT_RATE;
-    if (!Number.isFinite(impact) || impact <= 0) {
+    // Impact is computed in PRICE_SCALE fixed point: filled base tokens times
+    // the impact rate, added to the baseline price.
+    const baseFactor = 10n ** BigInt(order.baseDecimals ?? DEFAULT_DECIMALS);
+    const rateScaled = toScaledPrice(MARKET_BUY_PRICE_IMPACT_RATE);
+    if (!rateScaled || rateScaled <= 0n) {
+      return;
+    }
+    const impactScaled = mulDivDown(baseFilled, rateScaled, baseFactor);
+    if (impactScaled <= 0n) {
       return;
     }
 
     const tradeReference = Number(referencePrice);
-    let baselinePrice = Number.isFinite(tradeReference) && tradeReference > 0
-      ? tradeReference
+    let baselineScaled = Number.isFinite(tradeReference) && tradeReference > 0
+      ? toScaledPrice(tradeReference)
       : null;
 
-    if (!Number.isFinite(baselinePrice) || baselinePrice <= 0) {
+    if (!baselineScaled || baselineScaled <= 0n) {
       const snapshot = this.getMarketPriceSnapshotFromKey(pairKey);
       if (snapshot && Number.isFinite(snapshot.price) && snapshot.price > 0) {
-        baselinePrice = snapshot.price;
+        baselineScaled = toScaledPrice(snapshot.price);
       }
     }
 
-    if (!Number.isFinite(baselinePrice) || baselinePrice <= 0) {
+    if (!baselineScaled || baselineScaled <= 0n) {
       return;
     }
 
-    const boostedPrice = baselinePrice + impact;
+    const boostedScaled = baselineScaled + impactScaled;
+    const baselinePrice = formatUnitsNumber(baselineScaled, PRICE_SCALE);
+    const boostedPrice = formatUnitsNumber(boostedScaled, PRICE_SCALE);
     if (!Number.isFinite(boostedPrice) || boostedPrice <= baselinePrice) {
       return;
     }
@@ -824,8 +1435,8 @@ class MatchingService {
 
     priceOracleService.registerTrade(order.baseToken, order.quoteToken, {
       price: boostedPrice,
-      baseAmount: filledAmount,
-      quoteAmount: filledAmount * boostedPrice,
+      baseAmount: formatUnitsNumber(baseFilled, order.baseDecimals ?? DEFAULT_DECIMALS),
+      quoteAmount: formatUnitsNumber(mulDivDown(baseFilled, boostedScaled, baseFactor), PRICE_SCALE),
       side: 'BUY',
       source: 'market-buy-impact',
     });
@@ -846,6 +1457,7 @@ class MatchingService {
       previousPrice,
     });
     this._setMarketPriceEntry(pairKey, numericPrice, normalizedMetadata);
+    this._emitPriceChange(pairKey);
 
     let inverseKey = null;
     let inversePrice = null;
@@ -864,26 +1476,92 @@ class MatchingService {
               previousPrice: previousInverse,
             });
             this._setMarketPriceEntry(inverseKey, inversePrice, inverseMetadata);
+            this._emitPriceChange(inverseKey);
           }
         }
       }
     }
 
     if (!skipStopTrigger && inverseKey && inversePrice) {
+      this._trailStopOrders(inverseKey, inversePrice);
       this._triggerStopOrders(inverseKey, inversePrice, previousInverse);
     }
 
     if (!skipStopTrigger) {
+      this._trailStopOrders(pairKey, numericPrice);
       this._triggerStopOrders(pairKey, numericPrice, previousPrice);
     }
   }
 
+  _trailStopOrders(pairKey, price) {
+    const book = this.orderBooks.get(pairKey);
+    if (!book) {
+      return;
+    }
+    book.stopLoss
+      .filter((order) => order.orderType === ORDER_TYPES.TRAILING_STOP)
+      .forEach((order) => {
+        if (this._trailStop(order, price)) {
+          this.emit('order', order);
+        }
+      });
+  }
+
+  // Moves a trailing stop's reference to `price` when it is the best seen so
+  // far (highest for sells, lowest for buys). The signed stopPrice is the
+  // starting reference; without one the first observed price is used.
+  _trailStop(order, price) {
+    const current = Number(price);
+    const reference = this._trailingReference(order);
+    const improves = Number.isFinite(current) && current > 0
+      && (reference === null || (order.isSell() ? current > reference : current < reference));
+    if (improves || !order.metadata?.trailing) {
+      order.metadata = order.metadata || {};
+      order.metadata.trailing = { reference: improves ? current : reference };
+      order.metadata.trailing.stopPrice = this._trailingStopPrice(order);
+      order.metadata.trailing.updatedAt = new Date().toISOString();
+    }
+    return improves;
+  }
+
+  _trailingReference(order) {
+    const reference = Number(order.metadata?.trailing?.reference ?? order.stopPrice);
+    return Number.isFinite(reference) && reference > 0 ? reference : null;
+  }
+
+  _hasTrailingOffset(order) {
+    const offset = Number(order.trailingOffset) || 0;
+    const percent = Number(order.trailingPercent) || 0;
+    return (offset > 0) !== (percent > 0) && percent < 100;
+  }
+
+  _trailingStopPrice(order) {
+    const reference = this._trailingReference(order);
+    if (reference === null || !this._hasTrailingOffset(order)) {
+      return null;
+    }
+    const distance = Number(order.trailingOffset) > 0
+      ? Number(order.trailingOffset)
+      : (reference * Number(order.trailingPercent)) / 100;
+    const stop = order.isSell() ? reference - distance : reference + distance;
+    return stop > 0 ? Number(stop.toPrecision(15)) : null;
+  }
+
+  _emitPriceChange(pairKey) {
+    const snapshot = this.getMarketPriceSnapshotFromKey(pairKey);
+    if (snapshot) {
+      this.emit('price', { pairKey, ...snapshot });
+    }
+  }
+
   _triggerStopOrders(pairKey, price, previousPrice = null) {
     const book = this.orderBooks.get(pairKey);
     if (!book) {
       return;
     }
 
+    this._expireBook(book, ['stopLoss', 'stopLimit']);
+
     const triggered = [];
     const snapshot = this.getMarketPriceSnapshotFromKey(pairKey);
     const triggerContext = this._buildTriggerContext(snapshot, price, previousPrice);
@@ -910,12 +1588,15 @@ class MatchingService {
   }
 
   _shouldTriggerStop(order, price, previousPrice = null) {
-    if (order.stopPrice === null || order.stopPrice === undefined) {
+    const stopPrice = order.orderType === ORDER_TYPES.TRAILING_STOP
+      ? this._trailingStopPrice(order)
+      : order.stopPrice;
+    if (stopPrice === null || stopPrice === undefined) {
       return false;
     }
-    const stop = Number(order.stopPrice);
-    const current = Number(price);
-    if (!Number.isFinite(stop) || !Number.isFinite(current)) {
+    const stop = toScaledPrice(stopPrice);
+    const current = toScaledPrice(price);
+    if (stop === null || current === null) {
       return false;
     }
     if (order.isSell()) {
@@ -965,10 +1646,21 @@ class MatchingService {
       return new Map();
     }
 
-    const normalizedEntries = entries
+    const candidates = entries
       .map((entry) => (entry && entry.order ? entry : null))
       .filter(Boolean);
 
+    // A triggered leg of an order group cancels its siblings before it
+    // executes; a sibling triggered by the same move is dropped.
+    const normalizedEntries = [];
+    for (const entry of candidates) {
+      if (entry.order.status === 'CANCELLED') {
+        continue;
+      }
+      normalizedEntries.push(entry);
+      this._cancelGroupSiblings(entry.order, 'OCO_TRIGGERED', candidates.map((candidate) => candidate.order));
+    }
+
     if (normalizedEntries.length === 0) {
       return new Map();
     }
@@ -978,6 +1670,7 @@ class MatchingService {
 
     for (const entry of normalizedEntries) {
       this._prepareTriggeredStopMetadata(entry.order, normalizedContext);
+      this._assignSequence(entry.order);
       if (entry.type === ORDER_TYPES.STOP_LOSS) {
         entry.order.orderType = ORDER_TYPES.MARKET;
       } else {
@@ -990,7 +1683,7 @@ class MatchingService {
 
     if (stopLimitEntries.length > 0) {
       for (const entry of stopLimitEntries) {
-        if (entry.order.remaining <= 0) {
+        if (entry.order.remainingUnits <= 0n) {
           continue;
         }
         const trades = this._handleLimitOrder(entry.order, book, pairKey);
@@ -1009,7 +1702,7 @@ class MatchingService {
       }
 
       for (const entry of stopLossEntries) {
-        if (entry.order.remaining <= 0) {
+        if (entry.order.remainingUnits <= 0n || entry.order.status === 'CANCELLED') {
           continue;
         }
         const trades = this._handleMarketOrder(entry.order, book, pairKey);
@@ -1029,6 +1722,7 @@ class MatchingService {
           : [];
         entry.order.metadata.trades = [...existing, ...trades];
       }
+      this.emit('order', entry.order);
     }
 
     return tradesByOrder;
@@ -1070,15 +1764,29 @@ class MatchingService {
       const buyEntry = buyQueue[0];
       const sellEntry = sellQueue[0];
 
-      const fillAmount = this._determineTriggeredStopFillAmount(buyEntry.order, sellEntry.order);
-      if (!(fillAmount > 0)) {
-        if (buyEntry.order.remaining > sellEntry.order.remaining) {
+      if (this._isSelfTrade(buyEntry.order, sellEntry.order)) {
+        const makerOrder = this._determineTriggeredStopMaker(buyEntry.order, sellEntry.order);
+        const takerOrder = makerOrder.id === buyEntry.order.id ? sellEntry.order : buyEntry.order;
+        this._preventSelfTrade(takerOrder, makerOrder, []);
+        [buyQueue, sellQueue].forEach((queue) => {
+          if (queue[0].order.status === 'CANCELLED' || queue[0].order.remainingUnits <= 0n) {
+            queue.shift();
+          }
+        });
+        continue;
+      }
+
+      const fillUnits = this._determineTriggeredStopFillAmount(buyEntry.order, sellEntry.order);
+      if (fillUnits <= 0n) {
+        const buyRemaining = buyEntry.order.remainingUnits;
+        const sellRemaining = sellEntry.order.remainingUnits;
+        if (buyRemaining > sellRemaining) {
           sellQueue.shift();
-        } else if (sellEntry.order.remaining > buyEntry.order.remaining) {
+        } else if (sellRemaining > buyRemaining) {
           buyQueue.shift();
         } else {
-          const buyMin = Number.isFinite(buyEntry.order.minFillAmount) ? buyEntry.order.minFillAmount : 0;
-          const sellMin = Number.isFinite(sellEntry.order.minFillAmount) ? sellEntry.order.minFillAmount : 0;
+          const buyMin = buyEntry.order.minFillUnits ?? 0n;
+          const sellMin = sellEntry.order.minFillUnits ?? 0n;
           if (buyMin >= sellMin) {
             buyQueue.shift();
           } else {
@@ -1088,35 +1796,56 @@ class MatchingService {
         continue;
       }
 
-      const tradePrice = this._resolveTriggeredTradePrice(
+      const contextPrice = this._resolveTriggeredTradePrice(
         buyEntry.order,
         sellEntry.order,
         pairKey,
         context,
       );
-      if (!Number.isFinite(tradePrice) || tradePrice <= 0) {
+      if (!Number.isFinite(contextPrice) || contextPrice <= 0) {
+        break;
+      }
+
+      const makerOrder = this._determineTriggeredStopMaker(buyEntry.order, sellEntry.order);
+      const takerOrder = makerOrder.id === buyEntry.order.id ? sellEntry.order : buyEntry.order;
+      const fill = this._computeFill(
+        makerOrder,
+        fillUnits,
+        ratioFromPrice(contextPrice, makerOrder.baseDecimals, makerOrder.quoteDecimals),
+      );
+      if (!fill) {
         break;
       }
 
+      const tradePrice = ratioToNumber(fill.priceRatio, makerOrder.baseDecimals, makerOrder.quoteDecimals);
+      const fillAmount = formatUnitsNumber(fill.baseAmount, makerOrder.baseDecimals);
       const timestamp = new Date();
+      const tradeId = crypto.randomUUID();
+      const roleOf = (order) => (order === makerOrder ? FILL_ROLES.MAKER : FILL_ROLES.TAKER);
       buyEntry.order.metadata = buyEntry.order.metadata || {};
       sellEntry.order.metadata = sellEntry.order.metadata || {};
 
-      buyEntry.order.recordFill(fillAmount, tradePrice, sellEntry.order.id, timestamp);
-      sellEntry.order.recordFill(fillAmount, tradePrice, buyEntry.order.id, timestamp);
+      this._recordFill(buyEntry.order, fill.baseAmount, tradePrice, sellEntry.order.id, timestamp, {
+        giveAmount: fill.quoteAmount,
+        quoteAmount: fill.quoteAmount,
+      }, { tradeId, role: roleOf(buyEntry.order) });
+      this._recordFill(sellEntry.order, fill.baseAmount, tradePrice, buyEntry.order.id, timestamp, {
+        giveAmount: fill.baseAmount,
+        quoteAmount: fill.quoteAmount,
+      }, { tradeId, role: roleOf(sellEntry.order) });
 
       buyEntry.order.metadata.lastTradePrice = tradePrice;
       buyEntry.order.metadata.lastTradeAt = timestamp;
       sellEntry.order.metadata.lastTradePrice = tradePrice;
       sellEntry.order.metadata.lastTradeAt = timestamp;
 
-      const makerOrder = this._determineTriggeredStopMaker(buyEntry.order, sellEntry.order);
-      const takerOrder = makerOrder.id === buyEntry.order.id ? sellEntry.order : buyEntry.order;
-
       const tradeRecord = {
+        id: tradeId,
         price: tradePrice,
         amount: fillAmount,
-        fillAmount,
+        fillAmount: fill.makerGive.toString(),
+        baseAmount: fill.baseAmount.toString(),
+        quoteAmount: fill.quoteAmount.toString(),
         buyOrderId: buyEntry.order.id,
         sellOrderId: sellEntry.order.id,
         makerOrderId: makerOrder.id,
@@ -1124,12 +1853,17 @@ class MatchingService {
         timestamp,
       };
 
-      this._recordTrade(pairKey, tradeRecord);
+      this._recordTrade(pairKey, tradeRecord, {
+        maker: makerOrder,
+        taker: takerOrder,
+        makerReceives: makerOrder.isSell() ? fill.quoteAmount : fill.baseAmount,
+        takerReceives: fill.makerGive,
+      });
       this._updateMarketPriceInternal(pairKey, tradePrice, { source: 'stop-trigger', skipStopTrigger: true });
       priceOracleService.registerTrade(buyEntry.order.baseToken, buyEntry.order.quoteToken, {
         price: tradePrice,
         baseAmount: fillAmount,
-        quoteAmount: fillAmount * tradePrice,
+        quoteAmount: formatUnitsNumber(fill.quoteAmount, makerOrder.quoteDecimals),
         side: takerOrder.isSell() ? 'SELL' : 'BUY',
         source: 'stop-trigger',
       });
@@ -1142,10 +1876,10 @@ class MatchingService {
       sellTrades.push(tradeRecord);
       tradesByOrder.set(sellEntry.order.id, sellTrades);
 
-      if (buyEntry.order.remaining <= 0) {
+      if (buyEntry.order.remainingUnits <= 0n) {
         buyQueue.shift();
       }
-      if (sellEntry.order.remaining <= 0) {
+      if (sellEntry.order.remainingUnits <= 0n) {
         sellQueue.shift();
       }
     }
@@ -1181,30 +1915,34 @@ class MatchingService {
   }
 
   _determineTriggeredStopFillAmount(buyOrder, sellOrder) {
-    const maxFill = Math.min(buyOrder.remaining, sellOrder.remaining);
-    if (!(maxFill > 0)) {
-      return 0;
+    const buyRemaining = buyOrder.remainingUnits;
+    const sellRemaining = sellOrder.remainingUnits;
+    const maxFill = minBigInt(buyRemaining, sellRemaining);
+    if (maxFill <= 0n) {
+      return 0n;
     }
 
-    if (this._requiresFullFill(buyOrder) && sellOrder.remaining < buyOrder.remaining) {
-      return 0;
+    if (this._requiresFullFill(buyOrder) && sellRemaining < buyRemaining) {
+      return 0n;
     }
-    if (this._requiresFullFill(sellOrder) && buyOrder.remaining < sellOrder.remaining) {
-      return 0;
+    if (this._requiresFullFill(sellOrder) && buyRemaining < sellRemaining) {
+      return 0n;
     }
 
-    if (Number.isFinite(buyOrder.minFillAmount) && buyOrder.minFillAmount > maxFill) {
-      return 0;
+    const buyMin = buyOrder.minFillUnits;
+    if (buyMin !== null && buyMin > maxFill) {
+      return 0n;
     }
-    if (Number.isFinite(sellOrder.minFillAmount) && sellOrder.minFillAmount > maxFill) {
-      return 0;
+    const sellMin = sellOrder.minFillUnits;
+    if (sellMin !== null && sellMin > maxFill) {
+      return 0n;
     }
 
     if (this._requiresFullFill(buyOrder)) {
-      return buyOrder.remaining;
+      return buyRemaining;
     }
     if (this._requiresFullFill(sellOrder)) {
-      return sellOrder.remaining;
+      return sellRemaining;
     }
 
     return maxFill;
@@ -1223,27 +1961,9 @@ class MatchingService {
     return false;
   }
 
+  // The stop that reached the book first makes; a tie goes to the buy.
   _determineTriggeredStopMaker(buyOrder, sellOrder) {
-    const buyTime = buyOrder.createdAt instanceof Date
-      ? buyOrder.createdAt.getTime()
-      : new Date(buyOrder.createdAt).getTime();
-    const sellTime = sellOrder.createdAt instanceof Date
-      ? sellOrder.createdAt.getTime()
-      : new Date(sellOrder.createdAt).getTime();
-
-    if (Number.isFinite(buyTime) && Number.isFinite(sellTime)) {
-      if (buyTime <= sellTime) {
-        return buyOrder;
-      }
-      return sellOrder;
-    }
-    if (Number.isFinite(buyTime)) {
-      return buyOrder;
-    }
-    if (Number.isFinite(sellTime)) {
-      return sellOrder;
-    }
-    return sellOrder;
+    return this._compareTimePriority(buyOrder, sellOrder) <= 0 ? buyOrder : sellOrder;
   }
 
   _cleanupOrderFromBooks(order) {
@@ -1266,6 +1986,30 @@ class MatchingService {
     this._removeOrderFromList(book.stopLimit, order.id);
   }
 
+  _expireBook(book, listNames, now = Date.now()) {
+    const expired = new Map();
+    listNames.forEach((listName) => {
+      (book[listName] || []).forEach((order) => {
+        if (order.isExpired && order.isExpired(now)) {
+          expired.set(order.id, order);
+        }
+      });
+    });
+    const timestamp = new Date(now);
+    expired.forEach((order) => this._expire(order, timestamp));
+    return Array.from(expired.values());
+  }
+
+  _expire(order, timestamp) {
+    this._cleanupOrderFromBooks(order);
+    if (['CANCELLED', 'FILLED', 'REJECTED', 'EXPIRED'].includes(order.status)) {
+      return;
+    }
+    order.expire(timestamp);
+    this.emit('expired', { order, expiredAt: timestamp });
+    this.emit('order', order);
+  }
+
   _generateBatchId() {
     if (typeof crypto.randomUUID === 'function') {
       return crypto.randomUUID();
@@ -1280,14 +2024,17 @@ class MatchingService {
     if (typeof order.isBuy !== 'function' || typeof order.isSell !== 'function') {
       throw new Error('Batch execution requires order instances');
     }
-    if (order.remaining <= 0) {
+    if (order.remainingUnits <= 0n) {
       throw new Error(`Order ${order.id || index} has no remaining amount`);
     }
     if (['CANCELLED', 'FILLED', 'REJECTED', 'EXPIRED'].includes(order.status)) {
       throw new Error(`Order ${order.id || index} is not active`);
     }
-    const price = Number(order.price);
-    if (!Number.isFinite(price) || price <= 0) {
+    if (order.isExpired && order.isExpired()) {
+      throw new Error(`Order ${order.id || index} has expired`);
+    }
+    const priceRatio = order.priceRatio;
+    if (!priceRatio) {
       throw new Error(`Order ${order.id || index} must specify a valid price for batch execution`);
     }
 
@@ -1297,16 +2044,23 @@ class MatchingService {
       throw new Error(`Order ${order.id || index} is missing token information`);
     }
 
-    const offerRemaining = order.isSell() ? order.remaining : order.remaining * price;
-    const rate = order.isSell() ? price : 1 / price;
-    if (!Number.isFinite(rate) || rate <= 0) {
-      throw new Error(`Order ${order.id || index} has an invalid conversion rate`);
+    // A sell gives base for quote at numerator/denominator; a buy gives quote
+    // for base, so its conversion rate is the inverse ratio.
+    const amountGet = order.isSell() ? priceRatio.numerator : priceRatio.denominator;
+    const amountGive = order.isSell() ? priceRatio.denominator : priceRatio.numerator;
+    const offerRemaining = order.giveRemainingUnits
+      ?? (order.isSell()
+        ? order.remainingUnits
+        : mulDivDown(order.remainingUnits, priceRatio.numerator, priceRatio.denominator));
+    if (offerRemaining <= 0n) {
+      throw new Error(`Order ${order.id || index} has no remaining amount`);
     }
 
     return {
       order,
-      price,
-      rate,
+      price: ratioToNumber(priceRatio, order.baseDecimals, order.quoteDecimals),
+      amountGet,
+      amountGive,
       offerToken: String(offerToken).toLowerCase(),
       requestToken: String(requestToken).toLowerCase(),
       offerTokenRaw: String(offerToken),
@@ -1316,6 +2070,187 @@ class MatchingService {
       allowPartialFill: order.allowPartialFill,
     };
   }
+
+  // Best resting order per (offer token, request token) direction, keyed
+  // by lowercased offer token. Lower amountGet/amountGive is better for
+  // the ring; books are already in price-time order, so ties keep the
+  // earlier order.
+  _collectRingEdges(now = Date.now()) {
+    const edges = new Map();
+    for (const book of this.orderBooks.values()) {
+      for (const order of [...book.buy, ...book.sell]) {
+        if (order.isExpired && order.isExpired(now)) {
+          continue;
+        }
+        let entry;
+        try {
+          entry = this._normalizeBatchOrder(order, 0);
+        } catch (error) {
+          continue;
+        }
+        if (!edges.has(entry.offerToken)) {
+          edges.set(entry.offerToken, new Map());
+        }
+        const targets = edges.get(entry.offerToken);
+        const current = targets.get(entry.requestToken);
+        if (!current || entry.amountGet * current.amountGive < current.amountGet * entry.amountGive) {
+          targets.set(entry.requestToken, entry);
+        }
+      }
+    }
+    return edges;
+  }
+
+  // Every simple token cycle up to maxLength hops. Each cycle is reported
+  // once, starting from its lowest token.
+  _findTokenCycles(edges, maxLength) {
+    const cycles = [];
+    const tokens = Array.from(edges.keys()).sort();
+    const visit = (start, token, path, seen) => {
+      const targets = edges.get(token);
+      if (!targets) {
+        return;
+      }
+      for (const [next, entry] of targets.entries()) {
+        if (next === start) {
+          cycles.push([...path, entry]);
+        } else if (next > start && !seen.has(next) && path.length + 1 < maxLength) {
+          seen.add(next);
+          visit(start, next, [...path, entry], seen);
+          seen.delete(next);
+        }
+      }
+    };
+    tokens.forEach((start) => visit(start, start, [], new Set([start])));
+    return cycles;
+  }
+
+  // Checks that the orders close a token loop at an aggregate rate of 1 and
+  // sizes every leg by the tightest one. With allowSurplus, a loop whose
+  // rate is below 1 is accepted too: the last order then receives all of
+  // the first order's offer, which is more than its price asks for.
+  _planBatch(orderList, options = {}) {
+    if (!Array.isArray(orderList) || orderList.length < 2) {
+      throw new Error('Batch execution requires at least two orders');
+    }
+
+    const tolerance = typeof options.tolerance === 'number' ? Math.abs(options.tolerance) : 1e-8;
+    const toleranceScaled = toScaledPrice(tolerance) ?? 0n;
+    const normalizedOrders = orderList.map((order, index) => this._normalizeBatchOrder(order, index));
+
+    for (let i = 0; i < normalizedOrders.length; i += 1) {
+      const current = normalizedOrders[i];
+      const next = normalizedOrders[(i + 1) % normalizedOrders.length];
+      if (current.requestToken !== next.offerToken) {
+        throw new Error('Batch orders must form a closed token loop');
+      }
+      // A ring settles atomically, so a leg that would fill against the same
+      // trader's order refuses the whole batch rather than cancelling part of it.
+      if (this._isSelfTrade(current.order, next.order)) {
+        throw new Error(`Batch would trade orders ${current.order.id} and ${next.order.id} of the same trader`);
+      }
+    }
+
+    // The aggregate conversion rate is prod(amountGet) / prod(amountGive) in
+    // base units; token decimals cancel out around a closed loop.
+    const productGet = normalizedOrders.reduce((acc, entry) => acc * entry.amountGet, 1n);
+    const productGive = normalizedOrders.reduce((acc, entry) => acc * entry.amountGive, 1n);
+    const allowSurplus = options.allowSurplus === true;
+    const rateDeviation = productGet > productGive ? productGet - productGive : productGive - productGet;
+    if (
+      (productGet > productGive || !allowSurplus)
+      && rateDeviation * PRICE_SCALE_FACTOR > toleranceScaled * productGive
+    ) {
+      throw new Error('Batch orders do not balance; aggregate conversion rate must be 1');
+    }
+
+    let maxOffer = normalizedOrders[0].offerRemaining;
+    if (maxOffer <= 0n) {
+      throw new Error('Batch execution requires remaining liquidity');
+    }
+
+    let cumulativeGet = 1n;
+    let cumulativeGive = 1n;
+    for (let i = 1; i < normalizedOrders.length; i += 1) {
+      cumulativeGet *= normalizedOrders[i - 1].amountGet;
+      cumulativeGive *= normalizedOrders[i - 1].amountGive;
+      const candidate = mulDivDown(normalizedOrders[i].offerRemaining, cumulativeGive, cumulativeGet);
+      if (candidate <= 0n) {
+        throw new Error('Batch execution lacks sufficient liquidity');
+      }
+      maxOffer = minBigInt(maxOffer, candidate);
+    }
+
+    const offerAmounts = new Array(normalizedOrders.length).fill(0n);
+    const requestAmounts = new Array(normalizedOrders.length).fill(0n);
+    offerAmounts[0] = maxOffer;
+
+    for (let i = 0; i < normalizedOrders.length; i += 1) {
+      const entry = normalizedOrders[i];
+      const offerAmount = offerAmounts[i];
+      if (offerAmount <= 0n) {
+        throw new Error('Batch execution amount must be positive');
+      }
+
+      requestAmounts[i] = mulDivDown(offerAmount, entry.amountGet, entry.amountGive);
+      if (requestAmounts[i] <= 0n) {
+        throw new Error('Batch execution amount must be positive');
+      }
+      const nextIndex = (i + 1) % normalizedOrders.length;
+      if (nextIndex !== 0) {
+        offerAmounts[nextIndex] = requestAmounts[i];
+      }
+    }
+
+    const finalRequest = requestAmounts[requestAmounts.length - 1];
+    const surplus = offerAmounts[0] > finalRequest ? offerAmounts[0] - finalRequest : 0n;
+    const shortfall = finalRequest > offerAmounts[0] ? finalRequest - offerAmounts[0] : 0n;
+    const imbalance = allowSurplus ? shortfall : shortfall + surplus;
+    const allowedImbalance = mulDivUp(offerAmounts[0], toleranceScaled, PRICE_SCALE_FACTOR)
+      + this._batchRoundingAllowance(normalizedOrders);
+    if (imbalance > allowedImbalance) {
+      throw new Error('Batch orders cannot settle without imbalance');
+    }
+
+    const baseFills = normalizedOrders.map((entry, i) => {
+      const baseFilled = entry.isSell ? offerAmounts[i] : requestAmounts[i];
+      if (baseFilled > entry.order.remainingUnits || offerAmounts[i] > entry.offerRemaining) {
+        throw new Error('Batch execution overfills an order');
+      }
+      if (
+        entry.allowPartialFill === false
+        && baseFilled !== entry.order.remainingUnits
+        && offerAmounts[i] !== entry.offerRemaining
+      ) {
+        throw new Error('Batch execution would only partially fill an all-or-nothing order');
+      }
+      return baseFilled;
+    });
+
+    return {
+      normalizedOrders,
+      offerAmounts,
+      requestAmounts,
+      baseFills,
+      surplus,
+    };
+  }
+
+  // Upper bound on the units lost to flooring while propagating amounts around
+  // the loop: one unit per step, scaled by every downstream conversion rate.
+  _batchRoundingAllowance(entries) {
+    let allowance = 0n;
+    let numerator = 1n;
+    let denominator = 1n;
+    for (let i = entries.length - 1; i >= 0; i -= 1) {
+      allowance += mulDivUp(1n, numerator, denominator);
+      numerator *= entries[i].amountGet;
+      denominator *= entries[i].amountGive;
+    }
+    return allowance;
+  }
 }
 
 module.exports = new MatchingService();
+module.exports.SELF_TRADE_PREVENTION = SELF_TRADE_PREVENTION;
+module.exports.FILL_ROLES = FILL_ROLES;
@@ -3,6 +3,7 @@ const blockchainService = require('./blockchain.service');
 const tokenService = require('./token.service');
 const matchingService = require('./matching.service');
 const priceOracleService = require('./price-oracle.service');
+const feeService = require('./fee.service');
 const {
   ORDER_TYPE_INDEX,
   TIME_IN_FORCE_INDEX,
@@ -14,6 +15,7 @@ const {
 } = require('../utils/signature');
 
 const STOP_PRICE_SCALE = 18;
+const TRAILING_PERCENT_DECIMALS = 2;
 
 function toDecimalString(value) {
   if (value === null || value === undefined) {
@@ -119,6 +121,57 @@ function resolveEnum(value, mapping, label, defaultKey) {
   throw new Error(`${label} value ${value} is not supported`);
 }
 
+// Trailing stops sign their distance from the best price either as an
+// absolute offset (1e18 scale, like stopPrice) or in basis points, given here
+// as trailingPercent. Exactly one of the two applies; other order types take
+// neither.
+function resolveTrailing(orderInput, onchainInput, orderTypeLabel) {
+  const offsetInput = orderInput.trailingOffset ?? null;
+  const percentInput = orderInput.trailingPercent ?? null;
+  const offset = offsetInput !== null
+    ? parseUnitsSafe(offsetInput, STOP_PRICE_SCALE, 'trailingOffset')
+    : parseBigInt(onchainInput.trailingOffset, 'trailingOffset') ?? 0n;
+  const bps = percentInput !== null
+    ? parseUnitsSafe(percentInput, TRAILING_PERCENT_DECIMALS, 'trailingPercent')
+    : parseBigInt(onchainInput.trailingBps, 'trailingBps') ?? 0n;
+
+  if (orderTypeLabel !== 'TRAILING_STOP') {
+    if (offset !== 0n || bps !== 0n) {
+      throw new Error('trailingOffset and trailingPercent only apply to TRAILING_STOP orders');
+    }
+    return null;
+  }
+  if (offset < 0n || bps < 0n || (offset > 0n) === (bps > 0n)) {
+    throw new Error('Trailing stops require exactly one positive trailingOffset or trailingPercent');
+  }
+  if (bps >= 10000n) {
+    throw new Error('trailingPercent must be below 100');
+  }
+  return {
+    offset,
+    bps,
+    offsetValue: offset > 0n ? Number(formatUnits(offset, STOP_PRICE_SCALE)) : null,
+    percentValue: bps > 0n ? Number(formatUnits(bps, TRAILING_PERCENT_DECIMALS)) : null,
+  };
+}
+
+// Iceberg orders show `displayAmount` of their size on the book at a time.
+// The display size is not part of the signed order.
+function resolveDisplayAmount(orderInput, orderTypeLabel, baseAmountUnits, baseDecimals) {
+  const input = orderInput.displayAmount ?? null;
+  if (input === null || input === '') {
+    return null;
+  }
+  if (!['LIMIT', 'STOP_LIMIT'].includes(orderTypeLabel)) {
+    throw new Error('displayAmount only applies to LIMIT and STOP_LIMIT orders');
+  }
+  const displayUnits = parseUnitsSafe(input, baseDecimals, 'displayAmount');
+  if (displayUnits <= 0n || displayUnits >= baseAmountUnits) {
+    throw new Error('displayAmount must be positive and smaller than amount');
+  }
+  return Number(formatUnits(displayUnits, baseDecimals));
+}
+
 async function resolveNonce(trader, providedNonce) {
   const parsed = parseBigInt(providedNonce, 'nonce');
   if (parsed !== null) {
@@ -214,6 +267,8 @@ function buildOnchainStruct({
   timeInForce,
   side,
   stopPrice,
+  trailingOffset,
+  trailingBps,
   minFillAmount,
   allowPartialFill,
   feeRecipient,
@@ -231,6 +286,8 @@ function buildOnchainStruct({
     timeInForce: timeInForce.index,
     side: side.index,
     stopPrice: stopPrice.toString(),
+    trailingOffset: trailingOffset.toString(),
+    trailingBps: trailingBps.toString(),
     minFillAmount: minFillAmount.toString(),
     allowPartialFill,
     feeRecipient,
@@ -421,15 +478,34 @@ async function prepare(orderInput = {}, options = {}) {
     ? Number(formatUnits(priceUnits, quoteDecimals))
     : null;
 
-  const stopPriceInput = orderInput.stopPrice ?? onchainInput.stopPrice ?? null;
-  const stopPriceDisplay = toDecimalString(stopPriceInput);
-  let stopPrice = parseBigInt(stopPriceInput, 'stopPrice');
-  if (stopPrice === null && stopPriceInput !== null && stopPriceInput !== undefined) {
-    stopPrice = tryParseUnits(stopPriceInput, STOP_PRICE_SCALE);
+  const trailing = resolveTrailing(orderInput, onchainInput, orderType.label);
+  const displayAmount = resolveDisplayAmount(orderInput, orderType.label, baseAmountUnits, baseDecimals);
+  let stopPriceInput = orderInput.stopPrice ?? onchainInput.stopPrice ?? null;
+  let stopPrice;
+  if (trailing) {
+    // A trailing stop's stopPrice is the reference it starts trailing from,
+    // by default the current market price.
+    if (stopPriceInput === null) {
+      stopPriceInput = matchingService.getMarketPriceSnapshot(baseToken, quoteToken)?.price ?? null;
+    }
+    stopPrice = orderInput.stopPrice === undefined || orderInput.stopPrice === null
+      ? parseBigInt(onchainInput.stopPrice, 'stopPrice') ?? tryParseUnits(stopPriceInput, STOP_PRICE_SCALE)
+      : tryParseUnits(stopPriceInput, STOP_PRICE_SCALE);
+    if (!stopPrice || stopPrice <= 0n) {
+      throw new Error('Trailing stops need a stopPrice to trail from when the pair has no market price');
+    }
+  } else {
+    stopPrice = parseBigInt(stopPriceInput, 'stopPrice');
+    if (stopPrice === null && stopPriceInput !== null && stopPriceInput !== undefined) {
+      stopPrice = tryParseUnits(stopPriceInput, STOP_PRICE_SCALE);
+    }
   }
+  const stopPriceDisplay = toDecimalString(stopPriceInput);
   if (stopPrice === null) {
     stopPrice = 0n;
   }
+  const trailingOffset = trailing ? trailing.offset : 0n;
+  const trailingBps = trailing ? trailing.bps : 0n;
 
   const allowPartialFill = booleanFromInput(orderInput.allowPartialFill ?? onchainInput.allowPartialFill, true);
 
@@ -455,6 +531,12 @@ async function prepare(orderInput = {}, options = {}) {
 
   const nonce = await resolveNonce(maker, onchainInput.nonce ?? orderInput.nonce);
   const expiry = resolveExpiry(onchainInput.expiry ?? orderInput.expiry);
+  if (timeInForce.label === 'GTD' && expiry === 0n) {
+    throw new Error('Good-Till-Date orders require an expiry');
+  }
+  if (expiry > 0n && expiry <= BigInt(Math.floor(Date.now() / 1000))) {
+    throw new Error('expiry must be in the future');
+  }
 
   const chainId = await resolveChainId(orderInput.chainId ?? onchainInput.chainId);
   const verifyingContract = ethers.getAddress(
@@ -473,6 +555,8 @@ async function prepare(orderInput = {}, options = {}) {
     timeInForce: timeInForce.index,
     side: side.index,
     stopPrice,
+    trailingOffset,
+    trailingBps,
     minFillAmount: minFillAmountUnits,
     allowPartialFill,
     feeRecipient,
@@ -517,6 +601,8 @@ async function prepare(orderInput = {}, options = {}) {
     timeInForce,
     side,
     stopPrice,
+    trailingOffset,
+    trailingBps,
     minFillAmount: minFillAmountUnits,
     allowPartialFill,
     feeRecipient,
@@ -558,8 +644,12 @@ async function prepare(orderInput = {}, options = {}) {
     nonce: nonce.toString(),
     expiry: expiry.toString(),
     stopPrice: stopPriceNumber,
+    trailingOffset: trailing ? trailing.offsetValue : null,
+    trailingPercent: trailing ? trailing.percentValue : null,
+    displayAmount,
     minFillAmount: minFillNumber,
     onchain,
+    fees: feeService.preview({ maker, tokenGet, amountGet, tokenGive, feeAmount, feeRecipient }),
     typedData,
     hash: orderHash,
     metadata,
@@ -2,14 +2,51 @@ const crypto = require('crypto');
 const { ethers } = require('ethers');
 const Order = require('../models/Order');
 const matchingService = require('./matching.service');
-const settlementService = require('./settlement.service');
+const settlementQueue = require('./settlement-queue.service');
+const authService = require('./auth.service');
 const orderBuilder = require('./order-builder.service');
+const persistenceService = require('./persistence.service');
+const riskService = require('./risk.service');
+const logger = require('../utils/logger');
 const signatureUtils = require('../utils/signature');
+const { compareRatios } = require('../utils/amounts');
 
 function normalizeAddress(value) {
   return typeof value === 'string' ? value.toLowerCase() : value;
 }
 
+const DEFAULT_DEPTH_LIMIT = 50;
+const MAX_DEPTH_LIMIT = 500;
+const DEFAULT_MAX_RINGS = 10;
+
+const GROUP_TYPES = {
+  OCO: 'OCO',
+  BRACKET: 'BRACKET',
+};
+
+const GROUP_ROLES = {
+  LEG: 'LEG',
+  ENTRY: 'ENTRY',
+  TAKE_PROFIT: 'TAKE_PROFIT',
+  STOP_LOSS: 'STOP_LOSS',
+};
+
+// Fills without a settlement queue entry: synthetic liquidity never settles,
+// ONCHAIN fills were found on-chain by reconciliation, FAILED ones could not
+// be queued and UNSETTLED ones have not been handed to the queue.
+const FILL_SETTLEMENT_STATUSES = {
+  SYNTHETIC: 'SYNTHETIC',
+  ONCHAIN: 'ONCHAIN',
+  ROLLED_BACK: 'ROLLED_BACK',
+  FAILED: 'FAILED',
+  UNSETTLED: 'UNSETTLED',
+};
+const ONCHAIN_COUNTERPARTY = 'onchain';
+
+const CLOSED_STATUSES = ['CANCELLED', 'FILLED', 'REJECTED', 'EXPIRED'];
+const OPEN_GROUP_STATUSES = ['PENDING', 'PARTIAL', 'TRIGGERED', 'HELD'];
+const BRACKET_STOP_TYPES = ['STOP_LOSS', 'STOP_LIMIT', 'TRAILING_STOP'];
+
 function toIsoOrNull(value) {
   if (value === null || value === undefined) {
     return null;
@@ -24,9 +61,158 @@ function toIsoOrNull(value) {
 class OrderService {
   constructor() {
     this.orders = new Map();
+    this.groups = new Map();
+    this.trades = new Map();
+    this.restored = false;
+    matchingService.on('order', (order) => this._onGroupOrder(order));
+    matchingService.on('fill', ({ order }) => this._onGroupOrder(order));
+    matchingService.on('trade', ({ trade }) => this._indexTrade(trade));
+    settlementQueue.on('update', (entry) => this._syncTrailingStops(entry));
+  }
+
+  restore() {
+    if (this.restored) {
+      return null;
+    }
+    this.restored = true;
+    if (!persistenceService.isEnabled()) {
+      return null;
+    }
+
+    const { orders, trades, entries } = persistenceService.replay();
+    let resting = 0;
+    for (const order of orders.values()) {
+      this.orders.set(order.id, order);
+      if (matchingService.restoreOrder(order)) {
+        resting += 1;
+      }
+      riskService.track(order);
+    }
+    trades.forEach(({ pairKey, trade }) => {
+      matchingService.restoreTrade(pairKey, trade);
+      this._indexTrade(trade);
+    });
+
+    persistenceService.attach(matchingService);
+    this._restoreGroups(orders.values());
+    const summary = { entries, orders: orders.size, resting, trades: trades.length };
+    logger.info('Order book restored from journal', summary);
+    return summary;
   }
 
   async createOrder(orderInput) {
+    const order = await this._buildOrder(orderInput);
+    await riskService.reserve(order);
+    this.orders.set(order.id, order);
+    persistenceService.recordOrderCreated(order);
+
+    matchingService.addOrder(order);
+    await this._settleOrderTrades(order);
+    if (matchingService.settings.autoExecuteRings && ['PENDING', 'PARTIAL'].includes(order.status)) {
+      await this._executeRingsSafely();
+    }
+    return order;
+  }
+
+  // Places signed orders as one group. An OCO group is two or more orders on
+  // the same pair and side of which only one may execute: the first leg to
+  // fill or trigger cancels the rest, as does cancelling any leg. A bracket
+  // is an entry order plus a take-profit and/or stop-loss exit on the other
+  // side; the exits are held off the book until the entry has completely
+  // filled and then run as an OCO pair. Cancelling or expiring the entry
+  // before that cancels the exits.
+  async createOrderGroup(groupInput = {}) {
+    const type = String(groupInput.type || '').toUpperCase();
+    if (type === GROUP_TYPES.OCO) {
+      if (!Array.isArray(groupInput.orders) || groupInput.orders.length < 2) {
+        throw new Error('An OCO group needs at least two orders');
+      }
+      const legs = [];
+      for (const orderInput of groupInput.orders) {
+        legs.push(await this._buildOrder(orderInput));
+      }
+      return this.placeOrderGroup(type, { legs });
+    }
+    if (type === GROUP_TYPES.BRACKET) {
+      if (!groupInput.entry || (!groupInput.takeProfit && !groupInput.stopLoss)) {
+        throw new Error('A bracket needs an entry order and a takeProfit or stopLoss exit');
+      }
+      const entry = await this._buildOrder(groupInput.entry);
+      const takeProfit = groupInput.takeProfit ? await this._buildOrder(groupInput.takeProfit) : null;
+      const stopLoss = groupInput.stopLoss ? await this._buildOrder(groupInput.stopLoss) : null;
+      return this.placeOrderGroup(type, { entry, takeProfit, stopLoss });
+    }
+    throw new Error(`Group type must be one of ${Object.values(GROUP_TYPES).join(', ')}`);
+  }
+
+  // Validates, reserves and places already built orders as a group. Nothing
+  // reaches the book unless every order passes its risk check.
+  async placeOrderGroup(type, { legs = [], entry = null, takeProfit = null, stopLoss = null } = {}) {
+    const groupId = this._generateOrderId();
+    const members = type === GROUP_TYPES.BRACKET
+      ? [
+        [entry, GROUP_ROLES.ENTRY],
+        [takeProfit, GROUP_ROLES.TAKE_PROFIT],
+        [stopLoss, GROUP_ROLES.STOP_LOSS],
+      ].filter(([order]) => order)
+      : legs.map((order) => [order, GROUP_ROLES.LEG]);
+    this._validateGroup(type, members);
+
+    members.forEach(([order, role]) => {
+      order.groupId = groupId;
+      order.metadata = { ...(order.metadata || {}), group: { id: groupId, type, role } };
+    });
+    const exits = type === GROUP_TYPES.BRACKET ? members.slice(1).map(([order]) => order) : [];
+    const active = type === GROUP_TYPES.BRACKET ? [entry] : legs;
+
+    const reserved = [];
+    try {
+      for (const order of active) {
+        await riskService.reserve(order);
+        reserved.push(order);
+      }
+    } catch (error) {
+      reserved.forEach((order) => riskService.release(order.id));
+      throw error;
+    }
+
+    exits.forEach((order) => {
+      order.status = 'HELD';
+    });
+    const group = {
+      id: groupId,
+      type,
+      entryId: type === GROUP_TYPES.BRACKET ? entry.id : null,
+      orderIds: members.map(([order]) => order.id),
+      createdAt: new Date(),
+    };
+    this.groups.set(groupId, group);
+    members.forEach(([order]) => {
+      this.orders.set(order.id, order);
+      persistenceService.recordOrderCreated(order);
+    });
+
+    await this._placeGroupLegs(active);
+    return this.getOrderGroup(groupId);
+  }
+
+  getOrderGroup(id) {
+    const group = this.groups.get(id);
+    if (!group) {
+      return null;
+    }
+    const orders = group.orderIds.map((orderId) => this.getOrder(orderId)).filter(Boolean);
+    return {
+      id: group.id,
+      type: group.type,
+      entryId: group.entryId,
+      status: orders.some((order) => OPEN_GROUP_STATUSES.includes(order.status)) ? 'ACTIVE' : 'CLOSED',
+      createdAt: toIsoOrNull(group.createdAt),
+      orders: orders.map((order) => this.toJSON(order)),
+    };
+  }
+
+  async _buildOrder(orderInput) {
     const orderId = orderInput.id || this._generateOrderId();
     if (this.orders.has(orderId)) {
       throw new Error(`Order with id ${orderId} already exists`);
@@ -81,16 +267,15 @@ class OrderService {
       nonce: prepared.onchain.nonce,
       expiry: prepared.expiry,
       stopPrice: prepared.stopPrice,
+      trailingOffset: prepared.trailingOffset,
+      trailingPercent: prepared.trailingPercent,
+      displayAmount: prepared.displayAmount,
       minFillAmount: prepared.minFillAmount,
       signature: normalizedSignature,
       onchain: onchainPayload,
+      groupId: null,
       metadata,
     });
-
-    this.orders.set(order.id, order);
-
-    matchingService.addOrder(order);
-    await this._settleOrderTrades(order);
     return order;
   }
 
@@ -116,21 +301,187 @@ class OrderService {
     return this.orders.get(id) || null;
   }
 
+  getTrade(id) {
+    if (!id) {
+      return null;
+    }
+    return this.trades.get(id) || null;
+  }
+
+  // One record per execution of the order, oldest first, joined with the
+  // trade it came from (fees) and the settlement carrying it on-chain.
+  getOrderFills(id) {
+    const order = this.getOrder(id);
+    if (!order) {
+      return null;
+    }
+    return order.executions.map((execution) => {
+      const trade = execution.tradeId ? this.trades.get(execution.tradeId) || null : null;
+      const settlement = settlementQueue.getTradeSettlement(execution.tradeId) || trade?.settlement || null;
+      const role = execution.role || null;
+      return {
+        tradeId: execution.tradeId || null,
+        role,
+        counterpartyOrderId: execution.counterparty,
+        price: execution.price,
+        amount: execution.amount,
+        baseAmount: String(execution.amountUnits),
+        quoteAmount: execution.quoteAmount !== null && execution.quoteAmount !== undefined
+          ? String(execution.quoteAmount)
+          : null,
+        giveAmount: execution.giveAmount !== null && execution.giveAmount !== undefined
+          ? String(execution.giveAmount)
+          : null,
+        fee: role && trade?.fees ? trade.fees[role.toLowerCase()] || null : null,
+        batchId: execution.batchId || null,
+        timestamp: toIsoOrNull(execution.timestamp),
+        settlementId: settlement?.settlementId || null,
+        settlementStatus: this._fillSettlementStatus(execution, trade, settlement),
+        txHash: settlement?.transactionHash || null,
+        blockNumber: settlement?.receipt?.blockNumber ?? null,
+        settlementError: settlement?.error || null,
+      };
+    });
+  }
+
+  // The order's fills for its trader. Anyone else gets only the order's
+  // trades that the public trade feed still lists, in the feed's shape, so an
+  // iceberg's fills say no more about its hidden size than the tape does.
+  // `session` follows toViewerJSON.
+  getViewerFills(id, session) {
+    const order = this.getOrder(id);
+    if (!order) {
+      return null;
+    }
+    if (!authService.isEnabled() || authService.isCaller(session, order.trader)) {
+      return this.getOrderFills(id);
+    }
+    return this.getRecentTrades(order.baseToken, order.quoteToken, 0)
+      .filter((trade) => trade.makerOrderId === order.id || trade.takerOrderId === order.id);
+  }
+
   cancelOrder(id, reason = 'USER_CANCELLED') {
     const order = this.getOrder(id);
     if (!order) {
       return null;
     }
 
-    if (['CANCELLED', 'FILLED', 'REJECTED', 'EXPIRED'].includes(order.status)) {
+    if (CLOSED_STATUSES.includes(order.status)) {
       return order;
     }
 
-    matchingService.cancelOrder(order);
     order.cancel(reason);
+    matchingService.cancelOrder(order);
+    persistenceService.recordOrderCancelled(order, reason);
     return order;
   }
 
+  // Cancel-replace for a resting order: the signed amendment takes the old
+  // order's place on the book in one step.
+  async replaceOrder(id, orderInput) {
+    const previous = this.getOrder(id);
+    if (!previous) {
+      throw new Error(`Order ${id} not found`);
+    }
+    this._validateReplacement(previous);
+    const next = await this._buildOrder(orderInput);
+    return this.placeReplacement(previous, next);
+  }
+
+  // A size-down at the same price keeps the old order's time priority; any
+  // other amendment goes to the back of the queue and may match right away.
+  // The old order is cancelled with reason REPLACED and the two are linked
+  // through metadata.replacedBy / metadata.replaces. If the old order was
+  // partially filled, its signed remainder is still executable on-chain,
+  // so onchainCancelRequired asks the maker to cancel its hash there and the
+  // remainder stays reserved until confirmOnchainCancel.
+  async placeReplacement(previous, next) {
+    this._validateReplacement(previous);
+    const normalize = (value) => String(value || '').toLowerCase();
+    if (
+      normalize(next.trader) !== normalize(previous.trader)
+      || normalize(next.baseToken) !== normalize(previous.baseToken)
+      || normalize(next.quoteToken) !== normalize(previous.quoteToken)
+      || next.side !== previous.side
+      || normalize(next.orderType) !== normalize(previous.orderType)
+    ) {
+      throw new Error('A replacement must keep the trader, pair, side and order type');
+    }
+    if (next.id === previous.id) {
+      throw new Error('A replacement needs a new order id');
+    }
+    // Checked before anything is reserved, journaled or closed, so the swap
+    // below cannot fail half way.
+    if (!matchingService.isResting(previous)) {
+      throw new Error(`Order ${previous.id} is not on the book`);
+    }
+
+    const samePrice = next.priceRatio && previous.priceRatio
+      ? compareRatios(next.priceRatio, previous.priceRatio) === 0
+      : !next.priceRatio && !previous.priceRatio;
+    const priorityKept = samePrice
+      && String(next.stopPrice ?? '') === String(previous.stopPrice ?? '')
+      && next.remainingUnits <= previous.remainingUnits;
+
+    const onchainCancelRequired = previous.filledUnits > 0n;
+
+    await riskService.reserve(next, { replaces: previous });
+    const replacedAt = new Date().toISOString();
+    next.metadata = { ...(next.metadata || {}), replaces: previous.id, priorityKept, replacedAt };
+    previous.metadata = { ...(previous.metadata || {}), replacedBy: next.id, replacedAt };
+    if (onchainCancelRequired) {
+      previous.metadata.onchainCancelPending = true;
+    }
+    previous.cancel('REPLACED');
+    this.orders.set(next.id, next);
+    persistenceService.recordOrderCreated(next);
+    persistenceService.recordOrderCancelled(previous, 'REPLACED');
+
+    matchingService.replaceOrder(previous, next, { keepPriority: priorityKept });
+    await this._settleOrderTrades(next);
+    return {
+      order: next,
+      replaced: previous,
+      priorityKept,
+      onchainCancelRequired,
+    };
+  }
+
+  // Called once a replaced order can no longer execute on-chain: the maker's
+  // cancel of its hash was mined or its nonce was passed.
+  confirmOnchainCancel(order) {
+    if (!order?.metadata?.onchainCancelPending) {
+      return false;
+    }
+    const { onchainCancelPending, ...metadata } = order.metadata;
+    order.metadata = { ...metadata, onchainCancelledAt: new Date().toISOString() };
+    riskService.sync(order);
+    persistenceService.recordOrderUpdated(order);
+    return true;
+  }
+
+  // Cancels every open order of a trader, or only those on one pair.
+  cancelAllOrders(trader, { baseToken, quoteToken } = {}, reason = 'USER_CANCELLED_ALL') {
+    if (!trader) {
+      throw new Error('trader is required');
+    }
+    if (Boolean(baseToken) !== Boolean(quoteToken)) {
+      throw new Error('baseToken and quoteToken must be given together');
+    }
+    return this._cancelOpenOrders(this.listOrders({ trader, baseToken, quoteToken }), reason);
+  }
+
+  // DEX.isOrderValid rejects orders signed with a nonce below the maker's
+  // current one, so once the maker increments it those orders can never
+  // settle and come off the book.
+  cancelOrdersBelowNonce(trader, nonce, reason = 'NONCE_INVALIDATED') {
+    const current = BigInt(nonce);
+    const stale = this.listOrders({ trader })
+      .filter((order) => order.nonce !== null && BigInt(order.nonce) < current);
+    stale.forEach((order) => this.confirmOnchainCancel(order));
+    return this._cancelOpenOrders(stale, reason);
+  }
+
   listOrders(filters = {}) {
     const { baseToken, quoteToken, trader, status } = filters;
     const normalizedBase = normalizeAddress(baseToken);
@@ -178,6 +529,31 @@ class OrderService {
     return serialized;
   }
 
+  getDepth(baseToken, quoteToken, options = {}) {
+    const { tick, limit } = options;
+    const numericTick = tick === undefined || tick === null || tick === '' ? null : Number(tick);
+    if (numericTick !== null && (!Number.isFinite(numericTick) || numericTick <= 0)) {
+      throw new Error('tick must be a positive number');
+    }
+    const numericLimit = limit === undefined || limit === null || limit === '' ? DEFAULT_DEPTH_LIMIT : Number(limit);
+    if (!Number.isInteger(numericLimit) || numericLimit <= 0 || numericLimit > MAX_DEPTH_LIMIT) {
+      throw new Error(`limit must be an integer between 1 and ${MAX_DEPTH_LIMIT}`);
+    }
+
+    const depth = matchingService.getDepthLevels(baseToken, quoteToken, {
+      tick: numericTick,
+      limit: numericLimit,
+    });
+    return {
+      baseToken,
+      quoteToken,
+      tick: numericTick,
+      limit: numericLimit,
+      ...depth,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
   getRecentTrades(baseToken, quoteToken, limit = 50) {
     if (!baseToken || !quoteToken) {
       return [];
@@ -211,32 +587,12 @@ class OrderService {
     });
 
     const result = matchingService.executeBatchTrades(orders, options);
-    const enrichedTrades = await Promise.all(
-      result.trades.map(async (trade) => {
-        const makerOrder = this.getOrder(trade.makerOrderId);
-        const takerOrder = this.getOrder(trade.takerOrderId);
-        try {
-          const settlement = await settlementService.settleTrade({
-            trade,
-            makerOrder,
-            takerOrder,
-          });
-          return { ...trade, settlement };
-        } catch (error) {
-          return {
-            ...trade,
-            settlement: {
-              success: false,
-              error: error.message,
-            },
-          };
-        }
-      }),
-    );
+    const settlement = this._queueBatchSettlement(result);
 
     return {
       batchId: result.batchId,
-      trades: enrichedTrades.map((trade) => ({
+      settlement,
+      trades: result.trades.map((trade) => ({
         ...trade,
         timestamp: toIsoOrNull(trade.timestamp),
       })),
@@ -246,6 +602,32 @@ class OrderService {
     };
   }
 
+  findBatchOpportunities(options = {}) {
+    return matchingService.findBatchOpportunities(options).map((opportunity) => ({
+      ...opportunity,
+      orderIds: opportunity.orders.map((order) => order.id),
+      orders: opportunity.orders.map((order) => this.toJSON(order)),
+    }));
+  }
+
+  // Executes crossing rings one at a time and rescans after each, since every
+  // execution changes the books the next ring is drawn from.
+  async executeBatchOpportunities(options = {}) {
+    const maxRings = Math.max(parseInt(options.maxRings, 10) || DEFAULT_MAX_RINGS, 1);
+    const results = [];
+    while (results.length < maxRings) {
+      const [opportunity] = matchingService.findBatchOpportunities({ ...options, limit: 1 });
+      if (!opportunity) {
+        break;
+      }
+      results.push(await this.executeBatch(
+        opportunity.orders.map((order) => order.id),
+        { tolerance: options.tolerance, allowSurplus: true },
+      ));
+    }
+    return results;
+  }
+
   toJSON(order) {
     if (!order) {
       return null;
@@ -253,6 +635,167 @@ class OrderService {
     return order.toJSON();
   }
 
+  // The full order for its trader. Anyone else sees it the way the book shows
+  // it, so an iceberg's hidden size stays hidden; only a closed order reports
+  // its real status there. `session` is the caller's sign-in session or null,
+  // and with auth disabled every caller counts as the trader.
+  toViewerJSON(order, session) {
+    if (!order) {
+      return null;
+    }
+    if (!authService.isEnabled() || authService.isCaller(session, order.trader)) {
+      return order.toJSON();
+    }
+    const json = order.toBookJSON();
+    return order.status === 'PARTIAL' ? json : { ...json, status: order.status };
+  }
+
+  _validateGroup(type, members) {
+    if (!Object.values(GROUP_TYPES).includes(type)) {
+      throw new Error(`Group type must be one of ${Object.values(GROUP_TYPES).join(', ')}`);
+    }
+    if (members.length < 2 || (type === GROUP_TYPES.BRACKET && members[0][1] !== GROUP_ROLES.ENTRY)) {
+      throw new Error('An order group needs at least two orders');
+    }
+    const [[first]] = members;
+    const pairKey = matchingService._getPairKey(first.baseToken, first.quoteToken);
+    members.forEach(([order]) => {
+      if (normalizeAddress(order.trader) !== normalizeAddress(first.trader)) {
+        throw new Error('All orders in a group must belong to the same trader');
+      }
+      if (matchingService._getPairKey(order.baseToken, order.quoteToken) !== pairKey) {
+        throw new Error('All orders in a group must trade the same pair');
+      }
+      if (this.orders.has(order.id) || members.filter(([other]) => other.id === order.id).length > 1) {
+        throw new Error(`Order with id ${order.id} already exists`);
+      }
+    });
+
+    if (type === GROUP_TYPES.OCO) {
+      if (members.some(([order]) => order.side !== first.side)) {
+        throw new Error('OCO orders must all be on the same side');
+      }
+      return;
+    }
+
+    members.slice(1).forEach(([order, role]) => {
+      if (order.side === first.side) {
+        throw new Error('Bracket exits must be on the opposite side of the entry');
+      }
+      if (order.amountUnits > first.amountUnits) {
+        throw new Error('Bracket exits cannot be larger than the entry');
+      }
+      if (role === GROUP_ROLES.TAKE_PROFIT && order.orderType !== 'LIMIT') {
+        throw new Error('A bracket take-profit must be a LIMIT order');
+      }
+      if (role === GROUP_ROLES.STOP_LOSS && !BRACKET_STOP_TYPES.includes(order.orderType)) {
+        throw new Error(`A bracket stop-loss must be one of ${BRACKET_STOP_TYPES.join(', ')}`);
+      }
+    });
+  }
+
+  // Adds a group's legs to the engine one at a time. Once a leg fills or
+  // triggers on arrival the group has done its work, so the legs after it
+  // are cancelled instead of placed.
+  async _placeGroupLegs(legs) {
+    for (const order of legs) {
+      if (order.status === 'CANCELLED') {
+        continue;
+      }
+      const executed = legs.some((leg) => leg !== order && (leg.filledUnits > 0n || leg.triggeredAt));
+      if (executed) {
+        order.cancel('OCO_FILLED');
+        riskService.release(order.id);
+        persistenceService.recordOrderCancelled(order, 'OCO_FILLED');
+        continue;
+      }
+      matchingService.addOrder(order);
+      await this._settleOrderTrades(order);
+    }
+  }
+
+  // Arms a bracket's exits when its entry completes, and drops them if the
+  // entry closes any other way. Activation waits for the current matching
+  // pass to finish so the exits never join a book mid-match.
+  _onGroupOrder(order) {
+    const group = order?.groupId ? this.groups.get(order.groupId) : null;
+    if (!group || group.entryId !== order.id) {
+      return;
+    }
+    if (order.status === 'FILLED') {
+      queueMicrotask(() => {
+        this._activateBracketExits(group).catch((error) => {
+          logger.error('Failed to activate bracket exits', { groupId: group.id, error: error.message });
+        });
+      });
+    } else if (CLOSED_STATUSES.includes(order.status)) {
+      this._cancelHeldExits(group, `ENTRY_${order.status}`);
+    }
+  }
+
+  // The entry's fill is what funds the exits and its settlement may still be
+  // in flight, so the exits are tracked without a balance check.
+  async _activateBracketExits(group) {
+    const exits = this._heldExits(group);
+    if (exits.length === 0) {
+      return [];
+    }
+    const activatedAt = new Date();
+    exits.forEach((order) => {
+      order.status = 'PENDING';
+      order.updatedAt = activatedAt;
+      order.metadata.group = { ...order.metadata.group, activatedAt: activatedAt.toISOString() };
+      riskService.track(order);
+    });
+    await this._placeGroupLegs(exits);
+    return exits;
+  }
+
+  _cancelHeldExits(group, reason) {
+    return this._heldExits(group).map((order) => {
+      order.cancel(reason);
+      persistenceService.recordOrderCancelled(order, reason);
+      return order;
+    });
+  }
+
+  _heldExits(group) {
+    return group.orderIds
+      .map((orderId) => this.getOrder(orderId))
+      .filter((order) => order && order.id !== group.entryId && order.status === 'HELD');
+  }
+
+  // Rebuilds the group index from the journal and finishes any bracket whose
+  // entry closed before its exits could be armed or dropped.
+  _restoreGroups(orders) {
+    for (const order of orders) {
+      const meta = order.metadata?.group;
+      if (!order.groupId || !meta) {
+        continue;
+      }
+      if (!this.groups.has(order.groupId)) {
+        this.groups.set(order.groupId, {
+          id: order.groupId,
+          type: meta.type,
+          entryId: null,
+          orderIds: [],
+          createdAt: order.createdAt,
+        });
+      }
+      const group = this.groups.get(order.groupId);
+      group.orderIds.push(order.id);
+      if (meta.role === GROUP_ROLES.ENTRY) {
+        group.entryId = order.id;
+      }
+    }
+    this.groups.forEach((group) => {
+      const entry = group.entryId ? this.getOrder(group.entryId) : null;
+      if (entry) {
+        this._onGroupOrder(entry);
+      }
+    });
+  }
+
   _generateOrderId() {
     if (typeof crypto.randomUUID === 'function') {
       return crypto.randomUUID();
@@ -271,11 +814,18 @@ class OrderService {
       };
     }
 
+    // Iceberg orders are published as their visible slice only.
+    const serialize = (order) => {
+      if (typeof order.toBookJSON === 'function') {
+        return order.toBookJSON();
+      }
+      return typeof order.toJSON === 'function' ? order.toJSON() : order;
+    };
     return {
-      buy: book.buy.map((order) => (typeof order.toJSON === 'function' ? order.toJSON() : order)),
-      sell: book.sell.map((order) => (typeof order.toJSON === 'function' ? order.toJSON() : order)),
-      stopLoss: book.stopLoss.map((order) => (typeof order.toJSON === 'function' ? order.toJSON() : order)),
-      stopLimit: book.stopLimit.map((order) => (typeof order.toJSON === 'function' ? order.toJSON() : order)),
+      buy: book.buy.map(serialize),
+      sell: book.sell.map(serialize),
+      stopLoss: book.stopLoss.map(serialize),
+      stopLimit: book.stopLimit.map(serialize),
       trades: book.trades.map((trade) => ({
         ...trade,
         timestamp: toIsoOrNull(trade.timestamp),
@@ -288,47 +838,161 @@ class OrderService {
       return [];
     }
 
-    const outcomes = [];
-    for (const trade of order.metadata.trades) {
+    return order.metadata.trades.map((trade) => {
       if (trade.synthetic) {
         trade.settlement = {
           success: true,
           synthetic: true,
           reason: 'synthetic_liquidity',
         };
-        outcomes.push(trade.settlement);
-        continue;
+        return trade.settlement;
       }
-      const makerOrder = this.getOrder(trade.makerOrderId);
-      const takerOrder = this.getOrder(trade.takerOrderId);
-      if (!makerOrder || !takerOrder) {
-        trade.settlement = {
-          success: false,
-          error: 'Unable to resolve maker or taker order for settlement',
-        };
-        outcomes.push(trade.settlement);
-        continue;
+      return this._queueSettlement(trade, this.getOrder(trade.makerOrderId), this.getOrder(trade.takerOrderId));
+    });
+  }
+
+  _indexTrade(trade) {
+    if (trade?.id) {
+      this.trades.set(trade.id, trade);
+    }
+  }
+
+  // Queue state while a settlement exists; otherwise why there is none.
+  _fillSettlementStatus(execution, trade, settlement) {
+    if (trade?.settlement?.reconciled) {
+      return trade.settlement.reconciled;
+    }
+    if (execution.rolledBack) {
+      return FILL_SETTLEMENT_STATUSES.ROLLED_BACK;
+    }
+    if (settlement?.state) {
+      return settlement.state;
+    }
+    if (trade?.synthetic) {
+      return FILL_SETTLEMENT_STATUSES.SYNTHETIC;
+    }
+    if (execution.counterparty === ONCHAIN_COUNTERPARTY) {
+      return FILL_SETTLEMENT_STATUSES.ONCHAIN;
+    }
+    if (settlement?.success === false) {
+      return FILL_SETTLEMENT_STATUSES.FAILED;
+    }
+    return FILL_SETTLEMENT_STATUSES.UNSETTLED;
+  }
+
+  // DEX.updateTrailingStop can only move a stop's reference to the contract's
+  // last trade price, and a triggered stop settles only if that reference kept
+  // up with the one trailed here. So when a settlement confirms, every signed
+  // trailing stop on its pair whose reference moved since the last sync is
+  // updated while the contract price is still that trade's.
+  _syncTrailingStops(entry) {
+    if (entry.state !== settlementQueue.SETTLEMENT_STATES.CONFIRMED) {
+      return;
+    }
+    const pairKeys = new Set();
+    entry.orderIds.map((id) => this.orders.get(id)).filter(Boolean).forEach((order) => {
+      pairKeys.add(matchingService._getPairKey(order.baseToken, order.quoteToken));
+      pairKeys.add(matchingService._getPairKey(order.quoteToken, order.baseToken));
+    });
+    this.listOrders()
+      .filter((order) => order.orderType === 'TRAILING_STOP'
+        && !['CANCELLED', 'REJECTED', 'EXPIRED'].includes(order.status)
+        && (order.onchain?.signature || order.signature)
+        && pairKeys.has(matchingService._getPairKey(order.baseToken, order.quoteToken)))
+      .forEach((order) => {
+        const reference = order.metadata?.trailing?.reference;
+        if (reference === undefined || reference === order.metadata.trailing.syncedReference) {
+          return;
+        }
+        settlementQueue
+          .updateTrailingStop(order)
+          .then(() => {
+            if (order.metadata.trailing?.reference === reference) {
+              order.metadata.trailing.syncedReference = reference;
+            }
+          })
+          .catch((error) => {
+            logger.warn('Could not sync a trailing stop on-chain', { orderId: order.id, error: error.message });
+          });
+      });
+  }
+
+  // Hands the trade to the settlement queue; trade.settlement is kept current
+  // by the queue as the transaction progresses.
+  _queueSettlement(trade, makerOrder, takerOrder) {
+    if (!makerOrder || !takerOrder) {
+      trade.settlement = {
+        success: false,
+        error: 'Unable to resolve maker or taker order for settlement',
+      };
+      return trade.settlement;
+    }
+
+    try {
+      settlementQueue.enqueue({ trade, makerOrder, takerOrder });
+    } catch (error) {
+      trade.settlement = {
+        success: false,
+        error: error.message,
+      };
+    }
+    return trade.settlement;
+  }
+
+  _validateReplacement(order) {
+    if (!['PENDING', 'PARTIAL'].includes(order.status)) {
+      throw new Error(`Order ${order.id} is ${order.status} and cannot be replaced`);
+    }
+    if (order.groupId) {
+      throw new Error('Orders in a group cannot be replaced; cancel the group instead');
+    }
+  }
+
+  // Cancelling a group member can close its siblings first; those keep the
+  // group's reason and are not reported again.
+  _cancelOpenOrders(orders, reason) {
+    const cancelled = [];
+    orders.forEach((order) => {
+      if (!CLOSED_STATUSES.includes(order.status)) {
+        cancelled.push(this.cancelOrder(order.id, reason));
       }
+    });
+    return cancelled;
+  }
 
-      try {
-        const settlement = await settlementService.settleTrade({
-          trade,
-          makerOrder,
-          takerOrder,
-        });
-        trade.settlement = settlement;
-        outcomes.push(settlement);
-      } catch (error) {
+  async _executeRingsSafely() {
+    try {
+      const results = await this.executeBatchOpportunities();
+      if (results.length > 0) {
+        logger.info('Executed crossing batch rings', { batchIds: results.map((result) => result.batchId) });
+      }
+    } catch (error) {
+      logger.warn('Automatic ring execution failed', { error: error.message });
+    }
+  }
+
+  // The whole ring goes out as one batchExecute transaction, so its trades
+  // share a settlement and either all settle or none do.
+  _queueBatchSettlement(result) {
+    try {
+      settlementQueue.enqueueBatch({
+        batchId: result.batchId,
+        orders: result.orders,
+        offerAmounts: result.offerAmounts,
+        trades: result.trades,
+      });
+    } catch (error) {
+      result.trades.forEach((trade) => {
         trade.settlement = {
           success: false,
           error: error.message,
         };
-        outcomes.push(trade.settlement);
-      }
+      });
     }
-
-    return outcomes;
+    return result.trades[0]?.settlement || null;
   }
 }
 
 module.exports = new OrderService();
+module.exports.GROUP_TYPES = GROUP_TYPES;
+module.exports.FILL_SETTLEMENT_STATUSES = FILL_SETTLEMENT_STATUSES;
@@ -0,0 +1,351 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const Order = require('../models/Order');
+const { createJournalStore } = require('../utils/journal-store');
+
+const JOURNAL_ENTRY_TYPES = {
+  ORDER_CREATED: 'ORDER_CREATED',
+  ORDER_UPDATED: 'ORDER_UPDATED',
+  ORDER_FILLED: 'ORDER_FILLED',
+  ORDER_CANCELLED: 'ORDER_CANCELLED',
+  ORDER_RECONCILED: 'ORDER_RECONCILED',
+  TRADE: 'TRADE',
+};
+
+function toIsoOrNull(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  return date.toISOString();
+}
+
+// The order fields that change after creation outside of fills; see
+// recordOrderUpdated.
+function updatableFields(order) {
+  const json = order.toJSON();
+  return {
+    status: json.status,
+    orderType: json.orderType,
+    timeInForce: json.timeInForce,
+    reducedUnits: json.reducedUnits,
+    sequence: json.sequence,
+    priorityAt: json.priorityAt,
+    sliceUnits: json.sliceUnits,
+    triggeredAt: json.triggeredAt,
+    updatedAt: json.updatedAt,
+    metadata: json.metadata,
+  };
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function toOptionalBigInt(value) {
+  if (value === null || value === undefined || value === '') {
+    return undefined;
+  }
+  return BigInt(value);
+}
+
+class PersistenceService {
+  constructor() {
+    this.settings = config.persistence || {};
+    this.store = null;
+    this.matchingService = null;
+    this.listeners = null;
+    this.journaledFields = new Map();
+  }
+
+  isEnabled() {
+    return this.settings.enabled !== false;
+  }
+
+  isActive() {
+    return Boolean(this.listeners);
+  }
+
+  useStore(store) {
+    this.store = store;
+    this.journaledFields.clear();
+    return this.store;
+  }
+
+  getStore() {
+    if (!this.store && this.isEnabled()) {
+      this.store = createJournalStore(this.settings);
+      logger.info('Order journal opened', { driver: this.store.driver });
+    }
+    return this.store;
+  }
+
+  attach(matchingService) {
+    if (!this.isEnabled() || this.isActive()) {
+      return;
+    }
+    this.matchingService = matchingService;
+    this.listeners = {
+      order: (order) => this.recordOrderUpdated(order),
+      fill: ({ order, execution }) => this.recordFill(order, execution),
+      trade: ({ pairKey, trade }) => this.recordTrade(pairKey, trade),
+    };
+    Object.entries(this.listeners).forEach(([eventName, listener]) => {
+      matchingService.on(eventName, listener);
+    });
+  }
+
+  detach() {
+    if (!this.listeners || !this.matchingService) {
+      return;
+    }
+    Object.entries(this.listeners).forEach(([eventName, listener]) => {
+      this.matchingService.off(eventName, listener);
+    });
+    this.listeners = null;
+    this.matchingService = null;
+  }
+
+  recordOrderCreated(order) {
+    if (!order || !this.isActive()) {
+      return;
+    }
+    this._append(JOURNAL_ENTRY_TYPES.ORDER_CREATED, order.id, { order: order.toJSON() });
+    this.journaledFields.set(order.id, updatableFields(order));
+  }
+
+  // Journals only the fields that changed since the order was last written,
+  // and metadata only by changed key; fills have entries of their own.
+  recordOrderUpdated(order) {
+    if (!order || !this.isActive()) {
+      return;
+    }
+    const fields = updatableFields(order);
+    const previous = this.journaledFields.get(order.id) || {};
+    const changes = {};
+    Object.entries(fields).forEach(([field, value]) => {
+      if (field !== 'metadata' && !sameValue(value, previous[field])) {
+        changes[field] = value;
+      }
+    });
+    const previousMetadata = previous.metadata || {};
+    const metadata = {};
+    Object.entries(fields.metadata).forEach(([key, value]) => {
+      if (!sameValue(value, previousMetadata[key])) {
+        metadata[key] = value;
+      }
+    });
+    const removed = Object.keys(previousMetadata).filter((key) => !(key in fields.metadata));
+    if (Object.keys(metadata).length > 0) {
+      changes.metadata = metadata;
+    }
+    if (removed.length > 0) {
+      changes.metadataRemoved = removed;
+    }
+
+    this.journaledFields.set(order.id, fields);
+    if (Object.keys(changes).length > 0) {
+      this._append(JOURNAL_ENTRY_TYPES.ORDER_UPDATED, order.id, { changes });
+    }
+  }
+
+  recordOrderCancelled(order, reason) {
+    this._append(JOURNAL_ENTRY_TYPES.ORDER_CANCELLED, order?.id, {
+      reason: reason || order?.metadata?.cancelReason || null,
+      cancelledAt: toIsoOrNull(order?.updatedAt) || new Date().toISOString(),
+    });
+  }
+
+  recordOrderReconciled(order, adjustment = {}) {
+    if (!order) {
+      return;
+    }
+    this._append(JOURNAL_ENTRY_TYPES.ORDER_RECONCILED, order.id, {
+      status: order.status,
+      filledUnits: order.filledUnits.toString(),
+      giveFilledUnits: order.giveFilledUnits.toString(),
+      reason: adjustment.reason || null,
+      rolledBackTradeIds: adjustment.tradeIds || [],
+      reconciledAt: toIsoOrNull(order.updatedAt) || new Date().toISOString(),
+    });
+  }
+
+  recordFill(order, execution) {
+    if (!order || !execution) {
+      return;
+    }
+    this._append(JOURNAL_ENTRY_TYPES.ORDER_FILLED, order.id, {
+      amountUnits: String(execution.amountUnits),
+      giveAmount: execution.giveAmount !== null && execution.giveAmount !== undefined
+        ? String(execution.giveAmount)
+        : null,
+      quoteAmount: execution.quoteAmount !== null && execution.quoteAmount !== undefined
+        ? String(execution.quoteAmount)
+        : null,
+      price: execution.price,
+      counterparty: execution.counterparty,
+      timestamp: toIsoOrNull(execution.timestamp),
+      tradeId: execution.tradeId || null,
+      role: execution.role || null,
+      batchId: execution.batchId || null,
+    });
+  }
+
+  recordTrade(pairKey, trade) {
+    if (!trade) {
+      return;
+    }
+    this._append(JOURNAL_ENTRY_TYPES.TRADE, trade.makerOrderId || null, {
+      pairKey,
+      trade: { ...trade, timestamp: toIsoOrNull(trade.timestamp) },
+    });
+  }
+
+  // Rebuilds orders and trade history by replaying the journal in sequence
+  // order. Fills are re-applied through Order.recordFill so unit counters end
+  // up exactly where they were before the restart.
+  replay() {
+    const orders = new Map();
+    const trades = [];
+    const store = this.getStore();
+    if (!store) {
+      return { orders, trades, entries: 0 };
+    }
+
+    const entries = store.readAll();
+    for (const entry of entries) {
+      try {
+        this._applyEntry(entry, orders, trades);
+      } catch (error) {
+        logger.warn('Skipping unreadable journal entry', {
+          seq: entry?.seq,
+          type: entry?.type,
+          error: error.message,
+        });
+      }
+    }
+
+    orders.forEach((order) => this.journaledFields.set(order.id, updatableFields(order)));
+    return { orders, trades, entries: entries.length };
+  }
+
+  _applyEntry(entry, orders, trades) {
+    const payload = entry.payload || {};
+    const order = entry.orderId ? orders.get(entry.orderId) : null;
+
+    switch (entry.type) {
+      case JOURNAL_ENTRY_TYPES.ORDER_CREATED: {
+        const restored = new Order({ ...payload.order, filled: 0, filledUnits: '0', giveFilledUnits: '0' });
+        orders.set(restored.id, restored);
+        break;
+      }
+      case JOURNAL_ENTRY_TYPES.ORDER_FILLED: {
+        if (!order) {
+          break;
+        }
+        const timestamp = payload.timestamp ? new Date(payload.timestamp) : new Date(entry.createdAt);
+        const execution = order.recordFill(BigInt(payload.amountUnits), payload.price, payload.counterparty, timestamp, {
+          giveAmount: toOptionalBigInt(payload.giveAmount),
+          quoteAmount: toOptionalBigInt(payload.quoteAmount),
+        });
+        if (execution) {
+          ['tradeId', 'role', 'batchId'].forEach((field) => {
+            if (payload[field]) {
+              execution[field] = payload[field];
+            }
+          });
+        }
+        break;
+      }
+      case JOURNAL_ENTRY_TYPES.ORDER_UPDATED: {
+        // Journals written before updates were diffed carry the whole order.
+        const changes = payload.changes || payload.order;
+        if (!order || !changes) {
+          break;
+        }
+        order.status = changes.status || order.status;
+        order.orderType = changes.orderType || order.orderType;
+        order.timeInForce = changes.timeInForce || order.timeInForce;
+        if (changes.metadata && typeof changes.metadata === 'object') {
+          order.metadata = payload.changes ? { ...order.metadata, ...changes.metadata } : { ...changes.metadata };
+        }
+        (changes.metadataRemoved || []).forEach((key) => {
+          delete order.metadata[key];
+        });
+        if (changes.reducedUnits !== undefined && changes.reducedUnits !== null) {
+          order.reducedUnits = BigInt(changes.reducedUnits);
+        }
+        // Book priority and the iceberg slice change as the order matches;
+        // the ORDER_CREATED snapshot is taken before either is set.
+        if (Number.isInteger(changes.sequence) && changes.sequence > 0) {
+          order.sequence = changes.sequence;
+        }
+        order.priorityAt = changes.priorityAt ? new Date(changes.priorityAt) : order.priorityAt;
+        if (order.isIceberg() && changes.sliceUnits !== undefined && changes.sliceUnits !== null) {
+          order.sliceUnits = BigInt(changes.sliceUnits);
+        }
+        order.triggeredAt = changes.triggeredAt ? new Date(changes.triggeredAt) : order.triggeredAt;
+        order.updatedAt = changes.updatedAt ? new Date(changes.updatedAt) : order.updatedAt;
+        break;
+      }
+      case JOURNAL_ENTRY_TYPES.ORDER_CANCELLED: {
+        if (!order) {
+          break;
+        }
+        order.cancel(payload.reason || 'CANCELLED');
+        if (payload.cancelledAt) {
+          order.updatedAt = new Date(payload.cancelledAt);
+        }
+        break;
+      }
+      case JOURNAL_ENTRY_TYPES.ORDER_RECONCILED: {
+        if (!order) {
+          break;
+        }
+        order.filledUnits = BigInt(payload.filledUnits);
+        order.giveFilledUnits = BigInt(payload.giveFilledUnits);
+        order.status = payload.status || order.status;
+        (payload.rolledBackTradeIds || []).forEach((tradeId) => {
+          order.executions
+            .filter((execution) => execution.tradeId === tradeId)
+            .forEach((execution) => {
+              execution.rolledBack = true;
+            });
+        });
+        if (payload.reconciledAt) {
+          order.updatedAt = new Date(payload.reconciledAt);
+        }
+        break;
+      }
+      case JOURNAL_ENTRY_TYPES.TRADE: {
+        if (!payload.pairKey || !payload.trade) {
+          break;
+        }
+        trades.push({
+          pairKey: payload.pairKey,
+          trade: { ...payload.trade, timestamp: new Date(payload.trade.timestamp) },
+        });
+        break;
+      }
+      default:
+        logger.warn('Unknown journal entry type', { seq: entry.seq, type: entry.type });
+    }
+  }
+
+  _append(type, orderId, payload) {
+    if (!this.isActive()) {
+      return;
+    }
+    try {
+      this.getStore().append({ type, orderId: orderId || null, payload });
+    } catch (error) {
+      logger.error('Failed to write order journal entry', { type, orderId, error: error.message });
+    }
+  }
+}
+
+module.exports = new PersistenceService();
+module.exports.JOURNAL_ENTRY_TYPES = JOURNAL_ENTRY_TYPES;
@@ -0,0 +1,218 @@
+const blockchainService = require('./blockchain.service');
+const orderService = require('./order.service');
+const priceOracleService = require('./price-oracle.service');
+const tokenService = require('./token.service');
+const { DEFAULT_DECIMALS, formatUnitsNumber } = require('../utils/amounts');
+
+const DEFAULT_TRADE_LIMIT = 100;
+const MAX_TRADE_LIMIT = 1000;
+
+// Fills whose settlement failed, or that reconciliation took back off the
+// order, never moved any tokens and are left out of positions and P&L.
+const VOID_SETTLEMENT_STATUSES = ['REVERTED', 'ABANDONED', 'ROLLED_BACK', 'FAILED'];
+
+function normalizeAddress(value) {
+  return typeof value === 'string' ? value.toLowerCase() : '';
+}
+
+function toBigIntOrZero(value) {
+  try {
+    return BigInt(value ?? 0);
+  } catch (error) {
+    return 0n;
+  }
+}
+
+function tokenDecimals(address) {
+  const decimals = tokenService.getToken(address)?.decimals;
+  return Number.isInteger(decimals) ? decimals : DEFAULT_DECIMALS;
+}
+
+function emptyPosition(order) {
+  return {
+    pairKey: `${normalizeAddress(order.baseToken)}-${normalizeAddress(order.quoteToken)}`,
+    baseToken: order.baseToken,
+    quoteToken: order.quoteToken,
+    baseDecimals: order.baseDecimals,
+    quoteDecimals: order.quoteDecimals,
+    position: 0,
+    averageEntryPrice: null,
+    boughtAmount: 0,
+    soldAmount: 0,
+    buyQuoteAmount: 0,
+    sellQuoteAmount: 0,
+    realizedPnl: 0,
+    fees: new Map(),
+    trades: 0,
+  };
+}
+
+// Average-cost accounting in the pair's quote token. Fills on the side of the
+// open position add to it at a blended price; fills against it realize the
+// difference to the average entry, and any excess opens a position the other
+// way at the fill price.
+function applyFill(position, side, amount, price) {
+  const signed = side === 'BUY' ? amount : -amount;
+  const held = Math.abs(position.position);
+  if (held === 0 || Math.sign(position.position) === Math.sign(signed)) {
+    position.averageEntryPrice = ((position.averageEntryPrice || 0) * held + amount * price) / (held + amount);
+    position.position += signed;
+    return;
+  }
+
+  const closing = Math.min(amount, held);
+  position.realizedPnl += closing * (price - position.averageEntryPrice) * Math.sign(position.position);
+  position.position += signed;
+  if (amount > held) {
+    position.averageEntryPrice = price;
+  } else if (closing === held) {
+    position.position = 0;
+    position.averageEntryPrice = null;
+  }
+}
+
+// Per-trader views across every pair: the trader's fills from the order
+// service's fill trail, positions and P&L rebuilt from those fills, and token
+// balances held in the wallet and in DEX escrow.
+class PortfolioService {
+  getTrades(address, filters = {}) {
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_TRADE_LIMIT, 1), MAX_TRADE_LIMIT);
+    return this.listFills(address, filters).reverse().slice(0, limit);
+  }
+
+  async getPortfolio(address) {
+    const positions = new Map();
+    this.listFills(address)
+      .filter((fill) => !VOID_SETTLEMENT_STATUSES.includes(fill.settlementStatus))
+      .forEach((fill) => {
+        const order = orderService.getOrder(fill.orderId);
+        const position = positions.get(fill.pairKey) || emptyPosition(order);
+        positions.set(fill.pairKey, position);
+        this._addFill(position, fill);
+      });
+
+    const valued = await Promise.all(Array.from(positions.values()).map((position) => this._value(position)));
+    const tokens = new Set([
+      ...tokenService.listTokens().map((token) => normalizeAddress(token.address)),
+      ...valued.flatMap((position) => [normalizeAddress(position.baseToken), normalizeAddress(position.quoteToken)]),
+    ]);
+    const balances = await Promise.all(Array.from(tokens).filter(Boolean).map((token) => this._balance(address, token)));
+
+    return {
+      address,
+      positions: valued,
+      pnlByQuoteToken: this._totalsByQuoteToken(valued),
+      balances,
+      generatedAt: new Date().toISOString(),
+    };
+  }
+
+  // Oldest first. Fills stamped in the same millisecond keep the engine's
+  // order sequence, and an order's own fills keep their recorded order.
+  listFills(address, filters = {}) {
+    const orders = orderService
+      .listOrders({ trader: address, baseToken: filters.baseToken, quoteToken: filters.quoteToken })
+      .sort((a, b) => (a.sequence || 0) - (b.sequence || 0));
+    const fills = orders.flatMap((order) => orderService.getOrderFills(order.id).map((fill) => ({
+      ...fill,
+      orderId: order.id,
+      pairKey: `${normalizeAddress(order.baseToken)}-${normalizeAddress(order.quoteToken)}`,
+      baseToken: order.baseToken,
+      quoteToken: order.quoteToken,
+      side: order.side,
+    })));
+    return fills.sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+  }
+
+  _addFill(position, fill) {
+    const amount = formatUnitsNumber(toBigIntOrZero(fill.baseAmount), position.baseDecimals);
+    if (!(amount > 0)) {
+      return;
+    }
+    const quote = fill.quoteAmount !== null
+      ? formatUnitsNumber(toBigIntOrZero(fill.quoteAmount), position.quoteDecimals)
+      : amount * Number(fill.price);
+    const price = quote / amount;
+
+    if (fill.side === 'BUY') {
+      position.boughtAmount += amount;
+      position.buyQuoteAmount += quote;
+    } else {
+      position.soldAmount += amount;
+      position.sellQuoteAmount += quote;
+    }
+    applyFill(position, fill.side, amount, price);
+    position.trades += 1;
+
+    if (fill.fee?.token && fill.fee.amount) {
+      const token = normalizeAddress(fill.fee.token);
+      position.fees.set(token, (position.fees.get(token) || 0n) + toBigIntOrZero(fill.fee.amount));
+    }
+  }
+
+  async _value(position) {
+    let description = null;
+    try {
+      description = await priceOracleService.describePair(position.baseToken, position.quoteToken);
+    } catch (error) {
+      description = null;
+    }
+    const markPrice = Number.isFinite(description?.priceNumber) ? description.priceNumber : null;
+    let unrealizedPnl = 0;
+    if (position.position !== 0) {
+      unrealizedPnl = markPrice !== null ? (markPrice - position.averageEntryPrice) * position.position : null;
+    }
+
+    const { fees, baseDecimals, quoteDecimals, ...fields } = position;
+    return {
+      ...fields,
+      markPrice,
+      markSource: description?.source || null,
+      unrealizedPnl,
+      totalPnl: unrealizedPnl !== null ? position.realizedPnl + unrealizedPnl : null,
+      fees: Array.from(fees.entries()).map(([token, amount]) => ({ token, amount: amount.toString() })),
+    };
+  }
+
+  // Positions on different pairs are only added up when they share a quote
+  // token; there is no common unit across quote tokens.
+  _totalsByQuoteToken(positions) {
+    const totals = new Map();
+    positions.forEach((position) => {
+      const quoteToken = normalizeAddress(position.quoteToken);
+      const total = totals.get(quoteToken) || { quoteToken, realizedPnl: 0, unrealizedPnl: 0, unpriced: 0 };
+      total.realizedPnl += position.realizedPnl;
+      if (position.unrealizedPnl === null) {
+        total.unpriced += 1;
+      } else {
+        total.unrealizedPnl += position.unrealizedPnl;
+      }
+      totals.set(quoteToken, total);
+    });
+    return Array.from(totals.values());
+  }
+
+  async _balance(address, token) {
+    const meta = tokenService.getToken(token);
+    const result = { token, symbol: meta?.symbol || null, decimals: tokenDecimals(token) };
+    const [wallet, dex] = await Promise.all([
+      blockchainService.getTokenBalance(token, address).then((value) => ({ value }), (error) => ({ error })),
+      blockchainService.getDexBalance(address, token).then((value) => ({ value }), (error) => ({ error })),
+    ]);
+    result.walletBalance = wallet.error ? '0' : String(wallet.value);
+    result.dexBalance = dex.error ? '0' : String(dex.value);
+    if (wallet.error) {
+      result.walletBalanceError = wallet.error.message;
+    }
+    if (dex.error) {
+      result.dexBalanceError = dex.error.message;
+    }
+    const total = toBigIntOrZero(result.walletBalance) + toBigIntOrZero(result.dexBalance);
+    result.totalBalance = total.toString();
+    result.total = formatUnitsNumber(total, result.decimals);
+    return result;
+  }
+}
+
+module.exports = new PortfolioService();
+module.exports.VOID_SETTLEMENT_STATUSES = VOID_SETTLEMENT_STATUSES;
@@ -0,0 +1,410 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { mulDivDown } = require('../utils/amounts');
+const blockchainService = require('./blockchain.service');
+const eventListenerService = require('./event-listener.service');
+const matchingService = require('./matching.service');
+const orderService = require('./order.service');
+const persistenceService = require('./persistence.service');
+
+const DISCREPANCY_TYPES = {
+  FILL_AHEAD_ONCHAIN: 'FILL_AHEAD_ONCHAIN',
+  FILL_NOT_SETTLED: 'FILL_NOT_SETTLED',
+  CANCELLED_ONCHAIN: 'CANCELLED_ONCHAIN',
+};
+
+const OPEN_STATUSES = ['PENDING', 'PARTIAL', 'TRIGGERED'];
+// Fill settlement states after which the fill can no longer drift from the
+// contract; any other state keeps a closed order in the audit.
+const SETTLED_FILL_STATUSES = ['CONFIRMED', 'SYNTHETIC', 'ONCHAIN', 'ROLLED_BACK'];
+const ONCHAIN_COUNTERPARTY = 'onchain';
+
+function normalizeHash(value) {
+  return typeof value === 'string' && value ? value.toLowerCase() : null;
+}
+
+function toBigIntOrZero(value) {
+  try {
+    return value === null || value === undefined || value === '' ? 0n : BigInt(value);
+  } catch (error) {
+    return 0n;
+  }
+}
+
+function isFailedSettlement(trade) {
+  const settlement = trade?.settlement;
+  if (!settlement || settlement.synthetic || settlement.reconciled) {
+    return false;
+  }
+  return settlement.success === false || settlement.receipt?.status === 0;
+}
+
+// Keeps off-chain order state in line with DEX.filled/DEX.cancelled. The
+// contract tracks fills in the maker's tokenGive units, so every comparison
+// is made against Order.giveFilledUnits. Drift is corrected when its cause is
+// unambiguous (a direct on-chain fill or cancel, or fills whose settlement
+// failed); anything else stays open in the discrepancy report until a later
+// event or audit explains it.
+class ReconciliationService {
+  constructor() {
+    this.settings = config.reconciliation || {};
+    this.onchainFilled = new Map();
+    this.onchainCancelled = new Set();
+    this.discrepancies = new Map();
+    this.unsubscribers = [];
+    this.auditTimer = null;
+    this.lastAuditAt = null;
+  }
+
+  isRunning() {
+    return this.unsubscribers.length > 0;
+  }
+
+  subscribe() {
+    if (this.isRunning()) {
+      return;
+    }
+    this.unsubscribers = [
+      eventListenerService.subscribe('OrderExecuted', (event) => this.handleOrderExecuted(event)),
+      eventListenerService.subscribe('OrderCancelled', (event) => this.handleOrderCancelled(event)),
+      eventListenerService.subscribe('NonceIncremented', (event) => this.handleNonceIncremented(event)),
+    ];
+  }
+
+  async start(options = {}) {
+    if (this.settings.enabled === false) {
+      return false;
+    }
+    this.subscribe();
+
+    try {
+      await eventListenerService.start(options);
+    } catch (error) {
+      logger.warn('Settlement reconciliation is running without on-chain events', { error: error.message });
+      return false;
+    }
+
+    const interval = options.auditInterval ?? this.settings.auditInterval ?? 60000;
+    if (interval > 0 && !this.auditTimer) {
+      this.auditTimer = setInterval(() => {
+        this.audit().catch((error) => {
+          logger.error('Reconciliation audit failed', { error: error.message });
+        });
+      }, interval);
+      this.auditTimer.unref();
+    }
+    return true;
+  }
+
+  stop() {
+    if (this.auditTimer) {
+      clearInterval(this.auditTimer);
+      this.auditTimer = null;
+    }
+    this.unsubscribers.splice(0).forEach((unsubscribe) => unsubscribe());
+  }
+
+  reset() {
+    this.stop();
+    this.onchainFilled.clear();
+    this.onchainCancelled.clear();
+    this.discrepancies.clear();
+    this.lastAuditAt = null;
+  }
+
+  // The event only says that the order traded; DEX.filled is read back so the
+  // total stays right across restarts, missed events and reorgs.
+  async handleOrderExecuted(event) {
+    const orderHash = normalizeHash(event?.args?.orderHash);
+    if (!orderHash || !this._findOrderByHash(orderHash)) {
+      return null;
+    }
+    let filled;
+    try {
+      filled = await blockchainService.callDex('filled', [orderHash]);
+    } catch (error) {
+      logger.warn('Could not read the on-chain fill of an executed order', { orderHash, error: error.message });
+      return null;
+    }
+    this.onchainFilled.set(orderHash, toBigIntOrZero(filled));
+    return this._reconcileHash(orderHash, { transactionHash: event.transactionHash || null });
+  }
+
+  handleOrderCancelled(event) {
+    const orderHash = normalizeHash(event?.args?.orderHash);
+    if (!orderHash) {
+      return null;
+    }
+    if (event.removed) {
+      this.onchainCancelled.delete(orderHash);
+      return null;
+    }
+    this.onchainCancelled.add(orderHash);
+    return this._reconcileHash(orderHash, {
+      transactionHash: event.transactionHash || null,
+      reason: event.args.reason || null,
+    });
+  }
+
+  // A reorg cannot bring the evicted orders back: the maker meant to cancel
+  // them, so a removed event is ignored.
+  handleNonceIncremented(event) {
+    const user = event?.args?.user;
+    const newNonce = event?.args?.newNonce;
+    if (!user || newNonce === undefined || newNonce === null || event.removed) {
+      return [];
+    }
+    return this._evictStaleOrders(user, newNonce, event.transactionHash || null);
+  }
+
+  // Reads DEX.filled and DEX.cancelled for every order that carries an order
+  // hash and is still open, awaits an on-chain cancel, has a fill that is not
+  // settled yet or an open discrepancy, and the nonce of every maker with such
+  // signed orders. This also covers events missed while the backend was
+  // offline.
+  async audit() {
+    const makers = new Set(orderService
+      .listOrders()
+      .filter((order) => (OPEN_STATUSES.includes(order.status) || order.metadata?.onchainCancelPending)
+        && order.nonce !== null)
+      .map((order) => String(order.trader).toLowerCase()));
+    for (const maker of makers) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const nonce = await blockchainService.callDex('getNonce', [maker]);
+        this._evictStaleOrders(maker, toBigIntOrZero(nonce), null);
+      } catch (error) {
+        logger.warn('Could not read a maker nonce during the audit', { maker, error: error.message });
+      }
+    }
+
+    const orders = orderService
+      .listOrders()
+      .filter((order) => normalizeHash(order.metadata?.orderHash) && this._needsAudit(order));
+    const results = [];
+    for (const order of orders) {
+      const orderHash = normalizeHash(order.metadata.orderHash);
+      // eslint-disable-next-line no-await-in-loop
+      const [filled, cancelled] = await Promise.all([
+        blockchainService.callDex('filled', [orderHash]),
+        blockchainService.callDex('cancelled', [orderHash]),
+      ]);
+      this.onchainFilled.set(orderHash, toBigIntOrZero(filled));
+      if (cancelled) {
+        this.onchainCancelled.add(orderHash);
+      }
+      results.push(this._reconcileOrder(order, orderHash, {}));
+    }
+    this.lastAuditAt = new Date();
+    return results;
+  }
+
+  getReport(filters = {}) {
+    const status = typeof filters.status === 'string' ? filters.status.toUpperCase() : null;
+    const discrepancies = Array.from(this.discrepancies.values())
+      .filter((entry) => !status || entry.status === status)
+      .sort((a, b) => b.detectedAt.getTime() - a.detectedAt.getTime())
+      .map((entry) => ({
+        ...entry,
+        detectedAt: entry.detectedAt.toISOString(),
+        resolvedAt: entry.resolvedAt ? entry.resolvedAt.toISOString() : null,
+      }));
+
+    return {
+      running: this.isRunning(),
+      eventsConnected: eventListenerService.running,
+      lastAuditAt: this.lastAuditAt ? this.lastAuditAt.toISOString() : null,
+      open: discrepancies.filter((entry) => entry.status === 'OPEN').length,
+      discrepancies,
+    };
+  }
+
+  _needsAudit(order) {
+    if (OPEN_STATUSES.includes(order.status) || order.metadata?.onchainCancelPending) {
+      return true;
+    }
+    const orderHash = normalizeHash(order.metadata.orderHash);
+    const hasOpenDiscrepancy = Object.values(DISCREPANCY_TYPES)
+      .some((type) => this.discrepancies.get(`${orderHash}:${type}`)?.status === 'OPEN');
+    return hasOpenDiscrepancy || orderService
+      .getOrderFills(order.id)
+      .some((fill) => !SETTLED_FILL_STATUSES.includes(fill.settlementStatus));
+  }
+
+  _reconcileHash(orderHash, context) {
+    const order = this._findOrderByHash(orderHash);
+    if (!order) {
+      return null;
+    }
+    return this._reconcileOrder(order, orderHash, context);
+  }
+
+  _reconcileOrder(order, orderHash, context) {
+    if (this.onchainCancelled.has(orderHash)) {
+      orderService.confirmOnchainCancel(order);
+    }
+    if (this.onchainCancelled.has(orderHash) && OPEN_STATUSES.includes(order.status)) {
+      orderService.cancelOrder(order.id, 'ONCHAIN_CANCELLED');
+      this._record(order, orderHash, DISCREPANCY_TYPES.CANCELLED_ONCHAIN, {
+        ...context,
+        status: 'RESOLVED',
+        resolution: 'CANCELLED_OFFCHAIN',
+      });
+    }
+
+    const onchain = this.onchainFilled.get(orderHash) || 0n;
+    const offchain = order.giveFilledUnits;
+    const details = { ...context, onchainFilled: onchain.toString(), offchainFilled: offchain.toString() };
+
+    if (onchain > offchain) {
+      this._resolve(orderHash, DISCREPANCY_TYPES.FILL_NOT_SETTLED);
+      const applied = this._applyOnchainFill(order, onchain - offchain);
+      return this._record(order, orderHash, DISCREPANCY_TYPES.FILL_AHEAD_ONCHAIN, {
+        ...details,
+        status: applied ? 'RESOLVED' : 'OPEN',
+        resolution: applied ? 'FILL_APPLIED' : null,
+      });
+    }
+
+    if (onchain < offchain) {
+      this._resolve(orderHash, DISCREPANCY_TYPES.FILL_AHEAD_ONCHAIN);
+      const rolledBack = this._rollBackFailedFills(order, offchain - onchain);
+      return this._record(order, orderHash, DISCREPANCY_TYPES.FILL_NOT_SETTLED, {
+        ...details,
+        status: rolledBack ? 'RESOLVED' : 'OPEN',
+        resolution: rolledBack ? 'FILL_ROLLED_BACK' : null,
+      });
+    }
+
+    this._resolve(orderHash, DISCREPANCY_TYPES.FILL_AHEAD_ONCHAIN);
+    this._resolve(orderHash, DISCREPANCY_TYPES.FILL_NOT_SETTLED);
+    return null;
+  }
+
+  // A fill that reached the contract without going through the matching
+  // engine, e.g. another relayer calling executeOrder directly.
+  _applyOnchainFill(order, giveUnits) {
+    const terms = order.terms;
+    if (!terms) {
+      return false;
+    }
+    const baseUnits = order.isSell() ? giveUnits : mulDivDown(giveUnits, terms.amountGet, terms.amountGive);
+    const execution = matchingService._recordFill(order, baseUnits, order.price, ONCHAIN_COUNTERPARTY, new Date(), {
+      giveAmount: giveUnits,
+    });
+    if (!execution) {
+      return false;
+    }
+    matchingService.refreshOrder(order);
+    return true;
+  }
+
+  // Only rolls back when the order's fills with a failed settlement add up to
+  // the drift exactly; a partial match usually means a settlement is in
+  // flight. A failed trade is taken back off both of its orders.
+  _rollBackFailedFills(order, giveUnits) {
+    const failed = order.executions.filter((execution) => !execution.rolledBack
+      && isFailedSettlement(orderService.getTrade(execution.tradeId)));
+    const failedGive = failed.reduce((sum, execution) => sum + toBigIntOrZero(execution.giveAmount), 0n);
+    if (failed.length === 0 || failedGive !== giveUnits) {
+      return false;
+    }
+
+    const trades = [...new Set(failed.map((execution) => execution.tradeId))].map((id) => orderService.getTrade(id));
+    const affected = new Set([order]);
+    trades.forEach((trade) => {
+      trade.settlement = { ...trade.settlement, reconciled: 'ROLLED_BACK' };
+      [trade.makerOrderId, trade.takerOrderId]
+        .map((id) => orderService.getOrder(id))
+        .filter(Boolean)
+        .forEach((tradeOrder) => affected.add(tradeOrder));
+    });
+    const tradeIds = trades.map((trade) => trade.id);
+    affected.forEach((tradeOrder) => this._rollBackExecutions(tradeOrder, tradeIds));
+    return true;
+  }
+
+  _rollBackExecutions(order, tradeIds) {
+    const executions = order.executions
+      .filter((execution) => !execution.rolledBack && tradeIds.includes(execution.tradeId));
+    if (executions.length === 0) {
+      return;
+    }
+
+    executions.forEach((execution) => {
+      const baseUnits = toBigIntOrZero(execution.amountUnits);
+      const giveUnits = toBigIntOrZero(execution.giveAmount);
+      order.filledUnits = order.filledUnits > baseUnits ? order.filledUnits - baseUnits : 0n;
+      order.giveFilledUnits = order.giveFilledUnits > giveUnits ? order.giveFilledUnits - giveUnits : 0n;
+      execution.rolledBack = true;
+    });
+    if (!['CANCELLED', 'EXPIRED', 'REJECTED'].includes(order.status)) {
+      order.status = order.filledUnits > 0n ? 'PARTIAL' : 'PENDING';
+    }
+    order.updatedAt = new Date();
+
+    persistenceService.recordOrderReconciled(order, {
+      reason: 'SETTLEMENT_FAILED',
+      tradeIds: executions.map((execution) => execution.tradeId),
+    });
+    matchingService.refreshOrder(order);
+  }
+
+  _evictStaleOrders(maker, nonce, transactionHash) {
+    const evicted = orderService.cancelOrdersBelowNonce(maker, nonce);
+    if (evicted.length > 0) {
+      logger.info('Evicted orders invalidated by a nonce increment', {
+        maker,
+        nonce: nonce.toString(),
+        transactionHash,
+        orderIds: evicted.map((order) => order.id),
+      });
+    }
+    return evicted;
+  }
+
+  _findOrderByHash(orderHash) {
+    return orderService.listOrders().find((order) => normalizeHash(order.metadata?.orderHash) === orderHash) || null;
+  }
+
+  _record(order, orderHash, type, details) {
+    const key = `${orderHash}:${type}`;
+    const existing = this.discrepancies.get(key);
+    const now = new Date();
+    const entry = {
+      key,
+      type,
+      orderId: order.id,
+      orderHash,
+      trader: order.trader,
+      onchainFilled: details.onchainFilled ?? existing?.onchainFilled ?? null,
+      offchainFilled: details.offchainFilled ?? existing?.offchainFilled ?? null,
+      transactionHash: details.transactionHash || existing?.transactionHash || null,
+      reason: details.reason || existing?.reason || null,
+      status: details.status,
+      resolution: details.resolution || null,
+      detectedAt: existing && existing.status === 'OPEN' ? existing.detectedAt : now,
+      resolvedAt: details.status === 'RESOLVED' ? now : null,
+    };
+    this.discrepancies.set(key, entry);
+
+    if (entry.status === 'OPEN') {
+      logger.warn('Settlement drift detected', { type, orderId: order.id, orderHash });
+    } else {
+      logger.info('Settlement drift corrected', { type, orderId: order.id, resolution: entry.resolution });
+    }
+    return entry;
+  }
+
+  _resolve(orderHash, type) {
+    const entry = this.discrepancies.get(`${orderHash}:${type}`);
+    if (entry && entry.status === 'OPEN') {
+      entry.status = 'RESOLVED';
+      entry.resolution = 'CLEARED';
+      entry.resolvedAt = new Date();
+    }
+  }
+}
+
+module.exports = new ReconciliationService();
+module.exports.DISCREPANCY_TYPES = DISCREPANCY_TYPES;
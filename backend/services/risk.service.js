@@ -0,0 +1,274 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const blockchainService = require('./blockchain.service');
+
+const RISK_MODES = {
+  REJECT: 'reject',
+  FLAG: 'flag',
+};
+
+const CLOSED_STATUSES = ['FILLED', 'CANCELLED', 'EXPIRED', 'REJECTED'];
+// Bracket exits wait off the book until their entry fills.
+const INACTIVE_STATUSES = ['HELD'];
+
+function normalizeAccount(value) {
+  return typeof value === 'string' && value ? value.toLowerCase() : null;
+}
+
+function giveToken(order) {
+  if (order.onchain?.tokenGive) {
+    return order.onchain.tokenGive;
+  }
+  return order.isSell() ? order.baseToken : order.quoteToken;
+}
+
+// Units of tokenGive an order can still pull from the maker's DEX balance.
+// Fees are taken from what the counterparty receives, so this is the whole
+// debit settlement will make.
+// A replaced order that had fills stays executable on-chain until the
+// maker's cancel of its hash is mined, so its remainder stays committed.
+function committedUnits(order) {
+  if (!order) {
+    return 0n;
+  }
+  if (order.metadata?.onchainCancelPending) {
+    return order.giveRemainingUnits ?? 0n;
+  }
+  if (CLOSED_STATUSES.includes(order.status) || INACTIVE_STATUSES.includes(order.status)) {
+    return 0n;
+  }
+  return order.giveRemainingUnits ?? 0n;
+}
+
+// At most one leg of an order group executes, so the legs share one
+// reservation: a group commits its largest leg rather than their sum.
+function totalCommitted(orders) {
+  const groups = new Map();
+  let total = 0n;
+  orders.forEach((order) => {
+    const amount = committedUnits(order);
+    if (!order.groupId) {
+      total += amount;
+    } else if (amount > (groups.get(order.groupId) ?? 0n)) {
+      groups.set(order.groupId, amount);
+    }
+  });
+  groups.forEach((amount) => {
+    total += amount;
+  });
+  return total;
+}
+
+// Pre-trade check that a maker's escrowed DEX balance covers every order they
+// have open. Each accepted order holds a reservation on its tokenGive for the
+// amount it can still deliver; fills shrink it and cancel, expiry or a full
+// fill release it. An order that would take a trader past their balance is
+// rejected, or in `flag` mode accepted with `metadata.risk.overCommitted`.
+class RiskService {
+  constructor() {
+    this.settings = { ...(config.risk || {}) };
+    this.reservations = new Map();
+    this.listeners = null;
+    this.matchingService = null;
+  }
+
+  configure(options = {}) {
+    this.settings = { ...this.settings, ...options };
+    return this.settings;
+  }
+
+  reset() {
+    this.reservations.clear();
+  }
+
+  isEnabled() {
+    return this.settings.enabled !== false;
+  }
+
+  attach(matchingService) {
+    if (this.listeners) {
+      return;
+    }
+    this.matchingService = matchingService;
+    this.listeners = {
+      order: (order) => this.sync(order),
+      fill: ({ order }) => this.sync(order),
+    };
+    Object.entries(this.listeners).forEach(([eventName, listener]) => {
+      matchingService.on(eventName, listener);
+    });
+  }
+
+  detach() {
+    if (!this.listeners || !this.matchingService) {
+      return;
+    }
+    Object.entries(this.listeners).forEach(([eventName, listener]) => {
+      this.matchingService.off(eventName, listener);
+    });
+    this.listeners = null;
+    this.matchingService = null;
+  }
+
+  // Checks the order against the maker's DEX balance net of their other
+  // reservations and reserves it. Throws when the order is over-committed and
+  // the service runs in reject mode.
+  async reserve(order, { replaces = null } = {}) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+    const token = giveToken(order);
+    const required = committedUnits(order);
+    // An amendment takes over the reservation of the order it replaces,
+    // unless that order had fills and must first be cancelled on-chain.
+    const excluded = replaces && replaces.filledUnits === 0n ? [order.id, replaces.id] : order.id;
+    const reserved = this.getReservedAmount(order.trader, token, excluded, order.groupId);
+
+    const assessment = {
+      token,
+      required: required.toString(),
+      reserved: reserved.toString(),
+      balance: null,
+      available: null,
+      overCommitted: false,
+      checkedAt: new Date().toISOString(),
+    };
+
+    // Hold the reservation while the balance is read, so another order from
+    // the same trader checked in the meantime counts this one. A rejected
+    // order gives it back.
+    const held = this.track(order);
+    try {
+      const balance = BigInt(await blockchainService.getDexBalance(order.trader, token));
+      const available = balance > reserved ? balance - reserved : 0n;
+      assessment.balance = balance.toString();
+      assessment.available = available.toString();
+      assessment.overCommitted = required > available;
+    } catch (error) {
+      assessment.error = error.message;
+      logger.warn('DEX balance unavailable; order accepted without a balance check', {
+        orderId: order.id,
+        trader: order.trader,
+        token,
+        error: error.message,
+      });
+    }
+
+    if (assessment.overCommitted && this.settings.mode !== RISK_MODES.FLAG) {
+      if (held) {
+        this.release(order.id);
+      }
+      throw new Error(
+        `Insufficient DEX balance: order needs ${assessment.required} of ${token} but only ${assessment.available} is available after ${assessment.reserved} reserved by open orders`,
+      );
+    }
+    if (assessment.overCommitted) {
+      logger.warn('Order accepted over its maker DEX balance', { orderId: order.id, ...assessment });
+    }
+
+    order.metadata = order.metadata || {};
+    order.metadata.risk = assessment;
+    return assessment;
+  }
+
+  // Holds a reservation for an order without checking the balance, e.g. for
+  // orders restored from the journal.
+  track(order) {
+    if (!order?.id || committedUnits(order) <= 0n) {
+      return false;
+    }
+    this.reservations.set(order.id, order);
+    return true;
+  }
+
+  release(orderId) {
+    return this.reservations.delete(orderId);
+  }
+
+  sync(order) {
+    if (order?.id && this.reservations.has(order.id) && committedUnits(order) <= 0n) {
+      this.release(order.id);
+    }
+  }
+
+  // `excludeOrderId` may be one id or a list. `excludeGroupId` leaves out an
+  // order's group siblings, whose reservation the order shares rather than
+  // adds to.
+  getReservedAmount(trader, token, excludeOrderId = null, excludeGroupId = null) {
+    const account = normalizeAccount(trader);
+    const tokenKey = normalizeAccount(token);
+    const excluded = [].concat(excludeOrderId);
+    return totalCommitted(this._openReservations().filter((order) => !excluded.includes(order.id)
+      && !(excludeGroupId && order.groupId === excludeGroupId)
+      && normalizeAccount(order.trader) === account
+      && normalizeAccount(giveToken(order)) === tokenKey));
+  }
+
+  // Reservations grouped by token, with the DEX balance each is drawn from.
+  async getReservations(trader) {
+    const account = normalizeAccount(trader);
+    const byToken = new Map();
+    for (const order of this._openReservations()) {
+      if (normalizeAccount(order.trader) !== account) {
+        continue;
+      }
+      const token = giveToken(order);
+      const key = normalizeAccount(token);
+      if (!byToken.has(key)) {
+        byToken.set(key, { token, reserved: 0n, open: [], orders: [] });
+      }
+      const entry = byToken.get(key);
+      const amount = committedUnits(order);
+      entry.open.push(order);
+      entry.reserved = totalCommitted(entry.open);
+      entry.orders.push({
+        orderId: order.id,
+        groupId: order.groupId || null,
+        side: order.side,
+        status: order.status,
+        amount: amount.toString(),
+        overCommitted: Boolean(order.metadata?.risk?.overCommitted),
+      });
+    }
+
+    const reservations = await Promise.all(
+      Array.from(byToken.values()).map(async (entry) => {
+        const result = {
+          token: entry.token,
+          reserved: entry.reserved.toString(),
+          balance: null,
+          available: null,
+          overCommitted: false,
+          orders: entry.orders,
+        };
+        try {
+          const balance = BigInt(await blockchainService.getDexBalance(trader, entry.token));
+          result.balance = balance.toString();
+          result.available = (balance > entry.reserved ? balance - entry.reserved : 0n).toString();
+          result.overCommitted = entry.reserved > balance;
+        } catch (error) {
+          result.balanceError = error.message;
+        }
+        return result;
+      }),
+    );
+
+    return { address: trader, reservations };
+  }
+
+  // Drops reservations whose order closed without an event reaching us.
+  _openReservations() {
+    const open = [];
+    for (const [orderId, order] of this.reservations) {
+      if (committedUnits(order) <= 0n) {
+        this.reservations.delete(orderId);
+      } else {
+        open.push(order);
+      }
+    }
+    return open;
+  }
+}
+
+module.exports = new RiskService();
+module.exports.RISK_MODES = RISK_MODES;
@@ -0,0 +1,599 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/json-store');
+const blockchainService = require('./blockchain.service');
+const settlementService = require('./settlement.service');
+
+const { serializeReceipt } = settlementService;
+
+const SETTLEMENT_STATES = {
+  QUEUED: 'QUEUED',
+  SUBMITTED: 'SUBMITTED',
+  CONFIRMED: 'CONFIRMED',
+  REVERTED: 'REVERTED',
+  ABANDONED: 'ABANDONED',
+};
+
+const ACTIVE_STATES = [SETTLEMENT_STATES.QUEUED, SETTLEMENT_STATES.SUBMITTED];
+
+function toIsoOrNull(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  return date.toISOString();
+}
+
+function stringifyBigInts(value) {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => stringifyBigInts(item));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, stringifyBigInts(inner)]));
+  }
+  return value;
+}
+
+function bumpFee(previous, current, percent) {
+  const bumped = (BigInt(previous) * BigInt(100 + percent)) / 100n;
+  const floor = current !== null && current !== undefined ? BigInt(current) : 0n;
+  return (bumped > floor ? bumped : floor).toString();
+}
+
+function isRevertError(error) {
+  return error?.code === 'CALL_EXCEPTION';
+}
+
+function isNonceError(error) {
+  return error?.code === 'NONCE_EXPIRED' || /nonce (too low|has already been used)/i.test(error?.message || '');
+}
+
+function isTimeoutError(error) {
+  return error?.code === 'TIMEOUT';
+}
+
+// Durable queue in front of SettlementService. Every trade, or every batch ring
+// (settled atomically in one transaction), becomes an entry that moves
+// QUEUED -> SUBMITTED -> CONFIRMED | REVERTED, or ABANDONED once retries or
+// fee replacements run out. Nonces come from the signer's
+// NonceManager and stay pinned to an entry once a transaction using them has
+// been broadcast, so a stuck transaction is replaced (same nonce, higher fee)
+// rather than duplicated. Emits 'update' with the public view of an entry on
+// every state change.
+class SettlementQueueService extends EventEmitter {
+  constructor() {
+    super();
+    this.settings = { ...(config.settlement || {}) };
+    this.store = null;
+    this.entries = new Map();
+    this.trades = new Map();
+    this.active = new Set();
+    this.unsentUpdates = 0;
+    this.timer = null;
+    this.restored = false;
+  }
+
+  configure(options = {}) {
+    this.settings = { ...this.settings, ...options };
+    return this.settings;
+  }
+
+  useStore(store) {
+    this.store = store;
+    return this.store;
+  }
+
+  getStore() {
+    if (!this.store) {
+      this.store = new JsonStore(this.settings.storeFile || 'settlements.json', { defaultValue: [] });
+    }
+    return this.store;
+  }
+
+  restore() {
+    if (this.restored) {
+      return this.entries.size;
+    }
+    this.restored = true;
+    const records = this.getStore().getAll();
+    (Array.isArray(records) ? records : []).forEach((record) => {
+      if (ACTIVE_STATES.includes(record.state)) {
+        record.nextAttemptAt = new Date().toISOString();
+      }
+      this.entries.set(record.id, record);
+    });
+    const pending = this.list().filter((entry) => ACTIVE_STATES.includes(entry.state)).length;
+    if (pending > 0) {
+      logger.info('Resuming queued settlements', { pending });
+    }
+    this._pump();
+    return this.entries.size;
+  }
+
+  reset() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.entries.clear();
+    this.trades.clear();
+    this.active.clear();
+    this.restored = false;
+  }
+
+  enqueue({ trade, makerOrder, takerOrder }) {
+    const execution = settlementService.buildExecution({ trade, makerOrder, takerOrder });
+    return this._add(
+      {
+        makerOrderId: makerOrder.id,
+        takerOrderId: takerOrder?.id || trade?.takerOrderId || null,
+        batchId: trade?.batchId || null,
+        tradeTimestamp: toIsoOrNull(trade?.timestamp),
+        execution,
+      },
+      trade ? [trade] : [],
+    );
+  }
+
+  // A ring from MatchingService.executeBatchTrades settles as one
+  // batchExecute transaction, so every trade in it shares a single entry.
+  enqueueBatch({ batchId, orders, offerAmounts, trades = [] }) {
+    const execution = settlementService.buildBatchExecution(orders, offerAmounts);
+    return this._add(
+      {
+        makerOrderId: orders[0].id,
+        takerOrderId: orders[1].id,
+        batchId: batchId || null,
+        tradeTimestamp: toIsoOrNull(trades[0]?.timestamp),
+        execution,
+      },
+      trades,
+    );
+  }
+
+  _add(fields, trades) {
+    const now = new Date().toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      state: SETTLEMENT_STATES.QUEUED,
+      ...fields,
+      tradeIds: trades.map((trade) => trade.id).filter(Boolean),
+      execution: stringifyBigInts(fields.execution),
+      attempts: 0,
+      replacements: 0,
+      nonce: null,
+      fees: null,
+      txHashes: [],
+      receipt: null,
+      lastError: null,
+      nextAttemptAt: now,
+      createdAt: now,
+      updatedAt: now,
+      submittedAt: null,
+      completedAt: null,
+    };
+
+    this.entries.set(entry.id, entry);
+    if (trades.length > 0) {
+      this.trades.set(entry.id, trades);
+    }
+    this._changed(entry);
+    this._pump();
+    return this.toJSON(entry);
+  }
+
+  get(id) {
+    const entry = this.entries.get(id);
+    return entry ? this.toJSON(entry) : null;
+  }
+
+  list(filters = {}) {
+    const state = typeof filters.state === 'string' ? filters.state.toUpperCase() : null;
+    const { orderId } = filters;
+    return Array.from(this.entries.values())
+      .filter((entry) => !state || entry.state === state)
+      .filter((entry) => !orderId || this._orderIds(entry).includes(orderId))
+      .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime())
+      .map((entry) => this.toJSON(entry));
+  }
+
+  // Settlement summary for one trade, read from the stored entries so it is
+  // still available after a restart when the in-memory trade objects are gone.
+  getTradeSettlement(tradeId) {
+    if (!tradeId) {
+      return null;
+    }
+    for (const entry of this.entries.values()) {
+      if ((entry.tradeIds || []).includes(tradeId)) {
+        return this._summarize(entry);
+      }
+    }
+    return null;
+  }
+
+  // True when `hash` is one of the transactions this queue broadcast,
+  // including fee replacements.
+  hasTransaction(hash) {
+    const target = typeof hash === 'string' ? hash.toLowerCase() : null;
+    if (!target) {
+      return false;
+    }
+    for (const entry of this.entries.values()) {
+      if ((entry.txHashes || []).some((txHash) => String(txHash).toLowerCase() === target)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  retry(id) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      return null;
+    }
+    if (entry.state !== SETTLEMENT_STATES.ABANDONED) {
+      throw new Error(`Only abandoned settlements can be retried (state is ${entry.state})`);
+    }
+    entry.state = entry.txHashes.length > 0 ? SETTLEMENT_STATES.SUBMITTED : SETTLEMENT_STATES.QUEUED;
+    entry.attempts = 0;
+    entry.replacements = 0;
+    entry.lastError = null;
+    entry.completedAt = null;
+    entry.nextAttemptAt = new Date().toISOString();
+    this._changed(entry);
+    this._pump();
+    return this.toJSON(entry);
+  }
+
+  toJSON(entry) {
+    const execution = entry.execution || {};
+    const fillAmounts = execution.fillAmounts || (execution.fillAmount ? [execution.fillAmount] : []);
+    return {
+      id: entry.id,
+      state: entry.state,
+      method: execution.method || 'executeOrder',
+      makerOrderId: entry.makerOrderId,
+      takerOrderId: entry.takerOrderId,
+      orderIds: this._orderIds(entry),
+      tradeIds: [...(entry.tradeIds || [])],
+      batchId: entry.batchId,
+      tradeTimestamp: entry.tradeTimestamp,
+      fillAmount: fillAmounts[0] ?? null,
+      fillAmounts: [...fillAmounts],
+      attempts: entry.attempts,
+      replacements: entry.replacements,
+      nonce: entry.nonce,
+      fees: entry.fees,
+      transactionHash: entry.txHashes[entry.txHashes.length - 1] || null,
+      txHashes: [...entry.txHashes],
+      receipt: entry.receipt,
+      lastError: entry.lastError,
+      nextAttemptAt: ACTIVE_STATES.includes(entry.state) ? entry.nextAttemptAt : null,
+      createdAt: entry.createdAt,
+      updatedAt: entry.updatedAt,
+      submittedAt: entry.submittedAt,
+      completedAt: entry.completedAt,
+    };
+  }
+
+  _orderIds(entry) {
+    const ids = [entry.makerOrderId, entry.takerOrderId, ...(entry.execution?.orderIds || [])];
+    return Array.from(new Set(ids.filter(Boolean)));
+  }
+
+  _pump() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const concurrency = Math.max(1, Number(this.settings.concurrency) || 1);
+    const now = Date.now();
+    const waiting = Array.from(this.entries.values())
+      .filter((entry) => ACTIVE_STATES.includes(entry.state) && !this.active.has(entry.id))
+      .sort((a, b) => new Date(a.nextAttemptAt).getTime() - new Date(b.nextAttemptAt).getTime());
+
+    for (const entry of waiting) {
+      const dueAt = new Date(entry.nextAttemptAt).getTime();
+      if (dueAt > now) {
+        this.timer = setTimeout(() => this._pump(), dueAt - now);
+        this.timer.unref();
+        break;
+      }
+      if (this.active.size >= concurrency) {
+        break;
+      }
+      this.active.add(entry.id);
+      this._process(entry)
+        .catch((error) => {
+          logger.error('Settlement processing failed unexpectedly', { id: entry.id, error: error.message });
+        })
+        .finally(() => {
+          this.active.delete(entry.id);
+          this._pump();
+        });
+    }
+  }
+
+  async _process(entry) {
+    if (entry.txHashes.length > 0) {
+      const receipt = await this._findReceipt(entry).catch(() => null);
+      if (receipt) {
+        this._complete(entry, receipt);
+        return;
+      }
+      if (entry.state === SETTLEMENT_STATES.SUBMITTED && !entry.replaceDue) {
+        await this._awaitConfirmation(entry);
+        return;
+      }
+    }
+    await this._submit(entry);
+  }
+
+  async _submit(entry) {
+    let nonceManager;
+    try {
+      nonceManager = blockchainService.getNonceManager();
+      if (entry.nonce === null) {
+        entry.nonce = await nonceManager.next();
+      }
+    } catch (error) {
+      this._scheduleRetry(entry, error);
+      return;
+    }
+
+    const replacing = entry.txHashes.length > 0;
+    let fees = null;
+    let tx;
+    try {
+      fees = await this._resolveFees(entry, replacing);
+      tx = await settlementService.sendExecution(entry.execution, { nonce: entry.nonce, ...fees });
+      entry.fees = fees;
+    } catch (error) {
+      if (isRevertError(error)) {
+        if (!replacing) {
+          // Gas estimation reverted, so nothing was broadcast; a burnt nonce
+          // would hold up every later settlement.
+          await nonceManager.release(entry.nonce);
+          entry.nonce = null;
+        }
+        this._finish(entry, SETTLEMENT_STATES.REVERTED, error);
+        return;
+      }
+      if (replacing && fees) {
+        // An underpriced replacement bumps again from the fees it tried.
+        entry.fees = fees;
+      }
+      if (isNonceError(error)) {
+        // The nonce is already taken. Re-seeding from the node would hand out
+        // again any nonce another entry holds but has not sent yet, so the
+        // counter is only reset once no such entry is left.
+        entry.nonce = null;
+        if (!this._holdsUnsentNonce(entry)) {
+          await nonceManager.reset();
+        }
+      } else if (!replacing) {
+        // The nonce never reached the mempool, so it is handed back and
+        // drawn again before any new one.
+        await nonceManager.release(entry.nonce);
+        entry.nonce = null;
+      }
+      this._scheduleRetry(entry, error);
+      return;
+    }
+
+    entry.replaceDue = false;
+    entry.txHashes.push(tx.hash);
+    entry.state = SETTLEMENT_STATES.SUBMITTED;
+    entry.submittedAt = entry.submittedAt || new Date().toISOString();
+    entry.lastError = null;
+    this._changed(entry);
+    await this._awaitConfirmation(entry);
+  }
+
+  // Sends DEX.updateTrailingStop for a signed trailing stop and resolves once
+  // it is mined. The nonce is drawn when this is called, so the update lands
+  // before any settlement submitted after it. A send that fails before it
+  // reached the node hands the nonce back. Not retried: the next confirmed
+  // settlement on the pair syncs the stop again.
+  async updateTrailingStop(order) {
+    const nonceManager = blockchainService.getNonceManager();
+    const allocation = nonceManager.next();
+    this.unsentUpdates += 1;
+    let nonce = null;
+    let tx;
+    try {
+      nonce = await allocation;
+      tx = await settlementService.sendTrailingStopUpdate(order, { nonce });
+    } catch (error) {
+      if (nonce !== null && !isNonceError(error)) {
+        await nonceManager.release(nonce);
+      }
+      throw error;
+    } finally {
+      this.unsentUpdates -= 1;
+    }
+
+    const timeout = Number(this.settings.confirmationTimeout) || 120000;
+    const receipt = await blockchainService
+      .getProvider()
+      .waitForTransaction(tx.hash, blockchainService.confirmations, timeout);
+    if (!receipt || receipt.status === 0) {
+      throw new Error(`Trailing stop update ${tx.hash} was not confirmed`);
+    }
+    return serializeReceipt(receipt);
+  }
+
+  _holdsUnsentNonce(except) {
+    if (this.unsentUpdates > 0) {
+      return true;
+    }
+    return Array.from(this.entries.values()).some((entry) => entry !== except
+      && ACTIVE_STATES.includes(entry.state)
+      && entry.nonce !== null
+      && entry.txHashes.length === 0);
+  }
+
+  async _awaitConfirmation(entry) {
+    const provider = blockchainService.getProvider();
+    const hash = entry.txHashes[entry.txHashes.length - 1];
+    const timeout = Number(this.settings.confirmationTimeout) || 120000;
+
+    let receipt = null;
+    try {
+      receipt = await provider.waitForTransaction(hash, blockchainService.confirmations, timeout);
+    } catch (error) {
+      if (!isTimeoutError(error)) {
+        this._scheduleRetry(entry, error);
+        return;
+      }
+    }
+
+    if (!receipt) {
+      receipt = await this._findReceipt(entry).catch(() => null);
+    }
+    if (receipt) {
+      this._complete(entry, receipt);
+      return;
+    }
+
+    const maxReplacements = Number(this.settings.maxReplacements ?? 3);
+    if (entry.replacements >= maxReplacements) {
+      this._finish(entry, SETTLEMENT_STATES.ABANDONED, new Error('Transaction was not mined after fee replacements'));
+      return;
+    }
+    entry.replacements += 1;
+    entry.replaceDue = true;
+    logger.warn('Replacing stuck settlement transaction', { id: entry.id, nonce: entry.nonce, hash });
+    await this._submit(entry);
+  }
+
+  async _findReceipt(entry) {
+    const provider = blockchainService.getProvider();
+    for (const hash of entry.txHashes) {
+      // eslint-disable-next-line no-await-in-loop
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  async _resolveFees(entry, replacing) {
+    const provider = blockchainService.getProvider();
+    const feeData = await provider.getFeeData();
+    const percent = Number(this.settings.feeBumpPercent ?? 20);
+    const previous = replacing ? entry.fees : null;
+
+    if (feeData.maxFeePerGas !== null && feeData.maxFeePerGas !== undefined) {
+      if (previous?.maxFeePerGas) {
+        return {
+          maxFeePerGas: bumpFee(previous.maxFeePerGas, feeData.maxFeePerGas, percent),
+          maxPriorityFeePerGas: bumpFee(previous.maxPriorityFeePerGas, feeData.maxPriorityFeePerGas, percent),
+        };
+      }
+      return {
+        maxFeePerGas: feeData.maxFeePerGas.toString(),
+        maxPriorityFeePerGas: (feeData.maxPriorityFeePerGas ?? 0n).toString(),
+      };
+    }
+
+    if (feeData.gasPrice === null || feeData.gasPrice === undefined) {
+      return {};
+    }
+    if (previous?.gasPrice) {
+      return { gasPrice: bumpFee(previous.gasPrice, feeData.gasPrice, percent) };
+    }
+    return { gasPrice: feeData.gasPrice.toString() };
+  }
+
+  _scheduleRetry(entry, error) {
+    entry.attempts += 1;
+    entry.lastError = error.message;
+    const maxAttempts = Number(this.settings.maxAttempts) || 5;
+    if (entry.attempts >= maxAttempts) {
+      this._finish(entry, SETTLEMENT_STATES.ABANDONED, error);
+      return;
+    }
+
+    const base = Number(this.settings.retryBaseDelay) || 1000;
+    const max = Number(this.settings.retryMaxDelay) || 60000;
+    const delay = Math.min(base * 2 ** (entry.attempts - 1), max);
+    entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    logger.warn('Settlement attempt failed, retrying', {
+      id: entry.id,
+      attempt: entry.attempts,
+      delay,
+      error: error.message,
+    });
+    this._changed(entry);
+  }
+
+  _complete(entry, receipt) {
+    entry.receipt = serializeReceipt(receipt);
+    if (receipt.status === 0) {
+      this._finish(entry, SETTLEMENT_STATES.REVERTED, new Error('Settlement transaction reverted'));
+      return;
+    }
+    this._finish(entry, SETTLEMENT_STATES.CONFIRMED, null);
+  }
+
+  _finish(entry, state, error) {
+    entry.state = state;
+    entry.lastError = error ? error.message : null;
+    entry.completedAt = new Date().toISOString();
+    entry.replaceDue = false;
+    if (state === SETTLEMENT_STATES.ABANDONED) {
+      logger.error('Settlement abandoned', { id: entry.id, error: entry.lastError });
+    }
+    this._changed(entry);
+  }
+
+  _changed(entry) {
+    entry.updatedAt = new Date().toISOString();
+    const trades = this.trades.get(entry.id) || [];
+    if (trades.length > 0) {
+      const summary = this._summarize(entry);
+      trades.forEach((trade) => {
+        trade.settlement = { ...summary };
+      });
+    }
+    try {
+      this.getStore().setAll(Array.from(this.entries.values()));
+    } catch (error) {
+      logger.error('Failed to persist settlement queue', { error: error.message });
+    }
+    this.emit('update', this.toJSON(entry));
+  }
+
+  // The shape other services read from trade.settlement: success stays null
+  // while the settlement is in flight.
+  _summarize(entry) {
+    let success = null;
+    if (entry.state === SETTLEMENT_STATES.CONFIRMED) {
+      success = true;
+    } else if (entry.state === SETTLEMENT_STATES.REVERTED || entry.state === SETTLEMENT_STATES.ABANDONED) {
+      success = false;
+    }
+    return {
+      settlementId: entry.id,
+      state: entry.state,
+      success,
+      transactionHash: entry.txHashes[entry.txHashes.length - 1] || null,
+      receipt: entry.receipt,
+      error: entry.lastError,
+    };
+  }
+}
+
+module.exports = new SettlementQueueService();
+module.exports.SETTLEMENT_STATES = SETTLEMENT_STATES;
@@ -7,6 +7,7 @@ const ORDER_TYPE_INDEX = {
   MARKET: 1,
   STOP_LOSS: 2,
   STOP_LIMIT: 3,
+  TRAILING_STOP: 4,
 };
 
 const TIME_IN_FORCE_INDEX = {
@@ -86,19 +87,84 @@ function serializeReceipt(receipt) {
 
 class SettlementService {
   async settleTrade({ trade, makerOrder, takerOrder }) {
+    const execution = this.buildExecution({ trade, makerOrder, takerOrder });
+    const tx = await this.sendExecution(execution);
+    const receipt = await tx.wait(blockchainService.confirmations);
+    return {
+      success: true,
+      receipt: serializeReceipt(receipt),
+    };
+  }
+
+  // Two signed orders are settled against each other with DEX.matchOrders so
+  // the relayer never becomes a counterparty. Takers without signed terms (or
+  // whose on-chain order could not accept this partial fill) fall back to
+  // executeOrder with the relayer as taker.
+  buildExecution({ trade, makerOrder, takerOrder }) {
     if (!makerOrder) {
       throw new Error('Maker order is required for settlement');
     }
 
-    const onchain = makerOrder.onchain || {};
-    const signature = onchain.signature || makerOrder.signature;
-    if (!signature) {
-      throw new Error('Maker order signature is missing');
+    const makerContract = this._buildContractOrder(makerOrder);
+    const makerSignature = this._requireSignature(makerOrder, 'Maker');
+    const makerFill = this._resolveFillAmount(trade, makerOrder, takerOrder);
+
+    const takerSignature = takerOrder ? this._signatureOf(takerOrder) : null;
+    if (takerSignature && takerOrder.onchain?.amountGet && takerOrder.onchain?.amountGive) {
+      const takerContract = this._buildContractOrder(takerOrder);
+      const takerFill = (makerFill * makerContract.amountGet) / makerContract.amountGive;
+      if (this._acceptsFill(takerContract, takerFill)) {
+        return {
+          method: 'matchOrders',
+          orderIds: [makerOrder.id, takerOrder.id],
+          orders: [makerContract, takerContract],
+          signatures: [makerSignature, takerSignature],
+          fillAmounts: [makerFill, takerFill],
+        };
+      }
+    }
+
+    return {
+      method: 'executeOrder',
+      orderIds: [makerOrder.id],
+      orders: [makerContract],
+      signatures: [makerSignature],
+      fillAmounts: [makerFill],
+    };
+  }
+
+  // offerAmounts[i] is what order i gives (MatchingService.executeBatchTrades);
+  // order i receives offerAmounts[i + 1]. The contract rejects a leg that
+  // receives less than its own price, so that is checked before any gas is
+  // spent.
+  buildBatchExecution(orders, offerAmounts) {
+    if (!Array.isArray(orders) || orders.length < 2) {
+      throw new Error('Batch settlement requires at least two orders');
+    }
+    if (!Array.isArray(offerAmounts) || offerAmounts.length !== orders.length) {
+      throw new Error('Batch settlement requires one fill amount per order');
     }
 
-    const contractOrder = this._buildContractOrder(makerOrder);
-    const fillAmount = this._resolveFillAmount(trade, makerOrder, takerOrder);
+    const contractOrders = orders.map((order) => this._buildContractOrder(order));
+    const fillAmounts = offerAmounts.map((amount) => toBigNumberish(amount, 'fillAmount'));
+    contractOrders.forEach((contractOrder, index) => {
+      const received = fillAmounts[(index + 1) % fillAmounts.length];
+      const minimum = (fillAmounts[index] * contractOrder.amountGet) / contractOrder.amountGive;
+      if (received < minimum) {
+        throw new Error(`Batch leg ${index} would receive less than its limit price`);
+      }
+    });
+
+    return {
+      method: 'batchExecute',
+      orderIds: orders.map((order) => order.id),
+      orders: contractOrders,
+      signatures: orders.map((order, index) => this._requireSignature(order, `Batch order ${index}`)),
+      fillAmounts,
+    };
+  }
 
+  async sendExecution(execution, overrides = {}) {
     const signer = blockchainService.getSigner();
     if (!signer) {
       throw new Error('Blockchain signer is not configured for settlement');
@@ -106,13 +172,65 @@ class SettlementService {
 
     const contract = blockchainService.getDexContract();
     const connected = contract.connect(signer);
+    const { method, orders, signatures, fillAmounts } = execution;
 
-    const tx = await connected.executeOrder(contractOrder, signature, fillAmount);
-    const receipt = await tx.wait(blockchainService.confirmations);
-    return {
-      success: true,
-      receipt: serializeReceipt(receipt),
-    };
+    if (method === 'matchOrders') {
+      return connected.matchOrders(
+        orders[0],
+        signatures[0],
+        orders[1],
+        signatures[1],
+        fillAmounts[0],
+        fillAmounts[1],
+        overrides,
+      );
+    }
+    if (method === 'batchExecute') {
+      return connected.batchExecute(orders, signatures, fillAmounts, overrides);
+    }
+    if (execution.contractOrder) {
+      // Executions queued before multi-order settlement existed.
+      return connected.executeOrder(execution.contractOrder, execution.signature, execution.fillAmount, overrides);
+    }
+    return connected.executeOrder(orders[0], signatures[0], fillAmounts[0], overrides);
+  }
+
+  // Moves a signed trailing stop's on-chain reference to the contract's last
+  // trade price on the pair; see OrderService._syncTrailingStops.
+  async sendTrailingStopUpdate(order, overrides = {}) {
+    const signer = blockchainService.getSigner();
+    if (!signer) {
+      throw new Error('Blockchain signer is not configured for settlement');
+    }
+    const contract = blockchainService.getDexContract().connect(signer);
+    return contract.updateTrailingStop(this._buildContractOrder(order), overrides);
+  }
+
+  _signatureOf(order) {
+    return order.onchain?.signature || order.signature || null;
+  }
+
+  _requireSignature(order, label) {
+    const signature = this._signatureOf(order);
+    if (!signature) {
+      throw new Error(`${label} order signature is missing`);
+    }
+    return signature;
+  }
+
+  // Mirrors the fill checks DEX applies to each order in matchOrders.
+  _acceptsFill(contractOrder, fillAmount) {
+    if (fillAmount <= 0n || fillAmount > contractOrder.amountGive) {
+      return false;
+    }
+    const partial = fillAmount !== contractOrder.amountGive;
+    if (partial && (!contractOrder.allowPartialFill || contractOrder.timeInForce === TIME_IN_FORCE_INDEX.FOK)) {
+      return false;
+    }
+    if (contractOrder.timeInForce === TIME_IN_FORCE_INDEX.POST_ONLY) {
+      return false;
+    }
+    return fillAmount >= contractOrder.minFillAmount;
   }
 
   _buildContractOrder(order) {
@@ -147,6 +265,8 @@ class SettlementService {
       ),
       side: toEnumIndex(onchain.side || order.side, ORDER_SIDE_INDEX, 'SELL', 'side'),
       stopPrice: toBigNumberish(onchain.stopPrice ?? order.stopPrice ?? 0, 'stopPrice'),
+      trailingOffset: toBigNumberish(onchain.trailingOffset ?? 0, 'trailingOffset'),
+      trailingBps: toBigNumberish(onchain.trailingBps ?? 0, 'trailingBps'),
       minFillAmount: toBigNumberish(onchain.minFillAmount ?? order.minFillAmount ?? 0, 'minFillAmount'),
       allowPartialFill:
         onchain.allowPartialFill !== undefined ? Boolean(onchain.allowPartialFill) : order.allowPartialFill,
@@ -192,3 +312,4 @@ class SettlementService {
 }
 
 module.exports = new SettlementService();
+module.exports.serializeReceipt = serializeReceipt;
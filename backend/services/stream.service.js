@@ -0,0 +1,398 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const authService = require('./auth.service');
+const matchingService = require('./matching.service');
+const orderService = require('./order.service');
+
+const CHANNEL_TYPES = ['depth', 'trades', 'orders', 'prices'];
+const TRADE_SNAPSHOT_LIMIT = 50;
+
+function toIsoOrNull(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  return date.toISOString();
+}
+
+function serializeTrade(trade) {
+  return { ...trade, timestamp: toIsoOrNull(trade.timestamp) };
+}
+
+function levelKey(side, level) {
+  return `${side}:${level.price}`;
+}
+
+// Channels are addressed as `<type>:<scope>`: `depth:<base>-<quote>`,
+// `trades:<base>-<quote>`, `orders:<trader>` and `prices:<base>-<quote>` (or
+// `prices:*` for every pair). Each channel keeps its own sequence number;
+// updates carry `seq`, snapshots carry the sequence they are current as of.
+// A client that sees a gap sends `{ op: 'resync', channel }` and receives a
+// fresh snapshot.
+class StreamService {
+  constructor() {
+    this.settings = config.websocket || {};
+    this.wss = null;
+    this.channels = new Map();
+    this.pendingDepth = new Set();
+    this.pendingOrders = new Map();
+    this.flushScheduled = false;
+    this.heartbeatTimer = null;
+    this.listeners = null;
+  }
+
+  attach(server, options = {}) {
+    if (this.wss) {
+      return this.wss;
+    }
+    const path = options.path || this.settings.path || '/ws';
+    this.wss = new WebSocketServer({ server, path });
+    this.wss.on('connection', (socket) => this._handleConnection(socket));
+    this.wss.on('error', (error) => {
+      logger.error('WebSocket server error', { error: error.message });
+    });
+
+    this._subscribeToMatching();
+
+    const interval = options.heartbeatInterval ?? this.settings.heartbeatInterval ?? 30000;
+    if (interval > 0) {
+      this.heartbeatTimer = setInterval(() => this._heartbeat(), interval);
+      this.heartbeatTimer.unref();
+    }
+
+    server.on('close', () => this.close());
+    logger.info('WebSocket streaming enabled', { path });
+    return this.wss;
+  }
+
+  close() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    if (this.listeners) {
+      Object.entries(this.listeners).forEach(([eventName, listener]) => {
+        matchingService.off(eventName, listener);
+      });
+      this.listeners = null;
+    }
+    if (this.wss) {
+      this.wss.clients.forEach((socket) => socket.terminate());
+      this.wss.close();
+      this.wss = null;
+    }
+    this.channels.clear();
+    this.pendingDepth.clear();
+    this.pendingOrders.clear();
+  }
+
+  _subscribeToMatching() {
+    this.listeners = {
+      order: (order) => this._handleOrderChange(order),
+      fill: ({ order }) => this._handleOrderChange(order),
+      trade: ({ pairKey, trade }) => this._publish(`trades:${pairKey}`, serializeTrade(trade)),
+      price: (snapshot) => this._handlePriceChange(snapshot),
+    };
+    Object.entries(this.listeners).forEach(([eventName, listener]) => {
+      matchingService.on(eventName, listener);
+    });
+  }
+
+  _handleConnection(socket) {
+    socket.isAlive = true;
+    socket.subscriptions = new Set();
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+    socket.on('message', (raw) => this._handleMessage(socket, raw));
+    socket.on('close', () => {
+      socket.subscriptions.forEach((channel) => this._removeSubscriber(channel, socket));
+      socket.subscriptions.clear();
+    });
+    socket.on('error', (error) => {
+      logger.warn('WebSocket client error', { error: error.message });
+    });
+  }
+
+  _handleMessage(socket, raw) {
+    let message;
+    try {
+      message = JSON.parse(String(raw));
+    } catch (error) {
+      this._send(socket, { type: 'error', message: 'Messages must be valid JSON' });
+      return;
+    }
+
+    const op = String(message?.op || '').toLowerCase();
+    if (op === 'ping') {
+      this._send(socket, { type: 'pong', timestamp: new Date().toISOString() });
+      return;
+    }
+
+    let channel;
+    try {
+      channel = this._resolveChannel(message);
+    } catch (error) {
+      this._send(socket, { type: 'error', message: error.message });
+      return;
+    }
+
+    switch (op) {
+      case 'subscribe':
+        if (!this._canSubscribe(socket, channel, message)) {
+          this._send(socket, { type: 'error', channel, message: 'Only the trader can subscribe to their orders' });
+          return;
+        }
+        if (!socket.subscriptions.has(channel)) {
+          socket.subscriptions.add(channel);
+          this._addSubscriber(channel, socket);
+        }
+        this._send(socket, { type: 'subscribed', channel });
+        this._sendSnapshot(socket, channel);
+        break;
+      case 'unsubscribe':
+        if (socket.subscriptions.delete(channel)) {
+          this._removeSubscriber(channel, socket);
+        }
+        this._send(socket, { type: 'unsubscribed', channel });
+        break;
+      case 'resync':
+        if (!socket.subscriptions.has(channel)) {
+          this._send(socket, { type: 'error', channel, message: 'Not subscribed to channel' });
+          return;
+        }
+        this._sendSnapshot(socket, channel);
+        break;
+      default:
+        this._send(socket, { type: 'error', message: `Unsupported op: ${message?.op}` });
+    }
+  }
+
+  // `orders:<trader>` carries the trader's full orders, so subscribing needs a
+  // session for that trader: `token` on the subscribe message, or on an
+  // earlier one from the same socket.
+  _canSubscribe(socket, channel, message) {
+    const [type, scope] = channel.split(/:(.*)/s);
+    if (type !== 'orders' || !authService.isEnabled()) {
+      return true;
+    }
+    if (typeof message.token === 'string' && message.token) {
+      socket.authToken = message.token;
+    }
+    return authService.isCaller(authService.getSession(socket.authToken), scope);
+  }
+
+  _resolveChannel(message = {}) {
+    if (typeof message.channel === 'string' && message.channel.includes(':')) {
+      const [type, ...rest] = message.channel.split(':');
+      return this._buildChannel(type, rest.join(':'));
+    }
+
+    const type = String(message.channel || '').toLowerCase();
+    if (type === 'orders') {
+      return this._buildChannel(type, message.trader);
+    }
+    if (type === 'prices' && (!message.baseToken || !message.quoteToken)) {
+      return this._buildChannel(type, '*');
+    }
+    if (!message.baseToken || !message.quoteToken) {
+      throw new Error('baseToken and quoteToken are required');
+    }
+    return this._buildChannel(type, matchingService._getPairKey(message.baseToken, message.quoteToken));
+  }
+
+  _buildChannel(type, scope) {
+    const normalizedType = String(type || '').toLowerCase();
+    if (!CHANNEL_TYPES.includes(normalizedType)) {
+      throw new Error(`Unknown channel: ${type}`);
+    }
+    const normalizedScope = String(scope || '').trim().toLowerCase();
+    if (!normalizedScope) {
+      throw new Error(`Channel ${normalizedType} requires a scope`);
+    }
+    return `${normalizedType}:${normalizedScope}`;
+  }
+
+  _addSubscriber(channel, socket) {
+    let state = this.channels.get(channel);
+    if (!state) {
+      state = { seq: 0, subscribers: new Set(), levels: null };
+      this.channels.set(channel, state);
+    }
+    state.subscribers.add(socket);
+  }
+
+  _removeSubscriber(channel, socket) {
+    const state = this.channels.get(channel);
+    if (!state) {
+      return;
+    }
+    state.subscribers.delete(socket);
+    if (state.subscribers.size === 0) {
+      this.channels.delete(channel);
+    }
+  }
+
+  _sendSnapshot(socket, channel) {
+    const state = this.channels.get(channel);
+    if (!state) {
+      return;
+    }
+    const [type, scope] = channel.split(/:(.*)/s);
+    let data;
+    switch (type) {
+      case 'depth': {
+        if (state.levels) {
+          this.pendingDepth.delete(scope);
+          this._publishDepthDiff(scope);
+        }
+        data = matchingService.getDepthFromKey(scope);
+        state.levels = this._indexLevels(data);
+        break;
+      }
+      case 'trades': {
+        const [baseToken, quoteToken] = scope.split('-');
+        data = matchingService.getRecentTrades(baseToken, quoteToken, TRADE_SNAPSHOT_LIMIT).map(serializeTrade);
+        break;
+      }
+      case 'orders':
+        data = orderService.listOrders({ trader: scope }).map((order) => orderService.toJSON(order));
+        break;
+      case 'prices':
+        data = scope === '*'
+          ? Array.from(matchingService.marketPrices.keys()).map((pairKey) => ({
+            pairKey,
+            ...matchingService.getMarketPriceSnapshotFromKey(pairKey),
+          }))
+          : matchingService.getMarketPriceSnapshotFromKey(scope);
+        break;
+      default:
+        data = null;
+    }
+    this._send(socket, { type: 'snapshot', channel, seq: state.seq, data });
+  }
+
+  _publish(channel, data) {
+    const state = this.channels.get(channel);
+    if (!state || state.subscribers.size === 0) {
+      return;
+    }
+    state.seq += 1;
+    const payload = JSON.stringify({ type: 'update', channel, seq: state.seq, data });
+    state.subscribers.forEach((socket) => {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(payload);
+      }
+    });
+  }
+
+  _handleOrderChange(order) {
+    if (!order || !order.id) {
+      return;
+    }
+    this.pendingOrders.set(order.id, order);
+    if (order.baseToken && order.quoteToken) {
+      this.pendingDepth.add(matchingService._getPairKey(order.baseToken, order.quoteToken));
+    }
+    this._scheduleFlush();
+  }
+
+  _handlePriceChange(snapshot) {
+    const data = {
+      pairKey: snapshot.pairKey,
+      price: snapshot.price,
+      previousPrice: snapshot.previousPrice,
+      source: snapshot.source,
+      updatedAt: toIsoOrNull(snapshot.updatedAt),
+    };
+    this._publish(`prices:${snapshot.pairKey}`, data);
+    this._publish('prices:*', data);
+  }
+
+  // Order and depth changes are coalesced per tick so a single match that
+  // touches many orders produces one diff per pair and one update per order.
+  _scheduleFlush() {
+    if (this.flushScheduled) {
+      return;
+    }
+    this.flushScheduled = true;
+    setImmediate(() => {
+      this.flushScheduled = false;
+      this._flush();
+    });
+  }
+
+  _flush() {
+    const orders = Array.from(this.pendingOrders.values());
+    const pairKeys = Array.from(this.pendingDepth);
+    this.pendingOrders.clear();
+    this.pendingDepth.clear();
+
+    orders.forEach((order) => {
+      this._publish(`orders:${String(order.trader || '').toLowerCase()}`, order.toJSON());
+    });
+    pairKeys.forEach((pairKey) => this._publishDepthDiff(pairKey));
+  }
+
+  _publishDepthDiff(pairKey) {
+    const channel = `depth:${pairKey}`;
+    const state = this.channels.get(channel);
+    if (!state) {
+      return;
+    }
+    const nextLevels = this._indexLevels(matchingService.getDepthFromKey(pairKey));
+    const previousLevels = state.levels || new Map();
+    const diff = { bids: [], asks: [] };
+
+    nextLevels.forEach((entry, key) => {
+      const previous = previousLevels.get(key);
+      if (!previous || previous.level.amountUnits !== entry.level.amountUnits || previous.level.orders !== entry.level.orders) {
+        diff[entry.side].push(entry.level);
+      }
+    });
+    previousLevels.forEach((entry, key) => {
+      if (!nextLevels.has(key)) {
+        diff[entry.side].push({ price: entry.level.price, amount: 0, amountUnits: '0', orders: 0 });
+      }
+    });
+
+    state.levels = nextLevels;
+    if (diff.bids.length === 0 && diff.asks.length === 0) {
+      return;
+    }
+    this._publish(channel, { ...diff, prevSeq: state.seq });
+  }
+
+  _indexLevels(depth) {
+    const index = new Map();
+    depth.bids.forEach((level) => index.set(levelKey('bids', level), { side: 'bids', level }));
+    depth.asks.forEach((level) => index.set(levelKey('asks', level), { side: 'asks', level }));
+    return index;
+  }
+
+  _heartbeat() {
+    if (!this.wss) {
+      return;
+    }
+    this.wss.clients.forEach((socket) => {
+      if (socket.isAlive === false) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }
+
+  _send(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+}
+
+module.exports = new StreamService();
@@ -25,6 +25,15 @@ class TokenService {
     this._loadFromDeployments();
   }
 
+  // Swaps the backing store and reloads the registry from it. Tests point it
+  // at a temporary directory so they never write to backend/data.
+  useStore(store) {
+    this.store = store;
+    this.tokens.clear();
+    this._loadFromStore();
+    return this.store;
+  }
+
   _loadFromStore() {
     const storedTokens = this.store.getAll();
     if (!Array.isArray(storedTokens)) {
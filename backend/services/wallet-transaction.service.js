@@ -0,0 +1,257 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const signatureUtils = require('../utils/signature');
+const blockchainService = require('./blockchain.service');
+
+const { MINIMAL_ERC20_ABI } = blockchainService;
+
+const TRANSACTION_STATES = {
+  PENDING: 'PENDING',
+  CONFIRMED: 'CONFIRMED',
+  FAILED: 'FAILED',
+};
+
+const MAX_TRACKED = 1000;
+
+function requireAddress(value, label) {
+  if (!ethers.isAddress(value)) {
+    throw new Error(`A valid ${label} address is required`);
+  }
+  return ethers.getAddress(value);
+}
+
+function requireAmount(value, label = 'amount') {
+  let amount;
+  try {
+    amount = BigInt(typeof value === 'string' ? value.trim() : value);
+  } catch (error) {
+    throw new Error(`${label} must be an integer amount in token base units`);
+  }
+  if (amount <= 0n) {
+    throw new Error(`${label} must be greater than zero`);
+  }
+  return amount;
+}
+
+// Builds unsigned DEX transactions for wallet-owned actions (deposit,
+// withdraw, cancel, nonce increment) and follows the hashes the wallet sends
+// back. The backend never holds user keys: it only encodes calldata,
+// estimates gas against the caller's address and watches for receipts.
+class WalletTransactionService {
+  constructor() {
+    this.transactions = new Map();
+    this.dexInterface = null;
+    this.dexAbi = null;
+    this.erc20Interface = new ethers.Interface(MINIMAL_ERC20_ABI);
+  }
+
+  reset() {
+    this.transactions.clear();
+  }
+
+  async buildDeposit({ from, token, amount }) {
+    const sender = requireAddress(from, 'sender');
+    const tokenAddress = requireAddress(token, 'token');
+    const value = requireAmount(amount);
+    const dexAddress = this._dexAddress();
+
+    const transactions = [];
+    const allowance = await this._allowance(tokenAddress, sender, dexAddress);
+    if (allowance === null || allowance < value) {
+      transactions.push(await this._payload({
+        from: sender,
+        to: tokenAddress,
+        data: this.erc20Interface.encodeFunctionData('approve', [dexAddress, value]),
+        action: 'approve',
+        description: `Approve the DEX to pull ${value} base units`,
+      }));
+    }
+    transactions.push(await this._dexPayload(sender, 'deposit', [tokenAddress, value], 'Deposit into the DEX'));
+    return { action: 'deposit', from: sender, token: tokenAddress, amount: value.toString(), transactions };
+  }
+
+  async buildWithdraw({ from, token, amount }) {
+    const sender = requireAddress(from, 'sender');
+    const tokenAddress = requireAddress(token, 'token');
+    const value = requireAmount(amount);
+    const transaction = await this._dexPayload(sender, 'withdraw', [tokenAddress, value], 'Withdraw from the DEX');
+    return { action: 'withdraw', from: sender, token: tokenAddress, amount: value.toString(), transactions: [transaction] };
+  }
+
+  async buildCancel({ from, order }) {
+    const struct = signatureUtils.normalizeOrderStruct(order);
+    const sender = requireAddress(from || struct.maker, 'sender');
+    const transaction = await this._dexPayload(sender, 'cancelOrder', [struct], 'Cancel the order on-chain');
+    return { action: 'cancelOrder', from: sender, transactions: [transaction] };
+  }
+
+  async buildCancelBatch({ from, orders }) {
+    if (!Array.isArray(orders) || orders.length === 0) {
+      throw new Error('orders array is required');
+    }
+    const structs = orders.map((order) => signatureUtils.normalizeOrderStruct(order));
+    const sender = requireAddress(from || structs[0].maker, 'sender');
+    const transaction = await this._dexPayload(sender, 'cancelOrders', [structs], `Cancel ${structs.length} orders on-chain`);
+    return { action: 'cancelOrders', from: sender, transactions: [transaction] };
+  }
+
+  async buildIncrementNonce({ from }) {
+    const sender = requireAddress(from, 'sender');
+    const transaction = await this._dexPayload(sender, 'incrementNonce', [], 'Invalidate every order signed with the current nonce');
+    return { action: 'incrementNonce', from: sender, transactions: [transaction] };
+  }
+
+  // Records a hash broadcast by the wallet and resolves it once mined.
+  track({ hash, from = null, action = null, metadata = {} } = {}) {
+    if (!ethers.isHexString(hash, 32)) {
+      throw new Error('A valid transaction hash is required');
+    }
+    const key = hash.toLowerCase();
+    const existing = this.transactions.get(key);
+    if (existing) {
+      return this.toJSON(existing);
+    }
+
+    const entry = {
+      hash: key,
+      from: from && ethers.isAddress(from) ? ethers.getAddress(from) : null,
+      action,
+      metadata: metadata && typeof metadata === 'object' ? metadata : {},
+      status: TRANSACTION_STATES.PENDING,
+      blockNumber: null,
+      gasUsed: null,
+      error: null,
+      submittedAt: new Date(),
+      updatedAt: new Date(),
+    };
+    this.transactions.set(key, entry);
+    this._evict();
+    this._watch(entry);
+    logger.info('Tracking wallet transaction', { hash: key, action, from: entry.from });
+    return this.toJSON(entry);
+  }
+
+  getTransaction(hash) {
+    const entry = typeof hash === 'string' ? this.transactions.get(hash.toLowerCase()) : null;
+    return entry ? this.toJSON(entry) : null;
+  }
+
+  listTransactions({ from, status } = {}) {
+    const sender = typeof from === 'string' ? from.toLowerCase() : null;
+    const state = typeof status === 'string' ? status.toUpperCase() : null;
+    return Array.from(this.transactions.values())
+      .filter((entry) => !sender || entry.from?.toLowerCase() === sender)
+      .filter((entry) => !state || entry.status === state)
+      .sort((a, b) => b.submittedAt.getTime() - a.submittedAt.getTime())
+      .map((entry) => this.toJSON(entry));
+  }
+
+  toJSON(entry) {
+    return {
+      ...entry,
+      submittedAt: entry.submittedAt.toISOString(),
+      updatedAt: entry.updatedAt.toISOString(),
+    };
+  }
+
+  _watch(entry) {
+    let pending;
+    try {
+      pending = blockchainService.waitForTransaction(entry.hash);
+    } catch (error) {
+      pending = Promise.reject(error);
+    }
+    Promise.resolve(pending)
+      .then((receipt) => {
+        if (!receipt) {
+          return;
+        }
+        entry.status = receipt.status === 0 ? TRANSACTION_STATES.FAILED : TRANSACTION_STATES.CONFIRMED;
+        entry.blockNumber = receipt.blockNumber ?? null;
+        entry.gasUsed = receipt.gasUsed?.toString?.() ?? null;
+        entry.error = receipt.status === 0 ? 'Transaction reverted' : null;
+        entry.updatedAt = new Date();
+      })
+      .catch((error) => {
+        entry.error = error.message;
+        entry.updatedAt = new Date();
+        logger.warn('Unable to follow wallet transaction', { hash: entry.hash, error: error.message });
+      });
+  }
+
+  _evict() {
+    while (this.transactions.size > MAX_TRACKED) {
+      const oldest = this.transactions.keys().next().value;
+      this.transactions.delete(oldest);
+    }
+  }
+
+  _dexAddress() {
+    const address = blockchainService.getDexAddress();
+    if (!address) {
+      throw new Error('DEX contract address is not configured');
+    }
+    return address;
+  }
+
+  _getDexInterface() {
+    if (!this.dexInterface || this.dexAbi !== blockchainService.dexAbi) {
+      if (!Array.isArray(blockchainService.dexAbi) || blockchainService.dexAbi.length === 0) {
+        throw new Error('DEX contract ABI is not available');
+      }
+      this.dexAbi = blockchainService.dexAbi;
+      this.dexInterface = new ethers.Interface(this.dexAbi);
+    }
+    return this.dexInterface;
+  }
+
+  async _dexPayload(from, method, params, description) {
+    return this._payload({
+      from,
+      to: this._dexAddress(),
+      data: this._getDexInterface().encodeFunctionData(method, params),
+      action: method,
+      description,
+    });
+  }
+
+  async _allowance(token, owner, spender) {
+    try {
+      const erc20 = blockchainService.getErc20Contract(token);
+      return BigInt(await erc20.allowance(owner, spender));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Gas is estimated from the caller's address; when the estimate fails (for
+  // example a deposit whose approval is not mined yet) the wallet estimates it.
+  async _payload({ from, to, data, action, description, value = 0n }) {
+    const provider = blockchainService.getProvider();
+    let gasLimit = null;
+    let gasEstimateError = null;
+    if (provider) {
+      try {
+        gasLimit = (await provider.estimateGas({ from, to, data, value })).toString();
+      } catch (error) {
+        gasEstimateError = error.shortMessage || error.message;
+      }
+    } else {
+      gasEstimateError = 'Blockchain provider is not initialized';
+    }
+    return {
+      action,
+      description,
+      from,
+      to,
+      data,
+      value: value.toString(),
+      chainId: await blockchainService.getChainId(),
+      gasLimit,
+      gasEstimateError,
+    };
+  }
+}
+
+module.exports = new WalletTransactionService();
+module.exports.TRANSACTION_STATES = TRANSACTION_STATES;
@@ -0,0 +1,200 @@
+const { ethers } = require('ethers');
+
+const DEFAULT_DECIMALS = 18;
+const PRICE_SCALE = 18;
+const PRICE_SCALE_FACTOR = 10n ** BigInt(PRICE_SCALE);
+
+function resolveDecimals(value, fallback = DEFAULT_DECIMALS) {
+  const numeric = Number(value);
+  if (Number.isInteger(numeric) && numeric >= 0 && numeric <= 77) {
+    return numeric;
+  }
+  return fallback;
+}
+
+function toPlainDecimalString(value) {
+  if (typeof value !== 'number') {
+    return String(value).trim();
+  }
+  if (!Number.isFinite(value)) {
+    throw new Error('Numeric value must be finite');
+  }
+  const text = String(value);
+  if (!/[eE]/.test(text)) {
+    return text;
+  }
+
+  const negative = value < 0;
+  const [mantissa, exponentText] = Math.abs(value).toString().split(/[eE]/);
+  const exponent = Number(exponentText);
+  const [intPart, fracPart = ''] = mantissa.split('.');
+  const digits = `${intPart}${fracPart}`;
+  const pointIndex = intPart.length + exponent;
+
+  let result;
+  if (pointIndex <= 0) {
+    result = `0.${'0'.repeat(-pointIndex)}${digits}`;
+  } else if (pointIndex >= digits.length) {
+    result = `${digits}${'0'.repeat(pointIndex - digits.length)}`;
+  } else {
+    result = `${digits.slice(0, pointIndex)}.${digits.slice(pointIndex)}`;
+  }
+  return negative ? `-${result}` : result;
+}
+
+function truncateFraction(text, decimals) {
+  const [intPart, fracPart] = text.split('.');
+  if (fracPart === undefined) {
+    return text;
+  }
+  const truncated = fracPart.slice(0, decimals);
+  return truncated.length > 0 ? `${intPart}.${truncated}` : intPart;
+}
+
+// Converts a human-readable amount into base units. Excess fractional digits
+// are truncated (rounded towards zero) rather than rejected.
+function toUnits(value, decimals = DEFAULT_DECIMALS) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (typeof value === 'bigint') {
+    return value;
+  }
+  const resolvedDecimals = resolveDecimals(decimals);
+  const text = truncateFraction(toPlainDecimalString(value), resolvedDecimals);
+  try {
+    return ethers.parseUnits(text, resolvedDecimals);
+  } catch (error) {
+    throw new Error(`Unable to convert ${value} to base units: ${error.message}`);
+  }
+}
+
+function parseUnitsString(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (typeof value === 'bigint') {
+    return value;
+  }
+  const text = String(value).trim();
+  if (!/^-?\d+$/.test(text) && !/^0x[0-9a-f]+$/i.test(text)) {
+    return null;
+  }
+  return BigInt(text);
+}
+
+function formatUnitsNumber(units, decimals = DEFAULT_DECIMALS) {
+  if (units === null || units === undefined) {
+    return null;
+  }
+  return Number(ethers.formatUnits(units, resolveDecimals(decimals)));
+}
+
+function mulDivDown(a, b, c) {
+  if (c === 0n) {
+    throw new Error('Division by zero');
+  }
+  return (a * b) / c;
+}
+
+function mulDivUp(a, b, c) {
+  if (c === 0n) {
+    throw new Error('Division by zero');
+  }
+  const product = a * b;
+  const quotient = product / c;
+  return product % c === 0n ? quotient : quotient + 1n;
+}
+
+function minBigInt(...values) {
+  return values.reduce((min, value) => (value < min ? value : min));
+}
+
+function maxBigInt(...values) {
+  return values.reduce((max, value) => (value > max ? value : max));
+}
+
+// Prices are kept as exact ratios of quote base units per base token base
+// unit: { numerator, denominator }. Comparing two ratios cross-multiplies so
+// no precision is lost.
+function createRatio(numerator, denominator) {
+  if (typeof numerator !== 'bigint' || typeof denominator !== 'bigint') {
+    return null;
+  }
+  if (numerator <= 0n || denominator <= 0n) {
+    return null;
+  }
+  return { numerator, denominator };
+}
+
+function ratioFromPrice(price, baseDecimals = DEFAULT_DECIMALS, quoteDecimals = DEFAULT_DECIMALS) {
+  if (price === null || price === undefined || price === '') {
+    return null;
+  }
+  const numeric = typeof price === 'number' ? price : Number(price);
+  if (typeof price === 'number' && (!Number.isFinite(numeric) || numeric <= 0)) {
+    return null;
+  }
+  let numerator;
+  try {
+    numerator = toUnits(price, quoteDecimals);
+  } catch (error) {
+    return null;
+  }
+  return createRatio(numerator, 10n ** BigInt(resolveDecimals(baseDecimals)));
+}
+
+function compareRatios(a, b) {
+  const left = a.numerator * b.denominator;
+  const right = b.numerator * a.denominator;
+  if (left === right) {
+    return 0;
+  }
+  return left > right ? 1 : -1;
+}
+
+function ratioToScaled(ratio, baseDecimals = DEFAULT_DECIMALS, quoteDecimals = DEFAULT_DECIMALS) {
+  if (!ratio) {
+    return null;
+  }
+  const baseFactor = 10n ** BigInt(resolveDecimals(baseDecimals));
+  const quoteFactor = 10n ** BigInt(resolveDecimals(quoteDecimals));
+  return mulDivDown(ratio.numerator * baseFactor, PRICE_SCALE_FACTOR, ratio.denominator * quoteFactor);
+}
+
+function ratioToNumber(ratio, baseDecimals = DEFAULT_DECIMALS, quoteDecimals = DEFAULT_DECIMALS) {
+  const scaled = ratioToScaled(ratio, baseDecimals, quoteDecimals);
+  return scaled === null ? null : formatUnitsNumber(scaled, PRICE_SCALE);
+}
+
+function toScaledPrice(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  try {
+    return toUnits(value, PRICE_SCALE);
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  DEFAULT_DECIMALS,
+  PRICE_SCALE,
+  PRICE_SCALE_FACTOR,
+  resolveDecimals,
+  toPlainDecimalString,
+  toUnits,
+  parseUnitsString,
+  formatUnitsNumber,
+  mulDivDown,
+  mulDivUp,
+  minBigInt,
+  maxBigInt,
+  createRatio,
+  ratioFromPrice,
+  compareRatios,
+  ratioToScaled,
+  ratioToNumber,
+  toScaledPrice,
+};
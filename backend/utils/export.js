@@ -0,0 +1,119 @@
+const EXPORT_FORMATS = {
+  CSV: 'csv',
+  NDJSON: 'ndjson',
+};
+
+const CONTENT_TYPES = {
+  [EXPORT_FORMATS.CSV]: 'text/csv; charset=utf-8',
+  [EXPORT_FORMATS.NDJSON]: 'application/x-ndjson; charset=utf-8',
+};
+
+function resolveFormat(value) {
+  const format = String(value || EXPORT_FORMATS.CSV).toLowerCase();
+  if (!Object.values(EXPORT_FORMATS).includes(format)) {
+    throw new Error(`format must be one of ${Object.values(EXPORT_FORMATS).join(', ')}`);
+  }
+  return format;
+}
+
+function toTimestamp(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const numeric = Number(value);
+  const time = Number.isFinite(numeric) ? numeric : new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+// Query filters shared by every export: a [from, to] time range, one pair and
+// a comma-separated list of statuses.
+function parseExportFilters(query = {}) {
+  const from = toTimestamp(query.from);
+  const to = toTimestamp(query.to);
+  if ((query.from && from === null) || (query.to && to === null)) {
+    throw new Error('from and to must be unix milliseconds or ISO datetimes');
+  }
+  if (Boolean(query.baseToken) !== Boolean(query.quoteToken)) {
+    throw new Error('baseToken and quoteToken must be given together');
+  }
+  const statuses = String(query.status || '')
+    .split(',')
+    .map((status) => status.trim().toUpperCase())
+    .filter(Boolean);
+  return {
+    format: resolveFormat(query.format),
+    from,
+    to,
+    baseToken: query.baseToken || null,
+    quoteToken: query.quoteToken || null,
+    statuses,
+  };
+}
+
+function isWithin(value, { from, to }) {
+  const time = toTimestamp(value);
+  if (time === null) {
+    return from === null && to === null;
+  }
+  return (from === null || time >= from) && (to === null || time <= to);
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatLine(format, columns, row) {
+  if (format === EXPORT_FORMATS.NDJSON) {
+    return `${JSON.stringify(Object.fromEntries(columns.map((column) => [column, row[column] ?? null])))}\n`;
+  }
+  return `${columns.map((column) => csvCell(row[column])).join(',')}\n`;
+}
+
+// Resolves once the response can take more data, or once the client has gone
+// away and it never will.
+function drained(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Writes `rows` (any iterable, typically a generator) one line at a time and
+// waits for the socket to drain when its buffer fills, so a large export is
+// never built up in memory. Stops early if the client goes away.
+async function writeExport(res, { format, filename, columns, rows }) {
+  res.status(200);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+  if (format === EXPORT_FORMATS.CSV && !res.write(`${columns.join(',')}\n`)) {
+    await drained(res);
+  }
+  for (const row of rows) {
+    if (res.destroyed) {
+      return;
+    }
+    if (!res.write(formatLine(format, columns, row))) {
+      await drained(res);
+    }
+  }
+  res.end();
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseExportFilters,
+  isWithin,
+  csvCell,
+  formatLine,
+  writeExport,
+};
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const JsonStore = require('./json-store');
+const logger = require('./logger');
+
+function serializePayload(payload) {
+  return JSON.stringify(payload ?? {});
+}
+
+// A JsonStore kept as JSON Lines, one entry per line, so an append writes
+// only the new entry. Journals written by earlier versions as one JSON array
+// are rewritten as lines when opened. A line left half-written by a crash is
+// skipped on read.
+class JsonJournalStore extends JsonStore {
+  constructor(filename = 'journal.json', options = {}) {
+    super(filename, { defaultValue: [], directory: options.directory });
+    this.driver = 'json';
+    this.lastSeq = this.data.reduce((max, entry) => Math.max(max, Number(entry.seq) || 0), 0);
+  }
+
+  append({ type, orderId = null, payload = {} }) {
+    this.lastSeq += 1;
+    const entry = {
+      seq: this.lastSeq,
+      type,
+      orderId,
+      payload: JSON.parse(serializePayload(payload)),
+      createdAt: new Date().toISOString(),
+    };
+    fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`, 'utf8');
+    this.data.push(entry);
+    return entry.seq;
+  }
+
+  readAll() {
+    return this.getAll();
+  }
+
+  close() {}
+
+  _readFile() {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+    const contents = fs.readFileSync(this.filePath, 'utf8');
+    if (contents.trimStart().startsWith('[')) {
+      return this._migrateArray(contents);
+    }
+    return contents
+      .split('\n')
+      .filter((line) => line.trim())
+      .flatMap((line, index) => {
+        try {
+          return [JSON.parse(line)];
+        } catch (error) {
+          logger.warn('Skipping unreadable journal line', { file: this.filePath, line: index + 1 });
+          return [];
+        }
+      });
+  }
+
+  _writeFile(entries) {
+    fs.writeFileSync(this.filePath, entries.map((entry) => `${JSON.stringify(entry)}\n`).join(''), 'utf8');
+  }
+
+  _migrateArray(contents) {
+    let entries = [];
+    try {
+      entries = JSON.parse(contents);
+    } catch (error) {
+      logger.warn('Journal file is not valid JSON; starting a new journal', { file: this.filePath });
+    }
+    entries = Array.isArray(entries) ? entries : [];
+    this._writeFile(entries);
+    return entries;
+  }
+}
+
+class SqliteJournalStore {
+  constructor(filePath, Database) {
+    this.driver = 'sqlite';
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS journal (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        order_id TEXT,
+        payload TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      )
+    `);
+    this.insertStatement = this.db.prepare(
+      'INSERT INTO journal (type, order_id, payload, created_at) VALUES (?, ?, ?, ?)',
+    );
+    this.selectStatement = this.db.prepare(
+      'SELECT seq, type, order_id AS orderId, payload, created_at AS createdAt FROM journal ORDER BY seq ASC',
+    );
+  }
+
+  append({ type, orderId = null, payload = {} }) {
+    const result = this.insertStatement.run(type, orderId, serializePayload(payload), new Date().toISOString());
+    return Number(result.lastInsertRowid);
+  }
+
+  readAll() {
+    return this.selectStatement.all().map((row) => ({
+      ...row,
+      payload: JSON.parse(row.payload),
+    }));
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+function loadSqliteDriver() {
+  try {
+    // eslint-disable-next-line global-require
+    return require('better-sqlite3');
+  } catch (error) {
+    return null;
+  }
+}
+
+function createJournalStore(options = {}) {
+  const { driver = 'sqlite', sqlitePath, journalFile = 'journal.json' } = options;
+
+  if (driver === 'sqlite') {
+    const Database = loadSqliteDriver();
+    if (Database && sqlitePath) {
+      try {
+        return new SqliteJournalStore(sqlitePath, Database);
+      } catch (error) {
+        logger.warn('Failed to open SQLite journal, falling back to JSON store', {
+          sqlitePath,
+          error: error.message,
+        });
+      }
+    } else {
+      logger.warn('better-sqlite3 is not installed, falling back to JSON journal store');
+    }
+  } else if (driver !== 'json') {
+    logger.warn('Unknown persistence driver, falling back to JSON journal store', { driver });
+  }
+
+  return new JsonJournalStore(journalFile);
+}
+
+module.exports = {
+  JsonJournalStore,
+  SqliteJournalStore,
+  createJournalStore,
+};
@@ -6,11 +6,11 @@ function deepClone(value) {
 }
 
 class JsonStore {
-  constructor(filename, { defaultValue = [] } = {}) {
+  constructor(filename, { defaultValue = [], directory = null } = {}) {
     if (!filename) {
       throw new Error('JsonStore filename is required');
     }
-    this.filePath = path.join(process.cwd(), 'backend', 'data', filename);
+    this.filePath = path.join(directory || path.join(process.cwd(), 'backend', 'data'), filename);
     this.defaultValue = defaultValue;
     this._ensureDirectory();
     this.data = this._readFile();
@@ -0,0 +1,54 @@
+// Hands out sequential nonces for a single signer without asking the node for
+// every transaction, so concurrent sends never reuse a nonce. The counter is
+// seeded from the pending transaction count. A nonce whose send failed before
+// it reached the mempool is handed back with release() and given out again
+// before any new one, so no gap holds up later transactions. reset()
+// re-seeds the counter when the node reports a nonce as already used; it is
+// only safe while no other caller holds a nonce it has not sent yet.
+class NonceManager {
+  constructor(signer) {
+    if (!signer) {
+      throw new Error('NonceManager requires a signer');
+    }
+    this.signer = signer;
+    this.nextNonce = null;
+    this.released = [];
+    this.pending = Promise.resolve();
+  }
+
+  next() {
+    const allocation = this.pending.then(async () => {
+      if (this.released.length > 0) {
+        return this.released.shift();
+      }
+      if (this.nextNonce === null) {
+        this.nextNonce = await this.signer.getNonce('pending');
+      }
+      const nonce = this.nextNonce;
+      this.nextNonce += 1;
+      return nonce;
+    });
+    this.pending = allocation.catch(() => {});
+    return allocation;
+  }
+
+  release(nonce) {
+    this.pending = this.pending.then(() => {
+      if (this.nextNonce !== null && nonce < this.nextNonce && !this.released.includes(nonce)) {
+        this.released.push(nonce);
+        this.released.sort((a, b) => a - b);
+      }
+    });
+    return this.pending;
+  }
+
+  reset() {
+    this.pending = this.pending.then(() => {
+      this.nextNonce = null;
+      this.released = [];
+    });
+    return this.pending;
+  }
+}
+
+module.exports = NonceManager;
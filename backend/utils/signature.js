@@ -19,6 +19,8 @@ const ORDER_TYPE_FIELDS = [
   { name: 'timeInForce', type: 'uint8' },
   { name: 'side', type: 'uint8' },
   { name: 'stopPrice', type: 'uint256' },
+  { name: 'trailingOffset', type: 'uint256' },
+  { name: 'trailingBps', type: 'uint256' },
   { name: 'minFillAmount', type: 'uint256' },
   { name: 'allowPartialFill', type: 'bool' },
   { name: 'feeRecipient', type: 'address' },
@@ -30,6 +32,7 @@ const ORDER_TYPE_INDEX = {
   MARKET: 1,
   STOP_LOSS: 2,
   STOP_LIMIT: 3,
+  TRAILING_STOP: 4,
 };
 
 const TIME_IN_FORCE_INDEX = {
@@ -37,6 +40,8 @@ const TIME_IN_FORCE_INDEX = {
   IOC: 1,
   FOK: 2,
   POST_ONLY: 3,
+  // Good-Till-Date is signed as GTC; the signed expiry carries the deadline.
+  GTD: 0,
 };
 
 const ORDER_SIDE_INDEX = {
@@ -181,6 +186,8 @@ function normalizeOrderStruct(order) {
   const timeInForce = normalizeEnum(order.timeInForce, TIME_IN_FORCE_INDEX, 'timeInForce', { defaultKey: 'GTC' });
   const side = normalizeEnum(order.side, ORDER_SIDE_INDEX, 'side');
   const stopPrice = normalizeBigNumberish(order.stopPrice, 'stopPrice');
+  const trailingOffset = normalizeBigNumberish(order.trailingOffset, 'trailingOffset');
+  const trailingBps = normalizeBigNumberish(order.trailingBps, 'trailingBps');
   const minFillAmount = normalizeBigNumberish(order.minFillAmount, 'minFillAmount');
   const allowPartialFill = Boolean(order.allowPartialFill);
   const feeRecipient = order.feeRecipient ? normalizeAddress(order.feeRecipient, 'feeRecipient') : ethers.ZeroAddress;
@@ -198,6 +205,8 @@ function normalizeOrderStruct(order) {
     timeInForce: timeInForce.index,
     side: side.index,
     stopPrice,
+    trailingOffset,
+    trailingBps,
     minFillAmount,
     allowPartialFill,
     feeRecipient,
@@ -264,6 +273,34 @@ function verifyOrderSignature(domain, order, signature, expectedSigner) {
   return normalizeAddress(recovered, 'recoveredSigner') === normalizeAddress(expectedSigner, 'expectedSigner');
 }
 
+// EIP-4361 (Sign-In with Ethereum) message text, signed with personal_sign.
+function buildSignInMessage({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) {
+  const lines = [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    normalizeAddress(address, 'address'),
+    '',
+  ];
+  if (statement) {
+    lines.push(statement, '');
+  }
+  lines.push(`URI: ${uri}`, 'Version: 1', `Chain ID: ${chainId}`, `Nonce: ${nonce}`, `Issued At: ${issuedAt}`);
+  if (expirationTime) {
+    lines.push(`Expiration Time: ${expirationTime}`);
+  }
+  return lines.join('\n');
+}
+
+function verifyMessageSignature(message, signature, expectedSigner) {
+  if (!signature) {
+    throw new Error('signature is required');
+  }
+  const recovered = ethers.verifyMessage(message, signature);
+  if (!expectedSigner) {
+    return recovered;
+  }
+  return normalizeAddress(recovered, 'recoveredSigner') === normalizeAddress(expectedSigner, 'expectedSigner');
+}
+
 function serializeTypedDataValue(value) {
   const serialized = {};
   for (const [key, fieldValue] of Object.entries(value)) {
@@ -288,6 +325,8 @@ module.exports = {
   signOrder,
   recoverOrderSigner,
   verifyOrderSignature,
+  buildSignInMessage,
+  verifyMessageSignature,
   normalizeOrderStruct,
   serializeTypedDataValue,
 };
@@ -2,6 +2,8 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
@@ -12,9 +14,16 @@ import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
  *      contract that supports both the foundational order flow and advanced
  *      trading features like stop orders, time-in-force options, and fees.
  */
-contract DEX is ReentrancyGuard, EIP712 {
+contract DEX is AccessControl, Pausable, ReentrancyGuard, EIP712 {
     using ECDSA for bytes32;
 
+    // ============ Roles ============
+
+    // DEFAULT_ADMIN_ROLE grants and revokes every role below
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant LISTING_MANAGER_ROLE = keccak256("LISTING_MANAGER_ROLE");
+
     // ============ Enums ============
 
     /**
@@ -24,7 +33,8 @@ contract DEX is ReentrancyGuard, EIP712 {
         LIMIT, // Standard limit order - fill at specified price or better
         MARKET, // Market order - fill immediately at best available price
         STOP_LOSS, // Stop-loss order - trigger when price reaches stop price
-        STOP_LIMIT // Stop-limit order - become limit order when stop price reached
+        STOP_LIMIT, // Stop-limit order - become limit order when stop price reached
+        TRAILING_STOP // Trailing stop - stop price follows the best price by a fixed or percentage offset
     }
 
     /**
@@ -76,6 +86,8 @@ contract DEX is ReentrancyGuard, EIP712 {
         TimeInForce timeInForce; // Time-in-force specification
         OrderSide side; // Buy or sell side
         uint256 stopPrice; // Stop price for stop orders (in terms of tokenGet/tokenGive ratio)
+        uint256 trailingOffset; // Trailing stops: absolute distance from the best price (1e18 scale)
+        uint256 trailingBps; // Trailing stops: distance from the best price in basis points
         uint256 minFillAmount; // Minimum amount that must be filled per execution
         bool allowPartialFill; // Whether partial fills are allowed
         address feeRecipient; // Address to receive trading fees (if any)
@@ -99,7 +111,7 @@ contract DEX is ReentrancyGuard, EIP712 {
 
     // EIP-712 TypeHash for extended Order struct
     bytes32 public constant ORDER_TYPEHASH = keccak256(
-        "Order(address maker,address tokenGet,uint256 amountGet,address tokenGive,uint256 amountGive,uint256 nonce,uint256 expiry,uint8 orderType,uint8 timeInForce,uint8 side,uint256 stopPrice,uint256 minFillAmount,bool allowPartialFill,address feeRecipient,uint256 feeAmount)"
+        "Order(address maker,address tokenGet,uint256 amountGet,address tokenGive,uint256 amountGive,uint256 nonce,uint256 expiry,uint8 orderType,uint8 timeInForce,uint8 side,uint256 stopPrice,uint256 trailingOffset,uint256 trailingBps,uint256 minFillAmount,bool allowPartialFill,address feeRecipient,uint256 feeAmount)"
     );
 
     // User balances: user => token => amount
@@ -120,6 +132,9 @@ contract DEX is ReentrancyGuard, EIP712 {
     // Stop orders waiting to be triggered: stopPrice => orderHash[]
     mapping(uint256 => bytes32[]) public stopOrders;
 
+    // Best price recorded for each trailing stop: orderHash => price (1e18 scale)
+    mapping(bytes32 => uint256) public trailingReferences;
+
     // Current market price for each token pair: tokenA => tokenB => price
     // Price is represented as (tokenB amount * 1e18) / tokenA amount
     mapping(address => mapping(address => uint256)) public marketPrices;
@@ -127,8 +142,26 @@ contract DEX is ReentrancyGuard, EIP712 {
     // Fee collector address
     address public feeCollector;
 
-    // Trading fee (in basis points, e.g., 30 = 0.3%). Defaults to 0 for backward compatibility.
-    uint256 public tradingFeeBps;
+    // Trading fees in basis points (e.g., 30 = 0.3%), charged on the tokens each
+    // side receives. Both default to 0 for backward compatibility.
+    uint256 public makerFeeBps;
+    uint256 public takerFeeBps;
+
+    uint256 public constant MAX_FEE_BPS = 1000;
+
+    struct FeeRates {
+        uint16 makerBps;
+        uint16 takerBps;
+        bool enabled;
+    }
+
+    // Per-account rates (volume tiers) that replace the default maker/taker rates
+    mapping(address => FeeRates) public accountFeeRates;
+
+    // Token allowlist, enforced on deposits and executions only while enabled
+    // (off by default for backward compatibility). Withdrawals never check it.
+    bool public allowlistEnabled;
+    mapping(address => bool) public listedTokens;
 
     // ============ Events ============
 
@@ -159,22 +192,39 @@ contract DEX is ReentrancyGuard, EIP712 {
     event OrderCancelled(bytes32 indexed orderHash, address indexed maker, string reason);
     event OrderStatusChanged(bytes32 indexed orderHash, OrderStatus oldStatus, OrderStatus newStatus);
     event StopOrderTriggered(bytes32 indexed orderHash, uint256 triggerPrice);
+    event TrailingStopUpdated(bytes32 indexed orderHash, uint256 referencePrice, uint256 stopPrice);
     event MarketPriceUpdated(address indexed tokenA, address indexed tokenB, uint256 newPrice);
     event NonceIncremented(address indexed user, uint256 newNonce);
-    event TradingFeeUpdated(uint256 oldFeeBps, uint256 newFeeBps);
+    event TradingFeesUpdated(uint256 makerFeeBps, uint256 takerFeeBps);
+    event AccountFeeRatesUpdated(address indexed account, uint256 makerFeeBps, uint256 takerFeeBps, bool enabled);
+    event FeeCharged(
+        bytes32 indexed orderHash,
+        address indexed payer,
+        address indexed recipient,
+        address token,
+        uint256 amount
+    );
+    event BatchExecuted(address indexed executor, bytes32[] orderHashes);
+    event FeeCollectorUpdated(address indexed oldCollector, address indexed newCollector);
+    event TokenListingUpdated(address indexed token, bool listed);
+    event AllowlistToggled(bool enabled);
 
     // ============ Constructor ============
 
     constructor() EIP712("DEX", "1") {
         feeCollector = msg.sender;
-        tradingFeeBps = 0;
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(FEE_MANAGER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(LISTING_MANAGER_ROLE, msg.sender);
     }
 
     // ============ Deposit & Withdraw Functions ============
 
-    function deposit(address token, uint256 amount) external nonReentrant {
+    function deposit(address token, uint256 amount) external nonReentrant whenNotPaused {
         require(token != address(0), "DEX: Invalid token address");
         require(amount > 0, "DEX: Amount must be greater than 0");
+        _requireListed(token);
 
         require(
             IERC20(token).transferFrom(msg.sender, address(this), amount),
@@ -185,6 +235,7 @@ contract DEX is ReentrancyGuard, EIP712 {
         emit Deposit(msg.sender, token, amount, balances[msg.sender][token]);
     }
 
+    // Deliberately not pausable or allowlisted: users can always exit.
     function withdraw(address token, uint256 amount) external nonReentrant {
         require(token != address(0), "DEX: Invalid token address");
         require(amount > 0, "DEX: Amount must be greater than 0");
@@ -221,6 +272,8 @@ contract DEX is ReentrancyGuard, EIP712 {
                     order.timeInForce,
                     order.side,
                     order.stopPrice,
+                    order.trailingOffset,
+                    order.trailingBps,
                     order.minFillAmount,
                     order.allowPartialFill,
                     order.feeRecipient,
@@ -257,6 +310,12 @@ contract DEX is ReentrancyGuard, EIP712 {
      * @dev Check if stop order should be triggered
      */
     function shouldTriggerStopOrder(Order memory order) public view returns (bool) {
+        if (order.orderType == OrderType.TRAILING_STOP) {
+            uint256 price = _trailingMarketPrice(order);
+            uint256 stop = getTrailingStopPrice(order);
+            if (price == 0 || stop == 0) return false;
+            return order.side == OrderSide.SELL ? price <= stop : price >= stop;
+        }
         if (order.orderType != OrderType.STOP_LOSS && order.orderType != OrderType.STOP_LIMIT) {
             return false;
         }
@@ -271,13 +330,57 @@ contract DEX is ReentrancyGuard, EIP712 {
         }
     }
 
+    /**
+     * @dev Current stop price of a trailing stop. The reference is the best
+     *      price recorded by {updateTrailingStop}, starting from the signed
+     *      stopPrice; sells trail below it and buys above it. Prices are
+     *      quote per base: tokenGet per tokenGive for sells, tokenGive per
+     *      tokenGet for buys.
+     */
+    function getTrailingStopPrice(Order memory order) public view returns (uint256) {
+        if (order.orderType != OrderType.TRAILING_STOP) return 0;
+        if ((order.trailingOffset == 0) == (order.trailingBps == 0) || order.trailingBps >= 10000) return 0;
+
+        uint256 bestPrice = trailingReferences[getOrderHash(order)];
+        if (bestPrice == 0) bestPrice = order.stopPrice;
+        if (bestPrice == 0) return 0;
+
+        uint256 distance = order.trailingOffset > 0 ? order.trailingOffset : (bestPrice * order.trailingBps) / 10000;
+        if (order.side == OrderSide.SELL) {
+            return bestPrice > distance ? bestPrice - distance : 0;
+        }
+        return bestPrice + distance;
+    }
+
+    /**
+     * @dev Ratchets a trailing stop's reference to the current market price
+     *      when it is better than the recorded one (higher for sells, lower for
+     *      buys). Anyone may call it; the price comes from settled trades.
+     */
+    function updateTrailingStop(Order memory order) external {
+        require(order.orderType == OrderType.TRAILING_STOP, "DEX: Not a trailing stop");
+        require(isOrderValid(order), "DEX: Order is not valid");
+
+        uint256 price = _trailingMarketPrice(order);
+        require(price > 0, "DEX: No market price available");
+
+        bytes32 orderHash = getOrderHash(order);
+        uint256 bestPrice = trailingReferences[orderHash];
+        if (bestPrice == 0) bestPrice = order.stopPrice;
+        bool improved = bestPrice == 0 || (order.side == OrderSide.SELL ? price > bestPrice : price < bestPrice);
+        require(improved, "DEX: Reference price not improved");
+
+        trailingReferences[orderHash] = price;
+        emit TrailingStopUpdated(orderHash, price, getTrailingStopPrice(order));
+    }
+
     // ============ Order Execution ============
 
     function executeOrder(
         Order memory order,
         bytes memory signature,
         uint256 fillAmount
-    ) external nonReentrant {
+    ) external nonReentrant whenNotPaused {
         _executeOrder(order, signature, fillAmount, false);
     }
 
@@ -285,7 +388,7 @@ contract DEX is ReentrancyGuard, EIP712 {
         Order memory order,
         bytes memory signature,
         uint256 maxSlippage
-    ) external nonReentrant {
+    ) external nonReentrant whenNotPaused {
         require(order.orderType == OrderType.MARKET, "DEX: Not a market order");
         require(isOrderValid(order), "DEX: Order is not valid");
         require(verifyOrder(order, signature), "DEX: Invalid signature");
@@ -306,13 +409,183 @@ contract DEX is ReentrancyGuard, EIP712 {
         uint256 fillAmount,
         bool skipValidation
     ) internal {
+        bytes32 orderHash;
+        (orderHash, fillAmount) = _validateFill(order, signature, fillAmount, skipValidation, true);
+
+        uint256 getAmount = (fillAmount * order.amountGet) / order.amountGive;
+        (, uint256 takerRate) = getFeeRates(msg.sender);
+        (uint256 makerRate, ) = getFeeRates(order.maker);
+        uint256 feeAmount = _deliveryFee(order, fillAmount, takerRate);
+        uint256 makerFee = (getAmount * makerRate) / 10000;
+
+        require(
+            balances[order.maker][order.tokenGive] >= fillAmount,
+            "DEX: Maker has insufficient balance"
+        );
+        require(
+            balances[msg.sender][order.tokenGet] >= getAmount,
+            "DEX: Taker has insufficient balance"
+        );
+
+        _recordFill(orderHash, order, fillAmount);
+
+        balances[order.maker][order.tokenGive] -= fillAmount;
+        balances[order.maker][order.tokenGet] += (getAmount - makerFee);
+        balances[msg.sender][order.tokenGet] -= getAmount;
+        balances[msg.sender][order.tokenGive] += (fillAmount - feeAmount);
+        _chargeFee(orderHash, msg.sender, _feeRecipient(order), order.tokenGive, feeAmount);
+        _chargeFee(orderHash, order.maker, feeCollector, order.tokenGet, makerFee);
+
+        _updateExecutionPrice(order, fillAmount, getAmount);
+
+        emit OrderExecuted(
+            orderHash,
+            order.maker,
+            msg.sender,
+            order.tokenGet,
+            getAmount,
+            order.tokenGive,
+            fillAmount,
+            fillAmount,
+            feeAmount,
+            block.timestamp
+        );
+    }
+
+    // ============ Atomic Multi-Order Settlement ============
+
+    /**
+     * @dev Settle two signed orders directly against each other. `leftFill`
+     *      and `rightFill` are in each order's tokenGive units; each side
+     *      receives the other's fill, so no relayer funds are involved.
+     */
+    function matchOrders(
+        Order memory left,
+        bytes memory leftSignature,
+        Order memory right,
+        bytes memory rightSignature,
+        uint256 leftFill,
+        uint256 rightFill
+    ) external nonReentrant whenNotPaused {
+        Order[] memory orders = new Order[](2);
+        bytes[] memory signatures = new bytes[](2);
+        uint256[] memory fillAmounts = new uint256[](2);
+        orders[0] = left;
+        orders[1] = right;
+        signatures[0] = leftSignature;
+        signatures[1] = rightSignature;
+        fillAmounts[0] = leftFill;
+        fillAmounts[1] = rightFill;
+        _settleRing(orders, signatures, fillAmounts, 1);
+    }
+
+    /**
+     * @dev Settle an N-order ring atomically. Order i must want the token that
+     *      order i+1 gives (the last order wants the first order's token);
+     *      order i gives fillAmounts[i] and receives fillAmounts[i+1].
+     */
+    function batchExecute(
+        Order[] memory orders,
+        bytes[] memory signatures,
+        uint256[] memory fillAmounts
+    ) external nonReentrant whenNotPaused {
+        require(orders.length >= 2, "DEX: Batch requires at least two orders");
+        require(
+            signatures.length == orders.length && fillAmounts.length == orders.length,
+            "DEX: Batch length mismatch"
+        );
+        _settleRing(orders, signatures, fillAmounts, type(uint256).max);
+    }
+
+    /**
+     * @dev Every order is validated and every maker is debited from its
+     *      escrowed balance before anything is credited, so proceeds from the
+     *      ring cannot fund another leg and any failed check reverts the whole
+     *      batch. Each order must receive at least the amount its own price
+     *      gives for its fill, using the same rounding as executeOrder.
+     *      Each order pays the fee on what it receives at its maker rate,
+     *      except the order at `takerIndex` (if any), which pays its taker rate.
+     */
+    function _settleRing(
+        Order[] memory orders,
+        bytes[] memory signatures,
+        uint256[] memory fillAmounts,
+        uint256 takerIndex
+    ) internal {
+        uint256 count = orders.length;
+        bytes32[] memory orderHashes = new bytes32[](count);
+
+        for (uint256 i = 0; i < count; i++) {
+            Order memory order = orders[i];
+            Order memory next = orders[(i + 1) % count];
+            require(order.tokenGet == next.tokenGive, "DEX: Orders do not form a ring");
+
+            (orderHashes[i], ) = _validateFill(order, signatures[i], fillAmounts[i], false, false);
+            uint256 received = fillAmounts[(i + 1) % count];
+            require(
+                received >= (fillAmounts[i] * order.amountGet) / order.amountGive,
+                "DEX: Price check failed"
+            );
+
+            _recordFill(orderHashes[i], order, fillAmounts[i]);
+            require(
+                balances[order.maker][order.tokenGive] >= fillAmounts[i],
+                "DEX: Maker has insufficient balance"
+            );
+            balances[order.maker][order.tokenGive] -= fillAmounts[i];
+        }
+
+        for (uint256 i = 0; i < count; i++) {
+            Order memory order = orders[i];
+            uint256 previousIndex = (i + count - 1) % count;
+            address receiver = orders[previousIndex].maker;
+            uint256 received = fillAmounts[(i + 1) % count];
+            (uint256 makerRate, uint256 takerRate) = getFeeRates(receiver);
+            uint256 feeAmount = _deliveryFee(
+                order,
+                fillAmounts[i],
+                previousIndex == takerIndex ? takerRate : makerRate
+            );
+
+            balances[receiver][order.tokenGive] += fillAmounts[i] - feeAmount;
+            _chargeFee(orderHashes[i], receiver, _feeRecipient(order), order.tokenGive, feeAmount);
+            _updateExecutionPrice(order, fillAmounts[i], received);
+
+            emit OrderExecuted(
+                orderHashes[i],
+                order.maker,
+                orders[(i + 1) % count].maker,
+                order.tokenGet,
+                received,
+                order.tokenGive,
+                fillAmounts[i],
+                fillAmounts[i],
+                feeAmount,
+                block.timestamp
+            );
+        }
+
+        emit BatchExecuted(msg.sender, orderHashes);
+    }
+
+    // ============ Execution Helpers ============
+
+    function _validateFill(
+        Order memory order,
+        bytes memory signature,
+        uint256 fillAmount,
+        bool skipValidation,
+        bool allowIocClamp
+    ) internal returns (bytes32 orderHash, uint256 fill) {
         if (!skipValidation) {
             require(isOrderValid(order), "DEX: Order is not valid");
             require(verifyOrder(order, signature), "DEX: Invalid signature");
         }
         require(fillAmount > 0, "DEX: Fill amount must be greater than 0");
+        _requireListed(order.tokenGive);
+        _requireListed(order.tokenGet);
 
-        bytes32 orderHash = getOrderHash(order);
+        orderHash = getOrderHash(order);
 
         if (order.timeInForce == TimeInForce.POST_ONLY) {
             revert("DEX: POST_ONLY orders must be submitted through createOrder");
@@ -321,6 +594,9 @@ contract DEX is ReentrancyGuard, EIP712 {
         if (order.orderType == OrderType.STOP_LOSS || order.orderType == OrderType.STOP_LIMIT) {
             require(shouldTriggerStopOrder(order), "DEX: Stop price not reached");
             emit StopOrderTriggered(orderHash, marketPrices[order.tokenGive][order.tokenGet]);
+        } else if (order.orderType == OrderType.TRAILING_STOP) {
+            require(shouldTriggerStopOrder(order), "DEX: Stop price not reached");
+            emit StopOrderTriggered(orderHash, _trailingMarketPrice(order));
         }
 
         uint256 remainingAmount = order.amountGive - filled[orderHash];
@@ -334,32 +610,19 @@ contract DEX is ReentrancyGuard, EIP712 {
             require(fillAmount >= order.minFillAmount, "DEX: Fill amount below minimum");
         }
 
-        if (order.timeInForce == TimeInForce.IOC) {
-            if (fillAmount > remainingAmount) {
-                fillAmount = remainingAmount;
+        fill = fillAmount;
+        if (allowIocClamp && order.timeInForce == TimeInForce.IOC) {
+            if (fill > remainingAmount) {
+                fill = remainingAmount;
             }
         } else {
-            require(fillAmount <= remainingAmount, "DEX: Fill amount exceeds remaining");
+            require(fill <= remainingAmount, "DEX: Fill amount exceeds remaining");
         }
 
-        require(fillAmount > 0, "DEX: Fill amount must be positive");
-
-        uint256 getAmount = (fillAmount * order.amountGet) / order.amountGive;
-
-        uint256 feeAmount = (fillAmount * tradingFeeBps) / 10000;
-        if (order.feeAmount > 0) {
-            feeAmount = (fillAmount * order.feeAmount) / order.amountGive;
-        }
-
-        require(
-            balances[order.maker][order.tokenGive] >= fillAmount,
-            "DEX: Maker has insufficient balance"
-        );
-        require(
-            balances[msg.sender][order.tokenGet] >= getAmount,
-            "DEX: Taker has insufficient balance"
-        );
+        require(fill > 0, "DEX: Fill amount must be positive");
+    }
 
+    function _recordFill(bytes32 orderHash, Order memory order, uint256 fillAmount) internal {
         filled[orderHash] += fillAmount;
 
         OrderInfo storage info = orderInfos[orderHash];
@@ -382,34 +645,53 @@ contract DEX is ReentrancyGuard, EIP712 {
         if (oldStatus != info.status) {
             emit OrderStatusChanged(orderHash, oldStatus, info.status);
         }
+    }
 
-        balances[order.maker][order.tokenGive] -= fillAmount;
-        balances[order.maker][order.tokenGet] += getAmount;
-        balances[msg.sender][order.tokenGet] -= getAmount;
-        balances[msg.sender][order.tokenGive] += (fillAmount - feeAmount);
+    /**
+     * @dev Fee on delivering `amount` of an order's tokenGive to its
+     *      counterparty. A fee signed into the order (feeAmount, pro-rata to the
+     *      fill) takes precedence over the receiver's rate.
+     */
+    function _deliveryFee(Order memory order, uint256 amount, uint256 receiverRateBps) internal pure returns (uint256) {
+        if (order.feeAmount > 0) {
+            return (amount * order.feeAmount) / order.amountGive;
+        }
+        return (amount * receiverRateBps) / 10000;
+    }
+
+    function _trailingMarketPrice(Order memory order) internal view returns (uint256) {
+        return order.side == OrderSide.SELL
+            ? marketPrices[order.tokenGive][order.tokenGet]
+            : marketPrices[order.tokenGet][order.tokenGive];
+    }
 
-        address feeRecipient = order.feeRecipient != address(0) ? order.feeRecipient : feeCollector;
-        if (feeAmount > 0) {
-            balances[feeRecipient][order.tokenGive] += feeAmount;
+    function _requireListed(address token) internal view {
+        require(!allowlistEnabled || listedTokens[token], "DEX: Token not listed");
+    }
+
+    function _feeRecipient(Order memory order) internal view returns (address) {
+        return order.feeRecipient != address(0) ? order.feeRecipient : feeCollector;
+    }
+
+    function _chargeFee(
+        bytes32 orderHash,
+        address payer,
+        address recipient,
+        address token,
+        uint256 amount
+    ) internal {
+        if (amount == 0) {
+            return;
         }
+        balances[recipient][token] += amount;
+        emit FeeCharged(orderHash, payer, recipient, token, amount);
+    }
 
-        uint256 executionPrice = (getAmount * 1e18) / fillAmount;
+    function _updateExecutionPrice(Order memory order, uint256 giveAmount, uint256 getAmount) internal {
+        uint256 executionPrice = (getAmount * 1e18) / giveAmount;
         marketPrices[order.tokenGive][order.tokenGet] = executionPrice;
-        marketPrices[order.tokenGet][order.tokenGive] = (fillAmount * 1e18) / getAmount;
+        marketPrices[order.tokenGet][order.tokenGive] = (giveAmount * 1e18) / getAmount;
         emit MarketPriceUpdated(order.tokenGive, order.tokenGet, executionPrice);
-
-        emit OrderExecuted(
-            orderHash,
-            order.maker,
-            msg.sender,
-            order.tokenGet,
-            getAmount,
-            order.tokenGive,
-            fillAmount,
-            fillAmount,
-            feeAmount,
-            block.timestamp
-        );
     }
 
     // ============ Order Cancellation ============
@@ -497,21 +779,67 @@ contract DEX is ReentrancyGuard, EIP712 {
         return marketPrices[tokenA][tokenB];
     }
 
+    function getFeeRates(address account) public view returns (uint256 makerBps, uint256 takerBps) {
+        FeeRates memory rates = accountFeeRates[account];
+        if (rates.enabled) {
+            return (rates.makerBps, rates.takerBps);
+        }
+        return (makerFeeBps, takerFeeBps);
+    }
+
     // ============ Admin Functions ============
 
-    function setTradingFee(uint256 newFeeBps) external {
-        require(msg.sender == feeCollector, "DEX: Only fee collector");
-        require(newFeeBps <= 1000, "DEX: Fee too high");
+    function setTradingFees(uint256 newMakerFeeBps, uint256 newTakerFeeBps) external onlyRole(FEE_MANAGER_ROLE) {
+        require(newMakerFeeBps <= MAX_FEE_BPS && newTakerFeeBps <= MAX_FEE_BPS, "DEX: Fee too high");
+
+        makerFeeBps = newMakerFeeBps;
+        takerFeeBps = newTakerFeeBps;
+
+        emit TradingFeesUpdated(newMakerFeeBps, newTakerFeeBps);
+    }
 
-        uint256 oldFee = tradingFeeBps;
-        tradingFeeBps = newFeeBps;
+    function setAccountFeeRates(
+        address account,
+        uint16 newMakerFeeBps,
+        uint16 newTakerFeeBps
+    ) external onlyRole(FEE_MANAGER_ROLE) {
+        require(newMakerFeeBps <= MAX_FEE_BPS && newTakerFeeBps <= MAX_FEE_BPS, "DEX: Fee too high");
 
-        emit TradingFeeUpdated(oldFee, newFeeBps);
+        accountFeeRates[account] = FeeRates(newMakerFeeBps, newTakerFeeBps, true);
+        emit AccountFeeRatesUpdated(account, newMakerFeeBps, newTakerFeeBps, true);
     }
 
-    function setFeeCollector(address newCollector) external {
-        require(msg.sender == feeCollector, "DEX: Only fee collector");
+    function clearAccountFeeRates(address account) external onlyRole(FEE_MANAGER_ROLE) {
+        delete accountFeeRates[account];
+        emit AccountFeeRatesUpdated(account, makerFeeBps, takerFeeBps, false);
+    }
+
+    function setFeeCollector(address newCollector) external onlyRole(FEE_MANAGER_ROLE) {
         require(newCollector != address(0), "DEX: Invalid address");
+        emit FeeCollectorUpdated(feeCollector, newCollector);
         feeCollector = newCollector;
     }
+
+    /**
+     * @dev Emergency stop for deposits and every execution path. Withdrawals
+     *      and cancellations stay available while paused.
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    function setTokenListed(address token, bool listed) external onlyRole(LISTING_MANAGER_ROLE) {
+        require(token != address(0), "DEX: Invalid token address");
+        listedTokens[token] = listed;
+        emit TokenListingUpdated(token, listed);
+    }
+
+    function setAllowlistEnabled(bool enabled) external onlyRole(LISTING_MANAGER_ROLE) {
+        allowlistEnabled = enabled;
+        emit AllowlistToggled(enabled);
+    }
 }
@@ -3,11 +3,16 @@ import WalletConnect from './components/WalletConnect';
 import OrderForm from './components/OrderForm';
 import OrderBook from './components/OrderBook';
 import TradeHistory from './components/TradeHistory';
+import CandleChart from './components/CandleChart';
+import MarketsTable from './components/MarketsTable';
 import Balance from './components/Balance';
+import PortfolioPanel from './components/PortfolioPanel';
 import TokenManager from './components/TokenManager';
 import OrdersPanel from './components/OrdersPanel';
 import ActivityFeed from './components/ActivityFeed';
-import { fetchTokens, listOrders, cancelOrder, fetchPairPrice } from './services/api';
+import { fetchTokens, listOrders, cancelOrder, cancelAllOrders, fetchPairPrice } from './services/api';
+import { sendPreparedTransactions } from './services/wallet';
+import streamClient, { ordersChannel } from './services/stream';
 
 const App = () => {
   const [account, setAccount] = useState(null);
@@ -104,6 +109,31 @@ const App = () => {
     }
   }, [account]);
 
+  useEffect(() => {
+    if (!account) {
+      return undefined;
+    }
+    return streamClient.subscribe(ordersChannel(account), (message) => {
+      if (message.type === 'snapshot') {
+        setOrders(Array.isArray(message.data) ? message.data : []);
+        return;
+      }
+      const update = message.data;
+      if (!update?.id) {
+        return;
+      }
+      setOrders((prev) => {
+        const index = prev.findIndex((order) => order.id === update.id);
+        if (index === -1) {
+          return [update, ...prev];
+        }
+        const next = prev.slice();
+        next[index] = { ...prev[index], ...update };
+        return next;
+      });
+    });
+  }, [account]);
+
   const handlePairChange = useCallback((baseToken, quoteToken) => {
     setSelectedPair({ baseToken, quoteToken });
   }, []);
@@ -206,6 +236,46 @@ const App = () => {
     [appendActivity, refreshOrders, selectedBase, selectedQuote],
   );
 
+  const handleCancelAllOrders = useCallback(
+    async ({ pairOnly }) => {
+      if (!account) {
+        throw new Error('Connect a wallet to cancel orders');
+      }
+      const scope = pairOnly ? { baseToken: selectedPair.baseToken, quoteToken: selectedPair.quoteToken } : {};
+      try {
+        const result = await cancelAllOrders({ trader: account, ...scope });
+        appendActivity({
+          title: 'Orders cancelled',
+          message: `${result.cancelled?.length ?? 0} open order(s) cancelled${pairOnly ? ` on ${selectedPairLabel}` : ' on every pair'}.`,
+          variant: 'warning',
+        });
+        await refreshOrders();
+        if (result.onchain) {
+          const hashes = await sendPreparedTransactions(result.onchain);
+          appendActivity({
+            title: 'Orders invalidated on-chain',
+            message: `${result.onchain.action} confirmed (tx ${hashes[0]?.slice(0, 10) ?? ''}…).`,
+            variant: 'success',
+          });
+        } else if (result.onchainError) {
+          appendActivity({
+            title: 'On-chain cancellation skipped',
+            message: result.onchainError,
+            variant: 'error',
+          });
+        }
+      } catch (error) {
+        appendActivity({
+          title: 'Cancel all failed',
+          message: error.message || 'Failed to cancel orders',
+          variant: 'error',
+        });
+        throw error;
+      }
+    },
+    [account, appendActivity, refreshOrders, selectedPair, selectedPairLabel],
+  );
+
 
 
   return (
@@ -282,6 +352,7 @@ const App = () => {
               error={ordersError}
               onRefresh={refreshOrders}
               onCancelOrder={handleCancelOrder}
+              onCancelAllOrders={handleCancelAllOrders}
             />
             <ActivityFeed entries={activities} />
           </div>
@@ -300,14 +371,18 @@ const App = () => {
               isLoadingTokens={isLoadingTokens}
               tokenError={tokenError}
               refreshSignal={balanceRefreshNonce}
+              onActivity={appendActivity}
             />
-            <OrderBook
-              tokens={tokens}
+            <PortfolioPanel account={account} tokens={tokens} refreshSignal={balanceRefreshNonce} />
+            <MarketsTable
               baseToken={selectedPair.baseToken}
               quoteToken={selectedPair.quoteToken}
               onPairChange={handlePairChange}
             />
+            <OrderBook baseToken={selectedPair.baseToken} quoteToken={selectedPair.quoteToken} />
+            <CandleChart baseToken={selectedPair.baseToken} quoteToken={selectedPair.quoteToken} />
             <TradeHistory
+              account={account}
               baseToken={selectedPair.baseToken}
               quoteToken={selectedPair.quoteToken}
               onPairChange={handlePairChange}
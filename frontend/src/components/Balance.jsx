@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from 'react';
-import { fetchBalances } from '../services/api';
+import { depositDex, fetchBalances, withdrawDex } from '../services/api';
+import { sendPreparedTransactions, toBaseUnits } from '../services/wallet';
 
 const containerStyle = {
   background: '#ffffff',
@@ -27,10 +28,63 @@ const cellStyle = {
   borderBottom: '1px solid #f1f5f9',
 };
 
-const Balance = ({ account, tokens, isLoadingTokens, tokenError, refreshSignal = 0 }) => {
+const formStyle = {
+  display: 'flex',
+  gap: '8px',
+  marginTop: '16px',
+  flexWrap: 'wrap',
+  alignItems: 'center',
+};
+
+const actionButtonStyle = {
+  padding: '8px 14px',
+  background: '#2563eb',
+  color: '#ffffff',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontWeight: 600,
+};
+
+const Balance = ({ account, tokens, isLoadingTokens, tokenError, refreshSignal = 0, onActivity }) => {
   const [balances, setBalances] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [transferToken, setTransferToken] = useState('');
+  const [transferAmount, setTransferAmount] = useState('');
+  const [transferStatus, setTransferStatus] = useState('');
+  const [isTransferring, setIsTransferring] = useState(false);
+  const [reloadNonce, setReloadNonce] = useState(0);
+
+  const selectedToken = (tokens || []).find((token) => token.address === transferToken) || (tokens || [])[0] || null;
+
+  // Deposits and withdrawals are built by the backend and signed by the wallet.
+  const handleTransfer = async (action) => {
+    if (!account || !selectedToken) {
+      return;
+    }
+    setIsTransferring(true);
+    setTransferStatus('');
+    try {
+      const amount = toBaseUnits(transferAmount, selectedToken.decimals ?? 18);
+      const build = action === 'deposit' ? depositDex : withdrawDex;
+      const prepared = await build({ from: account, token: selectedToken.address, amount });
+      const hashes = await sendPreparedTransactions(prepared, { onStatus: setTransferStatus });
+      const label = `${transferAmount} ${selectedToken.symbol || selectedToken.address}`;
+      setTransferStatus(`${action === 'deposit' ? 'Deposited' : 'Withdrew'} ${label}`);
+      setTransferAmount('');
+      onActivity?.({
+        title: action === 'deposit' ? 'Deposit confirmed' : 'Withdrawal confirmed',
+        message: `${label} (tx ${hashes[hashes.length - 1]?.slice(0, 10)}…)`,
+        variant: 'success',
+      });
+      setReloadNonce((prev) => prev + 1);
+    } catch (err) {
+      setTransferStatus(err.message || `Failed to ${action}`);
+    } finally {
+      setIsTransferring(false);
+    }
+  };
 
   useEffect(() => {
     if (!account || !tokens || tokens.length === 0) {
@@ -65,7 +119,7 @@ const Balance = ({ account, tokens, isLoadingTokens, tokenError, refreshSignal =
     return () => {
       isMounted = false;
     };
-  }, [account, tokens, refreshSignal]);
+  }, [account, tokens, refreshSignal, reloadNonce]);
 
   return (
     <div className="balance" style={containerStyle}>
@@ -96,6 +150,46 @@ const Balance = ({ account, tokens, isLoadingTokens, tokenError, refreshSignal =
         </table>
       ) : null}
       {account && !isLoading && balances.length === 0 ? <p>No balance data available</p> : null}
+      {account && tokens && tokens.length > 0 ? (
+        <div style={formStyle}>
+          <select
+            value={selectedToken?.address || ''}
+            onChange={(event) => setTransferToken(event.target.value)}
+            disabled={isTransferring}
+          >
+            {tokens.map((token) => (
+              <option key={token.address} value={token.address}>
+                {token.symbol || token.address}
+              </option>
+            ))}
+          </select>
+          <input
+            type="text"
+            inputMode="decimal"
+            placeholder="Amount"
+            value={transferAmount}
+            onChange={(event) => setTransferAmount(event.target.value)}
+            disabled={isTransferring}
+          />
+          <button
+            type="button"
+            style={actionButtonStyle}
+            onClick={() => handleTransfer('deposit')}
+            disabled={isTransferring || !transferAmount}
+          >
+            Deposit
+          </button>
+          <button
+            type="button"
+            style={{ ...actionButtonStyle, background: '#0f172a' }}
+            onClick={() => handleTransfer('withdraw')}
+            disabled={isTransferring || !transferAmount}
+          >
+            Withdraw
+          </button>
+        </div>
+      ) : null}
+      {transferStatus ? <p style={{ fontSize: '14px', color: '#475569' }}>{transferStatus}</p> : null}
     </div>
   );
 };
@@ -0,0 +1,165 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { fetchCandles } from '../services/api';
+import streamClient, { pairChannel } from '../services/stream';
+
+const POLL_INTERVAL_MS = 10000;
+const CANDLE_LIMIT = 60;
+const INTERVALS = ['1m', '5m', '1h', '1d'];
+
+const WIDTH = 640;
+const HEIGHT = 240;
+const PADDING = 32;
+const VOLUME_HEIGHT = 40;
+
+const UP_COLOR = '#16a34a';
+const DOWN_COLOR = '#dc2626';
+
+const containerStyle = {
+  background: '#ffffff',
+  borderRadius: '12px',
+  padding: '24px',
+  boxShadow: '0 10px 30px rgba(15, 23, 42, 0.08)',
+  marginBottom: '24px',
+};
+
+const selectStyle = {
+  marginLeft: '12px',
+  padding: '6px 10px',
+  borderRadius: '6px',
+  border: '1px solid #cbd5f5',
+};
+
+function formatTick(value) {
+  return Number(Number(value).toPrecision(6));
+}
+
+const CandleChart = ({ baseToken, quoteToken }) => {
+  const [candleInterval, setCandleInterval] = useState('1m');
+  const [candles, setCandles] = useState([]);
+  const [error, setError] = useState(null);
+  const [refreshNonce, setRefreshNonce] = useState(0);
+
+  useEffect(() => {
+    if (!baseToken || !quoteToken) {
+      return undefined;
+    }
+    return streamClient.subscribe(pairChannel('trades', baseToken, quoteToken), (message) => {
+      if (message.type !== 'snapshot') {
+        setRefreshNonce((prev) => prev + 1);
+      }
+    });
+  }, [baseToken, quoteToken]);
+
+  useEffect(() => {
+    if (!baseToken || !quoteToken) {
+      setCandles([]);
+      return undefined;
+    }
+    let isMounted = true;
+    const load = async () => {
+      try {
+        const data = await fetchCandles({ baseToken, quoteToken, interval: candleInterval, limit: CANDLE_LIMIT });
+        if (isMounted) {
+          setCandles(data);
+          setError(null);
+        }
+      } catch (err) {
+        if (isMounted) {
+          setError(err.message || 'Failed to load candles');
+        }
+      }
+    };
+    load();
+    const timerId = setInterval(load, POLL_INTERVAL_MS);
+    return () => {
+      isMounted = false;
+      clearInterval(timerId);
+    };
+  }, [baseToken, quoteToken, candleInterval, refreshNonce]);
+
+  const chart = useMemo(() => {
+    if (candles.length === 0) {
+      return null;
+    }
+    const high = Math.max(...candles.map((candle) => candle.high));
+    const low = Math.min(...candles.map((candle) => candle.low));
+    const maxVolume = Math.max(...candles.map((candle) => candle.volume)) || 1;
+    const range = high - low || high || 1;
+    const priceHeight = HEIGHT - PADDING * 2 - VOLUME_HEIGHT;
+    const slot = (WIDTH - PADDING * 2) / CANDLE_LIMIT;
+    const bodyWidth = Math.max(2, slot * 0.6);
+    const toY = (price) => PADDING + ((high - price) / range) * priceHeight;
+    const offset = CANDLE_LIMIT - candles.length;
+
+    return {
+      high,
+      low,
+      bars: candles.map((candle, index) => {
+        const x = PADDING + (offset + index) * slot + slot / 2;
+        const rising = candle.close >= candle.open;
+        const top = toY(Math.max(candle.open, candle.close));
+        const bottom = toY(Math.min(candle.open, candle.close));
+        const volumeHeight = (candle.volume / maxVolume) * VOLUME_HEIGHT;
+        return {
+          key: candle.openTime,
+          x,
+          color: rising ? UP_COLOR : DOWN_COLOR,
+          wickTop: toY(candle.high),
+          wickBottom: toY(candle.low),
+          bodyX: x - bodyWidth / 2,
+          bodyY: top,
+          bodyWidth,
+          bodyHeight: Math.max(1, bottom - top),
+          volumeY: HEIGHT - PADDING - volumeHeight,
+          volumeHeight,
+          title: `${new Date(candle.openTime).toLocaleString()} O ${candle.open} H ${candle.high} L ${candle.low} C ${candle.close} V ${candle.volume}`,
+        };
+      }),
+    };
+  }, [candles]);
+
+  return (
+    <div className="candle-chart" style={containerStyle}>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: '16px' }}>
+        <h2 style={{ margin: 0 }}>Price Chart</h2>
+        <select style={selectStyle} value={candleInterval} onChange={(event) => setCandleInterval(event.target.value)}>
+          {INTERVALS.map((option) => (
+            <option key={option} value={option}>
+              {option}
+            </option>
+          ))}
+        </select>
+      </div>
+      {error ? <p style={{ color: '#dc2626' }}>{error}</p> : null}
+      {!chart ? (
+        <p style={{ color: '#64748b', fontSize: '13px' }}>No trades in this pair yet</p>
+      ) : (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} style={{ width: '100%', height: 'auto' }} role="img" aria-label="Candlestick chart">
+          {chart.bars.map((bar) => (
+            <g key={bar.key}>
+              <title>{bar.title}</title>
+              <line x1={bar.x} x2={bar.x} y1={bar.wickTop} y2={bar.wickBottom} stroke={bar.color} />
+              <rect x={bar.bodyX} y={bar.bodyY} width={bar.bodyWidth} height={bar.bodyHeight} fill={bar.color} />
+              <rect
+                x={bar.bodyX}
+                y={bar.volumeY}
+                width={bar.bodyWidth}
+                height={bar.volumeHeight}
+                fill={bar.color}
+                opacity="0.3"
+              />
+            </g>
+          ))}
+          <text x={WIDTH - 4} y={PADDING} fontSize="11" fill="#64748b" textAnchor="end">
+            {formatTick(chart.high)}
+          </text>
+          <text x={WIDTH - 4} y={HEIGHT - PADDING - VOLUME_HEIGHT} fontSize="11" fill="#64748b" textAnchor="end">
+            {formatTick(chart.low)}
+          </text>
+        </svg>
+      )}
+    </div>
+  );
+};
+
+export default CandleChart;
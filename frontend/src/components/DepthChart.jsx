@@ -0,0 +1,85 @@
+import React, { useMemo } from 'react';
+
+const WIDTH = 600;
+const HEIGHT = 180;
+const PADDING = 24;
+
+const BID_COLOR = '#16a34a';
+const ASK_COLOR = '#dc2626';
+
+function withCumulative(levels) {
+  let total = 0;
+  return (levels || []).map((level) => {
+    total += Number(level.amount) || 0;
+    return { price: Number(level.price), cumulative: Number(level.cumulative ?? total) };
+  });
+}
+
+// Builds a stepped area path; bids step down-left from the best bid, asks
+// step up-right from the best ask.
+function stepPath(points, toX, toY) {
+  if (points.length === 0) {
+    return '';
+  }
+  const baseline = toY(0);
+  let path = `M ${toX(points[0].price)} ${baseline}`;
+  let previousY = baseline;
+  points.forEach((point) => {
+    const x = toX(point.price);
+    path += ` L ${x} ${previousY} L ${x} ${toY(point.cumulative)}`;
+    previousY = toY(point.cumulative);
+  });
+  const lastX = toX(points[points.length - 1].price);
+  return `${path} L ${lastX} ${baseline} Z`;
+}
+
+const DepthChart = ({ bids, asks, mid }) => {
+  const chart = useMemo(() => {
+    const bidPoints = withCumulative(bids);
+    const askPoints = withCumulative(asks);
+    const all = [...bidPoints, ...askPoints];
+    if (all.length === 0) {
+      return null;
+    }
+    const prices = all.map((point) => point.price);
+    const minPrice = Math.min(...prices);
+    const maxPrice = Math.max(...prices);
+    const maxSize = Math.max(...all.map((point) => point.cumulative)) || 1;
+    const priceRange = maxPrice - minPrice || 1;
+    const toX = (price) => PADDING + ((price - minPrice) / priceRange) * (WIDTH - PADDING * 2);
+    const toY = (size) => HEIGHT - PADDING - (size / maxSize) * (HEIGHT - PADDING * 2);
+    return {
+      bidPath: stepPath(bidPoints, toX, toY),
+      askPath: stepPath(askPoints, toX, toY),
+      midX: mid !== null && mid !== undefined ? toX(Number(mid)) : null,
+      minPrice,
+      maxPrice,
+      maxSize,
+    };
+  }, [bids, asks, mid]);
+
+  if (!chart) {
+    return <p style={{ color: '#64748b', fontSize: '13px' }}>No depth to chart</p>;
+  }
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} style={{ width: '100%', height: 'auto' }} role="img" aria-label="Order book depth">
+      <path d={chart.bidPath} fill="rgba(22, 163, 74, 0.18)" stroke={BID_COLOR} strokeWidth="1.5" />
+      <path d={chart.askPath} fill="rgba(220, 38, 38, 0.18)" stroke={ASK_COLOR} strokeWidth="1.5" />
+      {chart.midX !== null ? (
+        <line x1={chart.midX} x2={chart.midX} y1={PADDING} y2={HEIGHT - PADDING} stroke="#94a3b8" strokeDasharray="4 4" />
+      ) : null}
+      <text x={PADDING} y={HEIGHT - 6} fontSize="11" fill="#64748b">
+        {chart.minPrice}
+      </text>
+      <text x={WIDTH - PADDING} y={HEIGHT - 6} fontSize="11" fill="#64748b" textAnchor="end">
+        {chart.maxPrice}
+      </text>
+      <text x={PADDING} y={PADDING - 8} fontSize="11" fill="#64748b">
+        {chart.maxSize}
+      </text>
+    </svg>
+  );
+};
+
+export default DepthChart;
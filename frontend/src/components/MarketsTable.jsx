@@ -0,0 +1,126 @@
+import React, { useEffect, useState } from 'react';
+import { fetchMarkets } from '../services/api';
+
+const POLL_INTERVAL_MS = 10000;
+
+const containerStyle = {
+  background: '#ffffff',
+  borderRadius: '12px',
+  padding: '24px',
+  boxShadow: '0 10px 30px rgba(15, 23, 42, 0.08)',
+  marginBottom: '24px',
+};
+
+const tableStyle = {
+  width: '100%',
+  borderCollapse: 'collapse',
+  fontSize: '14px',
+};
+
+const headerCellStyle = {
+  borderBottom: '1px solid #e2e8f0',
+  padding: '10px 12px',
+  textAlign: 'left',
+  color: '#0f172a',
+};
+
+const cellStyle = {
+  padding: '10px 12px',
+  borderBottom: '1px solid #f1f5f9',
+};
+
+function formatNumber(value, digits = 6) {
+  return value === null || value === undefined ? '-' : Number(Number(value).toFixed(digits));
+}
+
+function formatChange(value) {
+  if (value === null || value === undefined) {
+    return { text: '-', color: '#64748b' };
+  }
+  return {
+    text: `${value > 0 ? '+' : ''}${Number(value).toFixed(2)}%`,
+    color: value > 0 ? '#16a34a' : value < 0 ? '#dc2626' : '#64748b',
+  };
+}
+
+const MarketsTable = ({ baseToken, quoteToken, onPairChange }) => {
+  const [markets, setMarkets] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isMounted = true;
+    const load = async () => {
+      try {
+        const data = await fetchMarkets();
+        if (isMounted) {
+          setMarkets(data);
+          setError(null);
+        }
+      } catch (err) {
+        if (isMounted) {
+          setError(err.message || 'Failed to load markets');
+        }
+      }
+    };
+    load();
+    const timerId = setInterval(load, POLL_INTERVAL_MS);
+    return () => {
+      isMounted = false;
+      clearInterval(timerId);
+    };
+  }, []);
+
+  const selectedKey = baseToken && quoteToken ? `${baseToken.toLowerCase()}-${quoteToken.toLowerCase()}` : '';
+
+  return (
+    <div className="markets-table" style={containerStyle}>
+      <h2 style={{ marginTop: 0 }}>Markets</h2>
+      {error ? <p style={{ color: '#dc2626' }}>{error}</p> : null}
+      {markets.length === 0 ? (
+        <p style={{ color: '#64748b', fontSize: '13px' }}>No active markets yet. Place an order to open a pair.</p>
+      ) : (
+        <table style={tableStyle}>
+          <thead>
+            <tr>
+              <th style={headerCellStyle}>Pair</th>
+              <th style={headerCellStyle}>Last</th>
+              <th style={headerCellStyle}>24h Change</th>
+              <th style={headerCellStyle}>24h High / Low</th>
+              <th style={headerCellStyle}>24h Volume</th>
+              <th style={headerCellStyle}>Bid / Ask</th>
+            </tr>
+          </thead>
+          <tbody>
+            {markets.map((market) => {
+              const change = formatChange(market.changePercent24h);
+              const isSelected = market.pairKey === selectedKey;
+              return (
+                <tr
+                  key={market.pairKey}
+                  onClick={() => onPairChange?.(market.baseToken, market.quoteToken)}
+                  style={{ cursor: 'pointer', background: isSelected ? '#eff6ff' : 'transparent' }}
+                >
+                  <td style={{ ...cellStyle, fontWeight: isSelected ? 600 : 400 }}>{market.pair}</td>
+                  <td style={cellStyle}>{formatNumber(market.lastPrice)}</td>
+                  <td style={{ ...cellStyle, color: change.color }}>{change.text}</td>
+                  <td style={cellStyle}>
+                    {formatNumber(market.high24h)} / {formatNumber(market.low24h)}
+                  </td>
+                  <td style={cellStyle}>
+                    {formatNumber(market.volume24h, 4)}
+                    <span style={{ color: '#64748b' }}> ({formatNumber(market.quoteVolume24h, 2)} quote)</span>
+                  </td>
+                  <td style={cellStyle}>
+                    {formatNumber(market.bestBid)} / {formatNumber(market.bestAsk)}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default MarketsTable;
@@ -1,5 +1,11 @@
-import React, { useEffect, useState } from 'react';
-import { fetchOrderBook } from '../services/api';
+import React, { useEffect, useMemo, useState } from 'react';
+import { fetchOrderBook, fetchOrderBookDepth } from '../services/api';
+import streamClient, { pairChannel } from '../services/stream';
+import DepthChart from './DepthChart';
+
+const POLL_INTERVAL_MS = 5000;
+const DEPTH_LIMIT = 25;
+const TICK_OPTIONS = ['', '0.0001', '0.001', '0.01', '0.1', '1', '10'];
 
 const containerStyle = {
   background: '#ffffff',
@@ -34,25 +40,116 @@ const selectStyle = {
   border: '1px solid #cbd5f5',
 };
 
-const OrderBook = ({ tokens, baseToken, quoteToken, onPairChange }) => {
-  const tokenList = Array.isArray(tokens) ? tokens : [];
+function indexLevels(levels) {
+  const index = new Map();
+  (levels || []).forEach((level) => index.set(String(level.price), level));
+  return index;
+}
+
+function applyLevels(index, levels) {
+  const next = new Map(index);
+  (levels || []).forEach((level) => {
+    if (!level.orders || Number(level.amount) === 0) {
+      next.delete(String(level.price));
+    } else {
+      next.set(String(level.price), level);
+    }
+  });
+  return next;
+}
+
+// Groups streamed levels to the selected tick the same way the depth endpoint
+// does: bids round down and asks round up.
+function groupLevels(levels, tick, side) {
+  const size = Number(tick);
+  const sorted = Array.from(levels.values()).sort((a, b) =>
+    side === 'bids' ? Number(b.price) - Number(a.price) : Number(a.price) - Number(b.price),
+  );
+  const grouped = new Map();
+  sorted.forEach((level) => {
+    let price = Number(level.price);
+    if (size > 0) {
+      const steps = side === 'bids' ? Math.floor(price / size + 1e-9) : Math.ceil(price / size - 1e-9);
+      price = Number((steps * size).toPrecision(12));
+    }
+    const entry = grouped.get(price) || { price, amount: 0, orders: 0 };
+    entry.amount += Number(level.amount) || 0;
+    entry.orders += Number(level.orders) || 0;
+    grouped.set(price, entry);
+  });
+  let cumulative = 0;
+  return Array.from(grouped.values())
+    .slice(0, DEPTH_LIMIT)
+    .map((level) => {
+      cumulative += level.amount;
+      return { ...level, cumulative };
+    });
+}
+
+function summarize(bids, asks) {
+  const bestBid = bids.length > 0 ? Math.max(...bids.map((level) => Number(level.price))) : null;
+  const bestAsk = asks.length > 0 ? Math.min(...asks.map((level) => Number(level.price))) : null;
+  if (bestBid === null || bestAsk === null) {
+    return { bestBid, bestAsk, mid: null, spread: null, spreadBps: null };
+  }
+  const mid = (bestBid + bestAsk) / 2;
+  const spread = bestAsk - bestBid;
+  return { bestBid, bestAsk, mid, spread, spreadBps: mid > 0 ? (spread / mid) * 10000 : null };
+}
+
+function formatStat(value, digits = 6) {
+  return value === null || value === undefined ? '-' : Number(Number(value).toFixed(digits));
+}
+
+const OrderBook = ({ baseToken, quoteToken }) => {
   const [book, setBook] = useState({ buy: [], sell: [], stopLoss: [], stopLimit: [] });
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [depth, setDepth] = useState({ bids: new Map(), asks: new Map() });
+  const [polledDepth, setPolledDepth] = useState({ bids: [], asks: [] });
+  const [tick, setTick] = useState('');
+  const [isStreaming, setIsStreaming] = useState(streamClient.isConnected());
+
+  useEffect(() => streamClient.onStatusChange(setIsStreaming), []);
+
+  useEffect(() => {
+    setDepth({ bids: new Map(), asks: new Map() });
+    if (!baseToken || !quoteToken) {
+      return undefined;
+    }
+    return streamClient.subscribe(pairChannel('depth', baseToken, quoteToken), (message) => {
+      if (message.type === 'snapshot') {
+        setDepth({ bids: indexLevels(message.data?.bids), asks: indexLevels(message.data?.asks) });
+        return;
+      }
+      setDepth((prev) => ({
+        bids: applyLevels(prev.bids, message.data?.bids),
+        asks: applyLevels(prev.asks, message.data?.asks),
+      }));
+    });
+  }, [baseToken, quoteToken]);
 
   useEffect(() => {
     if (!baseToken || !quoteToken) {
       setBook({ buy: [], sell: [], stopLoss: [], stopLimit: [] });
+      setPolledDepth({ bids: [], asks: [] });
       return;
     }
 
     let isMounted = true;
+    let timerId;
     const loadBook = async () => {
       setIsLoading(true);
       try {
-        const data = await fetchOrderBook({ baseToken, quoteToken });
+        const [data, depthData] = await Promise.all([
+          fetchOrderBook({ baseToken, quoteToken }),
+          isStreaming ? null : fetchOrderBookDepth({ baseToken, quoteToken, tick, limit: DEPTH_LIMIT }),
+        ]);
         if (isMounted) {
           setBook(data);
+          if (depthData) {
+            setPolledDepth(depthData);
+          }
           setError(null);
         }
       } catch (err) {
@@ -67,10 +164,53 @@ const OrderBook = ({ tokens, baseToken, quoteToken, onPairChange }) => {
     };
 
     loadBook();
+    if (!isStreaming) {
+      timerId = setInterval(loadBook, POLL_INTERVAL_MS);
+    }
     return () => {
       isMounted = false;
+      if (timerId) {
+        clearInterval(timerId);
+      }
     };
-  }, [baseToken, quoteToken]);
+  }, [baseToken, quoteToken, isStreaming, tick]);
+
+  const levels = useMemo(() => {
+    if (!isStreaming) {
+      return {
+        bids: polledDepth.bids || [],
+        asks: polledDepth.asks || [],
+        bestBid: polledDepth.bestBid ?? null,
+        bestAsk: polledDepth.bestAsk ?? null,
+        mid: polledDepth.mid ?? null,
+        spread: polledDepth.spread ?? null,
+        spreadBps: polledDepth.spreadBps ?? null,
+      };
+    }
+    const bids = groupLevels(depth.bids, tick, 'bids');
+    const asks = groupLevels(depth.asks, tick, 'asks');
+    return { bids, asks, ...summarize(Array.from(depth.bids.values()), Array.from(depth.asks.values())) };
+  }, [isStreaming, depth, polledDepth, tick]);
+
+  const renderLevels = (rows) => {
+    if (!rows || rows.length === 0) {
+      return (
+        <tr>
+          <td style={cellStyle} colSpan={4}>
+            No data
+          </td>
+        </tr>
+      );
+    }
+    return rows.map((level) => (
+      <tr key={level.price}>
+        <td style={cellStyle}>{level.price}</td>
+        <td style={cellStyle}>{level.amount}</td>
+        <td style={cellStyle}>{formatStat(level.cumulative)}</td>
+        <td style={cellStyle}>{level.orders}</td>
+      </tr>
+    ));
+  };
 
   const renderRows = (orders, variant = 'limit') => {
     if (!orders || orders.length === 0) {
@@ -86,7 +226,7 @@ const OrderBook = ({ tokens, baseToken, quoteToken, onPairChange }) => {
       <tr key={order.id}>
         {variant === 'stop' ? (
           <>
-            <td style={cellStyle}>{order.stopPrice ?? '-'}</td>
+            <td style={cellStyle}>{order.metadata?.trailing?.stopPrice ?? order.stopPrice ?? '-'}</td>
             <td style={cellStyle}>{order.price ?? order.limitPrice ?? '-'}</td>
           </>
         ) : (
@@ -102,35 +242,30 @@ const OrderBook = ({ tokens, baseToken, quoteToken, onPairChange }) => {
     <div className="order-book" style={containerStyle}>
       <div style={{ display: 'flex', alignItems: 'center', marginBottom: '16px' }}>
         <h2 style={{ margin: 0 }}>Order Book</h2>
-        <select
-          style={selectStyle}
-          value={baseToken || ''}
-          onChange={(event) => onPairChange?.(event.target.value, quoteToken)}
-        >
-          <option value="">Base token</option>
-          {tokenList.map((token) => (
-            <option key={token.address} value={token.address}>
-              {token.symbol || token.address}
-            </option>
-          ))}
-        </select>
-        <select
-          style={selectStyle}
-          value={quoteToken || ''}
-          onChange={(event) => onPairChange?.(baseToken, event.target.value)}
-        >
-          <option value="">Quote token</option>
-          {tokenList
-            .filter((token) => token.address !== baseToken)
-            .map((token) => (
-              <option key={token.address} value={token.address}>
-                {token.symbol || token.address}
-              </option>
-            ))}
-        </select>
       </div>
       {error ? <p style={{ color: '#dc2626' }}>{error}</p> : null}
       {isLoading ? <p>Loading…</p> : null}
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '16px', margin: '0 0 12px', fontSize: '13px', color: '#64748b' }}>
+        <span>{isStreaming ? 'Live' : 'Polling'}</span>
+        <span>Bid {formatStat(levels.bestBid)}</span>
+        <span>Ask {formatStat(levels.bestAsk)}</span>
+        <span>Mid {formatStat(levels.mid)}</span>
+        <span>
+          Spread {formatStat(levels.spread)}
+          {levels.spreadBps !== null && levels.spreadBps !== undefined ? ` (${formatStat(levels.spreadBps, 2)} bp)` : ''}
+        </span>
+        <label>
+          Group
+          <select style={selectStyle} value={tick} onChange={(event) => setTick(event.target.value)}>
+            {TICK_OPTIONS.map((option) => (
+              <option key={option || 'none'} value={option}>
+                {option || 'None'}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <DepthChart bids={levels.bids} asks={levels.asks} mid={levels.mid} />
       <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(240px, 1fr))', gap: '16px' }}>
         <div>
           <h3>Buys</h3>
@@ -139,10 +274,11 @@ const OrderBook = ({ tokens, baseToken, quoteToken, onPairChange }) => {
               <tr>
                 <th style={headerCellStyle}>Price</th>
                 <th style={headerCellStyle}>Amount</th>
-                <th style={headerCellStyle}>Trader</th>
+                <th style={headerCellStyle}>Total</th>
+                <th style={headerCellStyle}>Orders</th>
               </tr>
             </thead>
-            <tbody>{renderRows(book.buy)}</tbody>
+            <tbody>{renderLevels(levels.bids)}</tbody>
           </table>
         </div>
         <div>
@@ -152,10 +288,11 @@ const OrderBook = ({ tokens, baseToken, quoteToken, onPairChange }) => {
               <tr>
                 <th style={headerCellStyle}>Price</th>
                 <th style={headerCellStyle}>Amount</th>
-                <th style={headerCellStyle}>Trader</th>
+                <th style={headerCellStyle}>Total</th>
+                <th style={headerCellStyle}>Orders</th>
               </tr>
             </thead>
-            <tbody>{renderRows(book.sell)}</tbody>
+            <tbody>{renderLevels(levels.asks)}</tbody>
           </table>
         </div>
         <div>
@@ -1,5 +1,5 @@
 import React, { useEffect, useMemo, useState } from 'react';
-import { prepareOrder, submitOrder } from '../services/api';
+import { prepareOrder, submitOrder, submitOrderGroup } from '../services/api';
 
 const containerStyle = {
   background: '#ffffff',
@@ -40,10 +40,21 @@ const orderTypes = [
   { value: 'MARKET', label: 'Market' },
   { value: 'STOP_LOSS', label: 'Stop' },
   { value: 'STOP_LIMIT', label: 'Stop Limit' },
+  { value: 'TRAILING_STOP', label: 'Trailing Stop' },
+];
+
+const STOP_ORDER_TYPES = ['STOP_LOSS', 'STOP_LIMIT', 'TRAILING_STOP'];
+const ICEBERG_ORDER_TYPES = ['LIMIT', 'STOP_LIMIT'];
+
+const groupModes = [
+  { value: 'NONE', label: 'Single order' },
+  { value: 'OCO', label: 'OCO - one cancels other' },
+  { value: 'BRACKET', label: 'Bracket - entry with exits' },
 ];
 
 const timeInForceOptions = [
   { value: 'GTC', label: 'GTC - Good till cancelled' },
+  { value: 'GTD', label: 'GTD - Good till date' },
   { value: 'IOC', label: 'IOC - Immediate or cancel' },
   { value: 'FOK', label: 'FOK - Fill or kill' },
   { value: 'POST_ONLY', label: 'POST_ONLY - Maker only' },
@@ -63,9 +74,18 @@ const OrderForm = ({
   const [price, setPrice] = useState('');
   const [amount, setAmount] = useState('');
   const [stopPrice, setStopPrice] = useState('');
+  const [trailingMode, setTrailingMode] = useState('PERCENT');
+  const [trailingValue, setTrailingValue] = useState('');
   const [timeInForce, setTimeInForce] = useState('GTC');
   const [allowPartialFill, setAllowPartialFill] = useState(true);
   const [maxSlippage, setMaxSlippage] = useState('');
+  const [displayAmount, setDisplayAmount] = useState('');
+  const [expiresAt, setExpiresAt] = useState('');
+  const [groupMode, setGroupMode] = useState('NONE');
+  const [ocoType, setOcoType] = useState('STOP_LOSS');
+  const [ocoPrice, setOcoPrice] = useState('');
+  const [takeProfitPrice, setTakeProfitPrice] = useState('');
+  const [stopLossPrice, setStopLossPrice] = useState('');
   const [status, setStatus] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
 
@@ -75,11 +95,11 @@ const OrderForm = ({
     if (orderType === 'MARKET') {
       return timeInForceOptions.filter((option) => ['GTC', 'IOC', 'FOK'].includes(option.value));
     }
-    if (orderType === 'STOP_LOSS') {
-      return timeInForceOptions.filter((option) => option.value === 'GTC' || option.value === 'FOK');
+    if (orderType === 'STOP_LOSS' || orderType === 'TRAILING_STOP') {
+      return timeInForceOptions.filter((option) => ['GTC', 'GTD', 'FOK'].includes(option.value));
     }
     if (orderType === 'STOP_LIMIT') {
-      return timeInForceOptions.filter((option) => option.value === 'GTC' || option.value === 'FOK');
+      return timeInForceOptions.filter((option) => ['GTC', 'GTD', 'FOK'].includes(option.value));
     }
     return timeInForceOptions;
   }, [orderType]);
@@ -97,8 +117,8 @@ const OrderForm = ({
       }
     }
 
-    if (orderType === 'STOP_LOSS') {
-      if (!['GTC', 'FOK'].includes(timeInForce)) {
+    if (orderType === 'STOP_LOSS' || orderType === 'TRAILING_STOP') {
+      if (!['GTC', 'GTD', 'FOK'].includes(timeInForce)) {
         setTimeInForce('GTC');
       }
     }
@@ -113,22 +133,114 @@ const OrderForm = ({
       setMaxSlippage('');
     }
 
-    if (orderType !== 'STOP_LOSS' && orderType !== 'STOP_LIMIT' && stopPrice) {
+    if (!STOP_ORDER_TYPES.includes(orderType) && stopPrice) {
       setStopPrice('');
     }
+    if (orderType !== 'TRAILING_STOP' && trailingValue) {
+      setTrailingValue('');
+    }
+    if (!ICEBERG_ORDER_TYPES.includes(orderType) && displayAmount) {
+      setDisplayAmount('');
+    }
+    if (timeInForce !== 'GTD' && expiresAt) {
+      setExpiresAt('');
+    }
+    if (orderType === 'MARKET' && groupMode === 'OCO') {
+      setGroupMode('NONE');
+    }
     if (availableTimeInForce.length > 0 && !availableTimeInForce.some((option) => option.value === timeInForce)) {
       setTimeInForce(availableTimeInForce[0].value);
     }
   }, [
     allowPartialFill,
     availableTimeInForce,
+    displayAmount,
+    expiresAt,
+    groupMode,
     maxSlippage,
     orderType,
     price,
     stopPrice,
     timeInForce,
+    trailingValue,
   ]);
 
+  // Prepares one order, has the wallet sign it and returns the payload the
+  // backend expects for it.
+  const signOrder = async (orderInput, label) => {
+    const prepared = await prepareOrder(orderInput);
+    if (!prepared?.typedData) {
+      throw new Error('Backend did not return signing payload');
+    }
+
+    const typedData = prepared.typedData;
+    const serializedData = JSON.stringify(typedData);
+
+    const feeNote = prepared.fees
+      ? ` Fees (tier ${prepared.fees.tier}): maker ${(prepared.fees.makerBps / 100).toFixed(2)}%, taker ${(
+          prepared.fees.takerBps / 100
+        ).toFixed(2)}%.`
+      : '';
+    setStatus(`Waiting for wallet signature…${feeNote}`);
+    onActivity?.({
+      title: 'Awaiting signature',
+      message: `Please sign the ${label} in your wallet.${feeNote}`,
+      variant: 'info',
+    });
+    let signature;
+    const signMethods = [
+      { method: 'eth_signTypedData_v4', params: [account, serializedData] },
+      { method: 'eth_signTypedData', params: [account, typedData] },
+      { method: 'eth_signTypedData_v3', params: [account, serializedData] },
+    ];
+
+    let lastError = null;
+    for (const request of signMethods) {
+      try {
+        signature = await window.ethereum.request(request);
+        if (signature) {
+          break;
+        }
+      } catch (error) {
+        lastError = error;
+        if (error?.code === 4001) {
+          throw new Error('User rejected the signature request');
+        }
+      }
+    }
+
+    if (!signature) {
+      if (lastError) {
+        throw new Error(lastError.message || 'Wallet did not return a signature');
+      }
+      throw new Error('Wallet did not return a signature');
+    }
+
+    const submissionPayload = {
+      ...orderInput,
+      signature,
+      onchain: prepared.onchain,
+      metadata: prepared.metadata,
+    };
+
+    if (prepared?.onchain?.nonce !== undefined) {
+      submissionPayload.nonce = prepared.onchain.nonce;
+    }
+
+    if (prepared?.typedData?.domain?.chainId !== undefined) {
+      submissionPayload.chainId = prepared.typedData.domain.chainId;
+    }
+
+    if (prepared?.typedData?.domain?.verifyingContract) {
+      submissionPayload.verifyingContract = prepared.typedData.domain.verifyingContract;
+    }
+
+    if (prepared?.hash) {
+      submissionPayload.orderHash = prepared.hash;
+    }
+    return submissionPayload;
+  };
+
   const handleSubmit = async (event) => {
     event.preventDefault();
     if (!account) {
@@ -139,6 +251,27 @@ const OrderForm = ({
       setStatus('Select a trading pair');
       return;
     }
+    let expiry = null;
+    if (timeInForce === 'GTD') {
+      const deadline = new Date(expiresAt);
+      if (!expiresAt || Number.isNaN(deadline.getTime()) || deadline.getTime() <= Date.now()) {
+        setStatus('Choose an expiry time in the future for a Good-Till-Date order');
+        return;
+      }
+      expiry = deadline.toISOString();
+    }
+    if (orderType === 'TRAILING_STOP' && !(Number(trailingValue) > 0)) {
+      setStatus('Enter a positive trailing distance');
+      return;
+    }
+    if (groupMode === 'OCO' && !(Number(ocoPrice) > 0)) {
+      setStatus('Enter a price for the second OCO order');
+      return;
+    }
+    if (groupMode === 'BRACKET' && !(Number(takeProfitPrice) > 0) && !(Number(stopLossPrice) > 0)) {
+      setStatus('Enter a take-profit or stop-loss price for the bracket');
+      return;
+    }
     setIsSubmitting(true);
     setStatus('');
     try {
@@ -157,8 +290,26 @@ const OrderForm = ({
         price: price || null,
         amount: amount || null,
         stopPrice: stopPrice || null,
+        trailingOffset: orderType === 'TRAILING_STOP' && trailingMode === 'OFFSET' ? trailingValue : null,
+        trailingPercent: orderType === 'TRAILING_STOP' && trailingMode === 'PERCENT' ? trailingValue : null,
         maxSlippage: orderType === 'MARKET' ? maxSlippage || null : null,
+        displayAmount: ICEBERG_ORDER_TYPES.includes(orderType) ? displayAmount || null : null,
+        expiry,
       };
+      // Extra legs share the pair, size and expiry of the main order.
+      const legInput = (legSide, legType, legPrice) => ({
+        trader: account,
+        baseToken,
+        quoteToken,
+        side: legSide,
+        orderType: legType,
+        timeInForce: timeInForce === 'GTD' ? 'GTD' : 'GTC',
+        allowPartialFill: true,
+        price: legType === 'LIMIT' ? legPrice : null,
+        amount: amount || null,
+        stopPrice: legType === 'STOP_LOSS' ? legPrice : null,
+        expiry,
+      });
 
       setStatus('Preparing order data…');
       onActivity?.({
@@ -166,89 +317,54 @@ const OrderForm = ({
         message: `${side} ${orderType} order is being prepared, amount ${amount || '-'}.`,
         variant: 'info',
       });
-      const prepared = await prepareOrder(orderInput);
-      if (!prepared?.typedData) {
-        throw new Error('Backend did not return signing payload');
-      }
 
-      const typedData = prepared.typedData;
-      const serializedData = JSON.stringify(typedData);
-
-      setStatus('Waiting for wallet signature…');
-      onActivity?.({
-        title: 'Awaiting signature',
-        message: `Please sign the ${side} ${orderType} order in your wallet.`,
-        variant: 'info',
-      });
-      let signature;
-      const signMethods = [
-        { method: 'eth_signTypedData_v4', params: [account, serializedData] },
-        { method: 'eth_signTypedData', params: [account, typedData] },
-        { method: 'eth_signTypedData_v3', params: [account, serializedData] },
-      ];
-
-      let lastError = null;
-      for (const request of signMethods) {
-        try {
-          signature = await window.ethereum.request(request);
-          if (signature) {
-            break;
-          }
-        } catch (error) {
-          lastError = error;
-          if (error?.code === 4001) {
-            throw new Error('User rejected the signature request');
-          }
-        }
-      }
-
-      if (!signature) {
-        if (lastError) {
-          throw new Error(lastError.message || 'Wallet did not return a signature');
-        }
-        throw new Error('Wallet did not return a signature');
-      }
-
-      setStatus('Submitting order…');
-      onActivity?.({
-        title: 'Submitting order',
-        message: `Submitting ${side} ${orderType} order, amount ${amount || '-'}.`,
-        variant: 'info',
-      });
-      const submissionPayload = {
-        ...orderInput,
-        signature,
-        onchain: prepared.onchain,
-        metadata: prepared.metadata,
-      };
-
-      if (prepared?.onchain?.nonce !== undefined) {
-        submissionPayload.nonce = prepared.onchain.nonce;
-      }
-
-      if (prepared?.typedData?.domain?.chainId !== undefined) {
-        submissionPayload.chainId = prepared.typedData.domain.chainId;
-      }
-
-      if (prepared?.typedData?.domain?.verifyingContract) {
-        submissionPayload.verifyingContract = prepared.typedData.domain.verifyingContract;
+      if (groupMode === 'NONE') {
+        const submissionPayload = await signOrder(orderInput, `${side} ${orderType} order`);
+        setStatus('Submitting order…');
+        onActivity?.({
+          title: 'Submitting order',
+          message: `Submitting ${side} ${orderType} order, amount ${amount || '-'}.`,
+          variant: 'info',
+        });
+        await submitOrder(submissionPayload);
+      } else if (groupMode === 'OCO') {
+        const legs = [
+          await signOrder(orderInput, `first OCO order (${side} ${orderType})`),
+          await signOrder(legInput(side, ocoType, ocoPrice), `second OCO order (${side} ${ocoType})`),
+        ];
+        setStatus('Submitting OCO orders…');
+        await submitOrderGroup({ type: 'OCO', orders: legs });
+      } else {
+        const exitSide = side === 'BUY' ? 'SELL' : 'BUY';
+        const entry = await signOrder(orderInput, `bracket entry (${side} ${orderType})`);
+        const takeProfit = takeProfitPrice
+          ? await signOrder(legInput(exitSide, 'LIMIT', takeProfitPrice), `take-profit (${exitSide} LIMIT)`)
+          : null;
+        const stopLoss = stopLossPrice
+          ? await signOrder(legInput(exitSide, 'STOP_LOSS', stopLossPrice), `stop-loss (${exitSide} STOP)`)
+          : null;
+        setStatus('Submitting bracket…');
+        await submitOrderGroup({ type: 'BRACKET', entry, takeProfit, stopLoss });
       }
 
-      if (prepared?.hash) {
-        submissionPayload.orderHash = prepared.hash;
-      }
-
-      await submitOrder(submissionPayload);
-      setStatus('Order created and queued for matching');
+      setStatus(groupMode === 'NONE' ? 'Order created and queued for matching' : 'Order group created and queued for matching');
       onActivity?.({
         title: 'Order submitted',
-        message: `${side} ${orderType} order has been sent for matching.`,
+        message: groupMode === 'NONE'
+          ? `${side} ${orderType} order has been sent for matching.`
+          : `${groupMode} order group has been sent for matching.`,
         variant: 'success',
       });
       setPrice('');
       setAmount('');
       setStopPrice('');
+      setTrailingValue('');
       setMaxSlippage('');
+      setDisplayAmount('');
+      setExpiresAt('');
+      setOcoPrice('');
+      setTakeProfitPrice('');
+      setStopLossPrice('');
       if (onOrderCreated) {
         await onOrderCreated();
       }
@@ -346,6 +462,40 @@ const OrderForm = ({
             />
           </label>
         ) : null}
+        {orderType === 'TRAILING_STOP' ? (
+          <>
+            <label style={labelStyle}>
+              Trailing Distance
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <input
+                  style={{ ...inputStyle, flex: 1 }}
+                  type="number"
+                  step="any"
+                  min="0"
+                  value={trailingValue}
+                  onChange={(event) => setTrailingValue(event.target.value)}
+                  placeholder={trailingMode === 'PERCENT' ? 'e.g. 2.5' : 'e.g. 50'}
+                  required
+                />
+                <select style={inputStyle} value={trailingMode} onChange={(event) => setTrailingMode(event.target.value)}>
+                  <option value="PERCENT">%</option>
+                  <option value="OFFSET">Price</option>
+                </select>
+              </div>
+            </label>
+            <label style={labelStyle}>
+              Trail From
+              <input
+                style={inputStyle}
+                type="number"
+                step="any"
+                value={stopPrice}
+                onChange={(event) => setStopPrice(event.target.value)}
+                placeholder="Defaults to the market price"
+              />
+            </label>
+          </>
+        ) : null}
         {(orderType === 'STOP_LOSS' || orderType === 'STOP_LIMIT') ? (
           <label style={labelStyle}>
             Trigger Price
@@ -385,13 +535,86 @@ const OrderForm = ({
             required
           />
         </label>
+        {ICEBERG_ORDER_TYPES.includes(orderType) ? (
+          <label style={labelStyle}>
+            Display Amount (iceberg)
+            <input
+              style={inputStyle}
+              type="number"
+              step="any"
+              min="0"
+              value={displayAmount}
+              onChange={(event) => setDisplayAmount(event.target.value)}
+              placeholder="Optional - show only this much at a time"
+            />
+          </label>
+        ) : null}
+        <label style={labelStyle}>
+          Order Group
+          <select style={inputStyle} value={groupMode} onChange={(event) => setGroupMode(event.target.value)}>
+            {groupModes.map((mode) => (
+              <option key={mode.value} value={mode.value} disabled={mode.value === 'OCO' && orderType === 'MARKET'}>
+                {mode.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {groupMode === 'OCO' ? (
+          <label style={labelStyle}>
+            Other Order ({side === 'BUY' ? 'Buy' : 'Sell'}, same amount)
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <select style={inputStyle} value={ocoType} onChange={(event) => setOcoType(event.target.value)}>
+                <option value="LIMIT">Limit at</option>
+                <option value="STOP_LOSS">Stop at</option>
+              </select>
+              <input
+                style={{ ...inputStyle, flex: 1 }}
+                type="number"
+                step="any"
+                value={ocoPrice}
+                onChange={(event) => setOcoPrice(event.target.value)}
+                placeholder="Price"
+                required
+              />
+            </div>
+          </label>
+        ) : null}
+        {groupMode === 'BRACKET' ? (
+          <>
+            <label style={labelStyle}>
+              Take Profit ({side === 'BUY' ? 'sell' : 'buy'} limit)
+              <input
+                style={inputStyle}
+                type="number"
+                step="any"
+                value={takeProfitPrice}
+                onChange={(event) => setTakeProfitPrice(event.target.value)}
+                placeholder="Optional"
+              />
+            </label>
+            <label style={labelStyle}>
+              Stop Loss ({side === 'BUY' ? 'sell' : 'buy'} stop)
+              <input
+                style={inputStyle}
+                type="number"
+                step="any"
+                value={stopLossPrice}
+                onChange={(event) => setStopLossPrice(event.target.value)}
+                placeholder="Optional"
+              />
+            </label>
+            <p style={{ color: '#64748b', fontSize: '13px', marginTop: 0 }}>
+              Exits are placed once the entry has completely filled; the first to execute cancels the other.
+            </p>
+          </>
+        ) : null}
         <label style={{ ...labelStyle, flexDirection: 'row', alignItems: 'center', gap: '8px' }}>
           <span>Allow partial fills</span>
           <input
             type="checkbox"
             checked={allowPartialFill}
             onChange={(event) => setAllowPartialFill(event.target.checked)}
-            disabled={orderType === 'MARKET' || orderType === 'STOP_LOSS'}
+            disabled={orderType === 'MARKET' || orderType === 'STOP_LOSS' || orderType === 'TRAILING_STOP'}
           />
         </label>
         <label style={labelStyle}>
@@ -408,8 +631,20 @@ const OrderForm = ({
             ))}
           </select>
         </label>
+        {timeInForce === 'GTD' ? (
+          <label style={labelStyle}>
+            Expires At
+            <input
+              style={inputStyle}
+              type="datetime-local"
+              value={expiresAt}
+              onChange={(event) => setExpiresAt(event.target.value)}
+              required
+            />
+          </label>
+        ) : null}
         <button type="submit" style={buttonStyle} disabled={isSubmitting}>
-          {isSubmitting ? 'Submitting…' : 'Submit Order'}
+          {isSubmitting ? 'Submitting…' : groupMode === 'NONE' ? 'Submit Order' : 'Submit Order Group'}
         </button>
       </form>
       
@@ -1,4 +1,5 @@
 import React, { useMemo, useState } from 'react';
+import { downloadExport, fetchOrderFills, orderExportUrl } from '../services/api';
 
 function normalizeAddress(value) {
   if (!value) {
@@ -98,6 +99,65 @@ const refreshButtonStyle = {
   fontWeight: 600,
 };
 
+const cancelAllButtonStyle = {
+  ...refreshButtonStyle,
+  color: '#ef4444',
+  border: '1px solid #ef4444',
+};
+
+const fillsTableStyle = {
+  width: '100%',
+  borderCollapse: 'collapse',
+  fontSize: '12px',
+  color: '#1f2937',
+};
+
+const fillsCellStyle = {
+  textAlign: 'left',
+  padding: '6px 8px',
+  borderTop: '1px solid #e2e8f0',
+  whiteSpace: 'nowrap',
+};
+
+const FILL_STATUS_COLORS = {
+  CONFIRMED: '#047857',
+  ONCHAIN: '#047857',
+  QUEUED: '#1d4ed8',
+  SUBMITTED: '#1d4ed8',
+  REVERTED: '#b91c1c',
+  ABANDONED: '#b91c1c',
+  FAILED: '#b91c1c',
+  ROLLED_BACK: '#c2410c',
+};
+
+function shortenHash(value) {
+  if (!value) {
+    return '-';
+  }
+  const text = String(value);
+  return text.length > 14 ? `${text.slice(0, 8)}…${text.slice(-4)}` : text;
+}
+
+function renderFee(fee) {
+  if (!fee) {
+    return '-';
+  }
+  return fee.bps !== null && fee.bps !== undefined ? `${fee.amount} (${fee.bps} bps)` : fee.amount;
+}
+
+const exportLinkStyle = {
+  ...refreshButtonStyle,
+  textDecoration: 'none',
+  fontSize: '13px',
+};
+
+// Backend statuses behind each filter, for exports.
+const FILTER_STATUSES = {
+  ACTIVE: ['PENDING', 'PARTIAL', 'TRIGGERED', 'HELD'],
+  FILLED: ['FILLED'],
+  CANCELLED: ['CANCELLED'],
+};
+
 const FILTERS = [
   { value: 'ALL', label: 'All' },
   { value: 'ACTIVE', label: 'Open' },
@@ -126,9 +186,14 @@ const OrdersPanel = ({
   error,
   onRefresh,
   onCancelOrder,
+  onCancelAllOrders,
 }) => {
   const [filter, setFilter] = useState('ACTIVE');
   const [cancelError, setCancelError] = useState('');
+  const [exportError, setExportError] = useState('');
+  const [isCancellingAll, setIsCancellingAll] = useState(false);
+  const [expandedOrderId, setExpandedOrderId] = useState(null);
+  const [fillsState, setFillsState] = useState({ orderId: null, fills: [], isLoading: false, error: '' });
 
   const hasAnyOrders = Array.isArray(orders) && orders.length > 0;
 
@@ -155,6 +220,8 @@ const OrdersPanel = ({
   }, [orders, baseToken, quoteToken]);
 
   const hasOrdersForPair = pairFilteredOrders.length > 0;
+  const hasActiveOrders = Array.isArray(orders) && orders.some((order) => isActiveStatus(order.status));
+  const hasActiveOrdersForPair = pairFilteredOrders.some((order) => isActiveStatus(order.status));
 
   const filteredOrders = useMemo(() => {
     if (!Array.isArray(pairFilteredOrders)) {
@@ -207,6 +274,104 @@ const OrdersPanel = ({
     }
   };
 
+  // Fills are fetched each time a row is expanded so settlement states are
+  // current rather than whatever they were when the order list loaded.
+  const toggleFills = async (order) => {
+    if (expandedOrderId === order.id) {
+      setExpandedOrderId(null);
+      return;
+    }
+    setExpandedOrderId(order.id);
+    setFillsState({ orderId: order.id, fills: [], isLoading: true, error: '' });
+    try {
+      const fills = await fetchOrderFills(order.id);
+      setFillsState((current) => (current.orderId === order.id ? { ...current, fills, isLoading: false } : current));
+    } catch (err) {
+      setFillsState((current) =>
+        current.orderId === order.id
+          ? { ...current, isLoading: false, error: err?.message || 'Failed to load fills' }
+          : current,
+      );
+    }
+  };
+
+  const renderFills = () => {
+    if (fillsState.isLoading) {
+      return <div style={{ fontSize: '12px', color: '#64748b' }}>Loading fills…</div>;
+    }
+    if (fillsState.error) {
+      return <div style={{ fontSize: '12px', color: '#dc2626' }}>{fillsState.error}</div>;
+    }
+    if (fillsState.fills.length === 0) {
+      return <div style={{ fontSize: '12px', color: '#94a3b8' }}>No fills yet.</div>;
+    }
+    return (
+      <div style={{ overflowX: 'auto' }}>
+        <table style={fillsTableStyle}>
+          <thead>
+            <tr>
+              {['Time', 'Role', 'Price', 'Amount', 'Quote', 'Fee', 'Counterparty', 'Settlement', 'Tx', 'Block'].map(
+                (heading) => (
+                  <th key={heading} style={{ ...fillsCellStyle, ...labelStyle, borderTop: 'none' }}>
+                    {heading}
+                  </th>
+                ),
+              )}
+            </tr>
+          </thead>
+          <tbody>
+            {fillsState.fills.map((fill, index) => (
+              <tr key={fill.tradeId || `${fill.timestamp}-${index}`}>
+                <td style={fillsCellStyle}>{fill.timestamp ? new Date(fill.timestamp).toLocaleString() : '-'}</td>
+                <td style={fillsCellStyle}>{fill.role || '-'}</td>
+                <td style={fillsCellStyle}>{fill.price ?? '-'}</td>
+                <td style={fillsCellStyle}>{fill.amount ?? '-'}</td>
+                <td style={fillsCellStyle}>{fill.quoteAmount ?? '-'}</td>
+                <td style={fillsCellStyle}>{renderFee(fill.fee)}</td>
+                <td style={fillsCellStyle} title={fill.counterpartyOrderId || ''}>
+                  {shortenHash(fill.counterpartyOrderId)}
+                </td>
+                <td
+                  style={{ ...fillsCellStyle, fontWeight: 600, color: FILL_STATUS_COLORS[fill.settlementStatus] || '#475569' }}
+                  title={fill.settlementError || ''}
+                >
+                  {fill.settlementStatus}
+                </td>
+                <td style={fillsCellStyle} title={fill.txHash || ''}>
+                  {shortenHash(fill.txHash)}
+                </td>
+                <td style={fillsCellStyle}>{fill.blockNumber ?? '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  // Every pair goes through a nonce increment, which also voids signed orders
+  // the backend never saw; one pair is cancelled order by order.
+  const handleCancelAll = async (pairOnly) => {
+    if (!onCancelAllOrders) {
+      return;
+    }
+    const prompt = pairOnly
+      ? `Cancel every open order on ${baseToken} / ${quoteToken}?`
+      : 'Cancel every open order on every pair? This also invalidates every order signed with your current nonce.';
+    if (!window.confirm(prompt)) {
+      return;
+    }
+    setCancelError('');
+    setIsCancellingAll(true);
+    try {
+      await onCancelAllOrders({ pairOnly });
+    } catch (err) {
+      setCancelError(err?.message || 'Failed to cancel orders');
+    } finally {
+      setIsCancellingAll(false);
+    }
+  };
+
   return (
     <div style={containerStyle}>
       <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
@@ -217,9 +382,29 @@ const OrdersPanel = ({
               {baseToken && quoteToken ? `Current pair: ${baseToken} / ${quoteToken}` : 'Select a trading pair'}
             </div>
           </div>
-          <button type="button" style={refreshButtonStyle} onClick={onRefresh} disabled={isLoading}>
-            {isLoading ? 'Refreshing…' : 'Refresh'}
-          </button>
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+            {baseToken && quoteToken ? (
+              <button
+                type="button"
+                style={cancelAllButtonStyle}
+                onClick={() => handleCancelAll(true)}
+                disabled={!account || isCancellingAll || !hasActiveOrdersForPair}
+              >
+                Cancel Pair
+              </button>
+            ) : null}
+            <button
+              type="button"
+              style={cancelAllButtonStyle}
+              onClick={() => handleCancelAll(false)}
+              disabled={!account || isCancellingAll || !hasActiveOrders}
+            >
+              {isCancellingAll ? 'Cancelling…' : 'Cancel All'}
+            </button>
+            <button type="button" style={refreshButtonStyle} onClick={onRefresh} disabled={isLoading}>
+              {isLoading ? 'Refreshing…' : 'Refresh'}
+            </button>
+          </div>
         </div>
         <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
           {FILTERS.map((item) => (
@@ -233,11 +418,34 @@ const OrdersPanel = ({
             </button>
           ))}
         </div>
+        {account ? (
+          <div style={{ display: 'flex', gap: '8px', alignItems: 'center', fontSize: '13px', color: '#64748b' }}>
+            Export orders matching this filter:
+            {['csv', 'ndjson'].map((format) => (
+              <a
+                key={format}
+                style={exportLinkStyle}
+                href={orderExportUrl({ format, trader: account, baseToken, quoteToken, status: FILTER_STATUSES[filter] })}
+                download
+                onClick={(event) => {
+                  event.preventDefault();
+                  setExportError('');
+                  downloadExport(event.currentTarget.href, `orders.${format}`).catch((err) => {
+                    setExportError(err.message || 'Export failed');
+                  });
+                }}
+              >
+                {format.toUpperCase()}
+              </a>
+            ))}
+          </div>
+        ) : null}
       </div>
 
       {!account ? <div style={{ color: '#94a3b8' }}>Connect a wallet to view your orders.</div> : null}
       {error ? <div style={{ color: '#dc2626' }}>{error}</div> : null}
       {cancelError ? <div style={{ color: '#dc2626' }}>{cancelError}</div> : null}
+      {exportError ? <div style={{ color: '#dc2626' }}>{exportError}</div> : null}
       {isLoading ? <div style={{ color: '#64748b' }}>Loading orders…</div> : null}
 
       {account && !isLoading && !hasOrdersForPair && hasAnyOrders ? (
@@ -279,7 +487,12 @@ const OrdersPanel = ({
                   </div>
                   <div style={labelStyle}>Order ID: {order.id}</div>
                 </div>
-                <span style={badgeStyle(status)}>{status}</span>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                  <button type="button" style={refreshButtonStyle} onClick={() => toggleFills(order)}>
+                    {expandedOrderId === order.id ? 'Hide Fills' : 'Fills'}
+                  </button>
+                  <span style={badgeStyle(status)}>{status}</span>
+                </div>
               </div>
               <div style={rowStyle}>
                 <div>
@@ -298,12 +511,38 @@ const OrdersPanel = ({
                   <div style={labelStyle}>Price Source</div>
                   <div>{order.metadata?.priceSource ? String(order.metadata.priceSource).toUpperCase() : '-'}</div>
                 </div>
-                {order.stopPrice ? (
+                {order.metadata?.trailing ? (
+                  <div>
+                    <div style={labelStyle}>Trailing Stop</div>
+                    <div>
+                      {order.metadata.trailing.stopPrice ?? '-'} (
+                      {order.trailingPercent ? `${order.trailingPercent}%` : order.trailingOffset} from{' '}
+                      {order.metadata.trailing.reference ?? '-'})
+                    </div>
+                  </div>
+                ) : order.stopPrice ? (
                   <div>
                     <div style={labelStyle}>Trigger Price</div>
                     <div>{order.stopPrice}</div>
                   </div>
                 ) : null}
+                {order.displayAmount ? (
+                  <div>
+                    <div style={labelStyle}>Iceberg Display</div>
+                    <div>
+                      {order.displayAmount}
+                      {order.metadata?.iceberg ? ` (${order.metadata.iceberg.refills} refills)` : ''}
+                    </div>
+                  </div>
+                ) : null}
+                {order.metadata?.group ? (
+                  <div>
+                    <div style={labelStyle}>Order Group</div>
+                    <div>
+                      {order.metadata.group.type} {String(order.metadata.group.role).replace('_', ' ').toLowerCase()}
+                    </div>
+                  </div>
+                ) : null}
               </div>
               {syntheticFill ? (
                 <div
@@ -322,6 +561,7 @@ const OrdersPanel = ({
                   .
                 </div>
               ) : null}
+              {expandedOrderId === order.id ? renderFills() : null}
               {canCancel ? (
                 <div style={actionBarStyle}>
                   <span style={{ fontSize: '12px', color: '#64748b' }}>
@@ -0,0 +1,240 @@
+import React, { useEffect, useState } from 'react';
+import { fetchPortfolio, fetchUserTrades } from '../services/api';
+
+const RECENT_TRADE_LIMIT = 20;
+
+const containerStyle = {
+  background: '#ffffff',
+  borderRadius: '12px',
+  padding: '24px',
+  boxShadow: '0 12px 32px rgba(15, 23, 42, 0.08)',
+  marginBottom: '24px',
+};
+
+const tableStyle = {
+  width: '100%',
+  borderCollapse: 'collapse',
+  fontSize: '14px',
+};
+
+const headerCellStyle = {
+  borderBottom: '1px solid #e2e8f0',
+  padding: '10px 12px',
+  textAlign: 'left',
+  color: '#0f172a',
+};
+
+const cellStyle = {
+  padding: '10px 12px',
+  borderBottom: '1px solid #f1f5f9',
+};
+
+const sectionTitleStyle = {
+  margin: '20px 0 8px',
+  fontSize: '15px',
+  color: '#0f172a',
+};
+
+const refreshButtonStyle = {
+  background: 'transparent',
+  color: '#2563eb',
+  border: '1px solid #2563eb',
+  borderRadius: '6px',
+  padding: '6px 12px',
+  cursor: 'pointer',
+  fontWeight: 600,
+};
+
+function formatNumber(value, digits = 6) {
+  return value === null || value === undefined ? '-' : Number(Number(value).toFixed(digits));
+}
+
+function formatPnl(value) {
+  if (value === null || value === undefined) {
+    return { text: '-', color: '#64748b' };
+  }
+  return {
+    text: `${value > 0 ? '+' : ''}${formatNumber(value)}`,
+    color: value > 0 ? '#16a34a' : value < 0 ? '#dc2626' : '#64748b',
+  };
+}
+
+const PnlCell = ({ value }) => {
+  const { text, color } = formatPnl(value);
+  return <td style={{ ...cellStyle, color, fontWeight: 600 }}>{text}</td>;
+};
+
+const PortfolioPanel = ({ account, tokens = [], refreshSignal = 0 }) => {
+  const [portfolio, setPortfolio] = useState(null);
+  const [trades, setTrades] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadNonce, setReloadNonce] = useState(0);
+
+  const symbolOf = (address) => {
+    const token = (tokens || []).find((entry) => entry.address?.toLowerCase() === String(address).toLowerCase());
+    return token?.symbol || address;
+  };
+
+  useEffect(() => {
+    if (!account) {
+      setPortfolio(null);
+      setTrades([]);
+      return;
+    }
+
+    let isMounted = true;
+    const load = async () => {
+      setIsLoading(true);
+      try {
+        const [portfolioResult, tradeResult] = await Promise.all([
+          fetchPortfolio(account),
+          fetchUserTrades(account, { limit: RECENT_TRADE_LIMIT }),
+        ]);
+        if (isMounted) {
+          setPortfolio(portfolioResult);
+          setTrades(tradeResult);
+          setError(null);
+        }
+      } catch (err) {
+        if (isMounted) {
+          setError(err.message || 'Failed to load portfolio');
+        }
+      } finally {
+        if (isMounted) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    load();
+    return () => {
+      isMounted = false;
+    };
+  }, [account, refreshSignal, reloadNonce]);
+
+  const positions = portfolio?.positions || [];
+  const balances = (portfolio?.balances || []).filter((entry) => entry.totalBalance !== '0');
+
+  return (
+    <div style={containerStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h2 style={{ margin: 0 }}>Portfolio</h2>
+        <button
+          type="button"
+          style={refreshButtonStyle}
+          onClick={() => setReloadNonce((prev) => prev + 1)}
+          disabled={!account || isLoading}
+        >
+          {isLoading ? 'Refreshing…' : 'Refresh'}
+        </button>
+      </div>
+      {!account ? <p>Please connect your wallet first</p> : null}
+      {error ? <p style={{ color: '#dc2626' }}>{error}</p> : null}
+
+      {account && portfolio ? (
+        <>
+          <h3 style={sectionTitleStyle}>Positions</h3>
+          {positions.length === 0 ? <p style={{ color: '#94a3b8' }}>No fills yet.</p> : null}
+          {positions.length > 0 ? (
+            <table style={tableStyle}>
+              <thead>
+                <tr>
+                  <th style={headerCellStyle}>Pair</th>
+                  <th style={headerCellStyle}>Position</th>
+                  <th style={headerCellStyle}>Avg Entry</th>
+                  <th style={headerCellStyle}>Mark</th>
+                  <th style={headerCellStyle}>Realized</th>
+                  <th style={headerCellStyle}>Unrealized</th>
+                </tr>
+              </thead>
+              <tbody>
+                {positions.map((position) => (
+                  <tr key={position.pairKey}>
+                    <td style={cellStyle}>
+                      {symbolOf(position.baseToken)} / {symbolOf(position.quoteToken)}
+                    </td>
+                    <td style={cellStyle}>{formatNumber(position.position)}</td>
+                    <td style={cellStyle}>{formatNumber(position.averageEntryPrice)}</td>
+                    <td style={cellStyle}>{formatNumber(position.markPrice)}</td>
+                    <PnlCell value={position.realizedPnl} />
+                    <PnlCell value={position.unrealizedPnl} />
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : null}
+          {(portfolio.pnlByQuoteToken || []).map((total) => (
+            <div key={total.quoteToken} style={{ fontSize: '13px', color: '#475569', marginTop: '8px' }}>
+              Total in {symbolOf(total.quoteToken)}: realized {formatPnl(total.realizedPnl).text}, unrealized{' '}
+              {formatPnl(total.unrealizedPnl).text}
+              {total.unpriced > 0 ? ` (${total.unpriced} position(s) without a mark price)` : ''}
+            </div>
+          ))}
+
+          <h3 style={sectionTitleStyle}>Balances</h3>
+          {balances.length === 0 ? <p style={{ color: '#94a3b8' }}>No balances.</p> : null}
+          {balances.length > 0 ? (
+            <table style={tableStyle}>
+              <thead>
+                <tr>
+                  <th style={headerCellStyle}>Token</th>
+                  <th style={headerCellStyle}>Wallet</th>
+                  <th style={headerCellStyle}>DEX Escrow</th>
+                  <th style={headerCellStyle}>Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {balances.map((entry) => (
+                  <tr key={entry.token}>
+                    <td style={cellStyle}>{entry.symbol || symbolOf(entry.token)}</td>
+                    <td style={cellStyle} title={entry.walletBalanceError || ''}>
+                      {entry.walletBalance}
+                    </td>
+                    <td style={cellStyle} title={entry.dexBalanceError || ''}>
+                      {entry.dexBalance}
+                    </td>
+                    <td style={cellStyle}>{formatNumber(entry.total)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : null}
+
+          <h3 style={sectionTitleStyle}>Recent Fills</h3>
+          {trades.length === 0 ? <p style={{ color: '#94a3b8' }}>No fills yet.</p> : null}
+          {trades.length > 0 ? (
+            <table style={tableStyle}>
+              <thead>
+                <tr>
+                  <th style={headerCellStyle}>Time</th>
+                  <th style={headerCellStyle}>Pair</th>
+                  <th style={headerCellStyle}>Side</th>
+                  <th style={headerCellStyle}>Price</th>
+                  <th style={headerCellStyle}>Amount</th>
+                  <th style={headerCellStyle}>Settlement</th>
+                </tr>
+              </thead>
+              <tbody>
+                {trades.map((trade, index) => (
+                  <tr key={`${trade.orderId}-${trade.tradeId || index}`}>
+                    <td style={cellStyle}>{trade.timestamp ? new Date(trade.timestamp).toLocaleString() : '-'}</td>
+                    <td style={cellStyle}>
+                      {symbolOf(trade.baseToken)} / {symbolOf(trade.quoteToken)}
+                    </td>
+                    <td style={{ ...cellStyle, color: trade.side === 'BUY' ? '#16a34a' : '#dc2626' }}>{trade.side}</td>
+                    <td style={cellStyle}>{formatNumber(trade.price)}</td>
+                    <td style={cellStyle}>{formatNumber(trade.amount)}</td>
+                    <td style={cellStyle}>{trade.settlementStatus}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : null}
+        </>
+      ) : null}
+    </div>
+  );
+};
+
+export default PortfolioPanel;
@@ -264,7 +264,8 @@ const TokenManager = ({
         symbol: (registerForm.symbol || '').trim() || undefined,
         name: (registerForm.name || '').trim() || undefined,
         decimals: toNumberOrUndefined(registerForm.decimals) ?? 18,
-        issuer: sanitizeAddress(registerForm.issuer) || undefined,
+        // The backend only lets the issuer register a token; default to the connected wallet.
+        issuer: sanitizeAddress(registerForm.issuer) || account || undefined,
         totalSupply: toNumberOrUndefined(registerForm.totalSupply),
         description: (registerForm.description || '').trim() || undefined,
       };
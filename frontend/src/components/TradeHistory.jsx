@@ -1,7 +1,9 @@
 import React, { useEffect, useMemo, useState } from 'react';
-import { fetchRecentTrades } from '../services/api';
+import { fetchRecentTrades, userTradesExportUrl } from '../services/api';
+import streamClient, { pairChannel } from '../services/stream';
 
 const POLL_INTERVAL_MS = 5000;
+const TRADE_LIMIT = 25;
 
 const styles = {
   container: {
@@ -52,6 +54,15 @@ const styles = {
   error: {
     color: '#dc2626',
   },
+  exportLink: {
+    color: '#2563eb',
+    border: '1px solid #2563eb',
+    borderRadius: '6px',
+    padding: '4px 10px',
+    fontWeight: 600,
+    fontSize: '13px',
+    textDecoration: 'none',
+  },
   columns: {
     display: 'grid',
     gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))',
@@ -143,13 +154,31 @@ const TradeTable = ({ title, trades }) => (
   </div>
 );
 
-const TradeHistory = ({ baseToken, quoteToken, onPairChange }) => {
+const TradeHistory = ({ account, baseToken, quoteToken, onPairChange }) => {
   const [localBase, setLocalBase] = useState(baseToken || '');
   const [localQuote, setLocalQuote] = useState(quoteToken || '');
   const [trades, setTrades] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
+  const [isStreaming, setIsStreaming] = useState(streamClient.isConnected());
+
+  useEffect(() => streamClient.onStatusChange(setIsStreaming), []);
+
+  useEffect(() => {
+    if (!baseToken || !quoteToken) {
+      return undefined;
+    }
+    return streamClient.subscribe(pairChannel('trades', baseToken, quoteToken), (message) => {
+      if (message.type === 'snapshot') {
+        setTrades(Array.isArray(message.data) ? message.data.slice(-TRADE_LIMIT) : []);
+      } else {
+        setTrades((prev) => [...prev, message.data].slice(-TRADE_LIMIT));
+      }
+      setLastUpdated(new Date());
+      setError(null);
+    });
+  }, [baseToken, quoteToken]);
 
   useEffect(() => {
     setLocalBase(baseToken || '');
@@ -169,7 +198,7 @@ const TradeHistory = ({ baseToken, quoteToken, onPairChange }) => {
       }
       setIsLoading(true);
       try {
-        const data = await fetchRecentTrades({ baseToken, quoteToken, limit: 25 });
+        const data = await fetchRecentTrades({ baseToken, quoteToken, limit: TRADE_LIMIT });
         if (isMounted) {
           setTrades(data);
           setLastUpdated(new Date());
@@ -186,6 +215,10 @@ const TradeHistory = ({ baseToken, quoteToken, onPairChange }) => {
       }
     };
 
+    if (isStreaming) {
+      return undefined;
+    }
+
     loadTrades();
     timerId = setInterval(loadTrades, POLL_INTERVAL_MS);
 
@@ -195,7 +228,7 @@ const TradeHistory = ({ baseToken, quoteToken, onPairChange }) => {
         clearInterval(timerId);
       }
     };
-  }, [baseToken, quoteToken]);
+  }, [baseToken, quoteToken, isStreaming]);
 
   const groupedTrades = useMemo(() => {
     const buyTrades = [];
@@ -259,13 +292,30 @@ const TradeHistory = ({ baseToken, quoteToken, onPairChange }) => {
         {isLoading ? (
           <span>Loading…</span>
         ) : (
-          <span>Last updated: {formatTimestamp(lastUpdated)}</span>
+          <span>
+            Last updated: {formatTimestamp(lastUpdated)} ({isStreaming ? 'live' : 'polling'})
+          </span>
         )}
         {error ? (
           <span className="error" style={styles.error}>
             {error}
           </span>
         ) : null}
+        {account && baseToken && quoteToken ? (
+          <span style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+            Export my fills on this pair:
+            {['csv', 'ndjson'].map((format) => (
+              <a
+                key={format}
+                style={styles.exportLink}
+                href={userTradesExportUrl(account, { format, baseToken, quoteToken })}
+                download
+              >
+                {format.toUpperCase()}
+              </a>
+            ))}
+          </span>
+        ) : null}
       </div>
       <div className="trade-columns" style={styles.columns}>
         <TradeTable title="Buys" trades={groupedTrades.buy} />
@@ -1,5 +1,12 @@
 import React, { useCallback, useEffect, useState } from 'react';
-import { registerUser } from '../services/api';
+import {
+  incrementDexNonce,
+  registerUser,
+  requestSignInNonce,
+  setAuthToken,
+  verifySignIn,
+} from '../services/api';
+import { sendPreparedTransactions } from '../services/wallet';
 
 const containerStyle = {
   background: '#ffffff',
@@ -25,26 +32,136 @@ const infoStyle = {
   color: '#475569',
 };
 
+const SESSION_STORAGE_KEY = 'dex.session';
+
+function loadStoredSession(address) {
+  try {
+    const stored = JSON.parse(window.sessionStorage.getItem(SESSION_STORAGE_KEY) || 'null');
+    if (
+      stored?.token &&
+      stored.address?.toLowerCase() === String(address || '').toLowerCase() &&
+      new Date(stored.expiresAt).getTime() > Date.now()
+    ) {
+      return stored;
+    }
+  } catch (error) {
+    // Ignore unreadable storage and sign in again
+  }
+  return null;
+}
+
+function storeSession(session) {
+  try {
+    if (session) {
+      window.sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+    } else {
+      window.sessionStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+  } catch (error) {
+    // Session storage is optional
+  }
+}
+
 const WalletConnect = ({ onAccountChange, account, chainId }) => {
   const [status, setStatus] = useState('');
+  const [session, setSession] = useState(null);
+  const [isSigningIn, setIsSigningIn] = useState(false);
+  const [nonceStatus, setNonceStatus] = useState('');
+  const [isIncrementingNonce, setIsIncrementingNonce] = useState(false);
+
+  const applySession = useCallback((nextSession) => {
+    setAuthToken(nextSession?.token || null);
+    storeSession(nextSession);
+    setSession(nextSession);
+  }, []);
+
+  // Sign-In with Ethereum: the backend issues the message, the wallet signs it
+  // with personal_sign and the returned session token authorizes writes.
+  const signIn = useCallback(
+    async (address, chain) => {
+      if (!address || !window.ethereum) {
+        return;
+      }
+      setIsSigningIn(true);
+      try {
+        const challenge = await requestSignInNonce({
+          address,
+          chainId: chain ? parseInt(chain, 16) : undefined,
+        });
+        const signature = await window.ethereum.request({
+          method: 'personal_sign',
+          params: [challenge.message, address],
+        });
+        const nextSession = await verifySignIn({ nonce: challenge.nonce, signature });
+        applySession(nextSession);
+        setStatus('');
+        await registerUser({ address });
+      } catch (error) {
+        setStatus(error.message || 'Unable to sign in');
+      } finally {
+        setIsSigningIn(false);
+      }
+    },
+    [applySession],
+  );
 
   const notifyAccountChange = useCallback(
-    async (accounts, chain) => {
+    async (accounts, chain, { promptSignIn = true } = {}) => {
       const nextAccount = Array.isArray(accounts) && accounts.length > 0 ? accounts[0] : null;
       if (onAccountChange) {
         onAccountChange(nextAccount, chain);
       }
-      if (nextAccount) {
-        try {
-          await registerUser({ address: nextAccount });
-        } catch (error) {
-          setStatus(error.message || 'Unable to register user');
-        }
+      if (!nextAccount) {
+        applySession(null);
+        return;
+      }
+      const stored = loadStoredSession(nextAccount);
+      if (stored) {
+        applySession(stored);
+        return;
+      }
+      if (promptSignIn) {
+        applySession(null);
+        await signIn(nextAccount, chain);
       }
     },
-    [onAccountChange],
+    [applySession, onAccountChange, signIn],
   );
 
+  // Bumps the on-chain nonce from the connected wallet, which invalidates every
+  // order signed with the previous nonce.
+  const invalidateSignedOrders = useCallback(async () => {
+    if (!account) {
+      return;
+    }
+    if (!window.confirm('Invalidate every order signed with your current nonce?')) {
+      return;
+    }
+    setIsIncrementingNonce(true);
+    setNonceStatus('');
+    try {
+      const prepared = await incrementDexNonce({ from: account });
+      const [hash] = await sendPreparedTransactions(prepared, { onStatus: setNonceStatus });
+      setNonceStatus(`Nonce incremented (tx ${hash.slice(0, 10)}…)`);
+    } catch (error) {
+      setNonceStatus(error.message || 'Failed to increment nonce');
+    } finally {
+      setIsIncrementingNonce(false);
+    }
+  }, [account]);
+
+  useEffect(() => {
+    if (!session?.expiresAt) {
+      return undefined;
+    }
+    const remaining = new Date(session.expiresAt).getTime() - Date.now();
+    const timer = setTimeout(() => {
+      applySession(null);
+      setStatus('Session expired. Sign in again to place or cancel orders.');
+    }, Math.max(remaining, 0));
+    return () => clearTimeout(timer);
+  }, [applySession, session]);
+
   const connectWallet = useCallback(async () => {
     if (!window.ethereum) {
       setStatus('No Ethereum wallet detected. Please install MetaMask.');
@@ -86,7 +203,7 @@ const WalletConnect = ({ onAccountChange, account, chainId }) => {
       .then((accounts) => {
         if (accounts && accounts.length > 0) {
           return window.ethereum.request({ method: 'eth_chainId' }).then((chain) => {
-            notifyAccountChange(accounts, chain);
+            notifyAccountChange(accounts, chain, { promptSignIn: false });
           });
         }
         return null;
@@ -110,6 +227,27 @@ const WalletConnect = ({ onAccountChange, account, chainId }) => {
         <div style={infoStyle}>
           <div>Address: {account}</div>
           <div>Network: {chainId || 'Unknown'}</div>
+          {session ? (
+            <div>Signed in until {new Date(session.expiresAt).toLocaleTimeString()}</div>
+          ) : (
+            <button
+              type="button"
+              style={{ ...buttonStyle, marginTop: '8px', background: '#0f172a' }}
+              onClick={() => signIn(account, chainId)}
+              disabled={isSigningIn}
+            >
+              {isSigningIn ? 'Waiting for signature…' : 'Sign In'}
+            </button>
+          )}
+          <button
+            type="button"
+            style={{ ...buttonStyle, marginTop: '8px', marginLeft: '8px', background: '#dc2626' }}
+            onClick={invalidateSignedOrders}
+            disabled={isIncrementingNonce}
+          >
+            {isIncrementingNonce ? 'Invalidating…' : 'Invalidate Signed Orders'}
+          </button>
+          {nonceStatus ? <div>{nonceStatus}</div> : null}
         </div>
       ) : (
         <div style={infoStyle}>No wallet connected</div>
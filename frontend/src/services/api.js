@@ -1,4 +1,4 @@
-const API_BASE_URL = (() => {
+export const API_BASE_URL = (() => {
   const explicitEnvUrl =
     (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.VITE_API_BASE_URL) ||
     (typeof process !== 'undefined' && process.env && process.env.REACT_APP_API_BASE_URL) ||
@@ -18,6 +18,17 @@ const API_BASE_URL = (() => {
   return 'http://localhost:4000';
 })();
 
+let authToken = null;
+
+// Bearer token from Sign-In with Ethereum, sent with every request once set.
+export function setAuthToken(token) {
+  authToken = token || null;
+}
+
+export function getAuthToken() {
+  return authToken;
+}
+
 async function request(path, options = {}) {
   const base = API_BASE_URL || '';
   const suffix = path.startsWith('/') ? path : `/${path}`;
@@ -26,6 +37,7 @@ async function request(path, options = {}) {
   const response = await fetch(url, {
     headers: {
       'Content-Type': 'application/json',
+      ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
       ...(headers || {}),
     },
     ...rest,
@@ -56,6 +68,24 @@ async function request(path, options = {}) {
   }
 }
 
+export async function requestSignInNonce({ address, chainId }) {
+  return request('/api/auth/nonce', {
+    method: 'POST',
+    body: JSON.stringify({ address, chainId }),
+  });
+}
+
+export async function verifySignIn({ nonce, signature }) {
+  return request('/api/auth/verify', {
+    method: 'POST',
+    body: JSON.stringify({ nonce, signature }),
+  });
+}
+
+export async function signOut() {
+  return request('/api/auth/logout', { method: 'POST' });
+}
+
 export async function fetchRecentTrades({ baseToken, quoteToken, limit = 20 } = {}) {
   if (!baseToken || !quoteToken) {
     return [];
@@ -95,6 +125,43 @@ export async function fetchOrderBook({ baseToken, quoteToken }) {
   return request(`/api/orders/book?${params.toString()}`);
 }
 
+export async function fetchOrderBookDepth({ baseToken, quoteToken, tick, limit }) {
+  if (!baseToken || !quoteToken) {
+    return { bids: [], asks: [], bestBid: null, bestAsk: null, mid: null, spread: null, spreadBps: null };
+  }
+  const params = new URLSearchParams({ baseToken, quoteToken });
+  if (tick) {
+    params.set('tick', String(tick));
+  }
+  if (limit) {
+    params.set('limit', String(limit));
+  }
+  return request(`/api/orders/book/depth?${params.toString()}`);
+}
+
+export async function fetchCandles({ baseToken, quoteToken, interval = '1m', from, to, limit } = {}) {
+  if (!baseToken || !quoteToken) {
+    return [];
+  }
+  const params = new URLSearchParams({ base: baseToken, quote: quoteToken, interval });
+  if (from) {
+    params.set('from', String(from));
+  }
+  if (to) {
+    params.set('to', String(to));
+  }
+  if (limit) {
+    params.set('limit', String(limit));
+  }
+  const result = await request(`/api/prices/candles?${params.toString()}`);
+  return Array.isArray(result?.candles) ? result.candles : [];
+}
+
+export async function fetchMarkets() {
+  const result = await request('/api/markets');
+  return Array.isArray(result) ? result : [];
+}
+
 export async function fetchPairPrice(baseToken, quoteToken) {
   if (!baseToken || !quoteToken) {
     return null;
@@ -128,6 +195,13 @@ export async function submitOrder(payload) {
   });
 }
 
+export async function submitOrderGroup(payload) {
+  return request('/api/orders/group', {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+}
+
 export async function getOrder(id) {
   if (!id) {
     throw new Error('Order id is required');
@@ -135,6 +209,14 @@ export async function getOrder(id) {
   return request(`/api/orders/${encodeURIComponent(id)}`);
 }
 
+export async function fetchOrderFills(id) {
+  if (!id) {
+    throw new Error('Order id is required');
+  }
+  const result = await request(`/api/orders/${encodeURIComponent(id)}/fills`);
+  return Array.isArray(result?.fills) ? result.fills : [];
+}
+
 export async function listOrders(filters = {}) {
   const params = new URLSearchParams();
   if (filters.baseToken) {
@@ -165,6 +247,13 @@ export async function cancelOrder(id, reason) {
   });
 }
 
+export async function cancelAllOrders(payload) {
+  return request('/api/orders/cancel-all', {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+}
+
 export async function updateMarketPrice(payload) {
   return request('/api/orders/market-price', {
     method: 'POST',
@@ -193,6 +282,79 @@ export async function fetchBalances(address, { tokens = [], includeWallet = fals
   return request(`/api/users/${address}/balances?${params.toString()}`);
 }
 
+export async function fetchUserTrades(address, { baseToken, quoteToken, limit } = {}) {
+  if (!address) {
+    return [];
+  }
+  const params = new URLSearchParams();
+  if (baseToken && quoteToken) {
+    params.set('baseToken', baseToken);
+    params.set('quoteToken', quoteToken);
+  }
+  if (limit) {
+    params.set('limit', String(limit));
+  }
+  const suffix = params.toString();
+  const result = await request(`/api/users/${address}/trades${suffix ? `?${suffix}` : ''}`);
+  return Array.isArray(result?.trades) ? result.trades : [];
+}
+
+export async function fetchPortfolio(address) {
+  if (!address) {
+    return null;
+  }
+  return request(`/api/users/${address}/portfolio`);
+}
+
+// Exports are plain GET downloads, so these return a URL for a link rather
+// than fetching the file.
+function buildExportUrl(path, { format = 'csv', from, to, status, baseToken, quoteToken, trader } = {}) {
+  const params = new URLSearchParams({ format });
+  if (from) {
+    params.set('from', String(from));
+  }
+  if (to) {
+    params.set('to', String(to));
+  }
+  if (status) {
+    params.set('status', Array.isArray(status) ? status.join(',') : status);
+  }
+  if (baseToken && quoteToken) {
+    params.set('baseToken', baseToken);
+    params.set('quoteToken', quoteToken);
+  }
+  if (trader) {
+    params.set('trader', trader);
+  }
+  return `${API_BASE_URL || ''}${path}?${params.toString()}`;
+}
+
+export function orderExportUrl(filters = {}) {
+  return buildExportUrl('/api/orders/export', filters);
+}
+
+// Downloads an export with the session token attached, so the signed-in
+// trader's own orders come back in full rather than as the book shows them.
+export async function downloadExport(url, filename) {
+  const response = await fetch(url, {
+    headers: authToken ? { Authorization: `Bearer ${authToken}` } : {},
+  });
+  if (!response.ok) {
+    const errorPayload = await response.json().catch(() => ({ message: response.statusText || 'Export failed' }));
+    throw new Error(errorPayload?.message || 'Export failed');
+  }
+  const blobUrl = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = blobUrl;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(blobUrl);
+}
+
+export function userTradesExportUrl(address, filters = {}) {
+  return buildExportUrl(`/api/users/${address}/trades/export`, filters);
+}
+
 export async function fetchDexConfig() {
   return request('/api/dex/config');
 }
@@ -260,20 +422,50 @@ export async function incrementDexNonce(payload = {}) {
   });
 }
 
+export async function trackTransaction(payload) {
+  return request('/api/dex/transactions', {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+}
+
+export async function fetchTransaction(hash) {
+  if (!hash) {
+    throw new Error('hash is required');
+  }
+  return request(`/api/dex/transactions/${encodeURIComponent(hash)}`);
+}
+
 export default {
+  setAuthToken,
+  getAuthToken,
+  requestSignInNonce,
+  verifySignIn,
+  signOut,
   fetchRecentTrades,
+  fetchCandles,
+  fetchMarkets,
   fetchTokens,
   registerToken,
   issueToken,
   fetchOrderBook,
+  fetchOrderBookDepth,
   prepareOrder,
   submitOrder,
+  submitOrderGroup,
   getOrder,
+  fetchOrderFills,
   listOrders,
   cancelOrder,
+  cancelAllOrders,
   updateMarketPrice,
   registerUser,
   fetchBalances,
+  fetchUserTrades,
+  fetchPortfolio,
+  orderExportUrl,
+  downloadExport,
+  userTradesExportUrl,
   fetchDexConfig,
   fetchDexNonce,
   fetchDexBalances,
@@ -284,4 +476,6 @@ export default {
   cancelOrderOnChain,
   cancelOrdersBatch,
   incrementDexNonce,
+  trackTransaction,
+  fetchTransaction,
 };
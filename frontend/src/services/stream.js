@@ -0,0 +1,198 @@
+import { API_BASE_URL, getAuthToken } from './api';
+
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 15000;
+
+const STREAM_URL = (() => {
+  const explicitEnvUrl =
+    typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.VITE_WS_URL;
+  if (explicitEnvUrl) {
+    return explicitEnvUrl;
+  }
+  const path =
+    (typeof import.meta !== 'undefined' && import.meta.env && import.meta.env.VITE_WS_PATH) || '/ws';
+  return `${API_BASE_URL.replace(/^http/, 'ws')}${path}`;
+})();
+
+export function pairChannel(type, baseToken, quoteToken) {
+  return `${type}:${String(baseToken).toLowerCase()}-${String(quoteToken).toLowerCase()}`;
+}
+
+export function ordersChannel(trader) {
+  return `orders:${String(trader).toLowerCase()}`;
+}
+
+// Keeps a single socket for the whole app. Each channel tracks the last
+// sequence number it has applied; an update that does not follow on from it
+// means messages were missed, so the client asks the server to resync and
+// ignores updates until the fresh snapshot arrives.
+class StreamClient {
+  constructor(url) {
+    this.url = url;
+    this.socket = null;
+    this.handlers = new Map();
+    this.sequences = new Map();
+    this.statusListeners = new Set();
+    this.connected = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+  }
+
+  subscribe(channel, handler) {
+    let handlers = this.handlers.get(channel);
+    if (!handlers) {
+      handlers = new Set();
+      this.handlers.set(channel, handlers);
+      this._subscribe(channel);
+    }
+    handlers.add(handler);
+    this._connect();
+
+    return () => {
+      const current = this.handlers.get(channel);
+      if (!current) {
+        return;
+      }
+      current.delete(handler);
+      if (current.size === 0) {
+        this.handlers.delete(channel);
+        this.sequences.delete(channel);
+        this._send({ op: 'unsubscribe', channel });
+      }
+    };
+  }
+
+  onStatusChange(listener) {
+    this.statusListeners.add(listener);
+    listener(this.connected);
+    return () => {
+      this.statusListeners.delete(listener);
+    };
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  _connect() {
+    if (this.socket || typeof WebSocket === 'undefined') {
+      return;
+    }
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.reconnectAttempts = 0;
+      this._setConnected(true);
+      this.sequences.clear();
+      this.handlers.forEach((_, channel) => this._subscribe(channel));
+    };
+
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        return;
+      }
+      this._handleMessage(message);
+    };
+
+    socket.onclose = () => {
+      this.socket = null;
+      this._setConnected(false);
+      this._scheduleReconnect();
+    };
+
+    socket.onerror = () => {
+      socket.close();
+    };
+  }
+
+  _scheduleReconnect() {
+    if (this.handlers.size === 0 || this.reconnectTimer) {
+      return;
+    }
+    const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempts, RECONNECT_MAX_DELAY_MS);
+    this.reconnectAttempts += 1;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this._connect();
+    }, delay);
+  }
+
+  _handleMessage(message) {
+    const { type, channel } = message || {};
+    if (!channel || !this.handlers.has(channel)) {
+      return;
+    }
+
+    if (type === 'snapshot') {
+      this.sequences.set(channel, message.seq);
+      this._dispatch(channel, message);
+      return;
+    }
+
+    if (type !== 'update') {
+      return;
+    }
+
+    const lastSeq = this.sequences.get(channel);
+    if (lastSeq === undefined || lastSeq === null) {
+      return;
+    }
+    if (message.seq <= lastSeq) {
+      return;
+    }
+    if (message.seq !== lastSeq + 1) {
+      this.sequences.set(channel, null);
+      this._send({ op: 'resync', channel });
+      return;
+    }
+    this.sequences.set(channel, message.seq);
+    this._dispatch(channel, message);
+  }
+
+  _dispatch(channel, message) {
+    const handlers = this.handlers.get(channel);
+    if (!handlers) {
+      return;
+    }
+    handlers.forEach((handler) => {
+      try {
+        handler(message);
+      } catch (error) {
+        console.error('Stream handler failed', error);
+      }
+    });
+  }
+
+  _setConnected(connected) {
+    if (this.connected === connected) {
+      return;
+    }
+    this.connected = connected;
+    this.statusListeners.forEach((listener) => listener(connected));
+  }
+
+  // Order channels are private to the trader, so they carry the session token.
+  _subscribe(channel) {
+    const token = channel.startsWith('orders:') ? getAuthToken() : null;
+    this._send({ op: 'subscribe', channel, ...(token ? { token } : {}) });
+  }
+
+  _send(payload) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(payload));
+    }
+  }
+}
+
+const streamClient = new StreamClient(STREAM_URL);
+
+export default streamClient;
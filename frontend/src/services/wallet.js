@@ -0,0 +1,85 @@
+import { trackTransaction } from './api';
+
+const RECEIPT_POLL_INTERVAL_MS = 1500;
+const RECEIPT_TIMEOUT_MS = 5 * 60 * 1000;
+
+function toHex(value) {
+  if (value === null || value === undefined || value === '') {
+    return undefined;
+  }
+  return `0x${BigInt(value).toString(16)}`;
+}
+
+// Converts a decimal string such as "1.5" into integer base units.
+export function toBaseUnits(value, decimals = 18) {
+  const text = String(value ?? '').trim();
+  if (!/^\d*(\.\d*)?$/.test(text) || text === '' || text === '.') {
+    throw new Error('Enter a positive decimal amount');
+  }
+  const [whole, fraction = ''] = text.split('.');
+  const places = Number.isInteger(Number(decimals)) ? Number(decimals) : 18;
+  if (fraction.length > places) {
+    throw new Error(`At most ${places} decimal places are supported`);
+  }
+  const units = BigInt(whole || '0') * 10n ** BigInt(places) + BigInt((fraction.padEnd(places, '0') || '0'));
+  if (units <= 0n) {
+    throw new Error('Amount must be greater than zero');
+  }
+  return units.toString();
+}
+
+async function waitForReceipt(hash) {
+  const deadline = Date.now() + RECEIPT_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    // eslint-disable-next-line no-await-in-loop
+    const receipt = await window.ethereum.request({ method: 'eth_getTransactionReceipt', params: [hash] });
+    if (receipt) {
+      if (receipt.status === '0x0') {
+        throw new Error(`Transaction ${hash} reverted`);
+      }
+      return receipt;
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise((resolve) => setTimeout(resolve, RECEIPT_POLL_INTERVAL_MS));
+  }
+  throw new Error(`Timed out waiting for ${hash}`);
+}
+
+// Signs and broadcasts the unsigned transactions built by the backend, one at
+// a time so an approval is mined before the deposit that depends on it. Each
+// hash is reported back so the backend can follow it.
+export async function sendPreparedTransactions(prepared, { onStatus } = {}) {
+  if (typeof window === 'undefined' || !window.ethereum) {
+    throw new Error('Wallet extension not detected');
+  }
+  const transactions = Array.isArray(prepared?.transactions) ? prepared.transactions : [];
+  const hashes = [];
+  for (const tx of transactions) {
+    onStatus?.(`Confirm "${tx.description || tx.action}" in your wallet…`);
+    // eslint-disable-next-line no-await-in-loop
+    const hash = await window.ethereum.request({
+      method: 'eth_sendTransaction',
+      params: [
+        {
+          from: tx.from,
+          to: tx.to,
+          data: tx.data,
+          value: toHex(tx.value || 0),
+          gas: toHex(tx.gasLimit),
+        },
+      ],
+    });
+    hashes.push(hash);
+    // eslint-disable-next-line no-await-in-loop
+    await trackTransaction({ hash, from: tx.from, action: tx.action }).catch(() => null);
+    onStatus?.(`Waiting for ${tx.action} (${hash.slice(0, 10)}…) to be mined…`);
+    // eslint-disable-next-line no-await-in-loop
+    await waitForReceipt(hash);
+  }
+  return hashes;
+}
+
+export default {
+  toBaseUnits,
+  sendPreparedTransactions,
+};
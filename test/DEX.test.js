@@ -31,6 +31,8 @@ describe("DEX Contract", function () {
             { name: "timeInForce", type: "uint8" },
             { name: "side", type: "uint8" },
             { name: "stopPrice", type: "uint256" },
+            { name: "trailingOffset", type: "uint256" },
+            { name: "trailingBps", type: "uint256" },
             { name: "minFillAmount", type: "uint256" },
             { name: "allowPartialFill", type: "bool" },
             { name: "feeRecipient", type: "address" },
@@ -42,7 +44,8 @@ describe("DEX Contract", function () {
         LIMIT: 0,
         MARKET: 1,
         STOP_LOSS: 2,
-        STOP_LIMIT: 3
+        STOP_LIMIT: 3,
+        TRAILING_STOP: 4
     };
 
     const TIME_IN_FORCE = {
@@ -110,6 +113,8 @@ describe("DEX Contract", function () {
             timeInForce: overrides.timeInForce ?? TIME_IN_FORCE.GTC,
             side: overrides.side ?? ORDER_SIDE.SELL,
             stopPrice: toBigIntLike(overrides.stopPrice ?? 0n),
+            trailingOffset: toBigIntLike(overrides.trailingOffset ?? 0n),
+            trailingBps: toBigIntLike(overrides.trailingBps ?? 0n),
             minFillAmount: toBigIntLike(overrides.minFillAmount ?? 0n),
             allowPartialFill: overrides.allowPartialFill ?? true,
             feeRecipient: overrides.feeRecipient ?? ethers.ZeroAddress,
@@ -422,6 +427,469 @@ describe("DEX Contract", function () {
         });
     });
 
+    // ============ Atomic Matching Tests ============
+
+    describe("Atomic Matching", function () {
+        async function depositFor(signer, token, amount) {
+            await token.connect(signer).approve(await dex.getAddress(), amount);
+            await dex.connect(signer).deposit(await token.getAddress(), amount);
+        }
+
+        it("Should match two maker orders without a counterparty relayer", async function () {
+            await depositFor(user1, tokenA, ethers.parseEther("100"));
+            await depositFor(user2, tokenB, ethers.parseEther("50"));
+
+            const left = await buildOrder();
+            const right = await buildOrder({
+                maker: user2.address,
+                tokenGet: tokenAAddress,
+                amountGet: ethers.parseEther("100"),
+                tokenGive: tokenBAddress,
+                amountGive: ethers.parseEther("50"),
+                side: ORDER_SIDE.BUY
+            });
+
+            await expect(
+                dex.connect(owner).matchOrders(
+                    left,
+                    await signOrder(left, user1),
+                    right,
+                    await signOrder(right, user2),
+                    ethers.parseEther("100"),
+                    ethers.parseEther("50")
+                )
+            ).to.emit(dex, "BatchExecuted");
+
+            expect(await dex.balanceOf(user1.address, tokenAAddress)).to.equal(0);
+            expect(await dex.balanceOf(user1.address, tokenBAddress)).to.equal(ethers.parseEther("50"));
+            expect(await dex.balanceOf(user2.address, tokenAAddress)).to.equal(ethers.parseEther("100"));
+            expect(await dex.balanceOf(user2.address, tokenBAddress)).to.equal(0);
+            expect(await dex.balanceOf(owner.address, tokenAAddress)).to.equal(0);
+            expect(await dex.getFilledAmount(await dex.getOrderHash(left))).to.equal(ethers.parseEther("100"));
+            expect(await dex.getFilledAmount(await dex.getOrderHash(right))).to.equal(ethers.parseEther("50"));
+        });
+
+        it("Should settle a three-order ring atomically", async function () {
+            const user3 = addrs[0];
+            const MockToken = await ethers.getContractFactory("MockToken");
+            const tokenC = await MockToken.deploy("Token C", "TKC", 1000000);
+            await tokenC.waitForDeployment();
+            const tokenCAddress = await tokenC.getAddress();
+            await tokenC.transfer(user3.address, ethers.parseEther("1000"));
+
+            await depositFor(user1, tokenA, ethers.parseEther("100"));
+            await depositFor(user2, tokenB, ethers.parseEther("50"));
+            await depositFor(user3, tokenC, ethers.parseEther("200"));
+
+            // user1 gives A for B, user2 gives B for C, user3 gives C for A
+            const orders = [
+                await buildOrder(),
+                await buildOrder({
+                    maker: user2.address,
+                    tokenGet: tokenCAddress,
+                    amountGet: ethers.parseEther("200"),
+                    tokenGive: tokenBAddress,
+                    amountGive: ethers.parseEther("50")
+                }),
+                await buildOrder({
+                    maker: user3.address,
+                    tokenGet: tokenAAddress,
+                    amountGet: ethers.parseEther("100"),
+                    tokenGive: tokenCAddress,
+                    amountGive: ethers.parseEther("200")
+                })
+            ];
+            const signatures = [
+                await signOrder(orders[0], user1),
+                await signOrder(orders[1], user2),
+                await signOrder(orders[2], user3)
+            ];
+            const fills = [ethers.parseEther("100"), ethers.parseEther("50"), ethers.parseEther("200")];
+
+            await expect(dex.batchExecute(orders, signatures, fills))
+                .to.emit(dex, "OrderExecuted")
+                .withArgs(
+                    await dex.getOrderHash(orders[0]),
+                    user1.address,
+                    user2.address,
+                    tokenBAddress,
+                    ethers.parseEther("50"),
+                    tokenAAddress,
+                    ethers.parseEther("100"),
+                    ethers.parseEther("100"),
+                    0,
+                    (value) => value > 0n
+                );
+
+            expect(await dex.balanceOf(user1.address, tokenBAddress)).to.equal(ethers.parseEther("50"));
+            expect(await dex.balanceOf(user2.address, tokenCAddress)).to.equal(ethers.parseEther("200"));
+            expect(await dex.balanceOf(user3.address, tokenAAddress)).to.equal(ethers.parseEther("100"));
+        });
+
+        it("Should revert every leg when one order's price is not met", async function () {
+            await depositFor(user1, tokenA, ethers.parseEther("100"));
+            await depositFor(user2, tokenB, ethers.parseEther("50"));
+
+            const left = await buildOrder();
+            const right = await buildOrder({
+                maker: user2.address,
+                tokenGet: tokenAAddress,
+                amountGet: ethers.parseEther("100"),
+                tokenGive: tokenBAddress,
+                amountGive: ethers.parseEther("50")
+            });
+
+            await expect(
+                dex.matchOrders(
+                    left,
+                    await signOrder(left, user1),
+                    right,
+                    await signOrder(right, user2),
+                    ethers.parseEther("100"),
+                    ethers.parseEther("40")
+                )
+            ).to.be.revertedWith("DEX: Price check failed");
+
+            expect(await dex.balanceOf(user1.address, tokenAAddress)).to.equal(ethers.parseEther("100"));
+            expect(await dex.balanceOf(user2.address, tokenBAddress)).to.equal(ethers.parseEther("50"));
+            expect(await dex.getFilledAmount(await dex.getOrderHash(left))).to.equal(0);
+        });
+
+        it("Should reject orders that do not form a ring", async function () {
+            await depositFor(user1, tokenA, ethers.parseEther("100"));
+            await depositFor(user2, tokenA, ethers.parseEther("100"));
+
+            const left = await buildOrder();
+            const right = await buildOrder({ maker: user2.address });
+
+            await expect(
+                dex.batchExecute(
+                    [left, right],
+                    [await signOrder(left, user1), await signOrder(right, user2)],
+                    [ethers.parseEther("100"), ethers.parseEther("100")]
+                )
+            ).to.be.revertedWith("DEX: Orders do not form a ring");
+        });
+
+        it("Should require escrowed balances for every leg", async function () {
+            await depositFor(user1, tokenA, ethers.parseEther("100"));
+
+            const left = await buildOrder();
+            const right = await buildOrder({
+                maker: user2.address,
+                tokenGet: tokenAAddress,
+                amountGet: ethers.parseEther("100"),
+                tokenGive: tokenBAddress,
+                amountGive: ethers.parseEther("50")
+            });
+
+            await expect(
+                dex.matchOrders(
+                    left,
+                    await signOrder(left, user1),
+                    right,
+                    await signOrder(right, user2),
+                    ethers.parseEther("100"),
+                    ethers.parseEther("50")
+                )
+            ).to.be.revertedWith("DEX: Maker has insufficient balance");
+        });
+    });
+
+    // ============ Trading Fee Tests ============
+
+    describe("Trading Fees", function () {
+        async function fundTrade() {
+            await tokenA.connect(user1).approve(await dex.getAddress(), ethers.parseEther("100"));
+            await dex.connect(user1).deposit(tokenAAddress, ethers.parseEther("100"));
+            await tokenB.connect(user2).approve(await dex.getAddress(), ethers.parseEther("50"));
+            await dex.connect(user2).deposit(tokenBAddress, ethers.parseEther("50"));
+        }
+
+        it("Should charge maker and taker rates on what each side receives", async function () {
+            await dex.setTradingFees(10, 30);
+            await fundTrade();
+
+            const order = await buildOrder();
+            await expect(
+                dex.connect(user2).executeOrder(order, await signOrder(order, user1), ethers.parseEther("100"))
+            )
+                .to.emit(dex, "FeeCharged")
+                .withArgs(await dex.getOrderHash(order), user1.address, owner.address, tokenBAddress, ethers.parseEther("0.05"));
+
+            expect(await dex.balanceOf(user1.address, tokenBAddress)).to.equal(ethers.parseEther("49.95"));
+            expect(await dex.balanceOf(user2.address, tokenAAddress)).to.equal(ethers.parseEther("99.7"));
+            expect(await dex.balanceOf(owner.address, tokenAAddress)).to.equal(ethers.parseEther("0.3"));
+            expect(await dex.balanceOf(owner.address, tokenBAddress)).to.equal(ethers.parseEther("0.05"));
+        });
+
+        it("Should apply per-account tier rates in place of the defaults", async function () {
+            await dex.setTradingFees(10, 30);
+            await dex.setAccountFeeRates(user2.address, 0, 5);
+            expect(await dex.getFeeRates(user2.address)).to.deep.equal([0n, 5n]);
+            await fundTrade();
+
+            const left = await buildOrder();
+            const right = await buildOrder({
+                maker: user2.address,
+                tokenGet: tokenAAddress,
+                amountGet: ethers.parseEther("100"),
+                tokenGive: tokenBAddress,
+                amountGive: ethers.parseEther("50")
+            });
+            await dex.matchOrders(
+                left,
+                await signOrder(left, user1),
+                right,
+                await signOrder(right, user2),
+                ethers.parseEther("100"),
+                ethers.parseEther("50")
+            );
+
+            expect(await dex.balanceOf(user1.address, tokenBAddress)).to.equal(ethers.parseEther("49.95"));
+            expect(await dex.balanceOf(user2.address, tokenAAddress)).to.equal(ethers.parseEther("99.95"));
+
+            await dex.clearAccountFeeRates(user2.address);
+            expect(await dex.getFeeRates(user2.address)).to.deep.equal([10n, 30n]);
+        });
+
+        it("Should cap the trading fee rates", async function () {
+            await expect(dex.setTradingFees(10, 1001)).to.be.revertedWith("DEX: Fee too high");
+            await expect(dex.setAccountFeeRates(user1.address, 1001, 0)).to.be.revertedWith("DEX: Fee too high");
+        });
+    });
+
+    // ============ Access Control Tests ============
+
+    describe("Access Control", function () {
+        let FEE_MANAGER_ROLE;
+        let PAUSER_ROLE;
+        let LISTING_MANAGER_ROLE;
+        let DEFAULT_ADMIN_ROLE;
+
+        beforeEach(async function () {
+            FEE_MANAGER_ROLE = await dex.FEE_MANAGER_ROLE();
+            PAUSER_ROLE = await dex.PAUSER_ROLE();
+            LISTING_MANAGER_ROLE = await dex.LISTING_MANAGER_ROLE();
+            DEFAULT_ADMIN_ROLE = await dex.DEFAULT_ADMIN_ROLE();
+        });
+
+        async function expectUnauthorized(promise, account, role) {
+            await expect(promise)
+                .to.be.revertedWithCustomError(dex, "AccessControlUnauthorizedAccount")
+                .withArgs(account.address, role);
+        }
+
+        it("Should grant every role to the deployer", async function () {
+            for (const role of [DEFAULT_ADMIN_ROLE, FEE_MANAGER_ROLE, PAUSER_ROLE, LISTING_MANAGER_ROLE]) {
+                expect(await dex.hasRole(role, owner.address)).to.be.true;
+                expect(await dex.hasRole(role, user1.address)).to.be.false;
+            }
+        });
+
+        it("Should only let the admin grant and revoke roles", async function () {
+            await expectUnauthorized(
+                dex.connect(user1).grantRole(PAUSER_ROLE, user1.address),
+                user1,
+                DEFAULT_ADMIN_ROLE
+            );
+
+            await dex.grantRole(PAUSER_ROLE, user1.address);
+            await dex.connect(user1).pause();
+            await dex.connect(user1).unpause();
+
+            await expectUnauthorized(
+                dex.connect(user1).revokeRole(PAUSER_ROLE, owner.address),
+                user1,
+                DEFAULT_ADMIN_ROLE
+            );
+            await dex.revokeRole(PAUSER_ROLE, user1.address);
+            await expectUnauthorized(dex.connect(user1).pause(), user1, PAUSER_ROLE);
+        });
+
+        it("Should restrict fee settings to the fee manager", async function () {
+            await expectUnauthorized(dex.connect(user1).setTradingFees(10, 30), user1, FEE_MANAGER_ROLE);
+            await expectUnauthorized(
+                dex.connect(user1).setAccountFeeRates(user1.address, 0, 0),
+                user1,
+                FEE_MANAGER_ROLE
+            );
+            await expectUnauthorized(dex.connect(user1).clearAccountFeeRates(user1.address), user1, FEE_MANAGER_ROLE);
+            await expectUnauthorized(dex.connect(user1).setFeeCollector(user1.address), user1, FEE_MANAGER_ROLE);
+
+            // Being admin is not enough on its own
+            await dex.revokeRole(FEE_MANAGER_ROLE, owner.address);
+            await expectUnauthorized(dex.setTradingFees(10, 30), owner, FEE_MANAGER_ROLE);
+
+            await dex.grantRole(FEE_MANAGER_ROLE, user1.address);
+            await dex.connect(user1).setTradingFees(10, 30);
+            await expect(dex.connect(user1).setFeeCollector(user2.address))
+                .to.emit(dex, "FeeCollectorUpdated")
+                .withArgs(owner.address, user2.address);
+            expect(await dex.takerFeeBps()).to.equal(30);
+            expect(await dex.feeCollector()).to.equal(user2.address);
+        });
+
+        it("Should restrict pausing to the pauser", async function () {
+            await expectUnauthorized(dex.connect(user1).pause(), user1, PAUSER_ROLE);
+            await dex.pause();
+            expect(await dex.paused()).to.be.true;
+            await expectUnauthorized(dex.connect(user1).unpause(), user1, PAUSER_ROLE);
+            await dex.unpause();
+            expect(await dex.paused()).to.be.false;
+        });
+
+        it("Should block deposits and executions while paused but always allow withdrawals", async function () {
+            await tokenA.connect(user1).approve(await dex.getAddress(), ethers.parseEther("200"));
+            await dex.connect(user1).deposit(tokenAAddress, ethers.parseEther("100"));
+            await tokenB.connect(user2).approve(await dex.getAddress(), ethers.parseEther("50"));
+            await dex.connect(user2).deposit(tokenBAddress, ethers.parseEther("50"));
+
+            const order = await buildOrder();
+            const signature = await signOrder(order, user1);
+            const right = await buildOrder({
+                maker: user2.address,
+                tokenGet: tokenAAddress,
+                amountGet: ethers.parseEther("100"),
+                tokenGive: tokenBAddress,
+                amountGive: ethers.parseEther("50")
+            });
+            const rightSignature = await signOrder(right, user2);
+
+            await dex.pause();
+
+            await expect(
+                dex.connect(user1).deposit(tokenAAddress, ethers.parseEther("100"))
+            ).to.be.revertedWithCustomError(dex, "EnforcedPause");
+            await expect(
+                dex.connect(user2).executeOrder(order, signature, ethers.parseEther("100"))
+            ).to.be.revertedWithCustomError(dex, "EnforcedPause");
+            await expect(
+                dex.connect(user2).executeMarketOrder(order, signature, 100)
+            ).to.be.revertedWithCustomError(dex, "EnforcedPause");
+            await expect(
+                dex.matchOrders(order, signature, right, rightSignature, ethers.parseEther("100"), ethers.parseEther("50"))
+            ).to.be.revertedWithCustomError(dex, "EnforcedPause");
+            await expect(
+                dex.batchExecute([order, right], [signature, rightSignature], [ethers.parseEther("100"), ethers.parseEther("50")])
+            ).to.be.revertedWithCustomError(dex, "EnforcedPause");
+
+            await dex.connect(user1).cancelOrder(order);
+            await dex.connect(user1).withdraw(tokenAAddress, ethers.parseEther("100"));
+            expect(await dex.balanceOf(user1.address, tokenAAddress)).to.equal(0);
+        });
+
+        it("Should restrict the token allowlist to the listing manager", async function () {
+            await expectUnauthorized(dex.connect(user1).setTokenListed(tokenAAddress, true), user1, LISTING_MANAGER_ROLE);
+            await expectUnauthorized(dex.connect(user1).setAllowlistEnabled(true), user1, LISTING_MANAGER_ROLE);
+
+            await dex.grantRole(LISTING_MANAGER_ROLE, user1.address);
+            await expect(dex.connect(user1).setTokenListed(tokenAAddress, true))
+                .to.emit(dex, "TokenListingUpdated")
+                .withArgs(tokenAAddress, true);
+            expect(await dex.listedTokens(tokenAAddress)).to.be.true;
+        });
+
+        it("Should enforce the allowlist on deposits and executions but not withdrawals", async function () {
+            await tokenA.connect(user1).approve(await dex.getAddress(), ethers.parseEther("100"));
+            await dex.connect(user1).deposit(tokenAAddress, ethers.parseEther("100"));
+            await tokenB.connect(user2).approve(await dex.getAddress(), ethers.parseEther("50"));
+
+            await dex.setTokenListed(tokenAAddress, true);
+            await dex.setAllowlistEnabled(true);
+
+            await expect(
+                dex.connect(user2).deposit(tokenBAddress, ethers.parseEther("50"))
+            ).to.be.revertedWith("DEX: Token not listed");
+
+            const order = await buildOrder();
+            await expect(
+                dex.connect(user2).executeOrder(order, await signOrder(order, user1), ethers.parseEther("100"))
+            ).to.be.revertedWith("DEX: Token not listed");
+
+            // Delisting never traps funds
+            await dex.setTokenListed(tokenAAddress, false);
+            await dex.connect(user1).withdraw(tokenAAddress, ethers.parseEther("100"));
+
+            await dex.setAllowlistEnabled(false);
+            await dex.connect(user2).deposit(tokenBAddress, ethers.parseEther("50"));
+        });
+    });
+
+    // ============ Trailing Stop Tests ============
+
+    describe("Trailing Stops", function () {
+        // Trades user2's TokenB for user1's TokenA at `price` TokenB per TokenA,
+        // which sets the on-chain market price for the pair.
+        async function tradeAt(price) {
+            const order = await buildOrder({
+                amountGive: ethers.parseEther("10"),
+                amountGet: ethers.parseEther(price),
+                nonce: 0n
+            });
+            await dex.connect(user2).executeOrder(order, await signOrder(order, user1), ethers.parseEther("10"));
+        }
+
+        beforeEach(async function () {
+            await tokenA.connect(user1).approve(await dex.getAddress(), ethers.parseEther("1000"));
+            await dex.connect(user1).deposit(tokenAAddress, ethers.parseEther("1000"));
+            await tokenB.connect(user2).approve(await dex.getAddress(), ethers.parseEther("1000"));
+            await dex.connect(user2).deposit(tokenBAddress, ethers.parseEther("1000"));
+        });
+
+        it("Should only settle once the price falls by the offset from the recorded high", async function () {
+            await tradeAt("5"); // 0.5 TokenB per TokenA
+
+            const stop = await buildOrder({
+                orderType: ORDER_TYPE.TRAILING_STOP,
+                amountGive: ethers.parseEther("100"),
+                amountGet: ethers.parseEther("40"),
+                stopPrice: ethers.parseEther("0.5"),
+                trailingOffset: ethers.parseEther("0.05"),
+                nonce: 1n
+            });
+            const signature = await signOrder(stop, user1);
+            expect(await dex.getTrailingStopPrice(stop)).to.equal(ethers.parseEther("0.45"));
+
+            await tradeAt("6");
+            await expect(dex.updateTrailingStop(stop))
+                .to.emit(dex, "TrailingStopUpdated")
+                .withArgs(await dex.getOrderHash(stop), ethers.parseEther("0.6"), ethers.parseEther("0.55"));
+
+            await tradeAt("5.6");
+            await expect(dex.updateTrailingStop(stop)).to.be.revertedWith("DEX: Reference price not improved");
+            await expect(
+                dex.connect(user2).executeOrder(stop, signature, ethers.parseEther("100"))
+            ).to.be.revertedWith("DEX: Stop price not reached");
+
+            await tradeAt("5.5");
+            expect(await dex.shouldTriggerStopOrder(stop)).to.be.true;
+            await expect(
+                dex.connect(user2).executeOrder(stop, signature, ethers.parseEther("100"))
+            ).to.emit(dex, "StopOrderTriggered");
+        });
+
+        it("Should trail a percentage offset and ignore orders with no offset", async function () {
+            await tradeAt("5");
+
+            const stop = await buildOrder({
+                orderType: ORDER_TYPE.TRAILING_STOP,
+                stopPrice: ethers.parseEther("0.5"),
+                trailingBps: 1000n,
+                nonce: 1n
+            });
+            expect(await dex.getTrailingStopPrice(stop)).to.equal(ethers.parseEther("0.45"));
+
+            const missingOffset = await buildOrder({
+                orderType: ORDER_TYPE.TRAILING_STOP,
+                stopPrice: ethers.parseEther("0.5"),
+                nonce: 1n
+            });
+            expect(await dex.getTrailingStopPrice(missingOffset)).to.equal(0);
+            expect(await dex.shouldTriggerStopOrder(missingOffset)).to.be.false;
+        });
+    });
+
     // ============ Nonce Tests ============
 
     describe("Nonce Management", function () {